@@ -0,0 +1,235 @@
+/**
+ * Authentication Configuration
+ *
+ * Token lifetimes and session settings shared by the auth middleware and services
+ */
+
+const { isValidCidr } = require('../lib/cidr');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const config = {
+  // Short-lived access token (JWT) lifetime, in jsonwebtoken "expiresIn" format
+  accessTokenTtl: process.env.JWT_EXPIRES_IN || '15m',
+
+  // Signing keys for access and 2FA tokens (RS256 or EdDSA). Either one PEM private key
+  // in JWT_PRIVATE_KEY, or a JSON file listing keys for rotation:
+  //   [{ "kid": "2026-10", "privateKeyFile": "2026-10.pem" },
+  //    { "kid": "2026-11", "privateKeyFile": "2026-11.pem", "activatesAt": "2026-11-01T00:00:00Z" }]
+  // The newest active key signs. Keys are published in the JWKS before they activate, and
+  // a replaced key keeps verifying (and stays published) for overlapMs.
+  tokens: {
+    issuer: process.env.JWT_ISSUER || process.env.APP_URL || 'http://localhost:8080',
+    privateKey: process.env.JWT_PRIVATE_KEY || null,
+    keyId: process.env.JWT_KEY_ID || null,
+    keysFile: process.env.JWT_KEYS_FILE || null,
+    // Must be longer than the longest token lifetime
+    overlapMs: parseInt(process.env.JWT_KEY_OVERLAP_HOURS || '24', 10) * 60 * 60 * 1000,
+    // How long verifiers may cache the JWKS
+    jwksMaxAgeSeconds: 300
+  },
+
+  // HMAC secret for the single-use tokens in email links (password reset, email
+  // verification, magic links); required in production
+  linkTokenSecret: process.env.JWT_SECRET || null,
+
+  // Long-lived refresh token lifetime, stored in the sessions table
+  refreshTokenTtlMs: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * DAY_MS,
+
+  // Two-factor authentication
+  mfa: {
+    issuer: process.env.MFA_ISSUER || process.env.APP_NAME || 'PostgreSQL React App',
+    // Roles that must have 2FA enabled before they can sign in
+    requiredRoles: (process.env.MFA_REQUIRED_ROLES || 'admin').split(',').map(role => role.trim()).filter(Boolean),
+    // Lifetime of the intermediate token issued between the password and second-factor steps
+    challengeTtl: '5m',
+    recoveryCodeCount: 10
+  },
+
+  // Public URL used to build links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:8080',
+
+  // Email verification
+  emailVerification: {
+    // What unverified users may do: "allow" (everything), "restricted" (read-only
+    // outside /api/auth) or "block" (cannot sign in)
+    unverifiedPolicy: process.env.UNVERIFIED_USER_POLICY || 'restricted',
+    tokenTtlMs: 24 * 60 * 60 * 1000
+  },
+
+  // Who may create an account (applies to password and OAuth/OIDC sign-up):
+  // "open", "invite" (invite code required), "domain" (email domain allowlist),
+  // "approval" (accounts wait for an admin) or "closed". A valid invite code is
+  // accepted in every mode except "closed".
+  registration: {
+    mode: process.env.REGISTRATION_MODE || 'open',
+    allowedDomains: (process.env.REGISTRATION_ALLOWED_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+    inviteTtlMs: parseInt(process.env.INVITE_TTL_DAYS || '7', 10) * DAY_MS,
+    defaultRole: 'user'
+  },
+
+  // Password rules for sign-up, password changes and resets
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '10', 10),
+    // bcrypt ignores everything after 72 bytes
+    maxLength: 72,
+    // How many of lowercase, uppercase, digits and symbols must appear
+    minCharacterClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES || '2', 10),
+    // Estimated strength from 0 (trivially guessable) to 4 (very hard to guess)
+    minStrengthScore: parseInt(process.env.PASSWORD_MIN_STRENGTH_SCORE || '3', 10),
+    // Reject passwords that contain the username or the email address
+    rejectPersonalInfo: process.env.PASSWORD_REJECT_PERSONAL_INFO !== 'false',
+    // Extra blocklist (one password per line) checked along with config/common-passwords.txt
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || null,
+    // Number of most recent passwords (including the current one) that cannot be reused; 0 disables
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10)
+  },
+
+  // Password hashing for new and changed passwords. Hashes made with another algorithm or
+  // other parameters keep working and are re-hashed with these at the next login.
+  passwordHashing: {
+    // "scrypt", "argon2id" (needs the argon2 package) or "bcrypt"
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'scrypt',
+    bcrypt: {
+      cost: parseInt(process.env.BCRYPT_COST || '12', 10)
+    },
+    // N = 2^costLog2; the defaults follow the OWASP recommendation
+    scrypt: {
+      costLog2: parseInt(process.env.SCRYPT_COST_LOG2 || '17', 10),
+      blockSize: 8,
+      parallelization: 1,
+      keyLength: 32,
+      saltLength: 16
+    },
+    // Memory in KiB
+    argon2id: {
+      memoryCost: parseInt(process.env.ARGON2_MEMORY_KIB || '19456', 10),
+      timeCost: parseInt(process.env.ARGON2_TIME_COST || '2', 10),
+      parallelism: 1
+    }
+  },
+
+  // Login throttling. Failures are counted per IP, per account and per IP+account; once a
+  // counter passes its free attempts, each further failure doubles the wait before the next
+  // try (starting at baseDelayMs, capped at maxDelayMs). Counters start over after
+  // failureWindowMs without failures.
+  loginThrottle: {
+    ip: { freeAttempts: 20, maxDelayMs: 60 * 60 * 1000 },
+    // Kept short so that failures from someone else cannot lock a user out for long
+    account: { freeAttempts: 5, maxDelayMs: 5 * 60 * 1000 },
+    ipAccount: { freeAttempts: 5, maxDelayMs: 60 * 60 * 1000 },
+    baseDelayMs: 1000,
+    failureWindowMs: 60 * 60 * 1000,
+    // Temporarily ban an IP that fails against many different accounts (password spraying)
+    // or fails too often overall
+    ban: {
+      distinctAccounts: parseInt(process.env.LOGIN_BAN_DISTINCT_ACCOUNTS || '10', 10),
+      failures: parseInt(process.env.LOGIN_BAN_FAILURES || '100', 10),
+      durationMs: parseInt(process.env.LOGIN_BAN_DURATION_MINUTES || '60', 10) * 60 * 1000
+    }
+  },
+
+  // Passkeys (WebAuthn). The relying party id is the site's domain; passkeys only work
+  // on that domain and its subdomains.
+  webauthn: {
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(process.env.APP_URL || 'http://localhost:8080').hostname,
+    rpName: process.env.APP_NAME || 'PostgreSQL React App',
+    // Origins the browser may report in clientDataJSON
+    origins: (process.env.WEBAUTHN_ORIGINS || new URL(process.env.APP_URL || 'http://localhost:8080').origin)
+      .split(',').map(origin => origin.trim()).filter(Boolean),
+    // How long a registration or sign-in ceremony may take
+    challengeTtlMs: 5 * 60 * 1000,
+    maxPerUser: 10
+  },
+
+  // Admin "sign in as user" sessions. They cannot be extended past this lifetime.
+  impersonation: {
+    ttlMs: parseInt(process.env.IMPERSONATION_TTL_MINUTES || '30', 10) * 60 * 1000
+  },
+
+  // Self-service account deletion: the account is kept for a grace period during
+  // which the user can sign in and cancel, then purged
+  accountDeletion: {
+    gracePeriodMs: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10) * DAY_MS,
+    // Accounts without a password confirm by email; how long that link stays valid
+    confirmationTtlMs: 30 * 60 * 1000,
+    // How often a long-running server looks for accounts whose grace period has ended.
+    // Serverless deployments call GET /api/cron/purge-deletions instead (vercel.json).
+    purgeIntervalMs: 60 * 60 * 1000
+  },
+
+  // Scheduled jobs under /api/cron require "Authorization: Bearer <secret>"
+  cron: {
+    secret: process.env.CRON_SECRET || null
+  },
+
+  // Password reset
+  passwordReset: {
+    tokenTtlMs: 60 * 60 * 1000
+  },
+
+  // Passwordless sign-in with a one-time link sent by email. Requests for a link are
+  // limited per email address and per IP, whether or not the address has an account.
+  magicLink: {
+    enabled: process.env.MAGIC_LINK_ENABLED === 'true',
+    tokenTtlMs: parseInt(process.env.MAGIC_LINK_TTL_MINUTES || '15', 10) * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+    maxPerEmail: 3,
+    maxPerIp: 20
+  },
+
+  // Personal access tokens (API keys)
+  apiKeys: {
+    prefix: 'pat_',
+    scopes: {
+      'data:read': 'Read and export collection data',
+      'data:write': 'Insert, update and delete collection data',
+      'audit:read': 'Read audit logs',
+      'diagnostics:run': 'Run database diagnostics',
+      'sql:execute': 'Execute SQL queries'
+    },
+    maxPerUser: 25
+  },
+
+  // Proxies whose X-Forwarded-For header is trusted for the client address (req.ip), as
+  // addresses, CIDR ranges or "loopback", "linklocal" and "uniquelocal". Without any, the
+  // header is ignored and the address of the direct peer is used. Needed for correct IP
+  // allow/deny lists, login throttling and API key IP restrictions behind a load balancer.
+  trustedProxies: (process.env.TRUSTED_PROXIES || '').split(',').map(entry => entry.trim()).filter(Boolean),
+
+  // Browser sessions. Browsers authenticate with the httpOnly access token cookie; API
+  // clients send the access token (or an API key) in the Authorization header instead.
+  cookies: {
+    accessToken: 'token',
+    refreshToken: 'refreshToken',
+    refreshTokenPath: '/api/auth',
+    // "strict" or "lax" keep the cookies off cross-site requests; "none" sends them
+    // cross-site (e.g. a frontend on another domain) and requires HTTPS
+    sameSite: (process.env.COOKIE_SAME_SITE || 'strict').toLowerCase(),
+    secure: process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === 'true' : process.env.NODE_ENV === 'production',
+    // Readable by the frontend, which echoes it in the CSRF header on requests that change
+    // state. Requests authenticated by cookie are refused without it.
+    csrfToken: 'csrfToken',
+    csrfHeader: 'X-CSRF-Token'
+  }
+};
+
+if (!['scrypt', 'argon2id', 'bcrypt'].includes(config.passwordHashing.algorithm)) {
+  throw new Error(`PASSWORD_HASH_ALGORITHM must be "scrypt", "argon2id" or "bcrypt", got "${config.passwordHashing.algorithm}"`);
+}
+
+const invalidProxies = config.trustedProxies.filter(entry => !isValidCidr(entry) && !['loopback', 'linklocal', 'uniquelocal'].includes(entry));
+if (invalidProxies.length > 0) {
+  throw new Error(`TRUSTED_PROXIES has invalid entries: ${invalidProxies.join(', ')}`);
+}
+
+if (!['strict', 'lax', 'none'].includes(config.cookies.sameSite)) {
+  throw new Error(`COOKIE_SAME_SITE must be "strict", "lax" or "none", got "${config.cookies.sameSite}"`);
+}
+
+// Browsers drop SameSite=None cookies that are not Secure
+if (config.cookies.sameSite === 'none') {
+  config.cookies.secure = true;
+}
+
+module.exports = config;
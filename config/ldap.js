@@ -0,0 +1,100 @@
+/**
+ * LDAP / Active Directory Configuration
+ *
+ * Password logins can be checked against a directory, e.g.
+ *   LDAP_URL=ldaps://ldap.example.com
+ *   LDAP_BIND_MODE=search
+ *   LDAP_BIND_DN=cn=reader,dc=example,dc=com
+ *   LDAP_BIND_PASSWORD=secret
+ *   LDAP_SEARCH_BASE=ou=people,dc=example,dc=com
+ *   LDAP_SEARCH_FILTER=(uid={{username}})
+ *   LDAP_ROLE_MAP=app-admins:admin;cn=editors,ou=groups,dc=example,dc=com:editor
+ *
+ * Active Directory usually binds as the user principal name:
+ *   LDAP_BIND_MODE=direct
+ *   LDAP_USER_DN_TEMPLATE={{username}}@corp.example.com
+ *   LDAP_SEARCH_BASE=dc=corp,dc=example,dc=com
+ *   LDAP_SEARCH_FILTER=(sAMAccountName={{username}})
+ *   LDAP_USERNAME_ATTRIBUTE=sAMAccountName
+ *   LDAP_SUBJECT_ATTRIBUTE=objectGUID
+ */
+
+/**
+ * Parse "group:role;group:role" into an ordered list of mappings. Groups are
+ * matched by common name or full DN (which contains commas, hence the semicolons).
+ */
+const parseGroupRoleMap = (value = '') => {
+  return value.split(';')
+    .map(pair => {
+      const separator = pair.lastIndexOf(':');
+      return [pair.slice(0, separator).trim().toLowerCase(), pair.slice(separator + 1).trim()];
+    })
+    .filter(([claimValue, role]) => claimValue && role)
+    .map(([claimValue, role]) => ({ claimValue, role }));
+};
+
+/**
+ * Parse the order in which login backends are tried
+ */
+const parseLoginOrder = (value) => {
+  const order = value.split(',').map(entry => entry.trim().toLowerCase()).filter(entry => ['local', 'ldap'].includes(entry));
+  return order.length > 0 ? order : ['local'];
+};
+
+const config = {
+  // Provider id used for the linked identity, the audit log and role mapping
+  id: 'ldap',
+  displayName: process.env.LDAP_NAME || 'LDAP',
+  url: process.env.LDAP_URL || null,
+
+  // Login backends to try, in order: "local" (password hashes in users), "ldap", or both,
+  // e.g. "ldap,local" lets local accounts keep working while the directory is preferred
+  loginOrder: parseLoginOrder(process.env.LOGIN_BACKENDS || (process.env.LDAP_URL ? 'local,ldap' : 'local')),
+
+  // "direct" binds as the user with userDnTemplate; "search" binds with the service
+  // account, finds the user's entry with searchFilter and then binds as that entry
+  bindMode: process.env.LDAP_BIND_MODE || 'search',
+  userDnTemplate: process.env.LDAP_USER_DN_TEMPLATE || null,
+  bindDn: process.env.LDAP_BIND_DN || null,
+  bindPassword: process.env.LDAP_BIND_PASSWORD || null,
+  searchBase: process.env.LDAP_SEARCH_BASE || null,
+  searchFilter: process.env.LDAP_SEARCH_FILTER || '(|(uid={{username}})(mail={{username}}))',
+
+  // Entry attributes used to build the local account
+  attributes: {
+    username: process.env.LDAP_USERNAME_ATTRIBUTE || 'uid',
+    email: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+    displayName: process.env.LDAP_DISPLAY_NAME_ATTRIBUTE || 'cn',
+    // Stable id of the entry; the DN is used when unset (it changes if the entry is moved)
+    subject: process.env.LDAP_SUBJECT_ATTRIBUTE || null
+  },
+
+  // Group membership is read from an attribute of the user entry (AD, OpenLDAP memberOf
+  // overlay) or, when groupSearchBase is set, by searching for groups listing the user
+  groups: {
+    attribute: process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf',
+    searchBase: process.env.LDAP_GROUP_SEARCH_BASE || null,
+    searchFilter: process.env.LDAP_GROUP_SEARCH_FILTER || '(member={{dn}})'
+  },
+
+  // Role mapping, applied through the same claim mapping as OIDC providers
+  roleClaim: 'groups',
+  roleMap: parseGroupRoleMap(process.env.LDAP_ROLE_MAP),
+  defaultRole: process.env.LDAP_DEFAULT_ROLE || 'user',
+  // The directory is the source of truth, so roles follow group changes on every login
+  syncRoles: process.env.LDAP_SYNC_ROLES !== 'false',
+  // Directory users are provisioned on first login; the directory decides who may sign in,
+  // so the self-service registration policy does not apply
+  skipRegistrationPolicy: true,
+  // Treat directory email addresses as verified
+  trustEmail: process.env.LDAP_TRUST_EMAIL !== 'false',
+
+  startTls: process.env.LDAP_STARTTLS === 'true',
+  tlsRejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+  timeoutMs: parseInt(process.env.LDAP_TIMEOUT_MS || '5000', 10),
+
+  parseGroupRoleMap,
+  parseLoginOrder
+};
+
+module.exports = config;
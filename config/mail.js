@@ -0,0 +1,29 @@
+/**
+ * Mail Configuration
+ *
+ * Selects the mail transport and its settings
+ */
+
+const path = require('path');
+
+const config = {
+  // Transport: "smtp", "file" (writes messages to disk) or "console" (logs messages)
+  transport: process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+
+  from: process.env.SMTP_FROM || 'noreply@yourapp.com',
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+
+  file: {
+    directory: process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail')
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,95 @@
+/**
+ * OAuth2 / OpenID Connect Provider Configuration
+ *
+ * Providers are listed in OIDC_PROVIDERS and configured with OIDC_<ID>_* variables, e.g.
+ *   OIDC_PROVIDERS=keycloak
+ *   OIDC_KEYCLOAK_ISSUER=https://sso.example.com/realms/main
+ *   OIDC_KEYCLOAK_CLIENT_ID=app
+ *   OIDC_KEYCLOAK_CLIENT_SECRET=secret
+ *   OIDC_KEYCLOAK_ROLE_CLAIM=realm_access.roles
+ *   OIDC_KEYCLOAK_ROLE_MAP=app-admin:admin,app-editor:editor
+ *
+ * GitHub does not support OpenID Connect, so it is configured as a plain OAuth2
+ * provider from the existing GITHUB_* variables.
+ */
+
+const appUrl = process.env.APP_URL || 'http://localhost:8080';
+
+/**
+ * Parse "claimValue:role,claimValue:role" into an ordered list of mappings
+ */
+const parseRoleMap = (value = '') => {
+  return value.split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([claimValue, role]) => claimValue && role)
+    .map(([claimValue, role]) => ({ claimValue, role }));
+};
+
+/**
+ * Build a discovery-based OIDC provider from OIDC_<ID>_* variables
+ */
+const providerFromEnv = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (key, fallback = undefined) => process.env[`${prefix}${key}`] || fallback;
+
+  return {
+    id,
+    type: 'oidc',
+    displayName: env('NAME', id),
+    issuer: env('ISSUER'),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES', 'openid email profile').split(/[\s,]+/).filter(Boolean),
+    redirectUri: env('REDIRECT_URI', `${appUrl}/api/auth/oauth/${id}/callback`),
+    usernameClaim: env('USERNAME_CLAIM', 'preferred_username'),
+    // Dot path to a string or array claim, e.g. "roles" (Azure AD) or "realm_access.roles" (Keycloak)
+    roleClaim: env('ROLE_CLAIM', null),
+    roleMap: parseRoleMap(env('ROLE_MAP')),
+    defaultRole: env('DEFAULT_ROLE', 'user'),
+    // Re-apply the role mapping on every login instead of only when the account is created
+    syncRoles: env('SYNC_ROLES', 'false') === 'true'
+  };
+};
+
+const providers = {};
+
+for (const id of (process.env.OIDC_PROVIDERS || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean)) {
+  providers[id] = providerFromEnv(id);
+}
+
+if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
+  providers.github = {
+    id: 'github',
+    type: 'oauth2',
+    displayName: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint: 'https://api.github.com/user',
+    emailsEndpoint: 'https://api.github.com/user/emails',
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    scopes: ['read:user', 'user:email'],
+    redirectUri: process.env.GITHUB_CALLBACK_URL || `${appUrl}/api/auth/github/callback`,
+    roleClaim: null,
+    roleMap: [],
+    defaultRole: 'user',
+    syncRoles: false
+  };
+}
+
+const config = {
+  providers,
+  parseRoleMap,
+  // Sign in to an existing local account whose email matches the provider's email.
+  // Only applies when both the provider and the local account report the email as verified;
+  // otherwise the user must sign in and link the identity from their account settings.
+  autoLinkVerifiedEmail: process.env.OIDC_AUTO_LINK_VERIFIED_EMAIL === 'true',
+  // How long a login may take between redirecting to the provider and the callback
+  transactionTtlMs: 10 * 60 * 1000,
+  // How long discovery documents and signing keys are cached
+  metadataCacheTtlMs: 60 * 60 * 1000,
+  // Allowed clock difference when checking ID token timestamps
+  clockToleranceSec: 60
+};
+
+module.exports = config;
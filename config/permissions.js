@@ -0,0 +1,65 @@
+/**
+ * Permission Configuration
+ *
+ * Catalog of named permissions checked by the API and the default roles seeded on startup.
+ * Custom roles are created at runtime through the admin API.
+ */
+
+const permissions = {
+  'account.manage': 'Manage own profile, sessions, 2FA and API keys',
+  'strings.read': 'List saved strings',
+  'strings.write': 'Save and delete strings',
+  'schema.read': 'Inspect database schema and connection information',
+  'sql.execute': 'Execute arbitrary SQL queries',
+  'diagnostics.run': 'Run database diagnostics',
+  'diagnostics.fix': 'Apply automatic database fixes',
+  'data.read': 'Read collection data',
+  'data.write': 'Insert, update and delete collection data',
+  'data.export': 'Export collection data',
+  'collections.manage': 'Define collection schemas and activate new versions',
+  'audit.read': 'Read audit logs',
+  'users.read': 'List users',
+  'users.manage': 'Manage users and their sessions',
+  'users.impersonate': 'Sign in as another user for support',
+  'roles.manage': 'Create, edit and assign roles',
+  'security.manage': 'View and clear login lockouts and IP bans'
+};
+
+// "*" grants every permission in the catalog, including ones added later
+const defaultRoles = {
+  admin: {
+    description: 'Full access to every feature',
+    permissions: '*'
+  },
+  editor: {
+    description: 'Read and write data, run diagnostics',
+    permissions: [
+      'account.manage', 'strings.read', 'strings.write', 'schema.read',
+      'diagnostics.run', 'data.read', 'data.write', 'data.export'
+    ]
+  },
+  viewer: {
+    description: 'Read-only access to data',
+    permissions: ['account.manage', 'strings.read', 'schema.read', 'data.read']
+  },
+  auditor: {
+    description: 'Read-only access to data, users and audit logs',
+    permissions: [
+      'account.manage', 'strings.read', 'schema.read', 'diagnostics.run',
+      'data.read', 'data.export', 'audit.read', 'users.read'
+    ]
+  },
+  // Role given to self-registered accounts
+  user: {
+    description: 'Standard account working with its own data',
+    permissions: [
+      'account.manage', 'strings.read', 'strings.write', 'schema.read',
+      'diagnostics.run', 'data.read', 'data.write', 'data.export'
+    ]
+  }
+};
+
+module.exports = {
+  permissions,
+  defaultRoles
+};
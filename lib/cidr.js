@@ -0,0 +1,97 @@
+/**
+ * CIDR Helpers
+ *
+ * Parsing and matching of IP addresses against CIDR ranges (IPv4 and IPv6)
+ */
+
+const net = require('net');
+
+/**
+ * Normalize an address as reported by Express (strips the IPv4-mapped IPv6 prefix)
+ */
+const normalizeIp = (ip) => {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  const trimmed = ip.trim();
+  if (trimmed.toLowerCase().startsWith('::ffff:') && net.isIPv4(trimmed.slice(7))) {
+    return trimmed.slice(7);
+  }
+
+  return trimmed;
+};
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a single address into its parts
+ */
+const parseCidr = (entry) => {
+  const [address, prefixText, ...rest] = String(entry).trim().split('/');
+  const version = net.isIP(address);
+
+  if (!version || rest.length > 0) {
+    throw new Error(`Invalid IP address or CIDR range: ${entry}`);
+  }
+
+  // Number('') is 0, so "10.0.0.0/" would otherwise mean the whole address space
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+    throw new Error(`Invalid CIDR prefix length: ${entry}`);
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+  if (prefix > maxPrefix) {
+    throw new Error(`Invalid CIDR prefix length: ${entry}`);
+  }
+
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+};
+
+/**
+ * Check whether an entry is a valid address or CIDR range
+ */
+const isValidCidr = (entry) => {
+  try {
+    parseCidr(entry);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Build a matcher for a list of addresses/ranges
+ */
+const createMatcher = (entries) => {
+  const blockList = new net.BlockList();
+
+  for (const entry of entries) {
+    const { address, prefix, family } = parseCidr(entry);
+    blockList.addSubnet(address, prefix, family);
+  }
+
+  return (ip) => {
+    const normalized = normalizeIp(ip);
+    const version = net.isIP(normalized || '');
+    if (!version) {
+      return false;
+    }
+    return blockList.check(normalized, version === 4 ? 'ipv4' : 'ipv6');
+  };
+};
+
+/**
+ * Check whether an IP matches any entry in a list
+ */
+const ipMatches = (ip, entries) => {
+  return createMatcher(entries)(ip);
+};
+
+module.exports = {
+  normalizeIp,
+  parseCidr,
+  isValidCidr,
+  createMatcher,
+  ipMatches
+};
@@ -0,0 +1,366 @@
+/**
+ * Data Filters
+ *
+ * Filter language for collection records, compiled to parameterized SQL over the
+ * data_storage.data JSONB column. Filters are JSON objects keyed by dotted field paths:
+ *
+ *   { "address.city": "Berlin",
+ *     "price": { "$gte": 10, "$lt": 100 },
+ *     "$or": [{ "tags": { "$contains": "sale" } }, { "stock": { "$exists": false } }] }
+ *
+ * Query strings can use a compact form instead: "field:op:value" clauses joined by ","
+ * (and) into groups joined by "|" (or), e.g. "price:gte:10,address.city:eq:Berlin|featured:eq:true".
+ * Values that look like numbers, true, false or null are typed; quote them ("10") to
+ * compare as strings. Lists for in/nin are separated by ";".
+ */
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists', 'regex', 'contains'];
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_LIST_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 200;
+
+const PATH_SEGMENT = /^[A-Za-z0-9_-]+$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-](\d{2})(?::?(\d{2}))?)?)?$/;
+// Same shape with field ranges, checked in SQL before casting stored strings to
+// timestamps. February 29th of a non-leap year still gets through; Postgres then
+// raises an error that is reported as a bad request.
+const SQL_ISO_DATE = '^[0-9]{4}-((0[13578]|1[02])-(0[1-9]|[12][0-9]|3[01])|(0[469]|11)-(0[1-9]|[12][0-9]|30)|02-(0[1-9]|[12][0-9]))' +
+  '([T ]([01][0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9]([.][0-9]+)?)?(Z|[+-](0[0-9]|1[0-5])(:?[0-5][0-9])?)?)?$';
+
+const filterError = (message) => Object.assign(new Error(message), { code: 'INVALID_FILTER' });
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Check that a string is an ISO 8601 date that exists in the calendar. Date.parse rolls
+ * "2024-02-30" over into March, so the date is formatted back and compared instead.
+ */
+const isDate = (value) => {
+  const match = typeof value === 'string' && ISO_DATE.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', offsetHours = '00', offsetMinutes = '00'] = match;
+  const date = new Date(0);
+  date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+
+  return Number(year) > 0 &&
+    date.toISOString().slice(0, 10) === `${year}-${month}-${day}` &&
+    Number(hours) < 24 && Number(minutes) < 60 && Number(seconds) < 60 &&
+    Number(offsetHours) <= 15 && Number(offsetMinutes) < 60;
+};
+
+/**
+ * Split "address.city" into ["address", "city"]
+ */
+const parsePath = (field) => {
+  const path = String(field).split('.');
+  if (path.length > 10 || !path.every(segment => PATH_SEGMENT.test(segment))) {
+    throw filterError(`Invalid field path: ${field}`);
+  }
+  return path;
+};
+
+/**
+ * Check an operator's value and return the condition node
+ */
+const parseCondition = (field, op, value) => {
+  switch (op) {
+    case 'eq':
+    case 'ne':
+      if (value === undefined) {
+        throw filterError(`$${op} on ${field} needs a value`);
+      }
+      break;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      if (typeof value !== 'number' && typeof value !== 'string') {
+        throw filterError(`$${op} on ${field} needs a number, date or string`);
+      }
+      if (ISO_DATE.test(value) && !isDate(value)) {
+        throw filterError(`$${op} on ${field} needs a valid date: ${value}`);
+      }
+      break;
+    case 'in':
+    case 'nin':
+      if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_LENGTH ||
+        !value.every(item => item === null || isScalar(item))) {
+        throw filterError(`$${op} on ${field} needs a list of 1 to ${MAX_LIST_LENGTH} values`);
+      }
+      break;
+    case 'exists':
+      if (typeof value !== 'boolean') {
+        throw filterError(`$exists on ${field} needs true or false`);
+      }
+      break;
+    case 'regex':
+      if (typeof value !== 'string' || value.length === 0 || value.length > MAX_PATTERN_LENGTH) {
+        throw filterError(`$regex on ${field} needs a pattern of up to ${MAX_PATTERN_LENGTH} characters`);
+      }
+      break;
+    case 'contains':
+      if (!isScalar(value)) {
+        throw filterError(`$contains on ${field} needs a string, number or boolean`);
+      }
+      break;
+    default:
+      throw filterError(`Unknown operator $${op}; use one of ${OPERATORS.map(name => `$${name}`).join(', ')}`);
+  }
+
+  return { type: 'condition', path: parsePath(field), op, value };
+};
+
+/**
+ * Parse a JSON filter into a tree of { type: 'and' | 'or', children } and
+ * { type: 'condition', path, op, value } nodes
+ */
+const parseFilter = (filter, depth = 0, counter = { conditions: 0 }) => {
+  if (!isPlainObject(filter)) {
+    throw filterError('A filter must be an object');
+  }
+  if (depth > MAX_DEPTH) {
+    throw filterError(`Filters can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+
+  const children = [];
+
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw filterError(`${key} needs a list of filters`);
+      }
+      children.push({
+        type: key.slice(1),
+        children: value.map(child => parseFilter(child, depth + 1, counter))
+      });
+      continue;
+    }
+
+    if (key.startsWith('$')) {
+      throw filterError(`Unknown operator ${key}; only $and and $or combine filters`);
+    }
+
+    // A plain value is shorthand for $eq
+    const operators = isPlainObject(value) ? value : { $eq: value };
+    const names = Object.keys(operators);
+    if (names.length === 0 || !names.every(name => name.startsWith('$'))) {
+      throw filterError(`Operators on ${key} must start with $ (use dotted paths for nested fields)`);
+    }
+
+    for (const name of names) {
+      counter.conditions++;
+      children.push(parseCondition(key, name.slice(1), operators[name]));
+    }
+  }
+
+  if (counter.conditions > MAX_CONDITIONS) {
+    throw filterError(`Filters can have at most ${MAX_CONDITIONS} conditions`);
+  }
+
+  return { type: 'and', children };
+};
+
+/**
+ * Split on a separator outside double-quoted strings
+ */
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' && text[i - 1] !== '\\') {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) {
+    throw filterError('Unterminated quoted value in filter');
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Type a compact-syntax value: numbers, booleans and null unless quoted
+ */
+const parseCompactValue = (text) => {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      throw filterError(`Invalid quoted value in filter: ${trimmed}`);
+    }
+  }
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+  if (trimmed === 'null') {
+    return null;
+  }
+  return trimmed;
+};
+
+/**
+ * Convert the compact query-string syntax to a JSON filter
+ */
+const parseCompactFilter = (text) => {
+  const groups = splitOutsideQuotes(text, '|').map(group => {
+    const clauses = splitOutsideQuotes(group, ',').map(clause => {
+      const [field, op, ...rest] = splitOutsideQuotes(clause, ':');
+      if (!field || !field.trim() || !op) {
+        throw filterError(`Filter clauses must look like field:op:value, got "${clause}"`);
+      }
+
+      // Values may contain ":" (times), so everything after the operator is the value
+      const valueText = rest.join(':');
+      const name = op.trim();
+      let value;
+
+      if (name === 'in' || name === 'nin') {
+        value = splitOutsideQuotes(valueText, ';').map(parseCompactValue);
+      } else if (name === 'exists') {
+        value = rest.length === 0 ? true : parseCompactValue(valueText);
+      } else if (name === 'regex') {
+        value = valueText.trim().startsWith('"') ? parseCompactValue(valueText) : valueText;
+      } else {
+        value = parseCompactValue(valueText);
+      }
+
+      return { [field.trim()]: { [`$${name}`]: value } };
+    });
+
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  });
+
+  return groups.length === 1 ? groups[0] : { $or: groups };
+};
+
+/**
+ * Parse a filter given as an object, a JSON string or the compact syntax
+ */
+const parse = (filter) => {
+  if (typeof filter === 'string') {
+    const trimmed = filter.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        return parseFilter(JSON.parse(trimmed));
+      } catch (error) {
+        throw error.code === 'INVALID_FILTER' ? error : filterError('Filter is not valid JSON');
+      }
+    }
+    return parseFilter(parseCompactFilter(trimmed));
+  }
+  return parseFilter(filter);
+};
+
+/**
+ * Compile one condition to SQL, adding its values to params
+ */
+const compileCondition = ({ path, op, value }, column, add) => {
+  const field = `(${column} #> ${add(path)}::text[])`;
+  const text = `(${field} #>> '{}')`;
+
+  switch (op) {
+    case 'eq':
+      // jsonb equality is typed: 10 matches 10.0 but not "10"
+      return `${field} = ${add(JSON.stringify(value))}::jsonb`;
+    case 'ne':
+      return `${field} IS DISTINCT FROM ${add(JSON.stringify(value))}::jsonb`;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const operator = RANGE_OPERATORS[op];
+      if (typeof value === 'number') {
+        return `(CASE WHEN jsonb_typeof(${field}) = 'number' THEN ${field}::numeric END) ${operator} ${add(value)}::numeric`;
+      }
+      if (isDate(value)) {
+        return `(CASE WHEN jsonb_typeof(${field}) = 'string' AND ${text} ~ '${SQL_ISO_DATE}' ` +
+          `THEN ${text}::timestamptz END) ${operator} ${add(value)}::timestamptz`;
+      }
+      return `(CASE WHEN jsonb_typeof(${field}) = 'string' THEN ${text} END) ${operator} ${add(value)}`;
+    }
+    case 'in':
+      return `${field} = ANY(${add(value.map(item => JSON.stringify(item)))}::jsonb[])`;
+    case 'nin':
+      return `NOT COALESCE(${field} = ANY(${add(value.map(item => JSON.stringify(item)))}::jsonb[]), false)`;
+    case 'exists':
+      return value ? `${field} IS NOT NULL` : `${field} IS NULL`;
+    case 'regex':
+      return `(CASE WHEN jsonb_typeof(${field}) = 'string' THEN ${text} ~ ${add(value)} ELSE false END)`;
+    case 'contains': {
+      // Substring of a string (case-insensitive), or element of an array
+      const element = `${field} @> jsonb_build_array(${add(JSON.stringify(value))}::jsonb)`;
+      if (typeof value !== 'string') {
+        return `(jsonb_typeof(${field}) = 'array' AND ${element})`;
+      }
+      const pattern = `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+      return `(CASE jsonb_typeof(${field}) WHEN 'array' THEN ${element} ` +
+        `WHEN 'string' THEN ${text} ILIKE ${add(pattern)} ELSE false END)`;
+    }
+    default:
+      throw filterError(`Unknown operator $${op}`);
+  }
+};
+
+const compileNode = (node, column, add) => {
+  if (node.type === 'condition') {
+    return compileCondition(node, column, add);
+  }
+  if (node.children.length === 0) {
+    return 'TRUE';
+  }
+
+  const parts = node.children.map(child => compileNode(child, column, add));
+  return parts.length === 1 ? parts[0] : `(${parts.join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+};
+
+/**
+ * Compile a filter to a SQL condition on a JSONB column. Values are appended to
+ * `params` and referenced as $n placeholders, so nothing from the filter is
+ * interpolated into the SQL. Throws an error with code INVALID_FILTER for bad filters.
+ */
+const compileFilter = (filter, params, column = 'data') => {
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  return compileNode(parse(filter), column, add);
+};
+
+/**
+ * SQL selecting a JSON field such as "price" or "address.city" (as jsonb, NULL when
+ * missing), e.g. to sort by it. jsonb sorts numbers numerically and strings as text.
+ */
+const compileFieldPath = (field, params, column = 'data') => {
+  params.push(parsePath(field));
+  return `(${column} #> $${params.length}::text[])`;
+};
+
+module.exports = {
+  OPERATORS,
+  parse,
+  compileFilter,
+  compileFieldPath
+};
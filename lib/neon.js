@@ -87,7 +87,7 @@ const initializeDatabase = async () => {
   try {
     console.log('🔧 Initializing Neon database...');
     
-    // Create users table with GitHub integration
+    // Create users table
     await query(`
       CREATE TABLE IF NOT EXISTS users (
         id SERIAL PRIMARY KEY,
@@ -95,8 +95,6 @@ const initializeDatabase = async () => {
         email VARCHAR(100) UNIQUE NOT NULL,
         password_hash VARCHAR(255),
         role VARCHAR(20) DEFAULT 'user',
-        github_id VARCHAR(50),
-        github_username VARCHAR(50),
         avatar_url TEXT,
         is_active BOOLEAN DEFAULT true,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -135,8 +133,6 @@ const initializeDatabase = async () => {
     await query(`
       CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-      CREATE INDEX IF NOT EXISTS idx_users_github_id ON users(github_id);
-      CREATE INDEX IF NOT EXISTS idx_users_github_username ON users(github_username);
       CREATE INDEX IF NOT EXISTS idx_strings_user_id ON strings(user_id);
       CREATE INDEX IF NOT EXISTS idx_user_data_user_id ON user_data(user_id);
       CREATE INDEX IF NOT EXISTS idx_user_data_table_name ON user_data(table_name);
@@ -145,9 +141,9 @@ const initializeDatabase = async () => {
     // Create default admin user if no users exist
     const userCount = await query('SELECT COUNT(*) FROM users');
     if (parseInt(userCount.rows[0].count) === 0) {
-      const bcrypt = require('bcryptjs');
+      const passwordHashService = require('../services/passwordHashService');
       const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-      const passwordHash = await bcrypt.hash(adminPassword, 10);
+      const passwordHash = await passwordHashService.hashPassword(adminPassword);
       
       await query(
         'INSERT INTO users (username, email, password_hash, role) VALUES ($1, $2, $3, $4)',
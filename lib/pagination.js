@@ -0,0 +1,174 @@
+/**
+ * Keyset Pagination
+ *
+ * Cursor-based paging over a stable ordering: a sort key with the row id as
+ * tie-breaker. Cursors are opaque base64url tokens holding the ordering and the key
+ * of the row they point at, so pages neither skip nor repeat rows when rows are
+ * added or removed in between. Offset paging still works; its pages return cursors too.
+ */
+
+const paginationError = (message) => Object.assign(new Error(message), { code: 'INVALID_CURSOR' });
+
+// Matches timestamp::text output, e.g. "2024-05-01 10:00:00.123456"
+const TIMESTAMP_TEXT = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+/**
+ * Describe an ordering for fetchPage. `expr` is the SQL sort expression and `type`
+ * one of "integer", "timestamp" or "jsonb" (nullable; missing values sort last).
+ * `name` identifies the ordering inside cursors.
+ */
+const createSort = ({ name, expr, type, direction, idExpr = 'id' }) => ({
+  name: `${name}:${direction}`,
+  expr,
+  idExpr,
+  type,
+  direction,
+  nullable: type === 'jsonb',
+  // Read back as text so cursors keep full precision (microseconds, numeric digits)
+  keyExpr: type === 'integer' ? expr : `(${expr})::text`
+});
+
+const flip = (direction) => (direction === 'ASC' ? 'DESC' : 'ASC');
+
+const isJson = (text) => {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const encodeCursor = (sort, row) => {
+  return Buffer.from(JSON.stringify({ o: sort.name, k: [row.sort_key, row.id] })).toString('base64url');
+};
+
+/**
+ * Read a cursor, checking it belongs to the requested ordering
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw paginationError('Invalid cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== 2 || !Number.isInteger(decoded.k[1])) {
+    throw paginationError('Invalid cursor');
+  }
+  if (decoded.o !== sort.name) {
+    throw paginationError('Cursor belongs to a different ordering; use the same orderBy and orderDirection');
+  }
+
+  const [value, id] = decoded.k;
+  const valid =
+    (sort.type === 'integer' && Number.isInteger(value)) ||
+    (sort.type === 'timestamp' && typeof value === 'string' && TIMESTAMP_TEXT.test(value)) ||
+    (sort.type === 'jsonb' && (value === null || (typeof value === 'string' && isJson(value))));
+
+  if (!valid) {
+    throw paginationError('Invalid cursor');
+  }
+
+  return { value, id };
+};
+
+/**
+ * ORDER BY for the sort, or its reverse (used to page backwards)
+ */
+const orderClause = (sort, reverse = false) => {
+  const direction = reverse ? flip(sort.direction) : sort.direction;
+  const nulls = sort.nullable ? (reverse ? ' NULLS FIRST' : ' NULLS LAST') : '';
+  return `${sort.expr} ${direction}${nulls}, ${sort.idExpr} ${direction}`;
+};
+
+/**
+ * Condition selecting the rows that come after the cursor in the (possibly reversed)
+ * ordering. Values are added to params.
+ */
+const keysetCondition = (sort, cursor, reverse, params) => {
+  const cmp = (reverse ? flip(sort.direction) : sort.direction) === 'ASC' ? '>' : '<';
+  params.push(cursor.id);
+  const id = `$${params.length}::integer`;
+
+  if (!sort.nullable) {
+    params.push(cursor.value);
+    return `(${sort.expr}, ${sort.idExpr}) ${cmp} ($${params.length}::${sort.type}, ${id})`;
+  }
+
+  // Missing values sort last, or first when paging backwards
+  if (cursor.value === null) {
+    return reverse ?
+      `(${sort.expr} IS NOT NULL OR ${sort.idExpr} ${cmp} ${id})` :
+      `(${sort.expr} IS NULL AND ${sort.idExpr} ${cmp} ${id})`;
+  }
+
+  params.push(cursor.value);
+  const value = `$${params.length}::jsonb`;
+  const following = `${sort.expr} ${cmp} ${value} OR (${sort.expr} = ${value} AND ${sort.idExpr} ${cmp} ${id})`;
+  return reverse ? `(${following})` : `(${following} OR ${sort.expr} IS NULL)`;
+};
+
+/**
+ * Fetch one page of `SELECT <select> FROM <from> WHERE <where>`, by cursor (`after` or
+ * `before`) or by offset. Returns the rows, in order, with next/previous cursors.
+ * The selected columns must include the row id as "id".
+ */
+const fetchPage = async (db, { select, from, where, params, sort, limit, offset = 0, after = null, before = null }) => {
+  const queryParams = [...params];
+  const reverse = Boolean(before);
+  let condition = where;
+
+  if (after || before) {
+    condition += ` AND ${keysetCondition(sort, decodeCursor(after || before, sort), reverse, queryParams)}`;
+  }
+
+  // One extra row tells whether another page follows
+  queryParams.push(limit + 1);
+  let sql = `SELECT ${select}, ${sort.keyExpr} AS sort_key FROM ${from} WHERE ${condition} ` +
+    `ORDER BY ${orderClause(sort, reverse)} LIMIT $${queryParams.length}`;
+
+  if (!after && !before) {
+    queryParams.push(offset);
+    sql += ` OFFSET $${queryParams.length}`;
+  }
+
+  const result = await db.query(sql, queryParams);
+  const extra = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  if (reverse) {
+    rows.reverse();
+  }
+
+  // Paging backwards, the cursor row itself still follows this page
+  const hasNext = reverse ? true : extra;
+  const hasPrevious = reverse ? extra : Boolean(after) || offset > 0;
+
+  return {
+    rows,
+    hasMore: hasNext,
+    nextCursor: hasNext && rows.length > 0 ? encodeCursor(sort, rows[rows.length - 1]) : null,
+    prevCursor: hasPrevious && rows.length > 0 ? encodeCursor(sort, rows[0]) : null
+  };
+};
+
+/**
+ * Count the rows matching a condition, exactly or from the planner's estimate
+ * ("estimate"), which is much cheaper on large tables
+ */
+const countRows = async (db, { from, where, params }, mode = 'exact') => {
+  if (mode === 'estimate') {
+    const result = await db.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM ${from} WHERE ${where}`, params);
+    return { total: Math.round(result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows']), estimated: true };
+  }
+
+  const result = await db.query(`SELECT COUNT(*) FROM ${from} WHERE ${where}`, params);
+  return { total: parseInt(result.rows[0].count), estimated: false };
+};
+
+module.exports = {
+  createSort,
+  fetchPage,
+  countRows
+};
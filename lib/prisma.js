@@ -63,9 +63,9 @@ const initializeDatabase = async () => {
     });
     
     if (!adminUser) {
-      const bcrypt = require('bcryptjs');
+      const passwordHashService = require('../services/passwordHashService');
       const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-      const passwordHash = await bcrypt.hash(adminPassword, 10);
+      const passwordHash = await passwordHashService.hashPassword(adminPassword);
       
       await prisma.user.create({
         data: {
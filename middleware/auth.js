@@ -4,8 +4,22 @@
  * Handles JWT token verification and user authentication
  */
 
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const authConfig = require('../config/auth');
+const sessionService = require('../services/sessionService');
+const tokenService = require('../services/tokenService');
+const apiKeyService = require('../services/apiKeyService');
+const rbacService = require('../services/rbacService');
+const registrationService = require('../services/registrationService');
+const auditService = require('../services/auditService');
+const ipAccessService = require('../services/ipAccessService');
+
+// "typ" header of access tokens (RFC 9068), so intermediate login tokens are never accepted as one
+const ACCESS_TOKEN_TYPE = 'at+jwt';
+
+// Methods that never change state and so need no CSRF token
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 // Initialize database pool for user management
 const userPool = new Pool({
@@ -14,13 +28,147 @@ const userPool = new Pool({
 });
 
 /**
- * Verify JWT token and authenticate user
+ * Apply the unverified-email policy to a request
+ */
+const isAllowedWhileUnverified = (req) => {
+  switch (authConfig.emailVerification.unverifiedPolicy) {
+    case 'allow':
+      return true;
+    case 'restricted':
+      // Read-only access, plus the auth and account endpoints needed to verify or manage the account
+      return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ||
+             req.originalUrl.startsWith('/api/auth/') ||
+             req.originalUrl.startsWith('/api/account/');
+    default:
+      return false;
+  }
+};
+
+/**
+ * Whether a path is the given API prefix or below it. Express matches paths
+ * case-insensitively, so they are compared in lower case.
+ */
+const isUnderPath = (path, prefix) => {
+  const normalized = path.toLowerCase();
+  return normalized === prefix || normalized.startsWith(`${prefix}/`);
+};
+
+/**
+ * Impersonation sessions may use the app as the user, but not manage, export
+ * or delete the account, or reach the admin API
+ */
+const isAllowedWhileImpersonating = (req) => {
+  const path = req.originalUrl.split('?')[0];
+
+  if (isUnderPath(path, '/api/admin') || isUnderPath(path, '/api/account')) {
+    return false;
+  }
+
+  if (isUnderPath(path, '/api/auth')) {
+    const normalized = path.toLowerCase().replace(/\/+$/, '');
+    return (req.method === 'GET' && normalized === '/api/auth/profile') || normalized === '/api/auth/impersonation/stop';
+  }
+
+  return true;
+};
+
+/**
+ * Resolve a bearer API key to the key's owner and scopes
+ */
+const authenticateApiKey = async (req, key) => {
+  const result = await apiKeyService.authenticateApiKey(key, req.ip);
+  if (!result.success) {
+    return { error: { status: 401, message: result.message } };
+  }
+
+  return {
+    userId: result.apiKey.userId,
+    auth: { type: 'api_key', apiKeyId: result.apiKey.id, scopes: result.apiKey.scopes }
+  };
+};
+
+/**
+ * Resolve a JWT access token to its user and session
+ */
+const authenticateAccessToken = async (token) => {
+  const decoded = tokenService.verify(token, { type: ACCESS_TOKEN_TYPE });
+
+  // Every access token is tied to a server-side session that can be revoked
+  const sessionCheck = decoded.jti ? await sessionService.verifySession(decoded.jti) : { valid: false };
+  if (!sessionCheck.valid || sessionCheck.session.userId !== decoded.userId) {
+    return { error: { status: 401, message: 'Session has been revoked.' } };
+  }
+
+  const { impersonatorId, expiresAt } = sessionCheck.session;
+  if (impersonatorId) {
+    // The token's "act" claim must name the admin recorded on the session
+    if (decoded.act?.userId !== impersonatorId) {
+      return { error: { status: 401, message: 'Invalid token.' } };
+    }
+    if (expiresAt < new Date()) {
+      return { error: { status: 401, message: 'Impersonation session has ended.' } };
+    }
+  }
+
+  return {
+    userId: decoded.userId,
+    csrf: decoded.csrf,
+    auth: {
+      type: 'session',
+      sessionId: decoded.sid,
+      tokenId: decoded.jti,
+      impersonator: impersonatorId ? { id: impersonatorId, username: decoded.act.username } : null
+    }
+  };
+};
+
+/**
+ * Find the credential a request is authenticated with. The Authorization header may
+ * carry an access token or an API key (API clients); the access token cookie only an
+ * access token (browsers). Tokens in the body or query string are never accepted.
+ */
+const getRequestToken = (req) => {
+  const headerToken = req.header('Authorization')?.replace('Bearer ', '');
+  if (headerToken) {
+    return { token: headerToken, source: 'header' };
+  }
+
+  const cookieToken = req.cookies?.[authConfig.cookies.accessToken];
+  return cookieToken ? { token: cookieToken, source: 'cookie' } : { token: null, source: null };
+};
+
+const hashCsrfToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('base64url');
+};
+
+/**
+ * Check the CSRF header against the expected token hash. A cross-site page can send
+ * the cookies but can neither read the CSRF cookie nor set the header.
+ */
+const csrfHeaderMatches = (req, expectedHash) => {
+  const header = req.get(authConfig.cookies.csrfHeader);
+  if (!header || typeof expectedHash !== 'string') {
+    return false;
+  }
+
+  const actual = Buffer.from(hashCsrfToken(header));
+  const expected = Buffer.from(expectedHash);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Requests that change state with cookie credentials must carry the CSRF token
+ */
+const needsCsrfToken = (req, source) => {
+  return source === 'cookie' && !CSRF_SAFE_METHODS.includes(req.method);
+};
+
+/**
+ * Verify JWT token or API key and authenticate user
  */
 const verifyToken = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                  req.cookies?.token || 
-                  req.body?.token;
+    const { token, source } = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({ 
@@ -29,12 +177,31 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    // API keys are only accepted from the Authorization header
+    const result = source === 'header' && apiKeyService.isApiKey(token) ?
+      await authenticateApiKey(req, token) :
+      await authenticateAccessToken(token);
+
+    if (result.error) {
+      return res.status(result.error.status).json({ 
+        success: false, 
+        message: result.error.message 
+      });
+    }
+
+    // The access token carries the hash of its session's CSRF token
+    if (needsCsrfToken(req, source) && !csrfHeaderMatches(req, result.csrf)) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'csrf_failed',
+        message: 'Missing or invalid CSRF token.' 
+      });
+    }
     
     // Verify user still exists in database
     const userResult = await userPool.query(
-      'SELECT id, username, email, role, is_active FROM users WHERE id = $1',
-      [decoded.userId]
+      'SELECT id, username, email, role, is_active, email_verified, approval_status FROM users WHERE id = $1',
+      [result.userId]
     );
 
     if (userResult.rows.length === 0) {
@@ -52,7 +219,55 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
+    const approvalError = registrationService.getApprovalError(user.approval_status);
+    if (approvalError) {
+      return res.status(403).json(approvalError);
+    }
+
+    if (user.email_verified === false && !isAllowedWhileUnverified(req)) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'email_unverified',
+        message: 'Email address has not been verified.' 
+      });
+    }
+
+    // Accounts and roles can be pinned to trusted networks
+    const access = await ipAccessService.checkAccess(req.ip, { role: user.role, userId: user.id });
+    if (!access.allowed) {
+      await ipAccessService.logDenial(req, access, user.id);
+      return res.status(403).json({ 
+        success: false, 
+        code: 'ip_denied',
+        message: 'Access from your network is not allowed for this account.' 
+      });
+    }
+
+    if (result.auth.impersonator) {
+      if (!isAllowedWhileImpersonating(req)) {
+        return res.status(403).json({ 
+          success: false, 
+          code: 'impersonation_restricted',
+          message: 'This action is not available while signed in as another user.' 
+        });
+      }
+
+      // Every request made while impersonating is attributed to the admin in the audit log
+      res.set('X-Impersonated-By', result.auth.impersonator.username);
+      auditService.logEvent('impersonation.request', 'users', {
+        userId: result.auth.impersonator.id,
+        ipAddress: req.ip || null,
+        userAgent: req.get('User-Agent') || null,
+        details: { targetUserId: user.id, sessionId: result.auth.sessionId, method: req.method, path: req.originalUrl.split('?')[0] }
+      });
+    }
+
     req.user = user;
+    req.auth = result.auth;
+
+    if (result.auth.type === 'session') {
+      sessionService.touchSession(result.auth.sessionId).catch(() => {});
+    }
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -75,6 +290,24 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * API keys are for automation; account and admin management require a real session.
+ * Mounted in front of those routers, so it holds however the path is spelled
+ * (Express matches paths case-insensitively).
+ */
+const rejectApiKeys = (req, res, next) => {
+  const { token, source } = getRequestToken(req);
+
+  if (source === 'header' && apiKeyService.isApiKey(token)) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'API keys cannot be used for this endpoint.' 
+    });
+  }
+
+  next();
+};
+
 /**
  * Check if user has required role
  */
@@ -101,24 +334,99 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Check that the user's role grants all of the required permissions
+ */
+const requirePermission = (permissions) => {
+  const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required.' 
+      });
+    }
+
+    try {
+      const granted = await rbacService.getRolePermissions(req.user.role);
+      const missingPermissions = requiredPermissions.filter(permission => !granted.has(permission));
+
+      if (missingPermissions.length > 0) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Insufficient permissions.',
+          missingPermissions
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ 
+        success: false, 
+        message: 'Authorization error.' 
+      });
+    }
+  };
+};
+
+/**
+ * Check that an API key carries the required scopes.
+ * Interactive sessions are not scope-limited.
+ */
+const requireScope = (scopes) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required.' 
+      });
+    }
+
+    if (req.auth?.type !== 'api_key') {
+      return next();
+    }
+
+    const requiredScopes = Array.isArray(scopes) ? scopes : [scopes];
+    const missingScopes = requiredScopes.filter(scope => !req.auth.scopes.includes(scope));
+
+    if (missingScopes.length > 0) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Insufficient scope.',
+        missingScopes
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional authentication (doesn't fail if no token)
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                  req.cookies?.token || 
-                  req.body?.token;
+    const { token, source } = getRequestToken(req);
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const userResult = await userPool.query(
-        'SELECT id, username, email, role, is_active FROM users WHERE id = $1',
-        [decoded.userId]
-      );
-
-      if (userResult.rows.length > 0 && userResult.rows[0].is_active) {
-        req.user = userResult.rows[0];
+      const decoded = tokenService.verify(token, { type: ACCESS_TOKEN_TYPE });
+      // Without its CSRF token a cookie-authenticated request is treated as anonymous
+      const sessionCheck = decoded.jti && !(needsCsrfToken(req, source) && !csrfHeaderMatches(req, decoded.csrf)) ?
+        await sessionService.verifySession(decoded.jti) :
+        { valid: false };
+
+      if (sessionCheck.valid) {
+        const userResult = await userPool.query(
+          'SELECT id, username, email, role, is_active FROM users WHERE id = $1',
+          [decoded.userId]
+        );
+
+        if (userResult.rows.length > 0 && userResult.rows[0].is_active) {
+          req.user = userResult.rows[0];
+          req.auth = { type: 'session', sessionId: decoded.sid, tokenId: decoded.jti };
+        }
       }
     }
     
@@ -130,45 +438,222 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
+ * Generate a short-lived JWT access token
  */
-const generateToken = (userId, username, role) => {
-  return jwt.sign(
-    { userId, username, role },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+const generateToken = (userId, username, role, claims = {}) => {
+  return tokenService.sign(
+    { ...claims, userId, username, role },
+    { expiresIn: authConfig.accessTokenTtl, type: ACCESS_TOKEN_TYPE }
   );
 };
 
 /**
- * Create user session
+ * Generate a short-lived token for an intermediate login step (e.g. a pending second factor)
+ */
+const generateMfaToken = (userId, purpose) => {
+  return tokenService.sign({ userId, purpose }, { expiresIn: authConfig.mfa.challengeTtl });
+};
+
+/**
+ * Verify an intermediate login-step token, returning its payload or null
+ */
+const verifyMfaToken = (token, purposes) => {
+  try {
+    const decoded = tokenService.verify(token);
+    const allowed = Array.isArray(purposes) ? purposes : [purposes];
+    return allowed.includes(decoded.purpose) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Authenticate with either a normal session or a pending 2FA enrollment token.
+ * Users whose role requires 2FA enroll through this before they get a session.
+ */
+const verifyTokenOrMfaEnrollment = async (req, res, next) => {
+  // OAuth logins keep the pending token in the server-side session instead of the response
+  const mfaToken = req.body?.mfaToken || req.session?.mfaToken;
+  const decoded = mfaToken ? verifyMfaToken(mfaToken, 'mfa_enroll') : null;
+
+  if (!decoded) {
+    if (req.body?.mfaToken) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or expired 2FA token.' 
+      });
+    }
+    return verifyToken(req, res, next);
+  }
+
+  req.mfaChallenge = { userId: decoded.userId, purpose: decoded.purpose };
+  next();
+};
+
+/**
+ * Options shared by the session cookies
+ */
+const cookieOptions = (options = {}) => ({
+  secure: authConfig.cookies.secure,
+  sameSite: authConfig.cookies.sameSite,
+  ...options
+});
+
+/**
+ * Set the access and refresh token cookies, and the CSRF token the frontend echoes back
  */
-const createSession = (res, userId, username, role) => {
-  const token = generateToken(userId, username, role);
-  
-  // Set HTTP-only cookie
-  res.cookie('token', token, {
+const setSessionCookies = (res, token, refreshToken, csrfToken) => {
+  const { exp } = tokenService.decode(token);
+
+  // Set HTTP-only cookies
+  res.cookie(authConfig.cookies.accessToken, token, cookieOptions({
     httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    maxAge: exp * 1000 - Date.now()
+  }));
+
+  res.cookie(authConfig.cookies.refreshToken, refreshToken, cookieOptions({
+    httpOnly: true,
+    path: authConfig.cookies.refreshTokenPath,
+    maxAge: authConfig.refreshTokenTtlMs
+  }));
+
+  res.cookie(authConfig.cookies.csrfToken, csrfToken, cookieOptions({
+    maxAge: authConfig.refreshTokenTtlMs
+  }));
+};
+
+/**
+ * Generate a CSRF token; its hash goes into the access token
+ */
+const generateCsrfToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Require the CSRF token when a refresh token is taken from its cookie. Clients that
+ * send the refresh token in the body do not rely on cookies and need none.
+ */
+const requireCsrfForRefreshCookie = (req, res, next) => {
+  const usesCookie = !req.body?.refreshToken && req.cookies?.[authConfig.cookies.refreshToken];
+  const csrfCookie = req.cookies?.[authConfig.cookies.csrfToken];
+
+  if (usesCookie && !CSRF_SAFE_METHODS.includes(req.method) && !(csrfCookie && csrfHeaderMatches(req, hashCsrfToken(csrfCookie)))) {
+    return res.status(403).json({ 
+      success: false, 
+      code: 'csrf_failed',
+      message: 'Missing or invalid CSRF token.' 
+    });
+  }
+
+  next();
+};
+
+/**
+ * Extract the client details recorded against a session
+ */
+const getRequestContext = (req) => {
+  return {
+    ipAddress: req.ip || null,
+    userAgent: req.get('User-Agent') || null
+  };
+};
+
+/**
+ * Issue a session-backed access token and refresh token, starting a new token family
+ */
+const issueSessionTokens = async (userId, username, role, context = {}) => {
+  const { refreshToken, session } = await sessionService.createRefreshToken(userId, context);
+  const csrfToken = generateCsrfToken();
+  const token = generateToken(userId, username, role, { sid: session.familyId, jti: session.id, csrf: hashCsrfToken(csrfToken) });
+
+  return { token, refreshToken, csrfToken, sessionId: session.familyId };
+};
+
+/**
+ * Issue tokens for an admin signed in as another user. The access token carries an
+ * "act" claim naming the admin, and the session cannot outlive the impersonation TTL.
+ */
+const issueImpersonationTokens = async (target, impersonator, context = {}) => {
+  const { refreshToken, session } = await sessionService.createRefreshToken(target.id, {
+    ...context,
+    impersonatorId: impersonator.id,
+    ttlMs: authConfig.impersonation.ttlMs
+  });
+
+  const token = generateToken(target.id, target.username, target.role, {
+    sid: session.familyId,
+    jti: session.id,
+    act: { userId: impersonator.id, username: impersonator.username }
   });
 
-  return token;
+  return { token, refreshToken, sessionId: session.familyId, expiresAt: session.expiresAt };
 };
 
 /**
- * Clear user session
+ * Create user session: issues tokens and sets them as cookies
  */
-const clearSession = (res) => {
-  res.clearCookie('token');
+const createSession = async (res, userId, username, role, context = {}) => {
+  const tokens = await issueSessionTokens(userId, username, role, context);
+
+  setSessionCookies(res, tokens.token, tokens.refreshToken, tokens.csrfToken);
+
+  return tokens;
+};
+
+/**
+ * Refresh user session: rotates the refresh token and issues a new access token
+ */
+const refreshSession = async (res, refreshToken, context = {}) => {
+  const result = await sessionService.rotateRefreshToken(refreshToken, context);
+
+  if (!result.success) {
+    return result;
+  }
+
+  const { user, session, impersonator } = result;
+  const csrfToken = generateCsrfToken();
+  const claims = { sid: session.familyId, jti: session.id, csrf: hashCsrfToken(csrfToken) };
+  if (impersonator) {
+    claims.act = impersonator;
+  }
+  const token = generateToken(user.id, user.username, user.role, claims);
+
+  setSessionCookies(res, token, result.refreshToken, csrfToken);
+
+  return { success: true, token, refreshToken: result.refreshToken, csrfToken, user };
+};
+
+/**
+ * Clear user session, revoking it server-side when its refresh token or session id is known
+ */
+const clearSession = async (res, refreshToken = null, sessionId = null) => {
+  if (refreshToken) {
+    await sessionService.revokeRefreshToken(refreshToken);
+  }
+
+  if (sessionId) {
+    await sessionService.revokeFamily(sessionId);
+  }
+
+  res.clearCookie(authConfig.cookies.accessToken, cookieOptions());
+  res.clearCookie(authConfig.cookies.refreshToken, cookieOptions({ path: authConfig.cookies.refreshTokenPath }));
+  res.clearCookie(authConfig.cookies.csrfToken, cookieOptions());
 };
 
 module.exports = {
   verifyToken,
+  rejectApiKeys,
   requireRole,
+  requirePermission,
+  requireScope,
   optionalAuth,
+  verifyTokenOrMfaEnrollment,
   generateToken,
+  generateMfaToken,
+  verifyMfaToken,
+  getRequestContext,
+  issueSessionTokens,
+  issueImpersonationTokens,
   createSession,
-  clearSession
+  refreshSession,
+  clearSession,
+  requireCsrfForRefreshCookie
 };
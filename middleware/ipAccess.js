@@ -0,0 +1,43 @@
+/**
+ * IP Access Middleware
+ *
+ * Enforces the global and admin-endpoint IP allow/deny lists. Role and user lists
+ * depend on who is signed in and are checked in verifyToken. The client address is
+ * req.ip, which only honours X-Forwarded-For from the trusted proxies configured in
+ * config/auth.js.
+ */
+
+const ipAccessService = require('../services/ipAccessService');
+
+/**
+ * Refuse requests from addresses outside the lists of the given levels,
+ * e.g. restrictByIp({ admin: true })
+ */
+const restrictByIp = (levels) => {
+  return async (req, res, next) => {
+    try {
+      const access = await ipAccessService.checkAccess(req.ip, levels);
+
+      if (!access.allowed) {
+        await ipAccessService.logDenial(req, access);
+        return res.status(403).json({
+          success: false,
+          code: 'ip_denied',
+          message: 'Access from your network is not allowed.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('IP access check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check network access.'
+      });
+    }
+  };
+};
+
+module.exports = {
+  restrictByIp
+};
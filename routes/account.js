@@ -0,0 +1,97 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const accountService = require('../services/accountService');
+const auditService = require('../services/auditService');
+const { verifyToken, requirePermission, getRequestContext } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Download everything tied to the account as a JSON archive
+router.get('/export', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await accountService.exportAccountData(req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status || 400).json(result);
+    }
+
+    await auditService.logEvent('account.exported', 'users', {
+      userId: req.user.id,
+      ...getRequestContext(req)
+    });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(JSON.stringify(result.archive, null, 2));
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ success: false, message: 'Failed to export account data' });
+  }
+});
+
+// Schedule the account for deletion after the grace period. Accounts with a
+// password confirm with it; accounts without one are emailed a confirmation link
+// and repeat the request with its token.
+router.post('/delete', verifyToken, requirePermission('account.manage'), [
+  body('password').optional().isString(),
+  body('confirmationToken').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await accountService.scheduleDeletion(req.user.id, {
+      password: req.body.password,
+      confirmationToken: req.body.confirmationToken
+    });
+
+    if (result.confirmationSent) {
+      await auditService.logEvent('account.deletion_confirmation_sent', 'users', {
+        userId: req.user.id,
+        ...getRequestContext(req)
+      });
+      res.status(202).json(result);
+    } else if (result.success) {
+      console.log(`🗑️ User ${req.user.username} scheduled account deletion for ${result.deletionScheduledFor.toISOString()}`);
+      await auditService.logEvent('account.deletion_scheduled', 'users', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { deletionScheduledFor: result.deletionScheduledFor }
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Schedule account deletion error:', error);
+    res.status(500).json({ success: false, message: 'Failed to schedule account deletion' });
+  }
+});
+
+// Cancel a scheduled deletion
+router.post('/delete/cancel', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await accountService.cancelDeletion(req.user.id);
+
+    if (result.success) {
+      await auditService.logEvent('account.deletion_cancelled', 'users', {
+        userId: req.user.id,
+        ...getRequestContext(req)
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel account deletion' });
+  }
+});
+
+module.exports = router;
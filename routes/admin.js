@@ -0,0 +1,770 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const rbacService = require('../services/rbacService');
+const registrationService = require('../services/registrationService');
+const userService = require('../services/userService');
+const userAdminService = require('../services/userAdminService');
+const sessionService = require('../services/sessionService');
+const loginThrottleService = require('../services/loginThrottleService');
+const passwordHashService = require('../services/passwordHashService');
+const ipAccessService = require('../services/ipAccessService');
+const auditService = require('../services/auditService');
+const authConfig = require('../config/auth');
+const { verifyToken, requirePermission, getRequestContext, issueImpersonationTokens } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Record an admin action against a user in the audit log
+ */
+const auditUserAction = (req, action, targetUserId, details = {}) => {
+  return auditService.logEvent(action, 'users', {
+    userId: req.user.id,
+    ...getRequestContext(req),
+    details: { targetUserId, ...details }
+  });
+};
+
+/**
+ * Reject the request with the express-validator errors, if any
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Reject the request if it would grant permissions the caller does not have.
+ * Returns true when a response was sent.
+ */
+const rejectUngrantedPermissions = async (req, res, permissions) => {
+  const missingPermissions = await rbacService.findUngrantedPermissions(req.user.role, permissions);
+  if (missingPermissions.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'You cannot grant permissions you do not have.',
+    missingPermissions
+  });
+  return true;
+};
+
+// ==================== ROLES & PERMISSIONS ====================
+
+// List the permission catalog
+router.get('/permissions', verifyToken, requirePermission('roles.manage'), (req, res) => {
+  res.json(rbacService.listPermissions());
+});
+
+// List roles with their permissions
+router.get('/roles', verifyToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const result = await rbacService.listRoles();
+    res.json(result);
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list roles' });
+  }
+});
+
+// Create a custom role
+router.post('/roles', verifyToken, requirePermission('roles.manage'), [
+  body('name').isString().trim().toLowerCase(),
+  body('description').optional().isString().isLength({ max: 255 }).trim(),
+  body('permissions').isArray(),
+  body('permissions.*').isString()
+], handleValidation, async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    if (await rejectUngrantedPermissions(req, res, permissions)) {
+      return;
+    }
+
+    const result = await rbacService.createRole({ name, description, permissions });
+
+    if (result.success) {
+      console.log(`🔑 Admin ${req.user.username} created role ${name}`);
+      res.status(201).json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create role' });
+  }
+});
+
+// Update a role's description or permissions
+router.put('/roles/:name', verifyToken, requirePermission('roles.manage'), [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 255 }).trim(),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isString()
+], handleValidation, async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    // Neither a role above the caller's nor permissions the caller lacks may be handed out
+    const current = await rbacService.getRolePermissions(req.params.name);
+    if (await rejectUngrantedPermissions(req, res, [...current, ...(permissions || [])])) {
+      return;
+    }
+
+    const result = await rbacService.updateRole(req.params.name, { description, permissions });
+
+    if (result.success) {
+      console.log(`🔑 Admin ${req.user.username} updated role ${req.params.name}`);
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update role' });
+  }
+});
+
+// Delete a custom role
+router.delete('/roles/:name', verifyToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const result = await rbacService.deleteRole(req.params.name);
+
+    if (result.success) {
+      console.log(`🔑 Admin ${req.user.username} deleted role ${req.params.name}`);
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete role' });
+  }
+});
+
+// Assign a role to a user
+router.put('/users/:id/role', verifyToken, requirePermission('roles.manage'), [
+  param('id').isInt({ min: 1 }),
+  body('role').isString().trim()
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    // The user's current role and the new one must both be within the caller's permissions
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+    if (await rejectUngrantedPermissions(req, res, [...await rbacService.getRolePermissions(req.body.role)])) {
+      return;
+    }
+
+    const result = await rbacService.assignUserRole(userId, req.body.role);
+
+    if (result.success) {
+      console.log(`🔑 Admin ${req.user.username} changed role of user ${userId} from ${result.previousRole} to ${result.user.role}`);
+      await auditService.logEvent('admin.user_role_changed', 'users', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { targetUserId: userId, from: result.previousRole, to: result.user.role }
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to assign role' });
+  }
+});
+
+// ==================== INVITES & APPROVALS ====================
+
+// List invites
+router.get('/invites', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const result = await registrationService.listInvites();
+    res.json(result);
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list invites' });
+  }
+});
+
+// Create an invite (the code is only returned in this response)
+router.post('/invites', verifyToken, requirePermission('users.manage'), [
+  body('role').optional().isString().trim(),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('note').optional().isString().isLength({ max: 255 }).trim(),
+  body('expiresInDays').optional().isInt({ min: 1, max: 90 })
+], handleValidation, async (req, res) => {
+  try {
+    const { role = authConfig.registration.defaultRole, email, note, expiresInDays } = req.body;
+
+    // Handing out other roles is the same as assigning them
+    if (role !== authConfig.registration.defaultRole && !(await rbacService.hasPermissions(req.user.role, ['roles.manage']))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions.',
+        missingPermissions: ['roles.manage']
+      });
+    }
+
+    const result = await registrationService.createInvite({
+      role,
+      email,
+      note,
+      expiresInDays: expiresInDays ? parseInt(expiresInDays) : null,
+      createdById: req.user.id
+    });
+
+    if (result.success) {
+      console.log(`✉️  Admin ${req.user.username} created an invite for role ${role}`);
+      res.status(201).json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create invite' });
+  }
+});
+
+// Revoke an unused invite
+router.delete('/invites/:id', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await registrationService.revokeInvite(parseInt(req.params.id));
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke invite' });
+  }
+});
+
+// List accounts waiting for approval
+router.get('/users/pending', verifyToken, requirePermission('users.read'), async (req, res) => {
+  try {
+    const result = await registrationService.listPendingUsers();
+    res.json(result);
+  } catch (error) {
+    console.error('List pending users error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list pending accounts' });
+  }
+});
+
+// Approve a pending account
+router.post('/users/:id/approve', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await registrationService.approveUser(parseInt(req.params.id));
+
+    if (result.success) {
+      console.log(`✅ Admin ${req.user.username} approved user ${req.params.id}`);
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Approve user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve account' });
+  }
+});
+
+// Reject a pending account
+router.post('/users/:id/reject', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await registrationService.rejectUser(parseInt(req.params.id));
+
+    if (result.success) {
+      console.log(`⛔ Admin ${req.user.username} rejected user ${req.params.id}`);
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Reject user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reject account' });
+  }
+});
+
+// ==================== USERS ====================
+
+// List users (paged, with a username/email search and role/status filters)
+router.get('/users', verifyToken, requirePermission('users.read'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('search').optional().isString().trim(),
+  query('role').optional().isString().trim(),
+  query('status').optional().isIn(['active', 'inactive', 'pending', 'rejected', 'reset_required', 'deletion_scheduled']),
+  query('sort').optional().isIn(['username', 'email', 'role', 'createdAt', 'lastLogin']),
+  query('order').optional().isIn(['asc', 'desc'])
+], handleValidation, async (req, res) => {
+  try {
+    const { page, pageSize, search, role, status, sort, order } = req.query;
+    const result = await userAdminService.listUsers({ page, pageSize, search, role, status, sort, order });
+    res.json(result);
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get users' });
+  }
+});
+
+// Get one user with their sessions, login methods and lockouts
+router.get('/users/:id', verifyToken, requirePermission('users.read'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await userAdminService.getUser(parseInt(req.params.id));
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get user' });
+  }
+});
+
+// Update a user's username or email. A changed email must be verified again.
+router.patch('/users/:id', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 }),
+  body('username').optional().isLength({ min: 3, max: 50 }).trim(),
+  body('email').optional().isEmail().normalizeEmail()
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const { username, email } = req.body;
+    const result = await userService.updateUserProfile(userId, { username, email });
+
+    if (result.success) {
+      await auditUserAction(req, 'admin.user_updated', userId, { fields: Object.keys(req.body).filter(field => ['username', 'email'].includes(field)) });
+      res.json(result);
+    } else {
+      res.status(result.message === 'User not found' ? 404 : 400).json(result);
+    }
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update user' });
+  }
+});
+
+// Activate an account
+router.post('/users/:id/activate', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const result = await userAdminService.setUserActive(userId, true);
+
+    if (result.success) {
+      await auditUserAction(req, 'admin.user_activated', userId);
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Activate user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to activate account' });
+  }
+});
+
+// Deactivate an account and sign the user out everywhere
+router.post('/users/:id/deactivate', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot deactivate your own account' });
+    }
+
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const result = await userAdminService.setUserActive(userId, false);
+
+    if (result.success) {
+      console.log(`⛔ Admin ${req.user.username} deactivated user ${userId}`);
+      await auditUserAction(req, 'admin.user_deactivated', userId);
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to deactivate account' });
+  }
+});
+
+// Clear login lockouts for a user
+router.post('/users/:id/unlock', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const result = await userAdminService.unlockUser(userId);
+
+    if (result.success) {
+      await auditUserAction(req, 'admin.user_unlocked', userId, { cleared: result.cleared });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlock account' });
+  }
+});
+
+// Require a password reset before the user can sign in with a password again
+router.post('/users/:id/force-password-reset', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const result = await userAdminService.forcePasswordReset(userId);
+
+    if (result.success) {
+      console.log(`🔑 Admin ${req.user.username} required a password reset for user ${userId}`);
+      await auditUserAction(req, 'admin.user_password_reset_forced', userId, { revokedSessions: result.revokedSessions });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({ success: false, message: 'Failed to require a password reset' });
+  }
+});
+
+// Sign a user out of every session
+router.post('/users/:id/logout', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const result = await sessionService.revokeAllSessions(userId);
+
+    console.log(`🔒 Admin ${req.user.username} revoked all sessions of user ${userId}`);
+    await auditUserAction(req, 'admin.user_logged_out', userId, { revoked: result.revoked });
+    res.json({ success: true, message: 'User logged out from all sessions', revoked: result.revoked });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ success: false, message: 'Failed to log out user' });
+  }
+});
+
+// Delete a user; their data is moved to transferToId when given, otherwise deleted
+router.delete('/users/:id', verifyToken, requirePermission('users.manage'), [
+  param('id').isInt({ min: 1 }),
+  body('transferToId').optional().isInt({ min: 1 }).toInt()
+], handleValidation, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+    }
+
+    const check = await userAdminService.checkManageable(req.user, userId);
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const result = await userAdminService.deleteUser(userId, { transferToId: req.body.transferToId || null });
+
+    if (result.success) {
+      console.log(`🗑️ Admin ${req.user.username} deleted user ${result.user.username}`);
+      await auditUserAction(req, 'admin.user_deleted', userId, {
+        username: result.user.username,
+        transferToId: req.body.transferToId || null,
+        rows: result.transferred || result.deleted
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete user' });
+  }
+});
+
+// Sign in as a user for support. The tokens are returned in the body (never set as
+// cookies) so the admin's own browser session is left alone.
+router.post('/users/:id/impersonate', verifyToken, requirePermission('users.impersonate'), [
+  param('id').isInt({ min: 1 }),
+  body('reason').isString().trim().isLength({ min: 3, max: 500 })
+], handleValidation, async (req, res) => {
+  try {
+    const check = await userAdminService.checkImpersonation(req.user, parseInt(req.params.id));
+    if (!check.success) {
+      return res.status(check.status || 400).json(check);
+    }
+
+    const { target } = check;
+    const { token, refreshToken, sessionId, expiresAt } = await issueImpersonationTokens(target, req.user, getRequestContext(req));
+
+    console.log(`👤 Admin ${req.user.username} started impersonating ${target.username}`);
+    await auditUserAction(req, 'impersonation.started', target.id, { reason: req.body.reason, sessionId, expiresAt });
+
+    res.json({
+      success: true,
+      message: `Signed in as ${target.username}`,
+      token,
+      refreshToken,
+      expiresAt,
+      user: { id: target.id, username: target.username, email: target.email, role: target.role }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to impersonate user' });
+  }
+});
+
+// ==================== LOGIN LOCKOUTS & IP BANS ====================
+
+// List login counters with recent failures (?blocked=true for active lockouts only)
+router.get('/security/lockouts', verifyToken, requirePermission('security.manage'), [
+  query('blocked').optional().isBoolean()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await loginThrottleService.listLockouts({ blockedOnly: req.query.blocked === 'true' });
+    res.json(result);
+  } catch (error) {
+    console.error('List lockouts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list lockouts' });
+  }
+});
+
+// Clear one lockout
+router.delete('/security/lockouts/:id', verifyToken, requirePermission('security.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await loginThrottleService.clearLockouts({ id: parseInt(req.params.id) });
+
+    if (result.success) {
+      await auditService.logEvent('admin.lockouts_cleared', 'auth', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { lockoutId: parseInt(req.params.id) }
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ success: false, message: 'Failed to clear lockout' });
+  }
+});
+
+// Clear every lockout for a username and/or IP address
+router.delete('/security/lockouts', verifyToken, requirePermission('security.manage'), [
+  query('username').optional().isString().trim(),
+  query('ip').optional().isIP()
+], handleValidation, async (req, res) => {
+  try {
+    const { username, ip } = req.query;
+    const result = await loginThrottleService.clearLockouts({ username, ipAddress: ip });
+
+    if (result.success) {
+      console.log(`🔓 Admin ${req.user.username} cleared lockouts for ${[username, ip].filter(Boolean).join(' / ')}`);
+      await auditService.logEvent('admin.lockouts_cleared', 'auth', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { username: username || null, ip: ip || null, cleared: result.cleared }
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Clear lockouts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to clear lockouts' });
+  }
+});
+
+// List active IP bans
+router.get('/security/bans', verifyToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const result = await loginThrottleService.listBans();
+    res.json(result);
+  } catch (error) {
+    console.error('List bans error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list bans' });
+  }
+});
+
+// Lift an IP ban
+router.delete('/security/bans/:id', verifyToken, requirePermission('security.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await loginThrottleService.removeBan(parseInt(req.params.id));
+
+    if (result.success) {
+      console.log(`🔓 Admin ${req.user.username} lifted the ban on ${result.ban.ipAddress}`);
+      await auditService.logEvent('admin.ip_ban_removed', 'auth', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { ip: result.ban.ipAddress, reason: result.ban.reason }
+      });
+      res.json({ success: true, message: result.message });
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Remove ban error:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove ban' });
+  }
+});
+
+// ==================== IP ACCESS RULES ====================
+
+// List IP allow/deny rules, optionally for one scope, role or user
+router.get('/security/ip-rules', verifyToken, requirePermission('security.manage'), [
+  query('scope').optional().isIn(ipAccessService.SCOPES),
+  query('role').optional().isString().trim(),
+  query('userId').optional().isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await ipAccessService.listRules({
+      scope: req.query.scope,
+      role: req.query.role,
+      userId: req.query.userId ? parseInt(req.query.userId) : null
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('List IP rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list IP rules' });
+  }
+});
+
+// Add an allow or deny rule for everyone, the admin endpoints, a role or a user
+router.post('/security/ip-rules', verifyToken, requirePermission('security.manage'), [
+  body('scope').isIn(ipAccessService.SCOPES),
+  body('action').isIn(['allow', 'deny']),
+  body('cidr').isString().trim().notEmpty(),
+  body('role').if(body('scope').equals('role')).isString().trim().notEmpty(),
+  body('userId').if(body('scope').equals('user')).isInt({ min: 1 }),
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 200 })
+], handleValidation, async (req, res) => {
+  try {
+    const { scope, action, cidr, role, userId, description } = req.body;
+    const result = await ipAccessService.createRule(
+      { scope, action, cidr, role, userId: userId ? parseInt(userId) : null, description },
+      { id: req.user.id, role: req.user.role, ip: req.ip }
+    );
+
+    if (result.success) {
+      console.log(`🌐 Admin ${req.user.username} added IP rule: ${scope} ${action} ${result.rule.cidr}`);
+      await auditService.logEvent('admin.ip_rule_created', 'security', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { rule: result.rule }
+      });
+      res.status(201).json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Create IP rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create IP rule' });
+  }
+});
+
+// Remove an IP rule
+router.delete('/security/ip-rules/:id', verifyToken, requirePermission('security.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await ipAccessService.deleteRule(parseInt(req.params.id), { id: req.user.id, role: req.user.role, ip: req.ip });
+
+    if (result.success) {
+      await auditService.logEvent('admin.ip_rule_deleted', 'security', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { rule: result.rule }
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Delete IP rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete IP rule' });
+  }
+});
+
+// ==================== PASSWORD HASHES ====================
+
+// Count accounts per password hash algorithm and parameters, and how many are outdated
+router.get('/security/password-hashes', verifyToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const result = await passwordHashService.getHashReport();
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    console.error('Password hash report error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build password hash report' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const dataService = require('../services/dataService');
+const rbacService = require('../services/rbacService');
+const { verifyToken, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get audit logs, newest first. Everyone can read their own; reading other users'
+// logs (or everyone's, without userId) needs audit.read. Page with ?after= / ?before=
+// set to a nextCursor / prevCursor, or with offset.
+router.get('/', verifyToken, requireScope('audit:read'), [
+  query('userId').optional().isInt({ min: 1 }).toInt(),
+  query('action').optional().isString().trim(),
+  query('resource').optional().isString().trim(),
+  query('tableName').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('after').optional().isString().isLength({ min: 1, max: 500 }),
+  query('before').optional().isString().isLength({ min: 1, max: 500 }),
+  query().custom(value => !(value.after && value.before)).withMessage('Use either after or before, not both'),
+  query('total').optional().isIn(['exact', 'estimate'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, action, resource, tableName, limit = 100, offset = 0, after, before, total } = req.query;
+    const granted = await rbacService.getRolePermissions(req.user.role);
+    const canReadAll = granted.has('audit.read');
+
+    if (userId && userId !== req.user.id && !canReadAll) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions.',
+        missingPermissions: ['audit.read']
+      });
+    }
+
+    const result = await dataService.getAuditLogs(canReadAll ? userId : req.user.id, {
+      action,
+      resource,
+      tableName,
+      limit,
+      offset,
+      after,
+      before,
+      total
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.status || 500).json(result);
+    }
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get audit logs' });
+  }
+});
+
+module.exports = router;
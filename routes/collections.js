@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const collectionService = require('../services/collectionService');
+const auditService = require('../services/auditService');
+const { verifyToken, requirePermission, requireScope, getRequestContext } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Reject the request with the express-validator errors, if any
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Same rules as collection names in /api/data
+const nameParam = () => param('name').isLength({ min: 1, max: 100 }).matches(/^[\w.-]+$/);
+const versionParam = () => param('version').isInt({ min: 1 }).toInt();
+
+// List collection definitions
+router.get('/', verifyToken, requirePermission('data.read'), requireScope('data:read'), async (req, res) => {
+  try {
+    const result = await collectionService.listCollections();
+    res.json(result);
+  } catch (error) {
+    console.error('List collections error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list collections' });
+  }
+});
+
+// Get a collection definition with all of its schema versions
+router.get('/:name', verifyToken, requirePermission('data.read'), requireScope('data:read'), [
+  nameParam()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await collectionService.getCollection(req.params.name);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get collection' });
+  }
+});
+
+// Add a draft schema version (creates the collection definition on first use)
+router.post('/:name/versions', verifyToken, requirePermission('collections.manage'), requireScope('data:write'), [
+  nameParam(),
+  body('schema').custom(value => typeof value === 'object' && value !== null && !Array.isArray(value))
+    .withMessage('Schema must be a JSON Schema object'),
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 255 })
+], handleValidation, async (req, res) => {
+  try {
+    const { schema, description } = req.body;
+    const result = await collectionService.createSchemaVersion(req.params.name, { schema, description }, req.user.id);
+
+    if (result.success) {
+      await auditService.logEvent('collection.schema_created', 'collections', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: { collection: req.params.name, version: result.schema.version }
+      });
+      res.status(201).json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Create schema version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create schema version' });
+  }
+});
+
+// Check existing records against a schema version without activating it
+router.get('/:name/versions/:version/report', verifyToken, requirePermission('collections.manage'), requireScope('data:read'), [
+  nameParam(),
+  versionParam()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await collectionService.validateExistingRecords(req.params.name, req.params.version);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Schema report error:', error);
+    res.status(500).json({ success: false, message: 'Failed to validate existing records' });
+  }
+});
+
+// Enforce a schema version. Refused with the report while existing records fail it,
+// unless force is set.
+router.post('/:name/versions/:version/activate', verifyToken, requirePermission('collections.manage'), requireScope('data:write'), [
+  nameParam(),
+  versionParam(),
+  body('force').optional().isBoolean().toBoolean()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await collectionService.activateSchemaVersion(req.params.name, req.params.version, {
+      force: req.body.force === true
+    });
+
+    if (result.success) {
+      console.log(`📐 ${req.user.username} activated schema version ${req.params.version} of ${req.params.name}`);
+      await auditService.logEvent('collection.schema_activated', 'collections', {
+        userId: req.user.id,
+        ...getRequestContext(req),
+        details: {
+          collection: req.params.name,
+          version: req.params.version,
+          invalidRecords: result.report.invalid
+        }
+      });
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Activate schema version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to activate schema version' });
+  }
+});
+
+module.exports = router;
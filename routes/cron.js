@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const express = require('express');
+const accountService = require('../services/accountService');
+const authConfig = require('../config/auth');
+
+const router = express.Router();
+
+/**
+ * Only the scheduler may run jobs: it sends "Authorization: Bearer <CRON_SECRET>"
+ * (Vercel Cron does this when CRON_SECRET is set)
+ */
+const verifyCronSecret = (req, res, next) => {
+  const secret = authConfig.cron.secret;
+  if (!secret) {
+    return res.status(503).json({ success: false, message: 'Scheduled jobs are not configured.' });
+  }
+
+  const expected = crypto.createHash('sha256').update(`Bearer ${secret}`).digest();
+  const actual = crypto.createHash('sha256').update(req.get('Authorization') || '').digest();
+  if (!crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({ success: false, message: 'Invalid cron secret.' });
+  }
+
+  next();
+};
+
+// Purge accounts whose deletion grace period has ended (see vercel.json "crons")
+router.get('/purge-deletions', verifyCronSecret, async (req, res) => {
+  try {
+    const result = await accountService.purgeScheduledDeletions();
+    res.json(result);
+  } catch (error) {
+    console.error('Account purge error:', error);
+    res.status(500).json({ success: false, message: 'Failed to purge accounts' });
+  }
+});
+
+module.exports = router;
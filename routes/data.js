@@ -0,0 +1,330 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const dataService = require('../services/dataService');
+const { verifyToken, requirePermission, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Reject the request with the express-validator errors, if any
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Collection names are stored in data_storage.table_name (VARCHAR(100))
+const tableNameParam = () => param('tableName').isLength({ min: 1, max: 100 }).matches(/^[\w.-]+$/);
+const recordIdParam = () => param('id').isInt({ min: 1 }).toInt();
+
+// Record columns, or "data.<path>" to sort by a JSON field
+const isSortField = (value) => Object.keys(dataService.ORDER_COLUMNS).includes(value) || /^data\.[\w-]+(\.[\w-]+)*$/.test(value);
+
+// Keyset pagination: ?after=<nextCursor> or ?before=<prevCursor> (see lib/pagination.js)
+const cursorFields = (location) => [
+  location('after').optional().isString().isLength({ min: 1, max: 500 }),
+  location('before').optional().isString().isLength({ min: 1, max: 500 }),
+  location().custom(value => !(value.after && value.before)).withMessage('Use either after or before, not both'),
+  location('total').optional().isIn(['exact', 'estimate'])
+];
+
+const isFilter = (value) => typeof value === 'string' || (typeof value === 'object' && value !== null && !Array.isArray(value));
+
+/**
+ * Turn an NDJSON body (one { data, metadata } record per line) into { records }, so
+ * bulk inserts can be validated the same way as a JSON body
+ */
+const parseNdjson = (req, res, next) => {
+  if (typeof req.body !== 'string') {
+    return next();
+  }
+
+  const records = [];
+  const lines = req.body.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(lines[i]));
+    } catch (error) {
+      return res.status(400).json({ success: false, message: `Line ${i + 1} is not valid JSON` });
+    }
+  }
+
+  req.body = { records };
+  next();
+};
+
+/**
+ * Send a service result, using its status (or 500) when it failed
+ */
+const sendResult = (res, result) => {
+  if (result.success) {
+    return res.json(result);
+  }
+  res.status(result.status || 500).json(result);
+};
+
+// Insert data
+router.post('/:tableName', verifyToken, requirePermission('data.write'), requireScope('data:write'), [
+  tableNameParam(),
+  body('data').isObject(),
+  body('metadata').optional().isObject()
+], handleValidation, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const { data, metadata } = req.body;
+    const result = await dataService.insertData(tableName, data, req.user.id, metadata);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Insert data error:', error);
+    res.status(500).json({ success: false, message: 'Failed to insert data' });
+  }
+});
+
+// Get data. filter is a JSON filter or the compact syntax, e.g.
+// ?filter=price:gte:10,address.city:eq:Berlin&orderBy=data.price (see lib/dataFilter.js).
+// Pass pagination.nextCursor back as ?after= for the next page.
+router.get('/:tableName', verifyToken, requirePermission('data.read'), requireScope('data:read'), [
+  tableNameParam(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }),
+  query('offset').optional().isInt({ min: 0 }),
+  query('orderBy').optional().custom(isSortField),
+  query('orderDirection').optional().isIn(['ASC', 'DESC', 'asc', 'desc']),
+  query('filter').optional().isString().isLength({ max: 2000 }),
+  ...cursorFields(query)
+], handleValidation, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const {
+      limit = 100, offset = 0, orderBy = 'created_at', orderDirection = 'DESC', filter, after, before, total
+    } = req.query;
+
+    const result = await dataService.getData(tableName, req.user.id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      orderBy,
+      orderDirection,
+      filter,
+      after,
+      before,
+      total
+    });
+
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Get data error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get data' });
+  }
+});
+
+// Export data
+router.get('/:tableName/export', verifyToken, requirePermission('data.export'), requireScope('data:read'), [
+  tableNameParam()
+], handleValidation, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const { format = 'json', limit = 1000, includeMetadata = false } = req.query;
+
+    const result = await dataService.exportData(tableName, format, req.user.id, {
+      limit: parseInt(limit),
+      includeMetadata: includeMetadata === 'true'
+    });
+
+    if (result.success) {
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+      res.send(result.data);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({ success: false, message: 'Failed to export data' });
+  }
+});
+
+// Record counts and dates for the user's records in a collection
+router.get('/:tableName/stats', verifyToken, requirePermission('data.read'), requireScope('data:read'), [
+  tableNameParam()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await dataService.getDataStatistics(req.params.tableName, req.user.id);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Data statistics error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get statistics' });
+  }
+});
+
+// Search the user's records with a filter (JSON object or compact string) and/or
+// criteria matching top-level fields by case-insensitive substring
+router.post('/:tableName/search', verifyToken, requirePermission('data.read'), requireScope('data:read'), [
+  tableNameParam(),
+  body('criteria').optional().isObject(),
+  body('criteria.*').custom(value => ['string', 'number', 'boolean'].includes(typeof value))
+    .withMessage('Search values must be strings, numbers or booleans'),
+  body('filter').optional().custom(isFilter).withMessage('Filter must be an object or a string'),
+  body().custom(value => value.criteria !== undefined || value.filter !== undefined)
+    .withMessage('Provide criteria or a filter'),
+  body('orderBy').optional().custom(isSortField),
+  body('orderDirection').optional().isIn(['ASC', 'DESC', 'asc', 'desc']),
+  body('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  body('offset').optional().isInt({ min: 0 }).toInt(),
+  ...cursorFields(body)
+], handleValidation, async (req, res) => {
+  try {
+    const { criteria, filter, orderBy, orderDirection, limit = 100, offset = 0, after, before, total } = req.body;
+    const result = await dataService.searchData(req.params.tableName, criteria, req.user.id, {
+      limit,
+      offset,
+      filter,
+      after,
+      before,
+      total,
+      ...(orderBy && { orderBy }),
+      ...(orderDirection && { orderDirection })
+    });
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Search data error:', error);
+    res.status(500).json({ success: false, message: 'Failed to search data' });
+  }
+});
+
+// Insert many records, sent as { records: [{ data, metadata }] } or as NDJSON. In
+// "transaction" mode (default) nothing is written unless every record is valid;
+// "partial" writes the valid ones. Either way there is a result per record.
+router.post('/:tableName/bulk', verifyToken, requirePermission('data.write'), requireScope('data:write'),
+  express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '10mb' }), parseNdjson, [
+    tableNameParam(),
+    body('records').isArray({ min: 1, max: dataService.BULK_MAX_RECORDS })
+      .withMessage(`Send 1 to ${dataService.BULK_MAX_RECORDS} records`),
+    body('mode').optional().isIn(dataService.BULK_MODES),
+    query('mode').optional().isIn(dataService.BULK_MODES)
+  ], handleValidation, async (req, res) => {
+    try {
+      const result = await dataService.bulkInsertData(req.params.tableName, req.body.records, req.user.id, {
+        mode: req.body.mode || req.query.mode || 'transaction'
+      });
+      sendResult(res, result);
+    } catch (error) {
+      console.error('Bulk insert error:', error);
+      res.status(500).json({ success: false, message: 'Failed to insert data' });
+    }
+  });
+
+// Change the given fields of every record matching a filter ({} matches all).
+// dryRun only returns how many records match.
+router.patch('/:tableName/bulk', verifyToken, requirePermission('data.write'), requireScope('data:write'), [
+  tableNameParam(),
+  body('filter').custom(isFilter).withMessage('Filter must be an object or a string'),
+  body('data').isObject().custom(value => Object.keys(value).length > 0).withMessage('Data must have at least one field'),
+  body('mode').optional().isIn(dataService.BULK_MODES),
+  body('dryRun').optional().isBoolean().toBoolean()
+], handleValidation, async (req, res) => {
+  try {
+    const { filter, data, mode = 'transaction', dryRun = false } = req.body;
+    const result = await dataService.bulkUpdateData(req.params.tableName, filter, data, req.user.id, { mode, dryRun });
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Bulk update error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update data' });
+  }
+});
+
+// Delete the records matching a filter and/or a list of ids, all or none (at most
+// BULK_MAX_RECORDS per call). dryRun only returns how many records match.
+router.delete('/:tableName/bulk', verifyToken, requirePermission('data.write'), requireScope('data:write'), [
+  tableNameParam(),
+  body('filter').optional().custom(isFilter).withMessage('Filter must be an object or a string'),
+  body('ids').optional().isArray({ min: 1, max: dataService.BULK_MAX_RECORDS }),
+  body('ids.*').isInt({ min: 1 }).toInt(),
+  body().custom(value => value.filter !== undefined || value.ids !== undefined)
+    .withMessage('Provide a filter or ids'),
+  body('dryRun').optional().isBoolean().toBoolean()
+], handleValidation, async (req, res) => {
+  try {
+    const { filter, ids, dryRun = false } = req.body;
+    const result = await dataService.bulkDeleteData(req.params.tableName, req.user.id, { filter, ids, dryRun });
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete data' });
+  }
+});
+
+// Get one of the user's records
+router.get('/:tableName/:id', verifyToken, requirePermission('data.read'), requireScope('data:read'), [
+  tableNameParam(),
+  recordIdParam()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await dataService.getRecord(req.params.tableName, req.params.id, req.user.id);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Get record error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get record' });
+  }
+});
+
+// Replace the data of one of the user's records
+router.put('/:tableName/:id', verifyToken, requirePermission('data.write'), requireScope('data:write'), [
+  tableNameParam(),
+  recordIdParam(),
+  body('data').isObject()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await dataService.updateData(req.params.id, req.body.data, req.user.id, {
+      tableName: req.params.tableName
+    });
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Update data error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update data' });
+  }
+});
+
+// Change only the given fields of one of the user's records
+router.patch('/:tableName/:id', verifyToken, requirePermission('data.write'), requireScope('data:write'), [
+  tableNameParam(),
+  recordIdParam(),
+  body('data').isObject()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await dataService.updateData(req.params.id, req.body.data, req.user.id, {
+      tableName: req.params.tableName,
+      merge: true
+    });
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Patch data error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update data' });
+  }
+});
+
+// Delete one of the user's records
+router.delete('/:tableName/:id', verifyToken, requirePermission('data.write'), requireScope('data:write'), [
+  tableNameParam(),
+  recordIdParam()
+], handleValidation, async (req, res) => {
+  try {
+    const result = await dataService.deleteData(req.params.id, req.user.id, {
+      tableName: req.params.tableName
+    });
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Delete data error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete data' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const magicLinkService = require('../services/magicLinkService');
+const loginThrottleService = require('../services/loginThrottleService');
+const authConfig = require('../config/auth');
+const { createSession, getRequestContext } = require('../middleware/auth');
+
+const router = express.Router();
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const requireEnabled = (req, res, next) => {
+  if (!authConfig.magicLink.enabled) {
+    return res.status(404).json({ success: false, message: 'Sign-in links are not enabled' });
+  }
+  next();
+};
+
+/**
+ * Limit link requests. Counted for every address, registered or not, so hitting the
+ * limit tells nothing about which addresses have accounts.
+ */
+const linkRequestLimiter = (limit, keyGenerator) => rateLimit({
+  windowMs: authConfig.magicLink.windowMs,
+  limit: limit,
+  ...(keyGenerator && { keyGenerator }),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      code: 'rate_limited',
+      message: 'Too many sign-in link requests. Try again later.'
+    });
+  }
+});
+
+const ipLimiter = linkRequestLimiter(() => authConfig.magicLink.maxPerIp);
+const emailLimiter = linkRequestLimiter(() => authConfig.magicLink.maxPerEmail, (req) => req.body.email);
+
+/**
+ * Answer a login attempt refused by the login throttle
+ */
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(Math.ceil(throttle.retryAfterMs / 1000)));
+  res.status(429).json({
+    success: false,
+    code: throttle.code,
+    message: throttle.message,
+    retryAfter: Math.ceil(throttle.retryAfterMs / 1000)
+  });
+};
+
+/**
+ * @route POST /api/auth/magic-link
+ * @desc Email a one-time sign-in link
+ * @access Public
+ */
+router.post('/', requireEnabled, [
+  body('email').isEmail().normalizeEmail()
+], handleValidation, ipLimiter, emailLimiter, async (req, res) => {
+  try {
+    const result = await magicLinkService.requestLink(req.body.email);
+    res.json(result);
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send sign-in link' });
+  }
+});
+
+/**
+ * @route POST /api/auth/magic-link/verify
+ * @desc Sign in with the token from a sign-in link
+ * @access Public
+ */
+router.post('/verify', requireEnabled, [
+  body('token').isString().notEmpty()
+], handleValidation, async (req, res) => {
+  try {
+    const { ipAddress, userAgent } = getRequestContext(req);
+    const throttle = await loginThrottleService.checkLogin({ ipAddress });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const result = await magicLinkService.authenticate(req.body.token);
+
+    if (!result.success) {
+      if (result.code === 'invalid_token') {
+        await loginThrottleService.recordFailure({ ipAddress, userAgent, source: 'magic_link' });
+      }
+      return res.status(401).json(result);
+    }
+
+    if (result.mfaRequired) {
+      // The link counts as the first factor; the session is created once the second is verified
+      return res.json(result);
+    }
+
+    console.log(`✉️  User ${result.user.username} signed in with a sign-in link`);
+
+    const { token, refreshToken, csrfToken } = await createSession(res, result.user.id, result.user.username, result.user.role, getRequestContext(req));
+    res.json({ ...result, token, refreshToken, csrfToken });
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const oidcService = require('../services/oidcService');
+const identityService = require('../services/identityService');
+const mfaService = require('../services/mfaService');
+const loginThrottleService = require('../services/loginThrottleService');
+const oidcConfig = require('../config/oidc');
+const { verifyToken, requirePermission, createSession, getRequestContext } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Only allow same-site relative paths as post-login destinations
+ */
+const safeReturnTo = (value) => {
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/';
+};
+
+/**
+ * Append query parameters to a relative path
+ */
+const withParams = (path, params) => {
+  const url = new URL(path, 'http://localhost');
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Keep a pending login in the server-side session, dropping expired ones
+ */
+const saveTransaction = (req, transaction) => {
+  const pending = req.session.oauthTransactions || {};
+
+  for (const [state, entry] of Object.entries(pending)) {
+    if (Date.now() - entry.createdAt > oidcConfig.transactionTtlMs) {
+      delete pending[state];
+    }
+  }
+
+  pending[transaction.state] = transaction;
+  req.session.oauthTransactions = pending;
+};
+
+/**
+ * Remove and return the pending login for a state value (each state is single-use)
+ */
+const takeTransaction = (req, state) => {
+  const pending = req.session?.oauthTransactions;
+  if (!pending || typeof state !== 'string' || !pending[state]) {
+    return null;
+  }
+
+  const transaction = pending[state];
+  delete pending[state];
+  return transaction;
+};
+
+/**
+ * @route GET /api/auth/oauth/providers
+ * @desc List the configured login providers
+ * @access Public
+ */
+router.get('/providers', (req, res) => {
+  res.json({ success: true, providers: oidcService.listProviders() });
+});
+
+/**
+ * @route GET /api/auth/oauth/:provider
+ * @desc Redirect to the provider to sign in
+ * @access Public
+ */
+router.get('/:provider', async (req, res) => {
+  try {
+    const throttle = await loginThrottleService.checkLogin({ ipAddress: getRequestContext(req).ipAddress });
+    if (!throttle.allowed) {
+      return res.redirect(withParams('/login', { error: throttle.code, provider: req.params.provider }));
+    }
+
+    const result = await oidcService.createAuthorizationRequest(req.params.provider, {
+      returnTo: safeReturnTo(req.query.returnTo),
+      // Lets invited users sign up through the provider when registration requires an invite
+      inviteCode: typeof req.query.invite === 'string' ? req.query.invite : null
+    });
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    saveTransaction(req, result.transaction);
+    res.redirect(result.url);
+  } catch (error) {
+    console.error('OAuth login error:', error);
+    res.status(502).json({ success: false, message: 'Login provider is unavailable' });
+  }
+});
+
+/**
+ * @route POST /api/auth/oauth/:provider/link
+ * @desc Start linking a provider account to the signed-in user; returns the URL to redirect to
+ * @access Private
+ */
+router.post('/:provider/link', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await oidcService.createAuthorizationRequest(req.params.provider, {
+      mode: 'link',
+      userId: req.user.id,
+      returnTo: safeReturnTo(req.body?.returnTo)
+    });
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    saveTransaction(req, result.transaction);
+    res.json({ success: true, url: result.url });
+  } catch (error) {
+    console.error('OAuth link error:', error);
+    res.status(502).json({ success: false, message: 'Login provider is unavailable' });
+  }
+});
+
+/**
+ * Finish a link started from POST /:provider/link
+ */
+const completeLink = async (req, res, transaction, result) => {
+  const linked = await identityService.linkIdentity(transaction.userId, result.profile);
+
+  if (!linked.success) {
+    console.log(`⚠️  ${result.provider.id} link rejected for user ${transaction.userId}: ${linked.message}`);
+    return res.redirect(withParams(transaction.returnTo, { error: linked.code || 'link_failed', provider: result.provider.id }));
+  }
+
+  console.log(`🔗 User ${transaction.userId} linked a ${result.provider.id} identity`);
+  res.redirect(withParams(transaction.returnTo, { linked: result.provider.id }));
+};
+
+/**
+ * @route GET /api/auth/oauth/:provider/callback
+ * @desc Complete sign-in after the provider redirects back
+ * @access Public
+ */
+router.get('/:provider/callback', async (req, res) => {
+  const providerId = req.params.provider;
+  const failureRedirect = `/login?error=${encodeURIComponent(providerId)}_auth_failed`;
+
+  try {
+    const { ipAddress, userAgent } = getRequestContext(req);
+
+    // Covers /api/auth/github/callback too, which forwards here
+    const throttle = await loginThrottleService.checkLogin({ ipAddress });
+    if (!throttle.allowed) {
+      return res.redirect(withParams('/login', { error: throttle.code, provider: providerId }));
+    }
+
+    const transaction = takeTransaction(req, req.query.state);
+    const result = await oidcService.completeAuthorization(providerId, transaction, req.query);
+
+    if (!result.success) {
+      // Forged state, replayed codes and invalid ID tokens count as failed logins for the IP
+      console.log(`⚠️  ${providerId} login rejected: ${result.message}`);
+      await loginThrottleService.recordFailure({ ipAddress, userAgent, source: `oauth:${providerId}` });
+      return res.redirect(failureRedirect);
+    }
+
+    if (transaction.mode === 'link') {
+      return await completeLink(req, res, transaction, result);
+    }
+
+    const login = await identityService.findOrCreateUserFromIdentity(result.provider, result.profile, {
+      inviteCode: transaction.inviteCode
+    });
+    if (!login.success) {
+      console.log(`⚠️  ${providerId} login rejected: ${login.message}`);
+      return res.redirect(login.code ? withParams('/login', { error: login.code, provider: providerId }) : failureRedirect);
+    }
+
+    // Users with 2FA (or a role that requires it) finish signing in on the login page
+    const challenge = await mfaService.createLoginChallenge(login.user);
+    if (challenge) {
+      req.session.mfaToken = challenge.mfaToken;
+      return res.redirect(withParams('/login', { mfa: challenge.status, provider: providerId }));
+    }
+
+    await createSession(res, login.user.id, login.user.username, login.user.role, getRequestContext(req));
+
+    res.redirect(withParams(transaction.returnTo, { login: 'success', provider: providerId }));
+  } catch (error) {
+    console.error(`${providerId} callback error:`, error);
+    res.redirect(failureRedirect);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const passkeyService = require('../services/passkeyService');
+const loginThrottleService = require('../services/loginThrottleService');
+const auditService = require('../services/auditService');
+const authConfig = require('../config/auth');
+const { verifyToken, verifyTokenOrMfaEnrollment, verifyMfaToken, requirePermission, createSession, getRequestContext } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Pending 2FA enrollments have no session yet and may register a passkey as their second factor
+const requireAccountPermission = (req, res, next) => {
+  return req.mfaChallenge ? next() : requirePermission('account.manage')(req, res, next);
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Keep the challenge of a ceremony in the server-side session (one at a time)
+ */
+const saveChallenge = (req, purpose, options, userId = null) => {
+  req.session.webauthnChallenge = { challenge: options.challenge, purpose, userId, createdAt: Date.now() };
+};
+
+/**
+ * Remove and return the pending challenge for a ceremony (each challenge is single-use)
+ */
+const takeChallenge = (req, purposes) => {
+  const pending = req.session?.webauthnChallenge;
+  if (!pending) {
+    return null;
+  }
+
+  delete req.session.webauthnChallenge;
+
+  if (!purposes.includes(pending.purpose) || Date.now() - pending.createdAt > authConfig.webauthn.challengeTtlMs) {
+    return null;
+  }
+
+  return pending;
+};
+
+/**
+ * Answer a login attempt refused by the login throttle
+ */
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(Math.ceil(throttle.retryAfterMs / 1000)));
+  res.status(429).json({
+    success: false,
+    code: throttle.code,
+    message: throttle.message,
+    retryAfter: Math.ceil(throttle.retryAfterMs / 1000)
+  });
+};
+
+/**
+ * @route POST /api/auth/passkeys/register/options
+ * @desc Start adding a passkey to the account
+ * @access Private (or a pending 2FA enrollment)
+ */
+router.post('/register/options', verifyTokenOrMfaEnrollment, requireAccountPermission, async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : req.mfaChallenge.userId;
+    const result = await passkeyService.beginRegistration(userId);
+
+    if (!result.success) {
+      return res.status(result.status || 400).json(result);
+    }
+
+    saveChallenge(req, 'register', result.options, userId);
+    res.json(result);
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start passkey registration' });
+  }
+});
+
+/**
+ * @route POST /api/auth/passkeys/register
+ * @desc Store the passkey created by the browser
+ * @access Private (or a pending 2FA enrollment, which then completes the login)
+ */
+router.post('/register', verifyTokenOrMfaEnrollment, requireAccountPermission, [
+  body('credential').isObject(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 64 })
+], handleValidation, async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : req.mfaChallenge.userId;
+    const challenge = takeChallenge(req, ['register']);
+
+    if (!challenge || challenge.userId !== userId) {
+      return res.status(400).json({ success: false, message: 'No passkey registration in progress or it has expired' });
+    }
+
+    const result = await passkeyService.completeRegistration(userId, req.body.credential, challenge.challenge, req.body.name);
+
+    if (!result.success) {
+      return res.status(result.status || 400).json(result);
+    }
+
+    await auditService.logEvent('passkey.registered', 'passkeys', {
+      userId,
+      ...getRequestContext(req),
+      details: { passkeyId: result.passkey.id, name: result.passkey.name }
+    });
+
+    // Enrollment forced during login completes the login
+    if (req.mfaChallenge) {
+      delete req.session.mfaToken;
+
+      const { token, refreshToken, csrfToken } = await createSession(res, result.user.id, result.user.username, result.user.role, getRequestContext(req));
+      return res.status(201).json({ ...result, token, refreshToken, csrfToken });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(500).json({ success: false, message: 'Failed to register passkey' });
+  }
+});
+
+/**
+ * @route GET /api/auth/passkeys
+ * @desc List the account's passkeys
+ * @access Private
+ */
+router.get('/', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    res.json(await passkeyService.listPasskeys(req.user.id));
+  } catch (error) {
+    console.error('List passkeys error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list passkeys' });
+  }
+});
+
+/**
+ * @route PATCH /api/auth/passkeys/:id
+ * @desc Rename a passkey
+ * @access Private
+ */
+router.patch('/:id', verifyToken, requirePermission('account.manage'), [
+  param('id').isInt({ min: 1 }),
+  body('name').isString().trim().isLength({ min: 1, max: 64 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await passkeyService.renamePasskey(req.user.id, parseInt(req.params.id), req.body.name);
+    res.status(result.success ? 200 : result.status || 400).json(result);
+  } catch (error) {
+    console.error('Rename passkey error:', error);
+    res.status(500).json({ success: false, message: 'Failed to rename passkey' });
+  }
+});
+
+/**
+ * @route DELETE /api/auth/passkeys/:id
+ * @desc Delete a passkey
+ * @access Private
+ */
+router.delete('/:id', verifyToken, requirePermission('account.manage'), [
+  param('id').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    const result = await passkeyService.deletePasskey(req.user.id, parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(result.status || 400).json(result);
+    }
+
+    await auditService.logEvent('passkey.deleted', 'passkeys', {
+      userId: req.user.id,
+      ...getRequestContext(req),
+      details: { passkeyId: result.passkey.id, name: result.passkey.name }
+    });
+
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error('Delete passkey error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete passkey' });
+  }
+});
+
+/**
+ * @route POST /api/auth/passkeys/login/options
+ * @desc Start signing in with a passkey. With the mfaToken of a password login the
+ *       passkey is the second factor; without it the sign-in is passwordless.
+ * @access Public
+ */
+router.post('/login/options', async (req, res) => {
+  try {
+    const mfaToken = req.body?.mfaToken || req.session?.mfaToken;
+    const challenge = mfaToken ? verifyMfaToken(mfaToken, 'mfa_login') : null;
+
+    if (req.body?.mfaToken && !challenge) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired 2FA token' });
+    }
+
+    const userId = challenge ? challenge.userId : null;
+    const result = await passkeyService.beginAuthentication(userId);
+
+    if (!result.success) {
+      return res.status(result.status || 400).json(result);
+    }
+
+    saveChallenge(req, userId ? 'mfa' : 'login', result.options, userId);
+    res.json(result);
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start passkey sign-in' });
+  }
+});
+
+/**
+ * @route POST /api/auth/passkeys/login
+ * @desc Finish signing in with a passkey
+ * @access Public
+ */
+router.post('/login', [
+  body('credential').isObject()
+], handleValidation, async (req, res) => {
+  try {
+    const challenge = takeChallenge(req, ['login', 'mfa']);
+    if (!challenge) {
+      return res.status(400).json({ success: false, message: 'No passkey sign-in in progress or it has expired' });
+    }
+
+    const { ipAddress, userAgent } = getRequestContext(req);
+    const throttle = await loginThrottleService.checkLogin({ ipAddress });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const result = await passkeyService.authenticate(req.body.credential, challenge.challenge, { userId: challenge.userId });
+
+    if (!result.success) {
+      if (result.code === 'invalid_credentials') {
+        await loginThrottleService.recordFailure({
+          ipAddress,
+          userId: result.userId || challenge.userId,
+          userAgent,
+          source: challenge.purpose === 'mfa' ? 'mfa' : 'passkey'
+        });
+      }
+      return res.status(401).json({ success: false, code: result.code, message: result.message });
+    }
+
+    if (req.session) {
+      delete req.session.mfaToken;
+    }
+
+    console.log(`🔑 User ${result.user.username} signed in with a passkey`);
+
+    const { token, refreshToken, csrfToken } = await createSession(res, result.user.id, result.user.username, result.user.role, getRequestContext(req));
+    res.json({ ...result, token, refreshToken, csrfToken });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * JWT Signing Key Generator
+ *
+ * Writes a new private key for signing tokens and prints the entry to add to the
+ * JWT_KEYS_FILE key list.
+ *
+ *   node scripts/generate-jwt-key.js [ed25519|rsa] [directory] [activatesAt]
+ *
+ * To rotate, add the new entry with an activatesAt in the future. It is published in
+ * the JWKS straight away and starts signing at that time; the old key keeps verifying
+ * for JWT_KEY_OVERLAP_HOURS and can be removed from the list after that.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const generate = () => {
+  const [type = 'ed25519', directory = '.', activatesAt] = process.argv.slice(2);
+
+  if (!['ed25519', 'rsa'].includes(type)) {
+    console.error('❌ Key type must be "ed25519" or "rsa"');
+    process.exit(1);
+  }
+
+  if (activatesAt && Number.isNaN(new Date(activatesAt).getTime())) {
+    console.error('❌ activatesAt must be a date, e.g. 2026-11-01T00:00:00Z');
+    process.exit(1);
+  }
+
+  const { privateKey } = type === 'rsa' ?
+    crypto.generateKeyPairSync('rsa', { modulusLength: 3072 }) :
+    crypto.generateKeyPairSync('ed25519');
+
+  const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = path.join(directory, `${kid}.pem`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  console.log(`✅ Wrote ${file}`);
+  console.log('Add this entry to the JWT_KEYS_FILE list (paths are relative to that file):');
+  console.log(JSON.stringify({
+    kid,
+    privateKeyFile: path.basename(file),
+    ...(activatesAt && { activatesAt: new Date(activatesAt).toISOString() })
+  }, null, 2));
+};
+
+generate();
@@ -0,0 +1,76 @@
+/**
+ * GitHub Identity Migration Script
+ *
+ * Moves users.github_id / users.github_username into the user_identities table.
+ * Run this once before `npm run prisma:push`, which would otherwise drop the old columns.
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+});
+
+const migrate = async () => {
+  const client = await pool.connect();
+
+  try {
+    const columns = await client.query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'github_id'
+    `);
+
+    if (columns.rows.length === 0) {
+      console.log('✅ users.github_id does not exist, nothing to migrate');
+      return;
+    }
+
+    await client.query('BEGIN');
+
+    // Same layout as the UserIdentity model, so prisma db push has nothing left to change
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+        provider TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        email TEXT,
+        email_verified BOOLEAN NOT NULL DEFAULT false,
+        username TEXT,
+        display_name TEXT,
+        avatar_url TEXT,
+        last_login_at TIMESTAMP(3),
+        created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP(3) NOT NULL
+      )
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS user_identities_provider_subject_key ON user_identities(provider, subject)');
+    await client.query('CREATE INDEX IF NOT EXISTS user_identities_user_id_idx ON user_identities(user_id)');
+
+    // GitHub emails were never checked for verification, so they are copied as unverified
+    const result = await client.query(`
+      INSERT INTO user_identities (user_id, provider, subject, email, username, avatar_url, last_login_at, updated_at)
+      SELECT id, 'github', github_id, email, github_username, avatar_url, last_login, CURRENT_TIMESTAMP
+      FROM users
+      WHERE github_id IS NOT NULL
+      ON CONFLICT (provider, subject) DO NOTHING
+    `);
+
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS github_id, DROP COLUMN IF EXISTS github_username');
+    await client.query('COMMIT');
+
+    console.log(`✅ Migrated ${result.rowCount} GitHub account(s) to user_identities`);
+    console.log('Next: npm run prisma:push');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+migrate();
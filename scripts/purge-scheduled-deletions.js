@@ -0,0 +1,27 @@
+/**
+ * Scheduled Account Deletion Script
+ *
+ * Deletes the accounts whose deletion grace period has ended. Long-running servers
+ * do this every hour on their own; run this from cron (or a scheduled container)
+ * wherever the server does not keep running, e.g. `npm run accounts:purge`.
+ */
+
+require('dotenv').config();
+const accountService = require('../services/accountService');
+const { disconnect } = require('../lib/prisma');
+
+const run = async () => {
+  try {
+    const result = await accountService.purgeScheduledDeletions();
+    console.log(`✅ Purged ${result.purged} account(s)`);
+  } catch (error) {
+    console.error('❌ Account purge failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await disconnect();
+    // The services' connection pools would keep the process alive
+    process.exit();
+  }
+};
+
+run();
@@ -6,21 +6,47 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const session = require('express-session');
-const passport = require('passport');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 const app = express();
 const { ports, environment } = require('./config/ports');
+const authConfig = require('./config/auth');
 const PORT = ports.backend;
 
 // Import services
 const userService = require('./services/userService');
 const databaseService = require('./services/databaseService');
 const dataService = require('./services/dataService');
-const { verifyToken, requireRole, optionalAuth, createSession, clearSession } = require('./middleware/auth');
+const sessionService = require('./services/sessionService');
+const mfaService = require('./services/mfaService');
+const apiKeyService = require('./services/apiKeyService');
+const rbacService = require('./services/rbacService');
+const identityService = require('./services/identityService');
+const passwordPolicyService = require('./services/passwordPolicyService');
+const loginThrottleService = require('./services/loginThrottleService');
+const auditService = require('./services/auditService');
+const accountService = require('./services/accountService');
+const tokenService = require('./services/tokenService');
+const { restrictByIp } = require('./middleware/ipAccess');
+const { verifyToken, rejectApiKeys, requirePermission, requireScope, optionalAuth, verifyTokenOrMfaEnrollment, verifyMfaToken, getRequestContext, createSession, refreshSession, clearSession, requireCsrfForRefreshCookie } = require('./middleware/auth');
 
 // Import routes
 const githubAuthRoutes = require('./routes/githubAuth');
+const oauthRoutes = require('./routes/oauth');
+const adminRoutes = require('./routes/admin');
+const accountRoutes = require('./routes/account');
+const passkeyRoutes = require('./routes/passkeys');
+const magicLinkRoutes = require('./routes/magicLink');
+const dataRoutes = require('./routes/data');
+const auditRoutes = require('./routes/audit');
+const collectionRoutes = require('./routes/collections');
+const cronRoutes = require('./routes/cron');
+
+// Take the client address from X-Forwarded-For only when it was set by a trusted proxy
+if (authConfig.trustedProxies.length > 0) {
+  app.set('trust proxy', authConfig.trustedProxies);
+}
 
 // Security middleware
 app.use(helmet());
@@ -39,24 +65,32 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// IP allow/deny lists: global lists apply to the whole API, admin lists to the admin API
+// and the tools that change the database directly
+app.use('/api/', restrictByIp({ global: true }));
+app.use(['/api/admin', '/api/diagnostics/auto-fix', '/api/execute-query'], restrictByIp({ admin: true }));
+
+// API keys cannot manage accounts or reach the admin API
+app.use(['/api/auth', '/api/admin', '/api/account'], rejectApiKeys);
+
 // Session middleware
 app.use(session({
   secret: process.env.SESSION_SECRET || 'your-session-secret-for-oauth-change-this-in-production',
   resave: false,
   saveUninitialized: false,
   cookie: {
-    secure: process.env.NODE_ENV === 'production',
+    httpOnly: true,
+    secure: authConfig.cookies.secure,
+    // Only holds sign-in ceremony state; at least "lax" so it survives the redirect back from OAuth providers
+    sameSite: authConfig.cookies.sameSite === 'none' ? 'none' : 'lax',
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
 }));
 
-// Passport middleware
-app.use(passport.initialize());
-app.use(passport.session());
-
-// Body parsing middleware
+// Body and cookie parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Serve static files from React build (both development and production)
 app.use(express.static(path.join(__dirname, 'client/build')));
@@ -101,12 +135,25 @@ let inMemoryStorage = [];
 let nextId = 1;
 
 // Routes
+// Every route below is public, or requires a named permission from config/permissions.js
+
+// Pending 2FA enrollments have no session yet and may only reach their own 2FA setup
+const requireAccountPermission = (req, res, next) => {
+  return req.mfaChallenge ? next() : requirePermission('account.manage')(req, res, next);
+};
+
 app.get('/api/health', (req, res) => {
   res.json({ message: 'Server is running!' });
 });
 
+// Public keys for verifying the access tokens this server issues
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${authConfig.tokens.jwksMaxAgeSeconds}`);
+  res.json(tokenService.getJwks());
+});
+
 // Test database connection endpoint
-app.get('/api/test-db', async (req, res) => {
+app.get('/api/test-db', verifyToken, requirePermission('diagnostics.run'), requireScope('diagnostics:run'), async (req, res) => {
   try {
     const client = await pool.connect();
     const result = await client.query('SELECT NOW() as current_time');
@@ -127,7 +174,7 @@ app.get('/api/test-db', async (req, res) => {
 });
 
 // Save string to database
-app.post('/api/save-string', async (req, res) => {
+app.post('/api/save-string', verifyToken, requirePermission('strings.write'), requireScope('data:write'), async (req, res) => {
   try {
     const { inputString } = req.body;
     
@@ -189,7 +236,7 @@ app.post('/api/save-string', async (req, res) => {
 });
 
 // Get all saved strings
-app.get('/api/strings', async (req, res) => {
+app.get('/api/strings', verifyToken, requirePermission('strings.read'), requireScope('data:read'), async (req, res) => {
   try {
     try {
       // Try to fetch from PostgreSQL first
@@ -220,7 +267,7 @@ app.get('/api/strings', async (req, res) => {
 });
 
 // Execute custom SQL query
-app.post('/api/execute-query', async (req, res) => {
+app.post('/api/execute-query', verifyToken, requirePermission('sql.execute'), requireScope('sql:execute'), async (req, res) => {
   try {
     const { query } = req.body;
     
@@ -266,7 +313,7 @@ app.post('/api/execute-query', async (req, res) => {
 });
 
 // Get database schema information
-app.get('/api/schema', async (req, res) => {
+app.get('/api/schema', verifyToken, requirePermission('schema.read'), requireScope('data:read'), async (req, res) => {
   try {
     const tablesQuery = `
       SELECT 
@@ -312,7 +359,7 @@ app.get('/api/schema', async (req, res) => {
 });
 
 // Get database connection info
-app.get('/api/connection-info', async (req, res) => {
+app.get('/api/connection-info', verifyToken, requirePermission('schema.read'), requireScope('data:read'), async (req, res) => {
   try {
     const [versionResult, timeResult, userResult, dbResult] = await Promise.all([
       prisma.$queryRaw`SELECT version() as version`,
@@ -344,7 +391,7 @@ app.get('/api/connection-info', async (req, res) => {
 });
 
 // Delete string by ID
-app.delete('/api/strings/:id', async (req, res) => {
+app.delete('/api/strings/:id', verifyToken, requirePermission('strings.write'), requireScope('data:write'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -393,9 +440,18 @@ app.delete('/api/strings/:id', async (req, res) => {
   }
 });
 
-// ==================== GITHUB OAUTH ROUTES ====================
+// ==================== OAUTH / OIDC ROUTES ====================
 
-// GitHub OAuth routes
+// Sign-in with any configured OAuth2/OIDC provider
+app.use('/api/auth/oauth', oauthRoutes);
+
+// Passkey (WebAuthn) registration and sign-in
+app.use('/api/auth/passkeys', passkeyRoutes);
+
+// Passwordless sign-in with a link sent by email
+app.use('/api/auth/magic-link', magicLinkRoutes);
+
+// GitHub OAuth routes (kept for the original URLs)
 app.use('/api/auth', githubAuthRoutes);
 
 // ==================== AUTHENTICATION ENDPOINTS ====================
@@ -404,7 +460,9 @@ app.use('/api/auth', githubAuthRoutes);
 app.post('/api/auth/register', [
   body('username').isLength({ min: 3, max: 50 }).trim().escape(),
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }).trim()
+  // Length and strength rules are applied by the password policy
+  body('password').isString().trim(),
+  body('inviteCode').optional().isString().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -416,13 +474,15 @@ app.post('/api/auth/register', [
       });
     }
 
-    const { username, email, password, role = 'user' } = req.body;
-    const result = await userService.registerUser(username, email, password, role);
+    // The role comes from the registration policy (or the invite), never from the request
+    const { username, email, password, inviteCode } = req.body;
+    const result = await userService.signUpUser({ username, email, password, inviteCode });
 
     if (result.success) {
+      await userService.requestEmailVerification(result.user.id);
       res.status(201).json(result);
     } else {
-      res.status(400).json(result);
+      res.status(result.status || 400).json(result);
     }
   } catch (error) {
     console.error('Registration error:', error);
@@ -430,6 +490,19 @@ app.post('/api/auth/register', [
   }
 });
 
+/**
+ * Answer a login attempt refused by the login throttle
+ */
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(Math.ceil(throttle.retryAfterMs / 1000)));
+  res.status(429).json({
+    success: false,
+    code: throttle.code,
+    message: throttle.message,
+    retryAfter: Math.ceil(throttle.retryAfterMs / 1000)
+  });
+};
+
 // User login
 app.post('/api/auth/login', [
   body('username').trim().escape(),
@@ -446,13 +519,29 @@ app.post('/api/auth/login', [
     }
 
     const { username, password } = req.body;
+    const { ipAddress, userAgent } = getRequestContext(req);
+
+    const throttle = await loginThrottleService.checkLogin({ ipAddress, username });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
     const result = await userService.loginUser(username, password);
 
-    if (result.success) {
-      createSession(res, result.user.id, result.user.username, result.user.role);
+    if (result.code === 'invalid_credentials') {
+      await loginThrottleService.recordFailure({ ipAddress, username, userAgent, source: 'password' });
+    } else if (result.success) {
+      await loginThrottleService.recordSuccess({ ipAddress, username });
+    }
+
+    if (result.success && result.mfaRequired) {
+      // Password accepted; the session is created once the second factor is verified
       res.json(result);
+    } else if (result.success) {
+      const { token, refreshToken, csrfToken } = await createSession(res, result.user.id, result.user.username, result.user.role, getRequestContext(req));
+      res.json({ ...result, token, refreshToken, csrfToken });
     } else {
-      res.status(401).json(result);
+      res.status(result.code === 'ldap_unavailable' ? 503 : 401).json(result);
     }
   } catch (error) {
     console.error('Login error:', error);
@@ -460,16 +549,143 @@ app.post('/api/auth/login', [
   }
 });
 
+// Complete login with a 2FA code or recovery code
+app.post('/api/auth/login/mfa', [
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const challenge = verifyMfaToken(req.body.mfaToken || req.session?.mfaToken, 'mfa_login');
+
+    if (!challenge) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired 2FA token' });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ success: false, message: 'A verification code or recovery code is required' });
+    }
+
+    // The second step has its own per-account lockout; this adds the per-IP limits and bans
+    const { ipAddress, userAgent } = getRequestContext(req);
+    const throttle = await loginThrottleService.checkLogin({ ipAddress });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const result = await mfaService.verifyLoginChallenge(challenge.userId, { code, recoveryCode });
+
+    if (!result.success) {
+      await loginThrottleService.recordFailure({ ipAddress, userId: challenge.userId, userAgent, source: 'mfa' });
+      return res.status(401).json(result);
+    }
+
+    if (req.session) {
+      delete req.session.mfaToken;
+    }
+
+    const { token, refreshToken, csrfToken } = await createSession(res, result.user.id, result.user.username, result.user.role, getRequestContext(req));
+    res.json({ ...result, token, refreshToken, csrfToken });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+// Refresh access token (rotates the refresh token)
+app.post('/api/auth/refresh', requireCsrfForRefreshCookie, async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken || req.cookies?.[authConfig.cookies.refreshToken];
+
+    if (!refreshToken) {
+      return res.status(401).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const result = await refreshSession(res, refreshToken, getRequestContext(req));
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      await clearSession(res);
+      res.status(401).json({ success: false, message: result.message });
+    }
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh session' });
+  }
+});
+
 // User logout
-app.post('/api/auth/logout', (req, res) => {
-  clearSession(res);
-  res.json({ success: true, message: 'Logged out successfully' });
+app.post('/api/auth/logout', requireCsrfForRefreshCookie, optionalAuth, async (req, res) => {
+  try {
+    await clearSession(res, req.body?.refreshToken || req.cookies?.[authConfig.cookies.refreshToken], req.auth?.sessionId);
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Logout failed' });
+  }
+});
+
+// List active sessions (signed-in devices)
+app.get('/api/auth/sessions', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await sessionService.listActiveSessions(req.user.id);
+
+    if (result.success) {
+      result.sessions = result.sessions.map(session => ({
+        ...session,
+        current: session.id === req.auth.sessionId
+      }));
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list sessions' });
+  }
+});
+
+// Revoke a single session
+app.delete('/api/auth/sessions/:sessionId', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await sessionService.revokeSession(req.user.id, req.params.sessionId);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    if (req.params.sessionId === req.auth.sessionId) {
+      await clearSession(res);
+    }
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke session' });
+  }
+});
+
+// Log out everywhere (revoke all sessions)
+app.delete('/api/auth/sessions', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await sessionService.revokeAllSessions(req.user.id);
+    await clearSession(res);
+    res.json({ success: true, message: 'All sessions revoked successfully', revoked: result.revoked });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke sessions' });
+  }
 });
 
 // Get user profile
-app.get('/api/auth/profile', verifyToken, async (req, res) => {
+app.get('/api/auth/profile', verifyToken, requirePermission('account.manage'), async (req, res) => {
   try {
     const result = await userService.getUserProfile(req.user.id);
+
+    if (result.success && req.auth.impersonator) {
+      result.impersonatedBy = req.auth.impersonator;
+    }
+
     res.json(result);
   } catch (error) {
     console.error('Get profile error:', error);
@@ -477,35 +693,191 @@ app.get('/api/auth/profile', verifyToken, async (req, res) => {
   }
 });
 
-// ==================== DATABASE DIAGNOSTICS ENDPOINTS ====================
+// End an impersonation session (the admin's own session is not affected)
+app.post('/api/auth/impersonation/stop', verifyToken, async (req, res) => {
+  try {
+    const { impersonator, sessionId } = req.auth;
 
-// Run database diagnostics
-app.get('/api/diagnostics', verifyToken, async (req, res) => {
+    if (!impersonator) {
+      return res.status(400).json({ success: false, message: 'This session is not an impersonation session' });
+    }
+
+    await sessionService.revokeFamily(sessionId);
+    await auditService.logEvent('impersonation.ended', 'users', {
+      userId: impersonator.id,
+      ...getRequestContext(req),
+      details: { targetUserId: req.user.id, sessionId }
+    });
+
+    console.log(`👤 ${impersonator.username} stopped impersonating ${req.user.username}`);
+    res.json({ success: true, message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ success: false, message: 'Failed to end impersonation' });
+  }
+});
+
+// Change password (the new password must satisfy the password policy)
+app.put('/api/auth/change-password', verifyToken, requirePermission('account.manage'), [
+  body('currentPassword').isString().notEmpty(),
+  body('newPassword').isString().trim()
+], async (req, res) => {
   try {
-    const result = await databaseService.runDiagnostics();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await userService.changePassword(req.user.id, req.body.currentPassword, req.body.newPassword);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to change password' });
+  }
+});
+
+// Password requirements, for sign-up and password forms
+app.get('/api/auth/password-policy', (req, res) => {
+  res.json({ success: true, policy: passwordPolicyService.getPolicy() });
+});
+
+// ==================== PASSWORD RESET & EMAIL VERIFICATION ====================
+
+// Request a password reset link
+app.post('/api/auth/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await userService.requestPasswordReset(req.body.email);
     res.json(result);
   } catch (error) {
-    console.error('Diagnostics error:', error);
-    res.status(500).json({ success: false, message: 'Diagnostics failed' });
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to request password reset' });
   }
 });
 
-// Auto-fix database issues
-app.post('/api/diagnostics/auto-fix', verifyToken, requireRole('admin'), async (req, res) => {
+// Reset password with a token from the reset link
+app.post('/api/auth/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isString().trim()
+], async (req, res) => {
   try {
-    const result = await databaseService.autoFixSchema();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await userService.resetPassword(req.body.token, req.body.password);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset password' });
+  }
+});
+
+// Verify email address with a token from the verification link
+app.post('/api/auth/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await userService.verifyEmail(req.body.token);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify email address' });
+  }
+});
+
+// Resend the verification email
+app.post('/api/auth/verify-email/resend', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await userService.requestEmailVerification(req.user.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send verification email' });
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ENDPOINTS ====================
+
+// Get 2FA status
+app.get('/api/auth/mfa', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await mfaService.getMfaStatus(req.user.id);
     res.json(result);
   } catch (error) {
-    console.error('Auto-fix error:', error);
-    res.status(500).json({ success: false, message: 'Auto-fix failed' });
+    console.error('2FA status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get 2FA status' });
   }
 });
 
-// ==================== DATA MANAGEMENT ENDPOINTS ====================
+// Start 2FA enrollment (returns the otpauth URI for the authenticator app)
+app.post('/api/auth/mfa/setup', verifyTokenOrMfaEnrollment, requireAccountPermission, async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : req.mfaChallenge.userId;
+    const result = await mfaService.beginEnrollment(userId);
 
-// Insert data
-app.post('/api/data/:tableName', verifyToken, [
-  body('data').isObject()
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start 2FA setup' });
+  }
+});
+
+// Confirm 2FA enrollment and receive recovery codes
+app.post('/api/auth/mfa/enable', verifyTokenOrMfaEnrollment, requireAccountPermission, [
+  body('code').isString().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -517,78 +889,217 @@ app.post('/api/data/:tableName', verifyToken, [
       });
     }
 
-    const { tableName } = req.params;
-    const { data, metadata } = req.body;
-    const result = await dataService.insertData(tableName, data, req.user.id, metadata);
+    const userId = req.user ? req.user.id : req.mfaChallenge.userId;
+    const result = await mfaService.enableMfa(userId, req.body.code);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    // Enrollment forced during login completes the login
+    if (req.mfaChallenge) {
+      if (req.session) {
+        delete req.session.mfaToken;
+      }
+
+      const { token, refreshToken, csrfToken } = await createSession(res, result.user.id, result.user.username, result.user.role, getRequestContext(req));
+      return res.json({ ...result, token, refreshToken, csrfToken });
+    }
+
     res.json(result);
   } catch (error) {
-    console.error('Insert data error:', error);
-    res.status(500).json({ success: false, message: 'Failed to insert data' });
+    console.error('2FA enable error:', error);
+    res.status(500).json({ success: false, message: 'Failed to enable 2FA' });
   }
 });
 
-// Get data
-app.get('/api/data/:tableName', verifyToken, async (req, res) => {
+// Disable 2FA
+app.post('/api/auth/mfa/disable', verifyToken, requirePermission('account.manage'), async (req, res) => {
   try {
-    const { tableName } = req.params;
-    const { limit = 100, offset = 0, orderBy = 'created_at', orderDirection = 'DESC' } = req.query;
-    
-    const result = await dataService.getData(tableName, req.user.id, {
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      orderBy,
-      orderDirection
-    });
-    
+    const { code, recoveryCode } = req.body;
+    const result = await mfaService.disableMfa(req.user.id, { code, recoveryCode });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ success: false, message: 'Failed to disable 2FA' });
+  }
+});
+
+// Regenerate recovery codes
+app.post('/api/auth/mfa/recovery-codes', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await mfaService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ success: false, message: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// ==================== API KEY ENDPOINTS ====================
+
+// List API keys
+app.get('/api/auth/api-keys', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await apiKeyService.listApiKeys(req.user.id);
     res.json(result);
   } catch (error) {
-    console.error('Get data error:', error);
-    res.status(500).json({ success: false, message: 'Failed to get data' });
+    console.error('List API keys error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list API keys' });
   }
 });
 
-// Export data
-app.get('/api/data/:tableName/export', verifyToken, async (req, res) => {
+// Create an API key (the key is only returned in this response)
+app.post('/api/auth/api-keys', verifyToken, requirePermission('account.manage'), [
+  body('name').isLength({ min: 1, max: 100 }).trim().escape(),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isString(),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }),
+  body('allowedIps').optional().isArray(),
+  body('allowedIps.*').optional().isString()
+], async (req, res) => {
   try {
-    const { tableName } = req.params;
-    const { format = 'json', limit = 1000, includeMetadata = false } = req.query;
-    
-    const result = await dataService.exportData(tableName, format, req.user.id, {
-      limit: parseInt(limit),
-      includeMetadata: includeMetadata === 'true'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { name, scopes, expiresInDays, allowedIps = [] } = req.body;
+    const result = await apiKeyService.createApiKey(req.user.id, {
+      name,
+      scopes,
+      allowedIps,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
     });
 
     if (result.success) {
-      res.setHeader('Content-Type', result.contentType);
-      res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
-      res.send(result.data);
+      res.status(201).json(result);
     } else {
       res.status(400).json(result);
     }
   } catch (error) {
-    console.error('Export data error:', error);
-    res.status(500).json({ success: false, message: 'Failed to export data' });
+    console.error('Create API key error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create API key' });
   }
 });
 
-// ==================== ADMIN ENDPOINTS ====================
+// Revoke an API key
+app.delete('/api/auth/api-keys/:id', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await apiKeyService.revokeApiKey(req.user.id, parseInt(req.params.id));
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke API key' });
+  }
+});
 
-// Get all users (admin only)
-app.get('/api/admin/users', verifyToken, requireRole('admin'), async (req, res) => {
+// ==================== LINKED IDENTITY ENDPOINTS ====================
+// Linking starts at POST /api/auth/oauth/:provider/link
+
+// List linked OAuth/OIDC identities
+app.get('/api/auth/identities', verifyToken, requirePermission('account.manage'), async (req, res) => {
   try {
-    const result = await userService.getAllUsers();
+    const result = await identityService.listIdentities(req.user.id);
     res.json(result);
   } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ success: false, message: 'Failed to get users' });
+    console.error('List identities error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list linked identities' });
   }
 });
 
+// Unlink an identity (refused if it is the account's only sign-in method)
+app.delete('/api/auth/identities/:id', verifyToken, requirePermission('account.manage'), async (req, res) => {
+  try {
+    const result = await identityService.unlinkIdentity(req.user.id, parseInt(req.params.id));
+
+    if (result.success) {
+      console.log(`🔗 User ${req.user.username} unlinked identity ${req.params.id}`);
+      res.json(result);
+    } else {
+      res.status(result.status || 400).json(result);
+    }
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlink identity' });
+  }
+});
+
+// ==================== DATABASE DIAGNOSTICS ENDPOINTS ====================
+
+// Run database diagnostics
+app.get('/api/diagnostics', verifyToken, requirePermission('diagnostics.run'), requireScope('diagnostics:run'), async (req, res) => {
+  try {
+    const result = await databaseService.runDiagnostics();
+    res.json(result);
+  } catch (error) {
+    console.error('Diagnostics error:', error);
+    res.status(500).json({ success: false, message: 'Diagnostics failed' });
+  }
+});
+
+// Auto-fix database issues
+app.post('/api/diagnostics/auto-fix', verifyToken, requirePermission('diagnostics.fix'), requireScope('diagnostics:run'), async (req, res) => {
+  try {
+    const result = await databaseService.autoFixSchema();
+    res.json(result);
+  } catch (error) {
+    console.error('Auto-fix error:', error);
+    res.status(500).json({ success: false, message: 'Auto-fix failed' });
+  }
+});
+
+// ==================== DATA MANAGEMENT ENDPOINTS ====================
+
+// Collection records: CRUD, search, statistics and export
+app.use('/api/data', dataRoutes);
+
+// Collection definitions: versioned JSON Schemas enforced on insert and update
+app.use('/api/collections', collectionRoutes);
+
+// ==================== AUDIT LOG ENDPOINTS ====================
+
+// Audit trail of data changes and security events
+app.use('/api/audit', auditRoutes);
+
+// ==================== ACCOUNT DATA ENDPOINTS ====================
+
+// Self-service data export and account deletion
+app.use('/api/account', accountRoutes);
+
+// Scheduled jobs (Vercel Cron), e.g. purging accounts whose deletion is due
+app.use('/api/cron', cronRoutes);
+
+// ==================== ADMIN ENDPOINTS ====================
+
+// User, role, invite and login-security management
+app.use('/api/admin', adminRoutes);
+
 // Initialize database on startup
 const initializeApp = async () => {
   try {
     console.log('🔧 Initializing application...');
     await initializeDatabase();
+    await rbacService.ensureDefaultRoles();
     console.log('✅ Application initialized successfully');
   } catch (error) {
     console.error('❌ Application initialization failed:', error);
@@ -613,6 +1124,12 @@ if (process.env.NODE_ENV !== 'production') {
     console.log(`🔌 API URL: http://localhost:${PORT}/api`);
     console.log(`⚛️  Frontend URL: http://localhost:${PORT}`);
   });
+
+  // Purge accounts whose deletion grace period has ended. Serverless deployments
+  // never get here and use /api/cron/purge-deletions or npm run accounts:purge.
+  setInterval(() => {
+    accountService.purgeScheduledDeletions().catch(error => console.error('❌ Account purge error:', error));
+  }, authConfig.accountDeletion.purgeIntervalMs).unref();
 }
 
 // Export for Vercel
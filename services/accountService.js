@@ -0,0 +1,293 @@
+/**
+ * Account Service
+ *
+ * Self-service data export and account deletion: users can download everything
+ * tied to their account, and schedule its deletion after a grace period
+ */
+
+const { pool } = require('../lib/neon');
+const { query } = require('../lib/prisma');
+const userAdminService = require('./userAdminService');
+const loginThrottleService = require('./loginThrottleService');
+const auditService = require('./auditService');
+const mailService = require('./mailService');
+const passwordHashService = require('./passwordHashService');
+const verificationTokenService = require('./verificationTokenService');
+const { decryptSensitiveFields } = require('./databaseService');
+const authConfig = require('../config/auth');
+
+const DELETION_TOKEN_PURPOSE = 'account_deletion';
+
+/**
+ * Decrypt a single AES-encrypted column value; JSON payloads are parsed
+ */
+const decryptValue = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const { plain } = decryptSensitiveFields({}, { plain: value });
+  try {
+    return JSON.parse(plain);
+  } catch (error) {
+    return plain;
+  }
+};
+
+/**
+ * Rows of a table the Prisma schema does not cover, or [] when the table does not exist
+ */
+const selectOwnedRows = async (table, columns, userId) => {
+  const exists = await pool.query('SELECT to_regclass($1) AS name', [table]);
+  if (!exists.rows[0].name) {
+    return [];
+  }
+
+  const result = await pool.query(`SELECT ${columns} FROM ${table} WHERE user_id = $1 ORDER BY id`, [userId]);
+  return result.rows;
+};
+
+/**
+ * Build an archive of everything tied to a user, with encrypted fields decrypted.
+ * Secrets (password and key hashes, 2FA secrets, refresh tokens) are left out.
+ */
+const exportAccountData = async (userId) => {
+  const account = await query(async (prisma) => {
+    return await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        emailVerified: true,
+        role: true,
+        avatarUrl: true,
+        isActive: true,
+        approvalStatus: true,
+        mfaEnabled: true,
+        deletionScheduledFor: true,
+        lastLogin: true,
+        createdAt: true,
+        updatedAt: true,
+        identities: {
+          select: { provider: true, subject: true, email: true, username: true, displayName: true, createdAt: true, lastLoginAt: true }
+        },
+        sessions: {
+          select: { createdAt: true, lastSeenAt: true, expiresAt: true, revokedAt: true, ipAddress: true, userAgent: true },
+          where: { rotatedAt: null },
+          orderBy: { createdAt: 'desc' }
+        },
+        apiKeys: {
+          select: { name: true, prefix: true, scopes: true, allowedIps: true, createdAt: true, lastUsedAt: true, lastUsedIp: true, expiresAt: true, revokedAt: true }
+        },
+        passkeys: {
+          select: { name: true, credentialId: true, transports: true, aaguid: true, backedUp: true, createdAt: true, lastUsedAt: true }
+        },
+        strings: { select: { id: true, inputString: true, createdAt: true }, orderBy: { id: 'asc' } },
+        userData: { orderBy: { id: 'asc' } },
+        auditLogs: {
+          select: { action: true, resource: true, details: true, ipAddress: true, userAgent: true, createdAt: true },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+  });
+
+  if (!account) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  const { identities, sessions, apiKeys, passkeys, strings, userData, auditLogs, ...profile } = account;
+
+  const dataStorage = await selectOwnedRows('data_storage', 'id, table_name, data, encrypted_fields, metadata, created_at, updated_at', userId);
+  const connectionStrings = await selectOwnedRows('connection_strings', 'id, name, connection_string, encrypted_string, is_active, created_at, updated_at', userId);
+
+  const archive = {
+    exportedAt: new Date().toISOString(),
+    profile,
+    identities,
+    sessions,
+    apiKeys,
+    passkeys,
+    strings,
+    userData: userData.map(row => ({
+      id: row.id,
+      tableName: row.tableName,
+      data: row.encryptedData ? decryptValue(row.encryptedData) : row.rawData,
+      metadata: row.metadata,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    })),
+    dataStorage: dataStorage.map(row => ({
+      id: row.id,
+      tableName: row.table_name,
+      data: decryptSensitiveFields(row.data, row.encrypted_fields || {}),
+      metadata: row.metadata,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    })),
+    connectionStrings: connectionStrings.map(row => ({
+      id: row.id,
+      name: row.name,
+      connectionString: row.encrypted_string ? decryptValue(row.encrypted_string) : row.connection_string,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    })),
+    auditLogs
+  };
+
+  return {
+    success: true,
+    filename: `account-export-${profile.username}-${archive.exportedAt.slice(0, 10)}.json`,
+    archive
+  };
+};
+
+/**
+ * Check that the request to delete an account comes from its owner: the current
+ * password, or for accounts without one, the token from an emailed confirmation link
+ */
+const confirmOwner = async (user, { password, confirmationToken }) => {
+  if (user.passwordHash) {
+    return Boolean(password) && await passwordHashService.verifyPassword(password, user.passwordHash);
+  }
+
+  if (!confirmationToken) {
+    return false;
+  }
+
+  const result = await verificationTokenService.consumeToken(confirmationToken, DELETION_TOKEN_PURPOSE);
+  return result.success && result.userId === user.id;
+};
+
+/**
+ * Email an account without a password a single-use link that confirms its deletion
+ */
+const requestDeletionConfirmation = async (user) => {
+  if (user.deletionScheduledFor) {
+    return { success: false, status: 409, message: 'Account deletion is already scheduled', deletionScheduledFor: user.deletionScheduledFor };
+  }
+
+  const { confirmationTtlMs } = authConfig.accountDeletion;
+  const token = await verificationTokenService.createToken(user.id, DELETION_TOKEN_PURPOSE, confirmationTtlMs);
+  const sent = await mailService.sendAccountDeletionConfirmationEmail(user, token, confirmationTtlMs);
+
+  if (!sent.success) {
+    return { success: false, status: 500, message: 'Failed to send the confirmation email' };
+  }
+
+  return {
+    success: true,
+    confirmationSent: true,
+    message: 'We emailed you a link to confirm the deletion of your account.'
+  };
+};
+
+/**
+ * Schedule the user's account for deletion once the grace period has passed. Accounts
+ * without a password are first sent a confirmation link, and scheduled once its token
+ * comes back.
+ */
+const scheduleDeletion = async (userId, confirmation = {}) => {
+  const user = await query(async (prisma) => {
+    return await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, email: true, passwordHash: true, deletionScheduledFor: true }
+    });
+  });
+
+  if (!user) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  if (!user.passwordHash && !confirmation.confirmationToken) {
+    return await requestDeletionConfirmation(user);
+  }
+
+  if (!(await confirmOwner(user, confirmation))) {
+    return {
+      success: false,
+      status: 401,
+      message: user.passwordHash ? 'Password is incorrect' : 'Invalid or expired confirmation link'
+    };
+  }
+
+  if (user.deletionScheduledFor) {
+    return { success: false, status: 409, message: 'Account deletion is already scheduled', deletionScheduledFor: user.deletionScheduledFor };
+  }
+
+  const deletionScheduledFor = new Date(Date.now() + authConfig.accountDeletion.gracePeriodMs);
+  await query(async (prisma) => {
+    await prisma.user.update({ where: { id: userId }, data: { deletionScheduledFor } });
+  });
+
+  await mailService.sendAccountDeletionEmail(user, deletionScheduledFor);
+
+  return {
+    success: true,
+    message: 'Account deletion scheduled. Sign in and cancel before the date below to keep your account.',
+    deletionScheduledFor
+  };
+};
+
+/**
+ * Cancel a scheduled deletion
+ */
+const cancelDeletion = async (userId) => {
+  return await query(async (prisma) => {
+    const result = await prisma.user.updateMany({
+      where: { id: userId, deletionScheduledFor: { not: null } },
+      data: { deletionScheduledFor: null }
+    });
+
+    if (result.count === 0) {
+      return { success: false, message: 'No account deletion is scheduled' };
+    }
+
+    return { success: true, message: 'Account deletion cancelled' };
+  });
+};
+
+/**
+ * Delete every account whose grace period has ended. Owned data is deleted and
+ * audit rows are anonymized rather than removed.
+ */
+const purgeScheduledDeletions = async () => {
+  const due = await query(async (prisma) => {
+    return await prisma.user.findMany({
+      where: { deletionScheduledFor: { lte: new Date() } },
+      select: { id: true, username: true, email: true }
+    });
+  });
+
+  let purged = 0;
+  for (const user of due) {
+    const result = await userAdminService.deleteUser(user.id, { anonymizeAudit: true });
+    if (!result.success) {
+      console.error(`❌ Failed to purge account ${user.id}: ${result.message}`);
+      continue;
+    }
+
+    await loginThrottleService.clearAccount(user.username);
+    await loginThrottleService.clearAccount(user.email);
+    await auditService.logEvent('account.deleted', 'users', {
+      details: { deletedUserId: user.id, rows: result.deleted, anonymizedAuditLogs: result.anonymizedAuditLogs }
+    });
+
+    purged++;
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} account(s) scheduled for deletion`);
+  }
+
+  return { success: true, purged };
+};
+
+module.exports = {
+  exportAccountData,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeScheduledDeletions
+};
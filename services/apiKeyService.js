@@ -0,0 +1,163 @@
+/**
+ * API Key Service
+ *
+ * Personal access tokens with scopes, optional expiry and optional IP restrictions.
+ * Keys are stored hashed; the full key is only returned when it is created.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../lib/prisma');
+const { isValidCidr, ipMatches } = require('../lib/cidr');
+const authConfig = require('../config/auth');
+
+/**
+ * Hash an API key for storage
+ */
+const hashKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Check whether a bearer token looks like an API key rather than a JWT
+ */
+const isApiKey = (token) => {
+  return typeof token === 'string' && token.startsWith(authConfig.apiKeys.prefix);
+};
+
+/**
+ * Shape an API key record for responses (never includes the hash)
+ */
+const toPublicKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  allowedIps: apiKey.allowedIps,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * Create an API key for a user
+ */
+const createApiKey = async (userId, { name, scopes, expiresAt = null, allowedIps = [] }) => {
+  return await query(async (prisma) => {
+    try {
+      const unknownScopes = scopes.filter(scope => !authConfig.apiKeys.scopes[scope]);
+      if (unknownScopes.length > 0) {
+        return { success: false, message: `Unknown scopes: ${unknownScopes.join(', ')}` };
+      }
+
+      const invalidIps = allowedIps.filter(entry => !isValidCidr(entry));
+      if (invalidIps.length > 0) {
+        return { success: false, message: `Invalid IP restrictions: ${invalidIps.join(', ')}` };
+      }
+
+      const activeCount = await prisma.apiKey.count({ where: { userId: userId, revokedAt: null } });
+      if (activeCount >= authConfig.apiKeys.maxPerUser) {
+        return { success: false, message: `A user can have at most ${authConfig.apiKeys.maxPerUser} API keys` };
+      }
+
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const key = `${authConfig.apiKeys.prefix}${secret}`;
+
+      const apiKey = await prisma.apiKey.create({
+        data: {
+          userId: userId,
+          name: name,
+          prefix: key.slice(0, authConfig.apiKeys.prefix.length + 8),
+          keyHash: hashKey(key),
+          scopes: [...new Set(scopes)],
+          allowedIps: allowedIps,
+          expiresAt: expiresAt
+        }
+      });
+
+      return {
+        success: true,
+        message: 'API key created. Copy it now, it will not be shown again.',
+        key,
+        apiKey: toPublicKey(apiKey)
+      };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      return { success: false, message: 'Failed to create API key', error: error.message };
+    }
+  });
+};
+
+/**
+ * List a user's API keys
+ */
+const listApiKeys = async (userId) => {
+  return await query(async (prisma) => {
+    try {
+      const apiKeys = await prisma.apiKey.findMany({
+        where: { userId: userId },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return { success: true, apiKeys: apiKeys.map(toPublicKey) };
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      return { success: false, message: 'Failed to list API keys', error: error.message };
+    }
+  });
+};
+
+/**
+ * Revoke one of a user's API keys
+ */
+const revokeApiKey = async (userId, apiKeyId) => {
+  return await query(async (prisma) => {
+    const result = await prisma.apiKey.updateMany({
+      where: { id: apiKeyId, userId: userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      return { success: false, message: 'API key not found' };
+    }
+
+    return { success: true, message: 'API key revoked' };
+  });
+};
+
+/**
+ * Authenticate a request made with an API key
+ */
+const authenticateApiKey = async (key, ip) => {
+  return await query(async (prisma) => {
+    const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashKey(key) } });
+
+    if (!apiKey || apiKey.revokedAt) {
+      return { success: false, message: 'Invalid API key.' };
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+      return { success: false, message: 'API key expired.' };
+    }
+
+    if (apiKey.allowedIps.length > 0 && !ipMatches(ip, apiKey.allowedIps)) {
+      return { success: false, message: 'API key is not allowed from this IP address.' };
+    }
+
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ip }
+    });
+
+    return { success: true, apiKey };
+  });
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,61 @@
+/**
+ * Audit Service
+ *
+ * Security audit events (logins, lockouts, admin actions) stored in audit_logs
+ */
+
+const { query } = require('../lib/prisma');
+
+/**
+ * Record an audit event. Failures are logged and never interrupt the caller.
+ */
+const logEvent = async (action, resource, { userId = null, details = null, ipAddress = null, userAgent = null } = {}) => {
+  try {
+    await query(async (prisma) => {
+      await prisma.auditLog.create({
+        data: {
+          action: action,
+          resource: resource,
+          userId: userId,
+          details: details,
+          ipAddress: ipAddress,
+          userAgent: userAgent
+        }
+      });
+    });
+  } catch (error) {
+    console.error(`❌ Audit log error (${action}):`, error);
+  }
+};
+
+/**
+ * Record many audit events with one insert, e.g. one per record of a bulk operation.
+ * Events are { action, resource, userId, details }. Failures are logged, not thrown.
+ */
+const logEvents = async (events) => {
+  if (events.length === 0) {
+    return;
+  }
+
+  try {
+    await query(async (prisma) => {
+      await prisma.auditLog.createMany({
+        data: events.map(event => ({
+          action: event.action,
+          resource: event.resource,
+          userId: event.userId || null,
+          details: event.details || undefined,
+          ipAddress: event.ipAddress || null,
+          userAgent: event.userAgent || null
+        }))
+      });
+    });
+  } catch (error) {
+    console.error(`❌ Audit log error (${events.length} events):`, error);
+  }
+};
+
+module.exports = {
+  logEvent,
+  logEvents
+};
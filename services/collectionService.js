@@ -0,0 +1,311 @@
+/**
+ * Collection Service
+ *
+ * Registry of collection definitions: versioned JSON Schemas (draft 2020-12) that
+ * records in data_storage must match on insert and update. New versions start as
+ * drafts; before one is activated, existing records are checked against it.
+ * Collections without an active schema accept any object.
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { query } = require('../lib/prisma');
+const { decryptSensitiveFields } = require('./databaseService');
+
+const REPORT_BATCH_SIZE = 500;
+const REPORT_MAX_FAILURES = 100;
+
+// collection_schemas.id -> compiled validator. Schema versions never change once created.
+const validators = new Map();
+
+/**
+ * Compile a JSON Schema, throwing if it is not a valid draft 2020-12 schema.
+ * Each schema gets its own Ajv instance so versions can share an $id.
+ */
+const compileSchema = (schema) => {
+  const ajv = new Ajv2020({ allErrors: true });
+  addFormats(ajv);
+  return ajv.compile(schema);
+};
+
+const getValidator = (schemaVersion) => {
+  if (!validators.has(schemaVersion.id)) {
+    validators.set(schemaVersion.id, compileSchema(schemaVersion.schema));
+  }
+  return validators.get(schemaVersion.id);
+};
+
+// JSON Pointer escaping for property names
+const pointerSegment = (name) => String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Turn Ajv errors into field errors with a JSON Pointer to the offending field.
+ * Missing and unexpected properties point at the property itself.
+ */
+const toFieldErrors = (errors) => {
+  return errors.map(error => {
+    let path = error.instancePath;
+    if (error.keyword === 'required') {
+      path += `/${pointerSegment(error.params.missingProperty)}`;
+    } else if (error.keyword === 'additionalProperties' || error.keyword === 'unevaluatedProperties') {
+      path += `/${pointerSegment(error.params.additionalProperty || error.params.unevaluatedProperty)}`;
+    }
+
+    return {
+      path: path || '/',
+      message: error.message,
+      keyword: error.keyword
+    };
+  });
+};
+
+const toPublicVersion = (schemaVersion) => ({
+  version: schemaVersion.version,
+  status: schemaVersion.status,
+  schema: schemaVersion.schema,
+  createdBy: schemaVersion.createdBy,
+  createdAt: schemaVersion.createdAt,
+  activatedAt: schemaVersion.activatedAt
+});
+
+const toPublicCollection = (collection) => ({
+  name: collection.name,
+  description: collection.description,
+  activeVersion: collection.activeVersion,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt,
+  ...(collection.schemas && { versions: collection.schemas.map(toPublicVersion) })
+});
+
+/**
+ * Load the collection's active schema once and return a function checking record
+ * data against it, returning { valid: true } or { valid: false, version, errors }.
+ * Used to validate many records in one go.
+ */
+const getRecordValidator = async (tableName) => {
+  const active = await query(async (prisma) => {
+    return await prisma.collectionSchema.findFirst({
+      where: { status: 'active', collection: { name: tableName } }
+    });
+  });
+
+  if (!active) {
+    return () => ({ valid: true });
+  }
+
+  const validate = getValidator(active);
+  return (data) => {
+    if (validate(data)) {
+      return { valid: true };
+    }
+    return { valid: false, version: active.version, errors: toFieldErrors(validate.errors) };
+  };
+};
+
+/**
+ * Check a record's data against the collection's active schema. Returns
+ * { valid: true } or { valid: false, version, errors }.
+ */
+const validateRecord = async (tableName, data) => {
+  const validate = await getRecordValidator(tableName);
+  return validate(data);
+};
+
+/**
+ * List collection definitions
+ */
+const listCollections = async () => {
+  return await query(async (prisma) => {
+    const collections = await prisma.collection.findMany({ orderBy: { name: 'asc' } });
+    return { success: true, collections: collections.map(toPublicCollection) };
+  });
+};
+
+/**
+ * Get a collection definition with every schema version, newest first
+ */
+const getCollection = async (name) => {
+  return await query(async (prisma) => {
+    const collection = await prisma.collection.findUnique({
+      where: { name: name },
+      include: { schemas: { orderBy: { version: 'desc' } } }
+    });
+
+    if (!collection) {
+      return { success: false, status: 404, message: 'Collection not found' };
+    }
+
+    return { success: true, collection: toPublicCollection(collection) };
+  });
+};
+
+/**
+ * Add a schema version as a draft, creating the collection definition if needed.
+ * Drafts are not enforced until activated.
+ */
+const createSchemaVersion = async (name, { schema, description = null }, userId = null) => {
+  try {
+    compileSchema(schema);
+  } catch (error) {
+    return { success: false, message: `Invalid JSON Schema: ${error.message}` };
+  }
+
+  try {
+    return await query(async (prisma) => {
+      const created = await prisma.$transaction(async (tx) => {
+        const collection = await tx.collection.upsert({
+          where: { name: name },
+          create: { name: name, description: description },
+          update: description !== null ? { description: description } : {}
+        });
+
+        const latest = await tx.collectionSchema.findFirst({
+          where: { collectionId: collection.id },
+          orderBy: { version: 'desc' }
+        });
+
+        return await tx.collectionSchema.create({
+          data: {
+            collectionId: collection.id,
+            version: latest ? latest.version + 1 : 1,
+            schema: schema,
+            createdBy: userId
+          }
+        });
+      });
+
+      return { success: true, message: 'Schema version created', collection: name, schema: toPublicVersion(created) };
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { success: false, status: 409, message: 'Another schema version was created at the same time, try again' };
+    }
+
+    console.error('❌ Create schema version error:', error);
+    return { success: false, status: 500, message: 'Failed to create schema version' };
+  }
+};
+
+/**
+ * Check every record of the collection against a schema version, so the effect of
+ * activating it is known beforehand. Lists at most REPORT_MAX_FAILURES failing records.
+ */
+const validateExistingRecords = async (name, version) => {
+  try {
+    return await query(async (prisma) => {
+      const schemaVersion = await prisma.collectionSchema.findFirst({
+        where: { version: version, collection: { name: name } }
+      });
+
+      if (!schemaVersion) {
+        return { success: false, status: 404, message: 'Schema version not found' };
+      }
+
+      const validate = getValidator(schemaVersion);
+      const report = { collection: name, version, checked: 0, valid: 0, invalid: 0, failures: [], truncated: false };
+      let lastId = 0;
+
+      for (;;) {
+        const rows = await prisma.$queryRaw`
+          SELECT id, data, encrypted_fields
+          FROM data_storage
+          WHERE table_name = ${name} AND id > ${lastId}
+          ORDER BY id
+          LIMIT ${REPORT_BATCH_SIZE}
+        `;
+
+        for (const row of rows) {
+          report.checked++;
+          if (validate(decryptSensitiveFields(row.data, row.encrypted_fields || {}))) {
+            report.valid++;
+            continue;
+          }
+
+          report.invalid++;
+          if (report.failures.length < REPORT_MAX_FAILURES) {
+            report.failures.push({ recordId: row.id, errors: toFieldErrors(validate.errors) });
+          } else {
+            report.truncated = true;
+          }
+        }
+
+        if (rows.length < REPORT_BATCH_SIZE) {
+          break;
+        }
+        lastId = rows[rows.length - 1].id;
+      }
+
+      return { success: true, report };
+    });
+  } catch (error) {
+    console.error('❌ Validate existing records error:', error);
+    return { success: false, status: 500, message: 'Failed to validate existing records' };
+  }
+};
+
+/**
+ * Make a schema version the one enforced for the collection, retiring the previous
+ * one. Refused while existing records fail the new schema, unless `force` is set.
+ * Earlier versions can be activated again to roll back.
+ */
+const activateSchemaVersion = async (name, version, { force = false } = {}) => {
+  const validation = await validateExistingRecords(name, version);
+  if (!validation.success) {
+    return validation;
+  }
+
+  const { report } = validation;
+  if (report.invalid > 0 && !force) {
+    return {
+      success: false,
+      status: 409,
+      code: 'existing_records_invalid',
+      message: `${report.invalid} existing record(s) do not match schema version ${version}`,
+      report
+    };
+  }
+
+  try {
+    return await query(async (prisma) => {
+      const activated = await prisma.$transaction(async (tx) => {
+        const collection = await tx.collection.findUnique({ where: { name: name } });
+
+        await tx.collectionSchema.updateMany({
+          where: { collectionId: collection.id, status: 'active' },
+          data: { status: 'retired' }
+        });
+
+        await tx.collection.update({
+          where: { id: collection.id },
+          data: { activeVersion: version }
+        });
+
+        return await tx.collectionSchema.update({
+          where: { collectionId_version: { collectionId: collection.id, version: version } },
+          data: { status: 'active', activatedAt: new Date() }
+        });
+      });
+
+      return {
+        success: true,
+        message: `Schema version ${version} is now active`,
+        collection: name,
+        schema: toPublicVersion(activated),
+        report
+      };
+    });
+  } catch (error) {
+    console.error('❌ Activate schema version error:', error);
+    return { success: false, status: 500, message: 'Failed to activate schema version' };
+  }
+};
+
+module.exports = {
+  getRecordValidator,
+  validateRecord,
+  listCollections,
+  getCollection,
+  createSchemaVersion,
+  validateExistingRecords,
+  activateSchemaVersion
+};
@@ -6,6 +6,10 @@
 
 const { Pool } = require('pg');
 const { encryptSensitiveFields, decryptSensitiveFields } = require('./databaseService');
+const auditService = require('./auditService');
+const collectionService = require('./collectionService');
+const { compileFilter, compileFieldPath } = require('../lib/dataFilter');
+const { createSort, fetchPage, countRows } = require('../lib/pagination');
 
 // Initialize database pool
 const pool = new Pool({
@@ -13,11 +17,57 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
 });
 
+// Columns records can be sorted by, with the names accepted from clients
+const ORDER_COLUMNS = {
+  id: 'id',
+  created_at: 'created_at',
+  createdAt: 'created_at',
+  updated_at: 'updated_at',
+  updatedAt: 'updated_at'
+};
+const ORDER_DIRECTIONS = ['ASC', 'DESC'];
+const RECORD_COLUMNS = 'id, table_name, data, encrypted_fields, user_id, created_at, updated_at, metadata';
+
+// Bulk operations take at most BULK_MAX_RECORDS records, written BULK_BATCH_SIZE at a time.
+// "transaction" mode writes all records or none; "partial" writes the valid ones.
+const BULK_MAX_RECORDS = 5000;
+const BULK_BATCH_SIZE = 500;
+const BULK_MODES = ['transaction', 'partial'];
+
+/**
+ * Map a stored row to the record returned by the API, decrypting sensitive fields
+ */
+const toRecord = (row) => ({
+  id: row.id,
+  tableName: row.table_name,
+  data: decryptSensitiveFields(row.data, row.encrypted_fields || {}),
+  userId: row.user_id,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  metadata: row.metadata
+});
+
+/**
+ * Result for data that fails the collection's active schema
+ */
+const schemaValidationError = (tableName, validation) => ({
+  success: false,
+  status: 400,
+  code: 'schema_validation_failed',
+  message: `Data does not match schema version ${validation.version} of ${tableName}`,
+  errors: validation.errors
+});
+
 /**
  * Insert data into storage
  */
 const insertData = async (tableName, data, userId, metadata = {}) => {
   try {
+    const validation = await collectionService.validateRecord(tableName, data);
+    if (!validation.valid) {
+      return schemaValidationError(tableName, validation);
+    }
+
     // Encrypt sensitive fields
     const { data: cleanData, encryptedFields } = encryptSensitiveFields(data);
 
@@ -28,7 +78,7 @@ const insertData = async (tableName, data, userId, metadata = {}) => {
     `, [tableName, JSON.stringify(cleanData), JSON.stringify(encryptedFields), userId, JSON.stringify(metadata)]);
 
     // Log the insert operation
-    await logDataOperation(userId, 'INSERT', tableName, result.rows[0].id, null, cleanData);
+    await logDataOperation(userId, 'data.inserted', tableName, result.rows[0].id, null, cleanData);
 
     return {
       success: true,
@@ -50,69 +100,133 @@ const insertData = async (tableName, data, userId, metadata = {}) => {
 };
 
 /**
- * Get data from storage
+ * Conditions selecting a collection's records, optionally only the user's and
+ * only those matching a filter (see lib/dataFilter.js). Values are added to params.
  */
-const getData = async (tableName, userId = null, options = {}) => {
-  try {
-    const { limit = 100, offset = 0, orderBy = 'created_at', orderDirection = 'DESC' } = options;
-    
-    let query = `
-      SELECT id, table_name, data, encrypted_fields, user_id, created_at, updated_at, metadata
-      FROM data_storage 
-      WHERE table_name = $1
-    `;
-    
-    const params = [tableName];
-    let paramCount = 1;
+const buildConditions = (tableName, userId, filter, params) => {
+  params.push(tableName);
+  const conditions = [`table_name = $${params.length}`];
 
-    if (userId) {
-      paramCount++;
-      query += ` AND user_id = $${paramCount}`;
-      params.push(userId);
+  if (userId) {
+    params.push(userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+
+  if (filter) {
+    conditions.push(compileFilter(filter, params));
+  }
+
+  return conditions.join(' AND ');
+};
+
+/**
+ * Sort for a record column or a JSON field ("data.price"), or null if invalid.
+ * Ties are broken by id so pages are stable.
+ */
+const buildSort = (orderBy, orderDirection, params) => {
+  const direction = String(orderDirection).toUpperCase();
+  if (!ORDER_DIRECTIONS.includes(direction)) {
+    return null;
+  }
+
+  if (typeof orderBy === 'string' && orderBy.startsWith('data.')) {
+    const expr = compileFieldPath(orderBy.slice('data.'.length), params);
+    return createSort({ name: orderBy, expr, type: 'jsonb', direction });
+  }
+
+  const orderColumn = ORDER_COLUMNS[orderBy];
+  if (!orderColumn) {
+    return null;
+  }
+  return createSort({ name: orderColumn, expr: orderColumn, type: orderColumn === 'id' ? 'integer' : 'timestamp', direction });
+};
+
+const invalidOrderResult = () => ({
+  success: false,
+  status: 400,
+  message: `orderBy must be one of ${Object.keys(ORDER_COLUMNS).join(', ')} or data.<field>, and orderDirection ASC or DESC`
+});
+
+/**
+ * Result for a filter or cursor that cannot be used, or null for other errors
+ */
+const queryErrorResult = (error) => {
+  if (error.code === 'INVALID_FILTER' || error.code === 'INVALID_CURSOR') {
+    return { success: false, status: 400, message: error.message };
+  }
+  // invalid_regular_expression, raised by Postgres for bad $regex patterns
+  if (error.code === '2201B') {
+    return { success: false, status: 400, message: `Invalid regular expression in filter: ${error.message}` };
+  }
+  // invalid_datetime_format and datetime_field_overflow, raised for stored dates that
+  // only look valid (e.g. "2023-02-29")
+  if (error.code === '22007' || error.code === '22008') {
+    return { success: false, status: 400, message: `A record has a date the filter cannot compare: ${error.message}` };
+  }
+  return null;
+};
+
+/**
+ * Pagination info for a page from fetchPage. Offset pages report the exact total as
+ * before; cursor pages only count when asked to (`total`: "exact" or "estimate").
+ */
+const paginationInfo = async (page, { from, where, params }, { limit, offset, after, before, total }) => {
+  const pagination = {
+    limit,
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor
+  };
+
+  if (after || before) {
+    if (total) {
+      const count = await countRows(pool, { from, where, params }, total);
+      pagination.total = count.total;
+      pagination.totalEstimated = count.estimated;
     }
+    return pagination;
+  }
 
-    query += ` ORDER BY ${orderBy} ${orderDirection} LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
+  const count = await countRows(pool, { from, where, params }, total || 'exact');
+  return { total: count.total, ...(count.estimated && { totalEstimated: true }), offset, ...pagination };
+};
 
-    const result = await pool.query(query, params);
+/**
+ * Get data from storage, optionally filtered and sorted by record columns or JSON fields
+ */
+const getData = async (tableName, userId = null, options = {}) => {
+  try {
+    const {
+      limit = 100, offset = 0, orderBy = 'created_at', orderDirection = 'DESC', filter = null,
+      after = null, before = null, total = null
+    } = options;
 
-    // Decrypt sensitive fields for each record
-    const decryptedData = result.rows.map(row => {
-      const decrypted = decryptSensitiveFields(row.data, row.encrypted_fields || {});
-      return {
-        id: row.id,
-        tableName: row.table_name,
-        data: decrypted,
-        userId: row.user_id,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-        metadata: row.metadata
-      };
-    });
+    const params = [];
+    const where = buildConditions(tableName, userId, filter, params);
+    const countParams = [...params];
 
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM data_storage WHERE table_name = $1';
-    const countParams = [tableName];
-    
-    if (userId) {
-      countQuery += ' AND user_id = $2';
-      countParams.push(userId);
+    const sort = buildSort(orderBy, orderDirection, params);
+    if (!sort) {
+      return invalidOrderResult();
     }
 
-    const countResult = await pool.query(countQuery, countParams);
-    const totalCount = parseInt(countResult.rows[0].count);
+    const page = await fetchPage(pool, {
+      select: RECORD_COLUMNS, from: 'data_storage', where, params, sort, limit, offset, after, before
+    });
 
     return {
       success: true,
-      data: decryptedData,
-      pagination: {
-        total: totalCount,
-        limit,
-        offset,
-        hasMore: offset + limit < totalCount
-      }
+      data: page.rows.map(toRecord),
+      pagination: await paginationInfo(page, { from: 'data_storage', where, params: countParams }, {
+        limit, offset, after, before, total
+      })
     };
   } catch (error) {
+    const invalidQuery = queryErrorResult(error);
+    if (invalidQuery) {
+      return invalidQuery;
+    }
+
     console.error('❌ Get data error:', error);
     return {
       success: false,
@@ -123,117 +237,502 @@ const getData = async (tableName, userId = null, options = {}) => {
 };
 
 /**
- * Update data in storage
+ * Get a single record owned by the user
  */
-const updateData = async (id, data, userId) => {
+const getRecord = async (tableName, id, userId) => {
   try {
-    // Get existing data
-    const existingResult = await pool.query(
-      'SELECT data, encrypted_fields FROM data_storage WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
+    const result = await pool.query(`
+      SELECT id, table_name, data, encrypted_fields, user_id, created_at, updated_at, metadata
+      FROM data_storage
+      WHERE id = $1 AND table_name = $2 AND user_id = $3
+    `, [id, tableName, userId]);
 
-    if (existingResult.rows.length === 0) {
+    if (result.rows.length === 0) {
       return {
         success: false,
+        status: 404,
         message: 'Record not found or access denied'
       };
     }
 
-    const existingData = existingResult.rows[0].data;
-    const existingEncryptedFields = existingResult.rows[0].encrypted_fields || {};
+    return {
+      success: true,
+      data: toRecord(result.rows[0])
+    };
+  } catch (error) {
+    console.error('❌ Get record error:', error);
+    return {
+      success: false,
+      message: 'Failed to get record',
+      error: error.message
+    };
+  }
+};
 
-    // Encrypt sensitive fields in new data
-    const { data: cleanData, encryptedFields } = encryptSensitiveFields(data);
+/**
+ * Update data in storage. Replaces the record's data, or with `merge` only the
+ * given fields. With `tableName`, the record must belong to that collection.
+ */
+const updateData = async (id, data, userId, { tableName = null, merge = false } = {}) => {
+  const client = await pool.connect();
 
-    // Merge with existing encrypted fields
-    const mergedEncryptedFields = { ...existingEncryptedFields, ...encryptedFields };
+  try {
+    await client.query('BEGIN');
 
-    // Update the record
-    const result = await pool.query(`
-      UPDATE data_storage 
-      SET data = $1, encrypted_fields = $2, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3 AND user_id = $4
-      RETURNING updated_at
-    `, [JSON.stringify(cleanData), JSON.stringify(mergedEncryptedFields), id, userId]);
+    // Lock the record so concurrent merges don't lose fields
+    const existingResult = await client.query(`
+      SELECT data, encrypted_fields, table_name
+      FROM data_storage
+      WHERE id = $1 AND user_id = $2 AND ($3::text IS NULL OR table_name = $3)
+      FOR UPDATE
+    `, [id, userId, tableName]);
 
-    if (result.rows.length === 0) {
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return {
         success: false,
-        message: 'Failed to update record'
+        status: 404,
+        message: 'Record not found or access denied'
       };
     }
 
+    const existing = existingResult.rows[0];
+
+    // Validate the record as it will read after the change
+    const fullData = merge ?
+      { ...decryptSensitiveFields(existing.data, existing.encrypted_fields || {}), ...data } :
+      data;
+    const validation = await collectionService.validateRecord(existing.table_name, fullData);
+    if (!validation.valid) {
+      await client.query('ROLLBACK');
+      return schemaValidationError(existing.table_name, validation);
+    }
+
+    // Encrypt sensitive fields in new data
+    const { data: cleanData, encryptedFields } = encryptSensitiveFields(data);
+
+    let newData = cleanData;
+    let newEncryptedFields = encryptedFields;
+
+    if (merge) {
+      // Fields sent in plain text replace previously encrypted values of the same name
+      const keptEncryptedFields = { ...(existing.encrypted_fields || {}) };
+      for (const field of Object.keys(data)) {
+        delete keptEncryptedFields[field];
+      }
+
+      newData = { ...existing.data, ...cleanData };
+      newEncryptedFields = { ...keptEncryptedFields, ...encryptedFields };
+    }
+
+    const result = await client.query(`
+      UPDATE data_storage
+      SET data = $1, encrypted_fields = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, table_name, data, encrypted_fields, user_id, created_at, updated_at, metadata
+    `, [JSON.stringify(newData), JSON.stringify(newEncryptedFields), id]);
+
+    await client.query('COMMIT');
+
     // Log the update operation
-    await logDataOperation(userId, 'UPDATE', 'data_storage', id, existingData, cleanData);
+    await logDataOperation(userId, 'data.updated', existing.table_name, id, existing.data, newData);
 
     return {
       success: true,
       message: 'Data updated successfully',
-      data: {
-        id,
-        updatedAt: result.rows[0].updated_at
-      }
+      data: toRecord(result.rows[0])
     };
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ Update data error:', error);
     return {
       success: false,
       message: 'Failed to update data',
       error: error.message
     };
+  } finally {
+    client.release();
   }
 };
 
 /**
- * Delete data from storage
+ * Delete data from storage. With `tableName`, the record must belong to that collection.
  */
-const deleteData = async (id, userId) => {
+const deleteData = async (id, userId, { tableName = null } = {}) => {
   try {
-    // Get existing data for logging
-    const existingResult = await pool.query(
-      'SELECT data, table_name FROM data_storage WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
+    const result = await pool.query(`
+      DELETE FROM data_storage
+      WHERE id = $1 AND user_id = $2 AND ($3::text IS NULL OR table_name = $3)
+      RETURNING data, table_name
+    `, [id, userId, tableName]);
 
-    if (existingResult.rows.length === 0) {
+    if (result.rows.length === 0) {
       return {
         success: false,
+        status: 404,
         message: 'Record not found or access denied'
       };
     }
 
-    const existingData = existingResult.rows[0].data;
-    const tableName = existingResult.rows[0].table_name;
+    // Log the delete operation
+    await logDataOperation(userId, 'data.deleted', result.rows[0].table_name, id, result.rows[0].data, null);
+
+    return {
+      success: true,
+      message: 'Data deleted successfully',
+      data: { id }
+    };
+  } catch (error) {
+    console.error('❌ Delete data error:', error);
+    return {
+      success: false,
+      message: 'Failed to delete data',
+      error: error.message
+    };
+  }
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Result of checking one record of a bulk insert
+ */
+const checkBulkRecord = (record, index, validate) => {
+  if (!isPlainObject(record) || !isPlainObject(record.data) ||
+    (record.metadata !== undefined && !isPlainObject(record.metadata))) {
+    return {
+      index,
+      success: false,
+      code: 'invalid_record',
+      message: 'Each record needs a data object and an optional metadata object'
+    };
+  }
+
+  const validation = validate(record.data);
+  if (!validation.valid) {
+    return {
+      index,
+      success: false,
+      code: 'schema_validation_failed',
+      message: `Data does not match schema version ${validation.version}`,
+      errors: validation.errors
+    };
+  }
+
+  return { index, success: true };
+};
+
+const bulkValidationResult = (failures, total, action) => ({
+  success: false,
+  status: 400,
+  code: 'bulk_validation_failed',
+  message: `${failures.length} of ${total} records are invalid; nothing was ${action}`,
+  failures
+});
+
+/**
+ * Insert a batch of encrypted records with one statement, setting each entry's
+ * result id and createdAt
+ */
+const insertBatch = async (client, tableName, userId, batch) => {
+  const result = await client.query(`
+    INSERT INTO data_storage (table_name, data, encrypted_fields, user_id, metadata)
+    SELECT $1, t.data, t.encrypted_fields, $2, t.metadata
+    FROM unnest($3::jsonb[], $4::jsonb[], $5::jsonb[]) WITH ORDINALITY AS t(data, encrypted_fields, metadata, position)
+    ORDER BY t.position
+    RETURNING id, created_at
+  `, [
+    tableName,
+    userId,
+    batch.map(entry => JSON.stringify(entry.data)),
+    batch.map(entry => JSON.stringify(entry.encryptedFields)),
+    batch.map(entry => JSON.stringify(entry.metadata))
+  ]);
+
+  // Ids are assigned in insertion order
+  const rows = result.rows.sort((a, b) => a.id - b.id);
+  batch.forEach((entry, i) => {
+    entry.result.id = rows[i].id;
+    entry.result.createdAt = rows[i].created_at;
+  });
+};
+
+/**
+ * Insert a batch, and if the database rejects it, retry its records one at a time so
+ * only the failing ones are skipped
+ */
+const insertBatchPartial = async (client, tableName, userId, batch) => {
+  await client.query('SAVEPOINT bulk_batch');
+  try {
+    await insertBatch(client, tableName, userId, batch);
+    await client.query('RELEASE SAVEPOINT bulk_batch');
+    return;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT bulk_batch');
+  }
+
+  for (const entry of batch) {
+    await client.query('SAVEPOINT bulk_record');
+    try {
+      await insertBatch(client, tableName, userId, [entry]);
+      await client.query('RELEASE SAVEPOINT bulk_record');
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT bulk_record');
+      Object.assign(entry.result, { success: false, code: 'insert_failed', message: error.message });
+    }
+  }
+};
+
+/**
+ * Insert many records ({ data, metadata }) into a collection. Every record is
+ * validated against the collection's schema and encrypted before anything is
+ * written. Returns a result per record, in input order.
+ */
+const bulkInsertData = async (tableName, records, userId, { mode = 'transaction' } = {}) => {
+  const client = await pool.connect();
+
+  try {
+    const validate = await collectionService.getRecordValidator(tableName);
+    const results = records.map((record, index) => checkBulkRecord(record, index, validate));
+
+    const failures = results.filter(result => !result.success);
+    if (mode === 'transaction' && failures.length > 0) {
+      return bulkValidationResult(failures, records.length, 'inserted');
+    }
+
+    const pending = results.filter(result => result.success).map(result => {
+      const record = records[result.index];
+      const { data: cleanData, encryptedFields } = encryptSensitiveFields(record.data);
+      return { result, data: cleanData, encryptedFields, metadata: record.metadata || {} };
+    });
+
+    await client.query('BEGIN');
+    for (let start = 0; start < pending.length; start += BULK_BATCH_SIZE) {
+      const batch = pending.slice(start, start + BULK_BATCH_SIZE);
+      if (mode === 'partial') {
+        await insertBatchPartial(client, tableName, userId, batch);
+      } else {
+        await insertBatch(client, tableName, userId, batch);
+      }
+    }
+    await client.query('COMMIT');
+
+    const inserted = pending.filter(entry => entry.result.success);
+    await logDataOperations(userId, 'data.inserted', tableName, inserted.map(entry => ({
+      recordId: entry.result.id,
+      newValues: entry.data
+    })));
+
+    return {
+      success: true,
+      message: `Inserted ${inserted.length} of ${records.length} records`,
+      mode,
+      inserted: inserted.length,
+      failed: records.length - inserted.length,
+      results
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Bulk insert error:', error);
+    return {
+      success: false,
+      message: 'Failed to insert data',
+      error: error.message
+    };
+  } finally {
+    client.release();
+  }
+};
 
-    // Delete the record
-    const result = await pool.query(
-      'DELETE FROM data_storage WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
+const tooManyMatchesResult = (operation) => ({
+  success: false,
+  status: 400,
+  message: `The filter matches more than ${BULK_MAX_RECORDS} records; bulk ${operation} are limited to ${BULK_MAX_RECORDS}. Narrow the filter and repeat.`
+});
 
-    if (result.rowCount === 0) {
+/**
+ * Count the user's records matching a bulk update or delete
+ */
+const countMatching = async (where, params) => {
+  const result = await pool.query(`SELECT COUNT(*) FROM data_storage WHERE ${where}`, params);
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Change the given fields of every record of the user's matching a filter (see
+ * lib/dataFilter.js), like PATCH does for one record. Each resulting record is
+ * validated against the collection's schema. With dryRun, only counts the matches.
+ */
+const bulkUpdateData = async (tableName, filter, data, userId, { mode = 'transaction', dryRun = false } = {}) => {
+  const client = await pool.connect();
+
+  try {
+    const params = [];
+    const where = buildConditions(tableName, userId, filter, params);
+
+    if (dryRun) {
+      return { success: true, dryRun: true, matched: await countMatching(where, params) };
+    }
+
+    await client.query('BEGIN');
+
+    // Lock the matches so concurrent changes don't interleave with the update. One row
+    // over the limit is enough to tell the filter matches too many.
+    const existingResult = await client.query(`
+      SELECT id, data, encrypted_fields
+      FROM data_storage
+      WHERE ${where}
+      ORDER BY id
+      LIMIT ${BULK_MAX_RECORDS + 1}
+      FOR UPDATE
+    `, params);
+
+    if (existingResult.rows.length > BULK_MAX_RECORDS) {
+      await client.query('ROLLBACK');
+      return tooManyMatchesResult('updates');
+    }
+
+    const validate = await collectionService.getRecordValidator(tableName);
+    const results = existingResult.rows.map(row => {
+      const validation = validate({ ...decryptSensitiveFields(row.data, row.encrypted_fields || {}), ...data });
+      if (validation.valid) {
+        return { id: row.id, success: true };
+      }
       return {
+        id: row.id,
         success: false,
-        message: 'Failed to delete record'
+        code: 'schema_validation_failed',
+        message: `Data does not match schema version ${validation.version}`,
+        errors: validation.errors
       };
+    });
+
+    const failures = results.filter(result => !result.success);
+    if (mode === 'transaction' && failures.length > 0) {
+      await client.query('ROLLBACK');
+      return bulkValidationResult(failures, results.length, 'updated');
     }
 
-    // Log the delete operation
-    await logDataOperation(userId, 'DELETE', tableName, id, existingData, null);
+    // The same fields go to every record, so they are encrypted once. Fields sent in
+    // plain text replace previously encrypted values of the same name, and vice versa.
+    const { data: cleanData, encryptedFields } = encryptSensitiveFields(data);
+    const ids = results.filter(result => result.success).map(result => result.id);
+
+    const updated = await client.query(`
+      UPDATE data_storage
+      SET data = (data - $2::text[]) || $3::jsonb,
+          encrypted_fields = (COALESCE(encrypted_fields, '{}'::jsonb) - $2::text[]) || $4::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ANY($1::integer[])
+      RETURNING id, data
+    `, [ids, Object.keys(data), JSON.stringify(cleanData), JSON.stringify(encryptedFields)]);
+
+    await client.query('COMMIT');
+
+    const oldValues = new Map(existingResult.rows.map(row => [row.id, row.data]));
+    await logDataOperations(userId, 'data.updated', tableName, updated.rows.map(row => ({
+      recordId: row.id,
+      oldValues: oldValues.get(row.id),
+      newValues: row.data
+    })));
 
     return {
       success: true,
-      message: 'Data deleted successfully',
-      data: { id }
+      message: `Updated ${updated.rows.length} of ${results.length} matching records`,
+      mode,
+      matched: results.length,
+      updated: updated.rows.length,
+      failed: failures.length,
+      results
     };
   } catch (error) {
-    console.error('❌ Delete data error:', error);
+    await client.query('ROLLBACK');
+
+    const invalidQuery = queryErrorResult(error);
+    if (invalidQuery) {
+      return invalidQuery;
+    }
+
+    console.error('❌ Bulk update error:', error);
+    return {
+      success: false,
+      message: 'Failed to update data',
+      error: error.message
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete the user's records matching a filter and/or a list of ids, all or none, up
+ * to BULK_MAX_RECORDS at a time. With dryRun, only counts the matches.
+ */
+const bulkDeleteData = async (tableName, userId, { filter = null, ids = null, dryRun = false } = {}) => {
+  const client = await pool.connect();
+
+  try {
+    const params = [];
+    let where = buildConditions(tableName, userId, filter, params);
+
+    if (ids) {
+      params.push(ids);
+      where += ` AND id = ANY($${params.length}::integer[])`;
+    }
+
+    if (dryRun) {
+      return { success: true, dryRun: true, matched: await countMatching(where, params) };
+    }
+
+    await client.query('BEGIN');
+
+    // One row over the limit is enough to tell the filter matches too many
+    const result = await client.query(`
+      DELETE FROM data_storage
+      WHERE id IN (
+        SELECT id FROM data_storage
+        WHERE ${where}
+        ORDER BY id
+        LIMIT ${BULK_MAX_RECORDS + 1}
+        FOR UPDATE
+      )
+      RETURNING id, data
+    `, params);
+
+    if (result.rows.length > BULK_MAX_RECORDS) {
+      await client.query('ROLLBACK');
+      return tooManyMatchesResult('deletes');
+    }
+
+    await client.query('COMMIT');
+
+    await logDataOperations(userId, 'data.deleted', tableName, result.rows.map(row => ({
+      recordId: row.id,
+      oldValues: row.data
+    })));
+
+    return {
+      success: true,
+      message: `Deleted ${result.rows.length} records`,
+      deleted: result.rows.length,
+      ids: result.rows.map(row => row.id)
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    const invalidQuery = queryErrorResult(error);
+    if (invalidQuery) {
+      return invalidQuery;
+    }
+
+    console.error('❌ Bulk delete error:', error);
     return {
       success: false,
       message: 'Failed to delete data',
       error: error.message
     };
+  } finally {
+    client.release();
   }
 };
 
@@ -325,66 +824,56 @@ const exportData = async (tableName, format = 'json', userId = null, options = {
 };
 
 /**
- * Search data with filters
+ * Search data with a filter (see lib/dataFilter.js) and/or simple criteria, which
+ * match top-level fields by case-insensitive substring
  */
 const searchData = async (tableName, searchCriteria, userId = null, options = {}) => {
   try {
-    const { limit = 100, offset = 0 } = options;
-    
-    let query = `
-      SELECT id, table_name, data, encrypted_fields, user_id, created_at, updated_at, metadata
-      FROM data_storage 
-      WHERE table_name = $1
-    `;
-    
-    const params = [tableName];
-    let paramCount = 1;
+    const {
+      limit = 100, offset = 0, filter = null, orderBy = 'created_at', orderDirection = 'DESC',
+      after = null, before = null, total = null
+    } = options;
 
-    if (userId) {
-      paramCount++;
-      query += ` AND user_id = $${paramCount}`;
-      params.push(userId);
-    }
+    const params = [];
+    let where = buildConditions(tableName, userId, filter, params);
 
-    // Add search criteria
+    // Add search criteria; field names are bound as parameters too
     if (searchCriteria && Object.keys(searchCriteria).length > 0) {
       for (const [key, value] of Object.entries(searchCriteria)) {
-        paramCount++;
-        query += ` AND data->>'${key}' ILIKE $${paramCount}`;
-        params.push(`%${value}%`);
+        params.push(key, `%${value}%`);
+        where += ` AND data->>$${params.length - 1} ILIKE $${params.length}`;
       }
     }
+    const countParams = [...params];
 
-    query += ` ORDER BY created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
+    const sort = buildSort(orderBy, orderDirection, params);
+    if (!sort) {
+      return invalidOrderResult();
+    }
 
-    // Decrypt sensitive fields
-    const decryptedData = result.rows.map(row => {
-      const decrypted = decryptSensitiveFields(row.data, row.encrypted_fields || {});
-      return {
-        id: row.id,
-        tableName: row.table_name,
-        data: decrypted,
-        userId: row.user_id,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-        metadata: row.metadata
-      };
+    const page = await fetchPage(pool, {
+      select: RECORD_COLUMNS, from: 'data_storage', where, params, sort, limit, offset, after, before
     });
+    const decryptedData = page.rows.map(toRecord);
 
     return {
       success: true,
       data: decryptedData,
       searchCriteria,
+      ...(filter && { filter }),
       pagination: {
-        limit,
-        offset,
+        ...(await paginationInfo(page, { from: 'data_storage', where, params: countParams }, {
+          limit, offset, after, before, total
+        })),
         count: decryptedData.length
       }
     };
   } catch (error) {
+    const invalidQuery = queryErrorResult(error);
+    if (invalidQuery) {
+      return invalidQuery;
+    }
+
     console.error('❌ Search data error:', error);
     return {
       success: false,
@@ -395,7 +884,8 @@ const searchData = async (tableName, searchCriteria, userId = null, options = {}
 };
 
 /**
- * Get data statistics
+ * Get data statistics. With a userId every value, including the size, covers only
+ * that user's records.
  */
 const getDataStatistics = async (tableName, userId = null) => {
   try {
@@ -405,7 +895,8 @@ const getDataStatistics = async (tableName, userId = null) => {
         COUNT(DISTINCT user_id) as unique_users,
         MIN(created_at) as earliest_record,
         MAX(created_at) as latest_record,
-        AVG(EXTRACT(EPOCH FROM (updated_at - created_at))) as avg_update_time
+        AVG(EXTRACT(EPOCH FROM (updated_at - created_at))) as avg_update_time,
+        pg_size_pretty(COALESCE(SUM(pg_column_size(data_storage.*)), 0)) as table_size
       FROM data_storage 
       WHERE table_name = $1
     `;
@@ -420,12 +911,6 @@ const getDataStatistics = async (tableName, userId = null) => {
     const result = await pool.query(query, params);
     const stats = result.rows[0];
 
-    // Get data size
-    const sizeQuery = `
-      SELECT pg_size_pretty(pg_total_relation_size('data_storage')) as table_size
-    `;
-    const sizeResult = await pool.query(sizeQuery);
-
     return {
       success: true,
       statistics: {
@@ -434,7 +919,7 @@ const getDataStatistics = async (tableName, userId = null) => {
         earliestRecord: stats.earliest_record,
         latestRecord: stats.latest_record,
         avgUpdateTime: parseFloat(stats.avg_update_time) || 0,
-        tableSize: sizeResult.rows[0].table_size
+        tableSize: stats.table_size
       }
     };
   } catch (error) {
@@ -451,66 +936,97 @@ const getDataStatistics = async (tableName, userId = null) => {
  * Log data operations for audit trail
  */
 const logDataOperation = async (userId, action, tableName, recordId, oldValues, newValues) => {
-  try {
-    await pool.query(`
-      INSERT INTO audit_logs (user_id, action, table_name, record_id, old_values, new_values)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [userId, action, tableName, recordId, JSON.stringify(oldValues), JSON.stringify(newValues)]);
-  } catch (error) {
-    console.error('❌ Log operation error:', error);
-  }
+  await auditService.logEvent(action, 'data', {
+    userId,
+    details: { tableName, recordId, oldValues, newValues }
+  });
 };
 
 /**
- * Get audit logs
+ * Log one data operation per record of a bulk operation, with a single insert.
+ * Entries are { recordId, oldValues, newValues }.
+ */
+const logDataOperations = async (userId, action, tableName, entries) => {
+  await auditService.logEvents(entries.map(({ recordId, oldValues = null, newValues = null }) => ({
+    action,
+    resource: 'data',
+    userId,
+    details: { tableName, recordId, oldValues, newValues }
+  })));
+};
+
+/**
+ * Get audit logs, newest first. Without `userId`, logs of every user are returned.
  */
 const getAuditLogs = async (userId = null, options = {}) => {
   try {
-    const { limit = 100, offset = 0, action = null, tableName = null } = options;
-    
-    let query = `
-      SELECT al.*, u.username
-      FROM audit_logs al
-      LEFT JOIN users u ON al.user_id = u.id
-      WHERE 1=1
-    `;
-    
+    const {
+      limit = 100, offset = 0, action = null, resource = null, tableName = null,
+      after = null, before = null, total = null
+    } = options;
+
+    const from = 'audit_logs al LEFT JOIN users u ON al.user_id = u.id';
+    const conditions = ['1=1'];
     const params = [];
-    let paramCount = 0;
 
     if (userId) {
-      paramCount++;
-      query += ` AND al.user_id = $${paramCount}`;
       params.push(userId);
+      conditions.push(`al.user_id = $${params.length}`);
     }
 
     if (action) {
-      paramCount++;
-      query += ` AND al.action = $${paramCount}`;
       params.push(action);
+      conditions.push(`al.action = $${params.length}`);
+    }
+
+    if (resource) {
+      params.push(resource);
+      conditions.push(`al.resource = $${params.length}`);
     }
 
     if (tableName) {
-      paramCount++;
-      query += ` AND al.table_name = $${paramCount}`;
       params.push(tableName);
+      conditions.push(`al.details->>'tableName' = $${params.length}`);
     }
 
-    query += ` ORDER BY al.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
+    const where = conditions.join(' AND ');
+    const page = await fetchPage(pool, {
+      select: `al.id, al.user_id, u.username, al.action, al.resource, al.details,
+               al.ip_address, al.user_agent, al.created_at`,
+      from,
+      where,
+      params,
+      sort: createSort({ name: 'created_at', expr: 'al.created_at', type: 'timestamp', direction: 'DESC', idExpr: 'al.id' }),
+      limit,
+      offset,
+      after,
+      before
+    });
 
     return {
       success: true,
-      logs: result.rows,
+      logs: page.rows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        username: row.username,
+        action: row.action,
+        resource: row.resource,
+        details: row.details,
+        ipAddress: row.ip_address,
+        userAgent: row.user_agent,
+        createdAt: row.created_at
+      })),
       pagination: {
-        limit,
-        offset,
-        count: result.rows.length
+        ...(await paginationInfo(page, { from, where, params }, { limit, offset, after, before, total })),
+        count: page.rows.length
       }
     };
   } catch (error) {
+    const invalidQuery = queryErrorResult(error);
+    if (invalidQuery) {
+      return invalidQuery;
+    }
+
     console.error('❌ Get audit logs error:', error);
     return {
       success: false,
@@ -571,10 +1087,17 @@ const convertToXML = (data) => {
 };
 
 module.exports = {
+  ORDER_COLUMNS,
+  BULK_MAX_RECORDS,
+  BULK_MODES,
   insertData,
   getData,
+  getRecord,
   updateData,
   deleteData,
+  bulkInsertData,
+  bulkUpdateData,
+  bulkDeleteData,
   exportData,
   searchData,
   getDataStatistics,
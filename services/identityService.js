@@ -0,0 +1,308 @@
+/**
+ * Identity Service
+ *
+ * External identities (OIDC/OAuth2 and LDAP accounts) linked to local users
+ */
+
+const crypto = require('crypto');
+const { query } = require('../lib/prisma');
+const oidcService = require('./oidcService');
+const rbacService = require('./rbacService');
+const registrationService = require('./registrationService');
+const oidcConfig = require('../config/oidc');
+
+/**
+ * Shape an identity record for responses (raw claims are not exposed)
+ */
+const toPublicIdentity = (identity) => ({
+  id: identity.id,
+  provider: identity.provider,
+  email: identity.email,
+  emailVerified: identity.emailVerified,
+  username: identity.username,
+  displayName: identity.displayName,
+  avatarUrl: identity.avatarUrl,
+  lastLoginAt: identity.lastLoginAt,
+  createdAt: identity.createdAt
+});
+
+/**
+ * Shape a user record the way the login routes expect it
+ */
+const toSessionUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  avatarUrl: user.avatarUrl
+});
+
+/**
+ * Identity fields refreshed from the provider on every login
+ */
+const identityData = (profile) => ({
+  email: profile.email,
+  emailVerified: profile.emailVerified,
+  username: profile.username,
+  displayName: profile.displayName,
+  avatarUrl: profile.avatarUrl,
+  lastLoginAt: new Date()
+});
+
+/**
+ * Resolve the role to give a user from the provider's claim mapping
+ */
+const resolveRole = async (provider, profile) => {
+  const role = oidcService.mapRole(provider, profile.claims);
+
+  if (await rbacService.roleExists(role)) {
+    return role;
+  }
+
+  console.warn(`⚠️  ${provider.id} role mapping produced unknown role "${role}", using ${provider.defaultRole}`);
+  return provider.defaultRole;
+};
+
+/**
+ * Pick a free username based on what the provider sent
+ */
+const generateUsername = async (prisma, profile) => {
+  const base = (profile.username || profile.email?.split('@')[0] || `${profile.provider}_${profile.subject}`)
+    .replace(/[^a-zA-Z0-9_.-]/g, '')
+    .slice(0, 40) || `${profile.provider}_user`;
+
+  let candidate = base.length >= 3 ? base : `${base}_${profile.provider}`;
+  while (await prisma.user.findUnique({ where: { username: candidate } })) {
+    candidate = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+  return candidate;
+};
+
+/**
+ * Create an account for a new external identity, subject to the registration policy
+ * unless the provider skips it
+ */
+const createUserFromIdentity = async (prisma, provider, profile, inviteCode) => {
+  // Providers such as a company directory decide for themselves who may sign in
+  const decision = provider.skipRegistrationPolicy ?
+    { success: true, role: null, approvalStatus: 'approved', inviteId: null } :
+    await registrationService.evaluateRegistration({ email: profile.email, inviteCode });
+  if (!decision.success) {
+    return decision;
+  }
+
+  if (decision.inviteId && !(await registrationService.claimInvite(decision.inviteId))) {
+    return { success: false, code: 'invalid_invite', message: 'Invite code is invalid, expired or already used' };
+  }
+
+  try {
+    const user = await prisma.user.create({
+      data: {
+        username: await generateUsername(prisma, profile),
+        email: profile.email,
+        emailVerified: profile.emailVerified,
+        emailVerifiedAt: profile.emailVerified ? new Date() : null,
+        role: decision.role || await resolveRole(provider, profile),
+        approvalStatus: decision.approvalStatus,
+        avatarUrl: profile.avatarUrl,
+        lastLogin: new Date(),
+        identities: {
+          create: { provider: profile.provider, subject: profile.subject, ...identityData(profile) }
+        }
+      }
+    });
+
+    if (decision.inviteId) {
+      await registrationService.recordInviteUse(decision.inviteId, user.id);
+    }
+
+    const approvalError = registrationService.getApprovalError(user.approvalStatus);
+    if (approvalError) {
+      return approvalError;
+    }
+
+    return { success: true, user: toSessionUser(user), created: true };
+  } catch (error) {
+    if (decision.inviteId) {
+      await registrationService.releaseInvite(decision.inviteId);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the user for an external identity, linking or creating the account if needed
+ */
+const findOrCreateUserFromIdentity = async (provider, profile, options = {}) => {
+  return await query(async (prisma) => {
+    try {
+      const identity = await prisma.userIdentity.findUnique({
+        where: { provider_subject: { provider: profile.provider, subject: profile.subject } },
+        include: { user: true }
+      });
+
+      if (identity) {
+        if (!identity.user.isActive) {
+          return { success: false, message: 'Account is deactivated' };
+        }
+
+        const approvalError = registrationService.getApprovalError(identity.user.approvalStatus);
+        if (approvalError) {
+          return approvalError;
+        }
+
+        const updates = { lastLogin: new Date() };
+        if (provider.syncRoles) {
+          updates.role = await resolveRole(provider, profile);
+        }
+
+        const [user] = await prisma.$transaction([
+          prisma.user.update({ where: { id: identity.userId }, data: updates }),
+          prisma.userIdentity.update({ where: { id: identity.id }, data: identityData(profile) })
+        ]);
+
+        return { success: true, user: toSessionUser(user), created: false };
+      }
+
+      if (!profile.email) {
+        return { success: false, message: `${provider.displayName} did not provide an email address` };
+      }
+
+      const existing = await prisma.user.findUnique({ where: { email: profile.email } });
+      if (existing) {
+        // Linking by email alone would let whoever controls the provider account take over
+        // the local one, so it needs both sides verified and must be switched on explicitly
+        const canAutoLink = oidcConfig.autoLinkVerifiedEmail && profile.emailVerified && existing.emailVerified;
+        if (!canAutoLink) {
+          return {
+            success: false,
+            code: 'account_exists',
+            message: 'An account with this email already exists. Sign in and link this provider from your account settings.'
+          };
+        }
+
+        if (!existing.isActive) {
+          return { success: false, message: 'Account is deactivated' };
+        }
+
+        const approvalError = registrationService.getApprovalError(existing.approvalStatus);
+        if (approvalError) {
+          return approvalError;
+        }
+
+        console.log(`🔗 Auto-linked ${profile.provider} identity to user ${existing.id} by verified email`);
+
+        const [user] = await prisma.$transaction([
+          prisma.user.update({ where: { id: existing.id }, data: { lastLogin: new Date() } }),
+          prisma.userIdentity.create({
+            data: { userId: existing.id, provider: profile.provider, subject: profile.subject, ...identityData(profile) }
+          })
+        ]);
+
+        return { success: true, user: toSessionUser(user), created: false };
+      }
+
+      return await createUserFromIdentity(prisma, provider, profile, options.inviteCode || null);
+    } catch (error) {
+      console.error('Error in findOrCreateUserFromIdentity:', error);
+      return {
+        success: false,
+        message: `Failed to authenticate with ${provider.displayName}`,
+        error: error.message
+      };
+    }
+  });
+};
+
+/**
+ * Link an external identity to a signed-in user
+ */
+const linkIdentity = async (userId, profile) => {
+  return await query(async (prisma) => {
+    try {
+      const identity = await prisma.userIdentity.findUnique({
+        where: { provider_subject: { provider: profile.provider, subject: profile.subject } }
+      });
+
+      if (identity && identity.userId !== userId) {
+        return { success: false, code: 'identity_in_use', message: 'This account is already linked to another user' };
+      }
+
+      const linked = identity ?
+        await prisma.userIdentity.update({ where: { id: identity.id }, data: identityData(profile) }) :
+        await prisma.userIdentity.create({
+          data: { userId: userId, provider: profile.provider, subject: profile.subject, ...identityData(profile) }
+        });
+
+      return { success: true, message: 'Identity linked successfully', identity: toPublicIdentity(linked) };
+    } catch (error) {
+      console.error('Error linking identity:', error);
+      return { success: false, message: 'Failed to link identity', error: error.message };
+    }
+  });
+};
+
+/**
+ * Count the ways a user can sign in, excluding one identity or passkey
+ */
+const countOtherLoginMethods = async (prisma, userId, { identityId, passkeyId } = {}) => {
+  const [user, identities, passkeys] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { passwordHash: true } }),
+    prisma.userIdentity.count({ where: { userId: userId, ...(identityId ? { id: { not: identityId } } : {}) } }),
+    prisma.passkey.count({ where: { userId: userId, ...(passkeyId ? { id: { not: passkeyId } } : {}) } })
+  ]);
+
+  return identities + passkeys + (user?.passwordHash ? 1 : 0);
+};
+
+/**
+ * Unlink one of a user's identities, unless it is their only way to sign in
+ */
+const unlinkIdentity = async (userId, identityId) => {
+  return await query(async (prisma) => {
+    try {
+      const identity = await prisma.userIdentity.findFirst({ where: { id: identityId, userId: userId } });
+      if (!identity) {
+        return { success: false, status: 404, message: 'Identity not found' };
+      }
+
+      if (await countOtherLoginMethods(prisma, userId, { identityId: identity.id }) === 0) {
+        return {
+          success: false,
+          status: 409,
+          message: 'Cannot unlink your only sign-in method. Set a password, add a passkey or link another account first.'
+        };
+      }
+
+      await prisma.userIdentity.delete({ where: { id: identity.id } });
+
+      return { success: true, message: 'Identity unlinked successfully' };
+    } catch (error) {
+      console.error('Error unlinking identity:', error);
+      return { success: false, message: 'Failed to unlink identity', error: error.message };
+    }
+  });
+};
+
+/**
+ * List the identities linked to a user
+ */
+const listIdentities = async (userId) => {
+  return await query(async (prisma) => {
+    const identities = await prisma.userIdentity.findMany({
+      where: { userId: userId },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return { success: true, identities: identities.map(toPublicIdentity) };
+  });
+};
+
+module.exports = {
+  toPublicIdentity,
+  findOrCreateUserFromIdentity,
+  linkIdentity,
+  unlinkIdentity,
+  listIdentities,
+  countOtherLoginMethods
+};
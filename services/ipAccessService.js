@@ -0,0 +1,292 @@
+/**
+ * IP Access Service
+ *
+ * CIDR allow and deny lists at four levels: "global" (every API request), "admin"
+ * (admin endpoints and dangerous database tools), "role" and "user". At each level
+ * that applies to a request, an address matching a deny rule is refused and, if the
+ * level has allow rules, an address must match one of them.
+ */
+
+const { query } = require('../lib/prisma');
+const { isValidCidr, createMatcher } = require('../lib/cidr');
+const auditService = require('./auditService');
+
+const SCOPES = ['global', 'admin', 'role', 'user'];
+const ACTIONS = ['allow', 'deny'];
+const CACHE_TTL_MS = 60 * 1000;
+
+// { lists: Map(listKey -> { allow, deny }), expiresAt }
+let cache = null;
+
+const listKey = (scope, subject = null) => (subject === null ? scope : `${scope}:${subject}`);
+
+/**
+ * Drop the cached rules (after a change)
+ */
+const invalidateCache = () => {
+  cache = null;
+};
+
+const toPublicRule = (rule) => ({
+  id: rule.id,
+  scope: rule.scope,
+  role: rule.role,
+  userId: rule.userId,
+  action: rule.action,
+  cidr: rule.cidr,
+  description: rule.description,
+  createdAt: rule.createdAt
+});
+
+/**
+ * Group rules into lists, with a matcher per action
+ */
+const buildLists = (rules) => {
+  const entries = new Map();
+  for (const rule of rules) {
+    const key = listKey(rule.scope, rule.scope === 'role' ? rule.role : rule.scope === 'user' ? rule.userId : null);
+    if (!entries.has(key)) {
+      entries.set(key, { allow: [], deny: [] });
+    }
+    entries.get(key)[rule.action].push(rule.cidr);
+  }
+
+  const lists = new Map();
+  for (const [key, { allow, deny }] of entries) {
+    lists.set(key, {
+      allow: allow.length > 0 ? createMatcher(allow) : null,
+      deny: deny.length > 0 ? createMatcher(deny) : null
+    });
+  }
+  return lists;
+};
+
+/**
+ * Load every rule into lists (cached briefly)
+ */
+const loadLists = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.lists;
+  }
+
+  const rules = await query(async (prisma) => prisma.ipRule.findMany());
+  cache = { lists: buildLists(rules), expiresAt: Date.now() + CACHE_TTL_MS };
+  return cache.lists;
+};
+
+/**
+ * Check an address against one list
+ */
+const checkList = (list, ip) => {
+  if (!list) {
+    return null;
+  }
+  if (list.deny && list.deny(ip)) {
+    return 'denied';
+  }
+  if (list.allow && !list.allow(ip)) {
+    return 'not_allowed';
+  }
+  return null;
+};
+
+/**
+ * Check an address against the lists of the given levels
+ */
+const checkLevels = (lists, ip, { global = false, admin = false, role = null, userId = null }) => {
+  const levels = [
+    global && ['global', listKey('global')],
+    admin && ['admin', listKey('admin')],
+    role && ['role', listKey('role', role)],
+    userId && ['user', listKey('user', userId)]
+  ].filter(Boolean);
+
+  for (const [scope, key] of levels) {
+    const reason = checkList(lists.get(key), ip);
+    if (reason) {
+      return { allowed: false, scope, reason };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Check an address against the lists for the given levels, e.g.
+ * { global: true } or { role: 'editor', userId: 7 }. Returns { allowed: true } or
+ * { allowed: false, scope, reason } where reason is "denied" or "not_allowed".
+ */
+const checkAccess = async (ip, levels) => {
+  return checkLevels(await loadLists(), ip, levels);
+};
+
+/**
+ * Record a refused request in the audit log
+ */
+const logDenial = async (req, denial, userId = null) => {
+  console.log(`⛔ Refused ${req.method} ${req.originalUrl.split('?')[0]} from ${req.ip} (${denial.scope} IP rules: ${denial.reason})`);
+
+  await auditService.logEvent('ip.denied', 'security', {
+    userId,
+    ipAddress: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    details: {
+      scope: denial.scope,
+      reason: denial.reason,
+      method: req.method,
+      path: req.originalUrl.split('?')[0]
+    }
+  });
+};
+
+/**
+ * List rules, optionally for one scope, role or user
+ */
+const listRules = async ({ scope = null, role = null, userId = null } = {}) => {
+  return await query(async (prisma) => {
+    const rules = await prisma.ipRule.findMany({
+      where: {
+        ...(scope && { scope: scope }),
+        ...(role && { role: role }),
+        ...(userId && { userId: userId })
+      },
+      orderBy: [{ scope: 'asc' }, { id: 'asc' }]
+    });
+
+    return { success: true, rules: rules.map(toPublicRule) };
+  });
+};
+
+/**
+ * Check a new rule's fields, returning an error result or null
+ */
+const validateRule = async (prisma, { scope, role, userId, action, cidr }) => {
+  if (!SCOPES.includes(scope)) {
+    return { success: false, message: `Scope must be one of: ${SCOPES.join(', ')}` };
+  }
+  if (!ACTIONS.includes(action)) {
+    return { success: false, message: 'Action must be "allow" or "deny"' };
+  }
+  if (!isValidCidr(cidr)) {
+    return { success: false, message: `Invalid IP address or CIDR range: ${cidr}` };
+  }
+
+  if (scope === 'role') {
+    const existing = role ? await prisma.role.findUnique({ where: { name: role } }) : null;
+    if (!existing) {
+      return { success: false, status: 404, message: 'Role not found' };
+    }
+  }
+
+  if (scope === 'user') {
+    const existing = userId ? await prisma.user.findUnique({ where: { id: userId }, select: { id: true } }) : null;
+    if (!existing) {
+      return { success: false, status: 404, message: 'User not found' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Inside a rule change, throw if the admin making it ({ id, role, ip }) could no
+ * longer reach the admin API, so the transaction is rolled back
+ */
+const assertActorKeepsAccess = async (tx, actor) => {
+  const lists = buildLists(await tx.ipRule.findMany());
+  const access = checkLevels(lists, actor.ip, { global: true, admin: true, role: actor.role, userId: actor.id });
+  if (!access.allowed) {
+    throw Object.assign(new Error('Rule change would lock out the current admin'), { code: 'SELF_LOCKOUT' });
+  }
+};
+
+const selfLockoutError = (actor) => ({
+  success: false,
+  status: 409,
+  message: `This change would block your own address (${actor.ip}). Add an allow rule for it first.`
+});
+
+/**
+ * Add a rule. Refused if it would lock out the admin making the change (`actor`).
+ */
+const createRule = async ({ scope, role = null, userId = null, action, cidr, description = null }, actor = null) => {
+  return await query(async (prisma) => {
+    try {
+      const error = await validateRule(prisma, { scope, role, userId, action, cidr });
+      if (error) {
+        return error;
+      }
+
+      const data = {
+        scope: scope,
+        role: scope === 'role' ? role : null,
+        userId: scope === 'user' ? userId : null,
+        action: action,
+        cidr: cidr.trim(),
+        description: description
+      };
+
+      const rule = await prisma.$transaction(async (tx) => {
+        const created = await tx.ipRule.create({ data: data });
+
+        if (actor) {
+          await assertActorKeepsAccess(tx, actor);
+        }
+
+        return created;
+      });
+
+      invalidateCache();
+      return { success: true, message: 'IP rule created', rule: toPublicRule(rule) };
+    } catch (error) {
+      if (error.code === 'SELF_LOCKOUT') {
+        return selfLockoutError(actor);
+      }
+
+      console.error('❌ Create IP rule error:', error);
+      return { success: false, message: 'Failed to create IP rule' };
+    }
+  });
+};
+
+/**
+ * Remove a rule. Removing an allow rule can lock the admin out as well.
+ */
+const deleteRule = async (id, actor = null) => {
+  return await query(async (prisma) => {
+    try {
+      const rule = await prisma.ipRule.findUnique({ where: { id: id } });
+      if (!rule) {
+        return { success: false, status: 404, message: 'IP rule not found' };
+      }
+
+      await prisma.$transaction(async (tx) => {
+        await tx.ipRule.delete({ where: { id: id } });
+
+        if (actor) {
+          await assertActorKeepsAccess(tx, actor);
+        }
+      });
+
+      invalidateCache();
+      return { success: true, message: 'IP rule deleted', rule: toPublicRule(rule) };
+    } catch (error) {
+      if (error.code === 'SELF_LOCKOUT') {
+        return selfLockoutError(actor);
+      }
+
+      console.error('❌ Delete IP rule error:', error);
+      return { success: false, message: 'Failed to delete IP rule' };
+    }
+  });
+};
+
+module.exports = {
+  SCOPES,
+  invalidateCache,
+  checkAccess,
+  logDenial,
+  listRules,
+  createRule,
+  deleteRule
+};
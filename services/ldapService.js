@@ -0,0 +1,253 @@
+/**
+ * LDAP Service
+ *
+ * Checks passwords against an LDAP or Active Directory server, either by binding
+ * straight as the user or by finding the user's entry first, and reads the
+ * entry's attributes and group memberships for provisioning
+ */
+
+const ldap = require('ldapjs');
+const ldapConfig = require('../config/ldap');
+
+// Attributes holding binary ids, exported as hex
+const BINARY_ATTRIBUTES = ['objectguid', 'objectsid'];
+
+/**
+ * Escape a value for use inside a search filter (RFC 4515)
+ */
+const escapeFilterValue = (value) => {
+  return String(value).replace(/[\\*()\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+};
+
+/**
+ * Escape a value for use inside a DN (RFC 4514)
+ */
+const escapeDnValue = (value) => {
+  return String(value)
+    .replace(/[\\,+"<>;=]/g, '\\$&')
+    .replace(/^[ #]/, '\\$&')
+    .replace(/ $/, '\\ ');
+};
+
+/**
+ * Fill {{name}} placeholders in a DN or filter template with escaped values
+ */
+const fillTemplate = (template, values, escape) => {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => escape(values[key] ?? ''));
+};
+
+/**
+ * Open a connection to the directory
+ */
+const connect = async () => {
+  const client = ldap.createClient({
+    url: ldapConfig.url,
+    timeout: ldapConfig.timeoutMs,
+    connectTimeout: ldapConfig.timeoutMs,
+    tlsOptions: { rejectUnauthorized: ldapConfig.tlsRejectUnauthorized }
+  });
+
+  await new Promise((resolve, reject) => {
+    client.once('connect', resolve);
+    client.once('connectError', reject);
+    client.once('connectTimeout', () => reject(new Error('LDAP connection timed out')));
+    client.once('error', reject);
+  });
+
+  // Errors after connecting surface through the pending operation
+  client.on('error', (error) => console.error('❌ LDAP client error:', error.message));
+
+  if (ldapConfig.startTls) {
+    await new Promise((resolve, reject) => {
+      client.starttls({ rejectUnauthorized: ldapConfig.tlsRejectUnauthorized }, [], (error) => error ? reject(error) : resolve());
+    });
+  }
+
+  return client;
+};
+
+const bind = (client, dn, password) => {
+  return new Promise((resolve, reject) => {
+    client.bind(dn, password, (error) => error ? reject(error) : resolve());
+  });
+};
+
+/**
+ * Flatten a search entry into { dn, attributes: { lowercasename: [values] } }
+ */
+const toEntry = (entry) => {
+  const attributes = {};
+
+  for (const attribute of entry.attributes) {
+    const name = attribute.type.toLowerCase();
+    attributes[name] = BINARY_ATTRIBUTES.includes(name) ?
+      attribute.buffers.map(buffer => buffer.toString('hex')) :
+      attribute.values;
+  }
+
+  return { dn: entry.objectName.toString(), attributes };
+};
+
+const search = (client, base, filter, attributes = []) => {
+  return new Promise((resolve, reject) => {
+    client.search(base, { scope: 'sub', filter, attributes, sizeLimit: 100 }, (error, res) => {
+      if (error) {
+        return reject(error);
+      }
+
+      const entries = [];
+      res.on('searchEntry', (entry) => entries.push(toEntry(entry)));
+      res.on('error', reject);
+      res.on('end', () => resolve(entries));
+    });
+  });
+};
+
+const firstValue = (entry, attribute) => {
+  return (attribute && entry.attributes[attribute.toLowerCase()]?.[0]) || null;
+};
+
+/**
+ * Attributes to request for a user entry
+ */
+const userAttributes = () => {
+  const { attributes, groups } = ldapConfig;
+  return [attributes.username, attributes.email, attributes.displayName, attributes.subject, groups.attribute].filter(Boolean);
+};
+
+/**
+ * Find the entries matching a username with the configured search filter
+ */
+const findUserEntries = async (client, username) => {
+  const filter = fillTemplate(ldapConfig.searchFilter, { username }, escapeFilterValue);
+  return await search(client, ldapConfig.searchBase, filter, userAttributes());
+};
+
+/**
+ * Group DNs the user belongs to, from the entry's membership attribute and, when
+ * configured, a search for groups listing the user
+ */
+const readGroups = async (client, entry) => {
+  const { groups } = ldapConfig;
+  const dns = [...(entry.attributes[groups.attribute.toLowerCase()] || [])];
+
+  if (groups.searchBase) {
+    const filter = fillTemplate(groups.searchFilter, {
+      dn: entry.dn,
+      username: firstValue(entry, ldapConfig.attributes.username) || ''
+    }, escapeFilterValue);
+
+    const found = await search(client, groups.searchBase, filter, ['cn']);
+    dns.push(...found.map(group => group.dn));
+  }
+
+  return [...new Set(dns)];
+};
+
+/**
+ * Values role mappings can match: each group's full DN and its common name, lowercased
+ */
+const groupClaimValues = (groupDns) => {
+  const values = new Set();
+
+  for (const dn of groupDns) {
+    values.add(dn.toLowerCase());
+    const cn = dn.match(/^\s*cn\s*=\s*((?:\\.|[^,])+)/i);
+    if (cn) {
+      values.add(cn[1].replace(/\\(.)/g, '$1').trim().toLowerCase());
+    }
+  }
+
+  return [...values];
+};
+
+/**
+ * Build the identity profile used for provisioning, in the same shape as OIDC profiles
+ */
+const toProfile = (entry, groupDns, username) => {
+  const { attributes } = ldapConfig;
+  const email = firstValue(entry, attributes.email);
+
+  return {
+    provider: ldapConfig.id,
+    subject: firstValue(entry, attributes.subject) || entry.dn.toLowerCase(),
+    email: email ? email.toLowerCase() : null,
+    emailVerified: Boolean(email) && ldapConfig.trustEmail,
+    username: firstValue(entry, attributes.username) || username,
+    displayName: firstValue(entry, attributes.displayName),
+    avatarUrl: null,
+    claims: { dn: entry.dn, groups: groupClaimValues(groupDns) }
+  };
+};
+
+const invalidCredentials = () => ({ success: false, code: 'invalid_credentials', message: 'Invalid credentials' });
+
+/**
+ * Check a username and password against the directory. Returns { success, profile },
+ * an invalid_credentials result, or ldap_unavailable when the directory cannot be used.
+ */
+const authenticate = async (username, password) => {
+  if (!ldapConfig.url) {
+    return { success: false, code: 'ldap_unavailable', message: 'Directory login is not configured' };
+  }
+
+  // An empty password is an unauthenticated bind, which servers accept without checking anything
+  if (!username || !password) {
+    return invalidCredentials();
+  }
+
+  let client = null;
+
+  try {
+    client = await connect();
+    let entry;
+
+    if (ldapConfig.bindMode === 'direct') {
+      const userDn = fillTemplate(ldapConfig.userDnTemplate, { username }, escapeDnValue);
+      await bind(client, userDn, password);
+
+      const entries = ldapConfig.searchBase ? await findUserEntries(client, username) : [];
+      entry = entries.length === 1 ? entries[0] : { dn: userDn, attributes: {} };
+    } else {
+      if (ldapConfig.bindDn) {
+        await bind(client, ldapConfig.bindDn, ldapConfig.bindPassword);
+      }
+
+      const entries = await findUserEntries(client, username);
+      if (entries.length !== 1) {
+        // No such user, or a filter matching several entries (never guess which one)
+        return invalidCredentials();
+      }
+
+      entry = entries[0];
+      await bind(client, entry.dn, password);
+
+      // Group searches run as the service account, which the user may not be allowed to do
+      if (ldapConfig.groups.searchBase && ldapConfig.bindDn) {
+        await bind(client, ldapConfig.bindDn, ldapConfig.bindPassword);
+      }
+    }
+
+    const groupDns = await readGroups(client, entry);
+
+    return { success: true, profile: toProfile(entry, groupDns, username) };
+  } catch (error) {
+    if (error instanceof ldap.InvalidCredentialsError) {
+      return invalidCredentials();
+    }
+
+    console.error('❌ LDAP authentication error:', error.message);
+    return { success: false, code: 'ldap_unavailable', message: 'The directory is unavailable. Try again later.' };
+  } finally {
+    if (client) {
+      client.unbind(() => {});
+    }
+  }
+};
+
+module.exports = {
+  authenticate,
+  escapeFilterValue,
+  escapeDnValue,
+  groupClaimValues
+};
@@ -0,0 +1,335 @@
+/**
+ * Login Throttle Service
+ *
+ * Counts failed logins per IP, per account and per IP+account, applies exponential
+ * backoff once a counter runs out of free attempts, and temporarily bans IPs that
+ * spray passwords across many accounts
+ */
+
+const { query } = require('../lib/prisma');
+const auditService = require('./auditService');
+const authConfig = require('../config/auth');
+
+/**
+ * Normalise a username or email for use as a counter key
+ */
+const normalizeUsername = (username) => {
+  return typeof username === 'string' && username.trim() ? username.trim().toLowerCase() : null;
+};
+
+/**
+ * Counters touched by a login attempt
+ */
+const countersFor = (ipAddress, username) => {
+  const { loginThrottle } = authConfig;
+  const account = normalizeUsername(username);
+  const counters = [];
+
+  if (ipAddress) {
+    counters.push({ scope: 'ip', key: ipAddress, ipAddress, username: null, limits: loginThrottle.ip });
+  }
+  if (account) {
+    counters.push({ scope: 'account', key: account, ipAddress: null, username: account, limits: loginThrottle.account });
+  }
+  if (ipAddress && account) {
+    counters.push({ scope: 'ip_account', key: `${ipAddress}|${account}`, ipAddress, username: account, limits: loginThrottle.ipAccount });
+  }
+
+  return counters;
+};
+
+/**
+ * Wait required after a number of failures, or 0 while free attempts remain
+ */
+const backoffMs = (failures, limits) => {
+  const extra = failures - limits.freeAttempts;
+  if (extra <= 0) {
+    return 0;
+  }
+  return Math.min(authConfig.loginThrottle.baseDelayMs * Math.pow(2, extra - 1), limits.maxDelayMs);
+};
+
+/**
+ * Check whether a login attempt may go ahead. Returns { allowed: true } or
+ * { allowed: false, code, message, retryAfterMs }.
+ */
+const checkLogin = async ({ ipAddress, username = null }) => {
+  const now = new Date();
+
+  return await query(async (prisma) => {
+    if (ipAddress) {
+      const ban = await prisma.ipBan.findUnique({ where: { ipAddress: ipAddress } });
+      if (ban && ban.expiresAt > now) {
+        return {
+          allowed: false,
+          code: 'ip_banned',
+          message: 'Too many failed login attempts from this address. Try again later.',
+          retryAfterMs: ban.expiresAt - now
+        };
+      }
+    }
+
+    const counters = countersFor(ipAddress, username);
+    if (counters.length === 0) {
+      return { allowed: true };
+    }
+
+    const blocked = await prisma.loginThrottle.findMany({
+      where: {
+        OR: counters.map(({ scope, key }) => ({ scope, key })),
+        blockedUntil: { gt: now }
+      },
+      orderBy: { blockedUntil: 'desc' },
+      take: 1
+    });
+
+    if (blocked.length > 0) {
+      return {
+        allowed: false,
+        code: 'login_throttled',
+        message: 'Too many failed login attempts. Try again later.',
+        retryAfterMs: blocked[0].blockedUntil - now
+      };
+    }
+
+    return { allowed: true };
+  });
+};
+
+/**
+ * Ban an IP address until the ban duration has passed
+ */
+const banIp = async (prisma, ipAddress, reason, details) => {
+  const expiresAt = new Date(Date.now() + authConfig.loginThrottle.ban.durationMs);
+
+  await prisma.ipBan.upsert({
+    where: { ipAddress: ipAddress },
+    create: { ipAddress: ipAddress, reason: reason, expiresAt: expiresAt },
+    update: { reason: reason, expiresAt: expiresAt, createdAt: new Date() }
+  });
+
+  console.log(`⛔ Banned ${ipAddress} until ${expiresAt.toISOString()} (${reason})`);
+  await auditService.logEvent('login.ip_banned', 'auth', {
+    ipAddress,
+    details: { reason, expiresAt, ...details }
+  });
+};
+
+/**
+ * Record a failed login. `source` tells which login step failed, e.g. "password",
+ * "mfa" or "oauth:github"; username is null when it is not known (OAuth callbacks).
+ */
+const recordFailure = async ({ ipAddress, username = null, userId = null, userAgent = null, source = 'password' }) => {
+  const { failureWindowMs, ban } = authConfig.loginThrottle;
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - failureWindowMs);
+
+  try {
+    await auditService.logEvent('login.failed', 'auth', {
+      userId,
+      ipAddress,
+      userAgent,
+      details: { source, username: normalizeUsername(username) }
+    });
+
+    await query(async (prisma) => {
+      for (const counter of countersFor(ipAddress, username)) {
+        const { scope, key, limits } = counter;
+
+        // Counters start over once the failure window has passed
+        await prisma.loginThrottle.updateMany({
+          where: { scope, key, lastFailureAt: { lt: windowStart } },
+          data: { failures: 0, firstFailureAt: now, blockedUntil: null }
+        });
+
+        const row = await prisma.loginThrottle.upsert({
+          where: { scope_key: { scope, key } },
+          create: {
+            scope,
+            key,
+            ipAddress: counter.ipAddress,
+            username: counter.username,
+            failures: 1,
+            firstFailureAt: now,
+            lastFailureAt: now
+          },
+          update: { failures: { increment: 1 }, lastFailureAt: now }
+        });
+
+        const delay = backoffMs(row.failures, limits);
+        if (delay > 0) {
+          await prisma.loginThrottle.update({
+            where: { id: row.id },
+            data: { blockedUntil: new Date(now.getTime() + delay) }
+          });
+        }
+
+        // Audit the moment a counter starts throttling rather than every blocked attempt
+        if (row.failures === limits.freeAttempts + 1) {
+          await auditService.logEvent('login.throttled', 'auth', {
+            userId: scope === 'ip' ? null : userId,
+            ipAddress,
+            details: { scope, key, failures: row.failures }
+          });
+        }
+
+        if (scope === 'ip' && row.failures >= ban.failures) {
+          await banIp(prisma, ipAddress, 'too_many_failures', { failures: row.failures });
+        }
+      }
+
+      if (ipAddress && normalizeUsername(username)) {
+        const accounts = await prisma.loginThrottle.count({
+          where: { scope: 'ip_account', ipAddress: ipAddress, lastFailureAt: { gte: windowStart } }
+        });
+
+        if (accounts >= ban.distinctAccounts) {
+          const existing = await prisma.ipBan.findUnique({ where: { ipAddress: ipAddress } });
+          if (!existing || existing.expiresAt <= now) {
+            await banIp(prisma, ipAddress, 'password_spray', { accounts });
+          }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Record login failure error:', error);
+  }
+};
+
+/**
+ * Clear the account counters after a successful login. The IP counter is kept so a
+ * single valid account cannot be used to reset throttling for a whole address.
+ */
+const recordSuccess = async ({ ipAddress, username }) => {
+  const counters = countersFor(ipAddress, username).filter(counter => counter.scope !== 'ip');
+  if (counters.length === 0) {
+    return;
+  }
+
+  try {
+    await query(async (prisma) => {
+      await prisma.loginThrottle.deleteMany({
+        where: { OR: counters.map(({ scope, key }) => ({ scope, key })) }
+      });
+    });
+  } catch (error) {
+    console.error('❌ Record login success error:', error);
+  }
+};
+
+/**
+ * Clear every counter for an account (e.g. after a password reset)
+ */
+const clearAccount = async (username) => {
+  const account = normalizeUsername(username);
+  if (!account) {
+    return { success: true, cleared: 0 };
+  }
+
+  return await query(async (prisma) => {
+    const result = await prisma.loginThrottle.deleteMany({
+      where: { scope: { in: ['account', 'ip_account'] }, username: account }
+    });
+    return { success: true, cleared: result.count };
+  });
+};
+
+/**
+ * Shape a counter for the admin API
+ */
+const toPublicLockout = (row, now = new Date()) => ({
+  id: row.id,
+  scope: row.scope,
+  ipAddress: row.ipAddress || (row.scope === 'ip' ? row.key : null),
+  username: row.username,
+  failures: row.failures,
+  firstFailureAt: row.firstFailureAt,
+  lastFailureAt: row.lastFailureAt,
+  blockedUntil: row.blockedUntil,
+  blocked: Boolean(row.blockedUntil && row.blockedUntil > now)
+});
+
+/**
+ * List counters with recent failures, blocked ones first
+ */
+const listLockouts = async ({ blockedOnly = false } = {}) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - authConfig.loginThrottle.failureWindowMs);
+
+  return await query(async (prisma) => {
+    const rows = await prisma.loginThrottle.findMany({
+      where: blockedOnly ?
+        { blockedUntil: { gt: now } } :
+        { OR: [{ lastFailureAt: { gte: windowStart } }, { blockedUntil: { gt: now } }] },
+      orderBy: [{ blockedUntil: { sort: 'desc', nulls: 'last' } }, { lastFailureAt: 'desc' }],
+      take: 500
+    });
+
+    return { success: true, lockouts: rows.map(row => toPublicLockout(row, now)) };
+  });
+};
+
+/**
+ * Clear one counter, or every counter for a username and/or IP address
+ */
+const clearLockouts = async ({ id = null, username = null, ipAddress = null }) => {
+  const account = normalizeUsername(username);
+  const filters = [];
+
+  if (id) filters.push({ id: id });
+  if (account) filters.push({ username: account });
+  if (ipAddress) filters.push({ ipAddress: ipAddress }, { scope: 'ip', key: ipAddress });
+
+  if (filters.length === 0) {
+    return { success: false, message: 'An id, username or IP address is required' };
+  }
+
+  return await query(async (prisma) => {
+    const result = await prisma.loginThrottle.deleteMany({ where: { OR: filters } });
+
+    if (id && result.count === 0) {
+      return { success: false, status: 404, message: 'Lockout not found' };
+    }
+
+    return { success: true, message: 'Lockouts cleared', cleared: result.count };
+  });
+};
+
+/**
+ * List active IP bans
+ */
+const listBans = async () => {
+  return await query(async (prisma) => {
+    const bans = await prisma.ipBan.findMany({
+      where: { expiresAt: { gt: new Date() } },
+      orderBy: { expiresAt: 'desc' }
+    });
+    return { success: true, bans };
+  });
+};
+
+/**
+ * Lift an IP ban
+ */
+const removeBan = async (banId) => {
+  return await query(async (prisma) => {
+    const ban = await prisma.ipBan.findUnique({ where: { id: banId } });
+    if (!ban) {
+      return { success: false, status: 404, message: 'Ban not found' };
+    }
+
+    await prisma.ipBan.delete({ where: { id: banId } });
+    return { success: true, message: 'Ban removed', ban };
+  });
+};
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  clearAccount,
+  listLockouts,
+  clearLockouts,
+  listBans,
+  removeBan
+};
@@ -0,0 +1,137 @@
+/**
+ * Magic Link Service
+ *
+ * Passwordless sign-in with a one-time link sent by email. The link carries a
+ * verification token (signed, stored hashed, single-use and short-lived); following
+ * it signs the user in, or asks for the second factor if the account has one.
+ */
+
+const { query } = require('../lib/prisma');
+const verificationTokenService = require('./verificationTokenService');
+const mailService = require('./mailService');
+const mfaService = require('./mfaService');
+const registrationService = require('./registrationService');
+const authConfig = require('../config/auth');
+
+const TOKEN_PURPOSE = 'magic_link';
+
+// Links being created and mailed in the background
+const deliveries = new Set();
+
+/**
+ * Create a token and mail the link. Runs after the response has been sent.
+ */
+const deliverLink = async (user) => {
+  const { tokenTtlMs } = authConfig.magicLink;
+  const token = await verificationTokenService.createToken(user.id, TOKEN_PURPOSE, tokenTtlMs);
+  await mailService.sendMagicLinkEmail(user, token, tokenTtlMs);
+};
+
+/**
+ * Send a sign-in link. The response is the same whether or not the address has an
+ * account, so it cannot be used to find out which addresses are registered. The token
+ * and mail are handled in the background so the response time does not tell either.
+ */
+const requestLink = async (email) => {
+  const response = {
+    success: true,
+    message: 'If an account exists for that email, a sign-in link has been sent'
+  };
+
+  try {
+    const user = await query(async (prisma) => {
+      return await prisma.user.findUnique({
+        where: { email: email },
+        select: { id: true, username: true, email: true, isActive: true, approvalStatus: true }
+      });
+    });
+
+    if (user && user.isActive && !registrationService.getApprovalError(user.approvalStatus)) {
+      const delivery = deliverLink(user)
+        .catch(error => console.error('❌ Send magic link error:', error))
+        .finally(() => deliveries.delete(delivery));
+      deliveries.add(delivery);
+    }
+  } catch (error) {
+    console.error('❌ Request magic link error:', error);
+  }
+
+  return response;
+};
+
+/**
+ * Wait for the links being sent in the background (e.g. in tests)
+ */
+const flushDeliveries = async () => {
+  await Promise.all([...deliveries]);
+};
+
+/**
+ * Sign in with the token from a link. Returns the user, or a second-factor challenge
+ * like a password login does.
+ */
+const authenticate = async (token) => {
+  try {
+    const consumed = await verificationTokenService.consumeToken(token, TOKEN_PURPOSE);
+    if (!consumed.success) {
+      return { success: false, code: 'invalid_token', message: 'Invalid or expired sign-in link' };
+    }
+
+    return await query(async (prisma) => {
+      const user = await prisma.user.findUnique({ where: { id: consumed.userId } });
+
+      if (!user || !user.isActive) {
+        return { success: false, message: 'Account is deactivated' };
+      }
+
+      if (user.lockedUntil && user.lockedUntil > new Date()) {
+        return { success: false, message: 'Account is temporarily locked due to too many failed login attempts' };
+      }
+
+      const approvalError = registrationService.getApprovalError(user.approvalStatus);
+      if (approvalError) {
+        return approvalError;
+      }
+
+      // Following the link proves the user can read mail sent to the address
+      if (!user.emailVerified) {
+        await prisma.user.update({
+          where: { id: user.id },
+          data: { emailVerified: true, emailVerifiedAt: new Date() }
+        });
+      }
+
+      const publicUser = { id: user.id, username: user.username, email: user.email, role: user.role };
+
+      const challenge = await mfaService.createLoginChallenge(publicUser);
+      if (challenge) {
+        return {
+          success: true,
+          status: challenge.status,
+          mfaRequired: true,
+          mfaToken: challenge.mfaToken,
+          ...(challenge.methods && { methods: challenge.methods }),
+          message: challenge.status === 'mfa_required' ?
+            'Two-factor authentication code required' :
+            'Two-factor authentication must be set up for this account'
+        };
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { loginAttempts: 0, lockedUntil: null, lastLogin: new Date() }
+      });
+
+      return { success: true, user: publicUser };
+    });
+  } catch (error) {
+    console.error('❌ Magic link sign-in error:', error);
+    return { success: false, message: 'Login failed' };
+  }
+};
+
+module.exports = {
+  requestLink,
+  flushDeliveries,
+  authenticate
+};
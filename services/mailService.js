@@ -0,0 +1,206 @@
+/**
+ * Mail Service
+ *
+ * Sends transactional email through a pluggable transport.
+ * A transport is any object with a `name` and an async `send(message)` method.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../config/mail');
+const authConfig = require('../config/auth');
+
+/**
+ * SMTP transport (nodemailer)
+ */
+const createSmtpTransport = (options = mailConfig.smtp) => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * File transport: writes each message as JSON, for local development and tests
+ */
+const createFileTransport = (options = mailConfig.file) => {
+  return {
+    name: 'file',
+    directory: options.directory,
+    send: async (message) => {
+      await fs.promises.mkdir(options.directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(options.directory, `${messageId}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+
+      return { messageId, filePath };
+    }
+  };
+};
+
+/**
+ * Console transport: logs each message
+ */
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[mailConfig.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the transport (e.g. with a custom provider)
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const result = await getTransport().send({ from: mailConfig.from, to, subject, text, html });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Send mail error:', error);
+    return { success: false, message: 'Failed to send email', error: error.message };
+  }
+};
+
+/**
+ * Build an absolute link into the frontend
+ */
+const buildLink = (pathname, params) => {
+  const url = new URL(pathname, authConfig.appUrl);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+/**
+ * Send the email address verification link
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = buildLink('/verify-email', { token });
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.username},</p><p>Confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+/**
+ * Send the password reset link
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const link = buildLink('/reset-password', { token });
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Reset your password by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send a one-time sign-in link
+ */
+const sendMagicLinkEmail = async (user, token, ttlMs) => {
+  const link = buildLink('/magic-link', { token });
+  const minutes = Math.round(ttlMs / 60000);
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Your sign-in link',
+    text: `Hi ${user.username},\n\nSign in by opening this link:\n${link}\n\nThe link can be used once and expires in ${minutes} minutes. If you did not ask to sign in, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Sign in by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link can be used once and expires in ${minutes} minutes. If you did not ask to sign in, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send the link that confirms a deletion request from an account without a password
+ */
+const sendAccountDeletionConfirmationEmail = async (user, token, ttlMs) => {
+  const link = buildLink('/confirm-account-deletion', { token });
+  const minutes = Math.round(ttlMs / 60000);
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Confirm the deletion of your account',
+    text: `Hi ${user.username},\n\nConfirm that you want to delete your account by opening this link:\n${link}\n\nThe link can be used once and expires in ${minutes} minutes. If you did not ask to delete your account, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Confirm that you want to delete your account by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link can be used once and expires in ${minutes} minutes. If you did not ask to delete your account, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Confirm that the account will be deleted, and how to keep it
+ */
+const sendAccountDeletionEmail = async (user, deletionScheduledFor) => {
+  const link = buildLink('/login', {});
+  const date = deletionScheduledFor.toUTCString();
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.username},\n\nYour account and its data will be deleted on ${date}.\n\nTo keep your account, sign in before then and cancel the deletion:\n${link}`,
+    html: `<p>Hi ${user.username},</p><p>Your account and its data will be deleted on ${date}.</p><p>To keep your account, sign in before then and cancel the deletion:</p><p><a href="${link}">${link}</a></p>`
+  });
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  buildLink,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendAccountDeletionConfirmationEmail,
+  sendAccountDeletionEmail
+};
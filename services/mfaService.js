@@ -0,0 +1,486 @@
+/**
+ * MFA Service
+ *
+ * TOTP two-factor authentication (RFC 6238) with one-time recovery codes
+ */
+
+const crypto = require('crypto');
+const cryptoJs = require('crypto-js');
+const { query } = require('../lib/prisma');
+const authConfig = require('../config/auth');
+const { generateMfaToken } = require('../middleware/auth');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step before/after the current one to tolerate clock drift
+const TOTP_WINDOW = 1;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string into a buffer
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate the TOTP code for a time step (RFC 4226 dynamic truncation)
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+                 (hmac[offset + 1] << 16) |
+                 (hmac[offset + 2] << 8) |
+                 hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the current TOTP time step
+ */
+const currentStep = (now = Date.now()) => {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+/**
+ * Verify a TOTP code, returning the matched time step or null.
+ * Steps at or before lastUsedStep are rejected so a code cannot be replayed.
+ */
+const verifyTotp = (secret, code, lastUsedStep = null, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateTotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Encrypt/decrypt the TOTP secret at rest
+ */
+const encryptSecret = (secret) => {
+  return cryptoJs.AES.encrypt(secret, process.env.ENCRYPTION_KEY || 'default-key').toString();
+};
+
+const decryptSecret = (encrypted) => {
+  return cryptoJs.AES.decrypt(encrypted, process.env.ENCRYPTION_KEY || 'default-key').toString(cryptoJs.enc.Utf8);
+};
+
+/**
+ * Hash a recovery code for storage
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = code.toUpperCase().replace(/[^A-Z2-7]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a set of recovery codes formatted as XXXXX-XXXXX
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < authConfig.mfa.recoveryCodeCount; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+/**
+ * Check whether a role must use 2FA
+ */
+const isMfaRequiredForRole = (role) => {
+  return authConfig.mfa.requiredRoles.includes(role);
+};
+
+/**
+ * Decide whether a login that passed its first factor needs a second step.
+ * Returns null when the session can be created straight away. A registered
+ * passkey counts as a second factor next to TOTP.
+ */
+const createLoginChallenge = async (user) => {
+  return await query(async (prisma) => {
+    const record = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { mfaEnabled: true, role: true, _count: { select: { passkeys: true } } }
+    });
+
+    const methods = [];
+    if (record?.mfaEnabled) {
+      methods.push('totp', 'recovery_code');
+    }
+    if (record?._count.passkeys > 0 && (record.mfaEnabled || isMfaRequiredForRole(record.role))) {
+      methods.push('passkey');
+    }
+
+    if (methods.length > 0) {
+      return { status: 'mfa_required', mfaToken: generateMfaToken(user.id, 'mfa_login'), methods };
+    }
+
+    if (record && isMfaRequiredForRole(record.role)) {
+      return { status: 'mfa_enrollment_required', mfaToken: generateMfaToken(user.id, 'mfa_enroll') };
+    }
+
+    return null;
+  });
+};
+
+/**
+ * Replace a user's recovery codes, returning the plaintext codes (shown once)
+ */
+const replaceRecoveryCodes = async (prisma, userId) => {
+  const codes = generateRecoveryCodes();
+
+  await prisma.mfaRecoveryCode.deleteMany({ where: { userId: userId } });
+  await prisma.mfaRecoveryCode.createMany({
+    data: codes.map(code => ({ userId: userId, codeHash: hashRecoveryCode(code) }))
+  });
+
+  return codes;
+};
+
+/**
+ * Start 2FA enrollment: stores a pending secret and returns the otpauth URI
+ */
+const beginEnrollment = async (userId) => {
+  return await query(async (prisma) => {
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+
+      if (user.mfaEnabled) {
+        return { success: false, message: 'Two-factor authentication is already enabled' };
+      }
+
+      const secret = base32Encode(crypto.randomBytes(20));
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { mfaSecret: encryptSecret(secret), mfaLastUsedStep: null }
+      });
+
+      const issuer = authConfig.mfa.issuer;
+      const label = encodeURIComponent(`${issuer}:${user.email || user.username}`);
+      const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+      });
+
+      return {
+        success: true,
+        secret,
+        otpauthUri: `otpauth://totp/${label}?${params.toString()}`
+      };
+    } catch (error) {
+      console.error('Error starting 2FA enrollment:', error);
+      return { success: false, message: 'Failed to start 2FA enrollment', error: error.message };
+    }
+  });
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app and issue recovery codes
+ */
+const enableMfa = async (userId, code) => {
+  return await query(async (prisma) => {
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user || !user.mfaSecret) {
+        return { success: false, message: '2FA enrollment has not been started' };
+      }
+
+      if (user.mfaEnabled) {
+        return { success: false, message: 'Two-factor authentication is already enabled' };
+      }
+
+      const step = verifyTotp(decryptSecret(user.mfaSecret), code);
+      if (step === null) {
+        return { success: false, message: 'Invalid verification code' };
+      }
+
+      const recoveryCodes = await prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id: userId },
+          data: { mfaEnabled: true, mfaEnabledAt: new Date(), mfaLastUsedStep: step }
+        });
+        return await replaceRecoveryCodes(tx, userId);
+      });
+
+      console.log(`🔐 2FA enabled for user ${user.username}`);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+        user: { id: user.id, username: user.username, email: user.email, role: user.role }
+      };
+    } catch (error) {
+      console.error('Error enabling 2FA:', error);
+      return { success: false, message: 'Failed to enable 2FA', error: error.message };
+    }
+  });
+};
+
+/**
+ * Check a TOTP code or recovery code for a user with 2FA enabled.
+ * Consumes the code (TOTP step or recovery code) when it matches.
+ */
+const verifySecondFactor = async (prisma, user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.mfaSecret), code, user.mfaLastUsedStep);
+    if (step === null) {
+      return false;
+    }
+
+    const consumed = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }]
+      },
+      data: { mfaLastUsedStep: step }
+    });
+    return consumed.count === 1;
+  }
+
+  if (recoveryCode) {
+    const consumed = await prisma.mfaRecoveryCode.updateMany({
+      where: { userId: user.id, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    return consumed.count === 1;
+  }
+
+  return false;
+};
+
+/**
+ * Complete a login challenge with a TOTP code or recovery code
+ */
+const verifyLoginChallenge = async (userId, factors) => {
+  return await query(async (prisma) => {
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user || !user.mfaEnabled) {
+        return { success: false, message: 'Invalid 2FA challenge' };
+      }
+
+      if (!user.isActive) {
+        return { success: false, message: 'Account is deactivated' };
+      }
+
+      if (user.lockedUntil && user.lockedUntil > new Date()) {
+        return { success: false, message: 'Account is temporarily locked due to too many failed login attempts' };
+      }
+
+      const valid = await verifySecondFactor(prisma, user, factors);
+
+      if (!valid) {
+        // Lock the second step after repeated failures (reaching it already takes the password)
+        const loginAttempts = user.loginAttempts + 1;
+        await prisma.user.update({
+          where: { id: user.id },
+          data: {
+            loginAttempts: loginAttempts,
+            lockedUntil: loginAttempts >= 5 ? new Date(Date.now() + 30 * 60 * 1000) : null
+          }
+        });
+
+        return { success: false, message: 'Invalid verification code' };
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { loginAttempts: 0, lockedUntil: null, lastLogin: new Date() }
+      });
+
+      const remaining = await prisma.mfaRecoveryCode.count({ where: { userId: user.id, usedAt: null } });
+
+      return {
+        success: true,
+        user: { id: user.id, username: user.username, email: user.email, role: user.role },
+        recoveryCodesRemaining: remaining
+      };
+    } catch (error) {
+      console.error('Error verifying 2FA challenge:', error);
+      return { success: false, message: 'Failed to verify 2FA', error: error.message };
+    }
+  });
+};
+
+/**
+ * Disable 2FA after confirming a current code
+ */
+const disableMfa = async (userId, factors) => {
+  return await query(async (prisma) => {
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user || !user.mfaEnabled) {
+        return { success: false, message: 'Two-factor authentication is not enabled' };
+      }
+
+      if (isMfaRequiredForRole(user.role)) {
+        return { success: false, message: `Two-factor authentication is required for the ${user.role} role` };
+      }
+
+      if (!(await verifySecondFactor(prisma, user, factors))) {
+        return { success: false, message: 'Invalid verification code' };
+      }
+
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id: userId },
+          data: { mfaEnabled: false, mfaSecret: null, mfaEnabledAt: null, mfaLastUsedStep: null }
+        }),
+        prisma.mfaRecoveryCode.deleteMany({ where: { userId: userId } })
+      ]);
+
+      return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      console.error('Error disabling 2FA:', error);
+      return { success: false, message: 'Failed to disable 2FA', error: error.message };
+    }
+  });
+};
+
+/**
+ * Regenerate recovery codes after confirming a current code
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  return await query(async (prisma) => {
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user || !user.mfaEnabled) {
+        return { success: false, message: 'Two-factor authentication is not enabled' };
+      }
+
+      if (!(await verifySecondFactor(prisma, user, { code }))) {
+        return { success: false, message: 'Invalid verification code' };
+      }
+
+      const recoveryCodes = await replaceRecoveryCodes(prisma, userId);
+      return { success: true, recoveryCodes };
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      return { success: false, message: 'Failed to regenerate recovery codes', error: error.message };
+    }
+  });
+};
+
+/**
+ * Get a user's 2FA status
+ */
+const getMfaStatus = async (userId) => {
+  return await query(async (prisma) => {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { mfaEnabled: true, mfaEnabledAt: true, role: true, _count: { select: { passkeys: true } } }
+    });
+
+    if (!user) {
+      return { success: false, message: 'User not found' };
+    }
+
+    const recoveryCodesRemaining = user.mfaEnabled
+      ? await prisma.mfaRecoveryCode.count({ where: { userId: userId, usedAt: null } })
+      : 0;
+
+    return {
+      success: true,
+      mfa: {
+        enabled: user.mfaEnabled,
+        enabledAt: user.mfaEnabledAt,
+        required: isMfaRequiredForRole(user.role),
+        recoveryCodesRemaining,
+        passkeys: user._count.passkeys
+      }
+    };
+  });
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  isMfaRequiredForRole,
+  createLoginChallenge,
+  beginEnrollment,
+  enableMfa,
+  verifyLoginChallenge,
+  disableMfa,
+  regenerateRecoveryCodes,
+  getMfaStatus
+};
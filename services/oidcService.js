@@ -0,0 +1,375 @@
+/**
+ * OIDC Service
+ *
+ * Provider registry and the OAuth2 authorization code flow with PKCE, state and nonce.
+ * OIDC providers are configured through discovery and their ID tokens are verified
+ * against the issuer's JWKS; plain OAuth2 providers (GitHub) use their user API instead.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oidcConfig = require('../config/oidc');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// issuer -> { value, expiresAt }
+const discoveryCache = new Map();
+// jwks_uri -> { value, expiresAt }
+const jwksCache = new Map();
+
+/**
+ * Base64url-encoded random value (used for state, nonce and the PKCE verifier)
+ */
+const randomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * PKCE S256 challenge for a code verifier
+ */
+const createCodeChallenge = (codeVerifier) => {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+};
+
+/**
+ * Add or replace a provider at runtime
+ */
+const registerProvider = (provider) => {
+  oidcConfig.providers[provider.id] = {
+    type: 'oidc',
+    displayName: provider.id,
+    scopes: ['openid', 'email', 'profile'],
+    usernameClaim: 'preferred_username',
+    roleClaim: null,
+    roleMap: [],
+    defaultRole: 'user',
+    syncRoles: false,
+    ...provider
+  };
+  return oidcConfig.providers[provider.id];
+};
+
+/**
+ * Look up a configured provider
+ */
+const getProvider = (providerId) => {
+  const provider = oidcConfig.providers[providerId];
+  if (!provider || !provider.clientId || (provider.type === 'oidc' && !provider.issuer)) {
+    return null;
+  }
+  return provider;
+};
+
+/**
+ * List configured providers (public details only)
+ */
+const listProviders = () => {
+  return Object.keys(oidcConfig.providers)
+    .map(getProvider)
+    .filter(Boolean)
+    .map(provider => ({
+      id: provider.id,
+      name: provider.displayName,
+      type: provider.type,
+      loginUrl: `/api/auth/oauth/${provider.id}`
+    }));
+};
+
+/**
+ * Fetch JSON, throwing on non-2xx responses
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', 'User-Agent': 'PostgreSQL-React-App', ...options.headers }
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || body?.message || response.statusText;
+    throw new Error(`Request to ${url} failed with ${response.status}: ${detail}`);
+  }
+  return body;
+};
+
+/**
+ * Read from a TTL cache, loading the value when it is missing or stale
+ */
+const cached = async (cache, key, load, forceRefresh = false) => {
+  const entry = cache.get(key);
+  if (!forceRefresh && entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + oidcConfig.metadataCacheTtlMs });
+  return value;
+};
+
+/**
+ * Resolve the endpoints of a provider, using OIDC discovery where applicable
+ */
+const getProviderMetadata = async (provider) => {
+  if (provider.type !== 'oidc') {
+    return {
+      authorization_endpoint: provider.authorizationEndpoint,
+      token_endpoint: provider.tokenEndpoint,
+      userinfo_endpoint: provider.userinfoEndpoint
+    };
+  }
+
+  const issuer = provider.issuer.replace(/\/+$/, '');
+
+  return await cached(discoveryCache, issuer, async () => {
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    // The discovery document must describe the issuer it was fetched from
+    if (metadata.issuer.replace(/\/+$/, '') !== issuer) {
+      throw new Error(`Discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+    }
+    return metadata;
+  });
+};
+
+/**
+ * Find the signing key for an ID token, refreshing the JWKS once if the key id is unknown
+ */
+const getSigningKey = async (metadata, kid) => {
+  const findKey = (jwks) => jwks.keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  let jwks = await cached(jwksCache, metadata.jwks_uri, () => fetchJson(metadata.jwks_uri));
+  let jwk = findKey(jwks);
+
+  if (!jwk) {
+    // The provider may have rotated its keys since we cached them
+    jwks = await cached(jwksCache, metadata.jwks_uri, () => fetchJson(metadata.jwks_uri), true);
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const allowedAlgorithms = metadata.id_token_signing_alg_values_supported ?
+    ID_TOKEN_ALGORITHMS.filter(alg => metadata.id_token_signing_alg_values_supported.includes(alg)) :
+    ['RS256'];
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: allowedAlgorithms,
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+    clockTolerance: oidcConfig.clockToleranceSec
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  // With multiple audiences the token must have been issued to us
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  return claims;
+};
+
+/**
+ * Start an authorization code flow.
+ * Returns the URL to redirect to and the transaction to keep until the callback.
+ */
+const createAuthorizationRequest = async (providerId, options = {}) => {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    return { success: false, message: 'Unknown or unconfigured provider' };
+  }
+
+  const metadata = await getProviderMetadata(provider);
+  const transaction = {
+    providerId,
+    state: randomToken(),
+    nonce: randomToken(),
+    codeVerifier: randomToken(48),
+    createdAt: Date.now(),
+    ...options
+  };
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes.join(' '));
+  url.searchParams.set('state', transaction.state);
+  url.searchParams.set('code_challenge', createCodeChallenge(transaction.codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (provider.type === 'oidc') {
+    url.searchParams.set('nonce', transaction.nonce);
+  }
+
+  return { success: true, url: url.toString(), transaction };
+};
+
+/**
+ * Exchange the authorization code for tokens
+ */
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+
+  // GitHub reports token errors with a 200 response
+  if (tokens.error) {
+    throw new Error(`Token exchange failed: ${tokens.error_description || tokens.error}`);
+  }
+  return tokens;
+};
+
+/**
+ * Load a GitHub profile, including its primary verified email
+ */
+const fetchGitHubProfile = async (provider, accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const [profile, emails] = await Promise.all([
+    fetchJson(provider.userinfoEndpoint, { headers }),
+    fetchJson(provider.emailsEndpoint, { headers }).catch(() => [])
+  ]);
+
+  const primary = emails.find(email => email.primary) || emails.find(email => email.verified);
+
+  return {
+    sub: String(profile.id),
+    preferred_username: profile.login,
+    name: profile.name || profile.login,
+    email: primary?.email || profile.email || null,
+    email_verified: primary ? primary.verified === true : false,
+    picture: profile.avatar_url
+  };
+};
+
+/**
+ * Normalize provider claims into the identity fields we store
+ */
+const toIdentityProfile = (provider, claims) => ({
+  provider: provider.id,
+  subject: String(claims.sub),
+  email: claims.email ? String(claims.email).toLowerCase() : null,
+  // Some providers send "true"/"false" strings
+  emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+  username: claims[provider.usernameClaim || 'preferred_username'] || claims.preferred_username || claims.nickname || null,
+  displayName: claims.name || null,
+  avatarUrl: claims.picture || null,
+  claims
+});
+
+/**
+ * Complete an authorization code flow from the callback parameters.
+ * Validates state, exchanges the code with the PKCE verifier and returns the identity profile.
+ */
+const completeAuthorization = async (providerId, transaction, params) => {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    return { success: false, message: 'Unknown or unconfigured provider' };
+  }
+
+  if (!transaction || transaction.providerId !== providerId || !params.state || transaction.state !== params.state) {
+    return { success: false, message: 'Invalid state parameter' };
+  }
+
+  if (Date.now() - transaction.createdAt > oidcConfig.transactionTtlMs) {
+    return { success: false, message: 'Login request expired' };
+  }
+
+  if (params.error) {
+    return { success: false, message: `Provider returned an error: ${params.error_description || params.error}` };
+  }
+
+  if (!params.code) {
+    return { success: false, message: 'Authorization code is missing' };
+  }
+
+  try {
+    const metadata = await getProviderMetadata(provider);
+    const tokens = await exchangeCode(provider, metadata, params.code, transaction.codeVerifier);
+
+    let claims;
+    if (provider.type === 'oidc') {
+      if (!tokens.id_token) {
+        return { success: false, message: 'Provider did not return an ID token' };
+      }
+
+      claims = await verifyIdToken(provider, metadata, tokens.id_token, transaction.nonce);
+
+      if (metadata.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        // Userinfo must describe the same subject as the ID token
+        if (String(userinfo.sub) === String(claims.sub)) {
+          claims = { ...userinfo, ...claims };
+        }
+      }
+    } else {
+      claims = await fetchGitHubProfile(provider, tokens.access_token);
+    }
+
+    return { success: true, provider, profile: toIdentityProfile(provider, claims) };
+  } catch (error) {
+    console.error(`❌ ${providerId} authorization failed:`, error.message);
+    return { success: false, message: 'Failed to verify the provider response' };
+  }
+};
+
+/**
+ * Read a claim by dot path, e.g. "realm_access.roles"
+ */
+const getClaim = (claims, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * Map identity claims to an application role using the provider's role map.
+ * The first mapping whose claim value is present wins; otherwise the default role is used.
+ */
+const mapRole = (provider, claims) => {
+  if (!provider.roleClaim || provider.roleMap.length === 0) {
+    return provider.defaultRole;
+  }
+
+  const value = getClaim(claims, provider.roleClaim);
+  const values = (Array.isArray(value) ? value : [value]).filter(entry => entry != null).map(String);
+  const match = provider.roleMap.find(mapping => values.includes(mapping.claimValue));
+
+  return match ? match.role : provider.defaultRole;
+};
+
+module.exports = {
+  createCodeChallenge,
+  registerProvider,
+  getProvider,
+  listProviders,
+  getProviderMetadata,
+  createAuthorizationRequest,
+  completeAuthorization,
+  mapRole
+};
@@ -0,0 +1,265 @@
+/**
+ * Passkey Service
+ *
+ * Stores users' passkeys (WebAuthn credentials) and signs users in with them, either
+ * passwordless or as the second factor after a password login
+ */
+
+const { query } = require('../lib/prisma');
+const authConfig = require('../config/auth');
+const webauthnService = require('./webauthnService');
+const registrationService = require('./registrationService');
+const { countOtherLoginMethods } = require('./identityService');
+
+/**
+ * Shape a passkey record for responses (never includes the public key or counter)
+ */
+const toPublicPasskey = (passkey) => ({
+  id: passkey.id,
+  name: passkey.name,
+  credentialId: passkey.credentialId,
+  transports: passkey.transports,
+  aaguid: passkey.aaguid,
+  backedUp: passkey.backedUp,
+  lastUsedAt: passkey.lastUsedAt,
+  createdAt: passkey.createdAt
+});
+
+/**
+ * Start registering a passkey: returns the options for navigator.credentials.create()
+ */
+const beginRegistration = async (userId) => {
+  return await query(async (prisma) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, username: true, email: true, passkeys: { select: { credentialId: true, transports: true } } }
+      });
+
+      if (!user) {
+        return { success: false, status: 404, message: 'User not found' };
+      }
+
+      if (user.passkeys.length >= authConfig.webauthn.maxPerUser) {
+        return { success: false, message: `A user can have at most ${authConfig.webauthn.maxPerUser} passkeys` };
+      }
+
+      return { success: true, options: webauthnService.generateRegistrationOptions(user, user.passkeys) };
+    } catch (error) {
+      console.error('Error starting passkey registration:', error);
+      return { success: false, message: 'Failed to start passkey registration', error: error.message };
+    }
+  });
+};
+
+/**
+ * Verify the authenticator's response and store the new passkey
+ */
+const completeRegistration = async (userId, credential, expectedChallenge, name) => {
+  const verification = webauthnService.verifyRegistrationResponse(credential, expectedChallenge);
+  if (!verification.success) {
+    return verification;
+  }
+
+  return await query(async (prisma) => {
+    try {
+      const count = await prisma.passkey.count({ where: { userId: userId } });
+      if (count >= authConfig.webauthn.maxPerUser) {
+        return { success: false, message: `A user can have at most ${authConfig.webauthn.maxPerUser} passkeys` };
+      }
+
+      const existing = await prisma.passkey.findUnique({ where: { credentialId: verification.credential.credentialId } });
+      if (existing) {
+        return { success: false, status: 409, message: 'This passkey is already registered' };
+      }
+
+      const passkey = await prisma.passkey.create({
+        data: {
+          userId: userId,
+          ...verification.credential,
+          signCount: BigInt(verification.credential.signCount),
+          name: name || `Passkey ${count + 1}`
+        },
+        include: { user: { select: { id: true, username: true, email: true, role: true } } }
+      });
+
+      return { success: true, message: 'Passkey added', passkey: toPublicPasskey(passkey), user: passkey.user };
+    } catch (error) {
+      console.error('Error registering passkey:', error);
+      return { success: false, message: 'Failed to register passkey', error: error.message };
+    }
+  });
+};
+
+/**
+ * List a user's passkeys
+ */
+const listPasskeys = async (userId) => {
+  return await query(async (prisma) => {
+    const passkeys = await prisma.passkey.findMany({
+      where: { userId: userId },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return { success: true, passkeys: passkeys.map(toPublicPasskey) };
+  });
+};
+
+/**
+ * Rename one of a user's passkeys
+ */
+const renamePasskey = async (userId, passkeyId, name) => {
+  return await query(async (prisma) => {
+    const result = await prisma.passkey.updateMany({
+      where: { id: passkeyId, userId: userId },
+      data: { name: name }
+    });
+
+    if (result.count === 0) {
+      return { success: false, status: 404, message: 'Passkey not found' };
+    }
+
+    return { success: true, message: 'Passkey renamed' };
+  });
+};
+
+/**
+ * Delete one of a user's passkeys, unless it is their only way to sign in
+ */
+const deletePasskey = async (userId, passkeyId) => {
+  return await query(async (prisma) => {
+    try {
+      const passkey = await prisma.passkey.findFirst({ where: { id: passkeyId, userId: userId } });
+      if (!passkey) {
+        return { success: false, status: 404, message: 'Passkey not found' };
+      }
+
+      if (await countOtherLoginMethods(prisma, userId, { passkeyId: passkey.id }) === 0) {
+        return {
+          success: false,
+          status: 409,
+          message: 'Cannot delete your only sign-in method. Set a password, add another passkey or link an account first.'
+        };
+      }
+
+      await prisma.passkey.delete({ where: { id: passkey.id } });
+
+      return { success: true, message: 'Passkey deleted', passkey: toPublicPasskey(passkey) };
+    } catch (error) {
+      console.error('Error deleting passkey:', error);
+      return { success: false, message: 'Failed to delete passkey', error: error.message };
+    }
+  });
+};
+
+/**
+ * Start a passkey sign-in. Without a user the browser offers all of its passkeys for
+ * the site (passwordless, so user verification is required); with a user (second
+ * factor after the password) only that user's passkeys are allowed.
+ */
+const beginAuthentication = async (userId = null) => {
+  if (!userId) {
+    return { success: true, options: webauthnService.generateAuthenticationOptions([], 'required') };
+  }
+
+  return await query(async (prisma) => {
+    const passkeys = await prisma.passkey.findMany({
+      where: { userId: userId },
+      select: { credentialId: true, transports: true }
+    });
+
+    if (passkeys.length === 0) {
+      return { success: false, message: 'No passkeys are registered for this account' };
+    }
+
+    return { success: true, options: webauthnService.generateAuthenticationOptions(passkeys, 'preferred') };
+  });
+};
+
+const invalidPasskey = () => ({ success: false, code: 'invalid_credentials', message: 'Passkey sign-in failed' });
+
+/**
+ * Verify a passkey sign-in. `userId` binds the ceremony to one account (second
+ * factor); otherwise the account is the passkey's owner.
+ */
+const authenticate = async (credential, expectedChallenge, { userId = null } = {}) => {
+  return await query(async (prisma) => {
+    try {
+      const credentialId = typeof credential?.id === 'string' ? credential.id : null;
+      const passkey = credentialId ?
+        await prisma.passkey.findUnique({ where: { credentialId: credentialId }, include: { user: true } }) :
+        null;
+
+      if (!passkey || (userId && passkey.userId !== userId)) {
+        return invalidPasskey();
+      }
+
+      // The user handle returned by discoverable credentials must name the same account
+      const userHandle = credential.response?.userHandle;
+      if (userHandle && Buffer.from(userHandle, 'base64url').toString('utf8') !== String(passkey.userId)) {
+        return invalidPasskey();
+      }
+
+      const verification = webauthnService.verifyAuthenticationResponse(credential, expectedChallenge, passkey, {
+        requireUserVerification: !userId
+      });
+
+      if (!verification.success) {
+        return { ...invalidPasskey(), message: verification.message, userId: passkey.userId };
+      }
+
+      // Only move the counter forward, so two concurrent sign-ins cannot both use one value
+      const updated = await prisma.passkey.updateMany({
+        where: { id: passkey.id, signCount: passkey.signCount },
+        data: { signCount: BigInt(verification.signCount), backedUp: verification.backedUp, lastUsedAt: new Date() }
+      });
+      if (updated.count === 0) {
+        return { ...invalidPasskey(), userId: passkey.userId };
+      }
+
+      const { user } = passkey;
+
+      if (!user.isActive) {
+        return { success: false, message: 'Account is deactivated' };
+      }
+
+      if (user.lockedUntil && user.lockedUntil > new Date()) {
+        return { success: false, message: 'Account is temporarily locked due to too many failed login attempts' };
+      }
+
+      const approvalError = registrationService.getApprovalError(user.approvalStatus);
+      if (approvalError) {
+        return approvalError;
+      }
+
+      if (!user.emailVerified && authConfig.emailVerification.unverifiedPolicy === 'block') {
+        return { success: false, code: 'email_unverified', message: 'Email address has not been verified' };
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { loginAttempts: 0, lockedUntil: null, lastLogin: new Date() }
+      });
+
+      return {
+        success: true,
+        user: { id: user.id, username: user.username, email: user.email, role: user.role },
+        passkey: toPublicPasskey({ ...passkey, lastUsedAt: new Date() })
+      };
+    } catch (error) {
+      console.error('Error verifying passkey sign-in:', error);
+      return { success: false, message: 'Passkey sign-in failed', error: error.message };
+    }
+  });
+};
+
+module.exports = {
+  toPublicPasskey,
+  beginRegistration,
+  completeRegistration,
+  listPasskeys,
+  renamePasskey,
+  deletePasskey,
+  beginAuthentication,
+  authenticate
+};
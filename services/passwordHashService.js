@@ -0,0 +1,223 @@
+/**
+ * Password Hash Service
+ *
+ * Hashes and verifies passwords with the configured algorithm (scrypt, argon2id or
+ * bcrypt). Every hash records its algorithm and parameters in the PHC string format,
+ * e.g. "$scrypt$ln=17,r=8,p=1$<salt>$<hash>", so older hashes keep verifying after the
+ * configuration changes and are replaced with a current one at the next login.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const bcrypt = require('bcryptjs');
+const { query } = require('../lib/prisma');
+const authConfig = require('../config/auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+// PHC strings use unpadded base64
+const toBase64 = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+
+/**
+ * Parse "a=1,b=2" into { a: 1, b: 2 }
+ */
+const parseParams = (segment) => {
+  const params = {};
+  for (const pair of (segment || '').split(',')) {
+    const [name, value] = pair.split('=');
+    if (name && /^\d+$/.test(value || '')) {
+      params[name] = parseInt(value, 10);
+    }
+  }
+  return params;
+};
+
+/**
+ * Read the algorithm and parameters of a stored hash, or null if it is not one we know.
+ * Also accepts the "$algorithm$params" prefix on its own, as used by the hash report.
+ */
+const describeHash = (hash) => {
+  if (typeof hash !== 'string') {
+    return null;
+  }
+
+  const bcryptMatch = hash.match(/^\$2[aby]\$(\d{2})(\$|$)/);
+  if (bcryptMatch) {
+    return { algorithm: 'bcrypt', params: { cost: parseInt(bcryptMatch[1], 10) } };
+  }
+
+  const segments = hash.split('$');
+  if (segments[1] === 'scrypt') {
+    const { ln, r, p } = parseParams(segments[2]);
+    return ln && r && p ? { algorithm: 'scrypt', params: { ln, r, p } } : null;
+  }
+
+  if (segments[1] === 'argon2id') {
+    const { m, t, p } = parseParams(segments[3]);
+    return m && t && p ? { algorithm: 'argon2id', params: { m, t, p } } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Parameters new hashes are created with, in the form describeHash reports them
+ */
+const currentParams = () => {
+  const { algorithm, ...settings } = authConfig.passwordHashing;
+
+  switch (algorithm) {
+    case 'bcrypt':
+      return { algorithm, params: { cost: settings.bcrypt.cost } };
+    case 'scrypt':
+      return { algorithm, params: { ln: settings.scrypt.costLog2, r: settings.scrypt.blockSize, p: settings.scrypt.parallelization } };
+    case 'argon2id':
+      return { algorithm, params: { m: settings.argon2id.memoryCost, t: settings.argon2id.timeCost, p: settings.argon2id.parallelism } };
+    default:
+      throw new Error(`Unknown password hash algorithm: ${algorithm}`);
+  }
+};
+
+/**
+ * argon2 is an optional native dependency, only needed when argon2id is used
+ */
+const loadArgon2 = () => {
+  try {
+    return require('argon2');
+  } catch (error) {
+    throw new Error('PASSWORD_HASH_ALGORITHM=argon2id needs the "argon2" package (npm install argon2)');
+  }
+};
+
+const scryptOptions = ({ ln, r, p }) => ({
+  N: 2 ** ln,
+  r,
+  p,
+  // Node refuses to use more than 32 MiB unless allowed; scrypt needs 128 * N * r bytes
+  maxmem: 128 * (2 ** ln) * r * 2
+});
+
+/**
+ * Hash a password with the configured algorithm and parameters
+ */
+const hashPassword = async (password) => {
+  const { algorithm, params } = currentParams();
+
+  if (algorithm === 'bcrypt') {
+    return await bcrypt.hash(password, params.cost);
+  }
+
+  if (algorithm === 'argon2id') {
+    const argon2 = loadArgon2();
+    return await argon2.hash(password, {
+      type: argon2.argon2id,
+      memoryCost: params.m,
+      timeCost: params.t,
+      parallelism: params.p
+    });
+  }
+
+  const { keyLength, saltLength } = authConfig.passwordHashing.scrypt;
+  const salt = crypto.randomBytes(saltLength);
+  const key = await scrypt(password.normalize('NFKC'), salt, keyLength, scryptOptions(params));
+
+  return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${toBase64(salt)}$${toBase64(key)}`;
+};
+
+/**
+ * Check a password against a stored hash of any supported algorithm
+ */
+const verifyPassword = async (password, hash) => {
+  const described = describeHash(hash);
+  if (!described || typeof password !== 'string') {
+    return false;
+  }
+
+  if (described.algorithm === 'bcrypt') {
+    return await bcrypt.compare(password, hash);
+  }
+
+  if (described.algorithm === 'argon2id') {
+    return await loadArgon2().verify(hash, password);
+  }
+
+  const [, , , saltSegment, keySegment] = hash.split('$');
+  if (!saltSegment || !keySegment) {
+    return false;
+  }
+
+  const expected = Buffer.from(keySegment, 'base64');
+  const actual = await scrypt(password.normalize('NFKC'), Buffer.from(saltSegment, 'base64'), expected.length, scryptOptions(described.params));
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Whether a hash was made with another algorithm or other parameters than configured
+ */
+const needsRehash = (hash) => {
+  const described = describeHash(hash);
+  if (!described) {
+    return true;
+  }
+
+  const current = currentParams();
+  return described.algorithm !== current.algorithm ||
+    Object.keys(current.params).some(name => described.params[name] !== current.params[name]);
+};
+
+/**
+ * Count accounts by hash algorithm and parameters, so admins can see how many still
+ * use outdated hashes. Those are upgraded when their owners next sign in.
+ */
+const getHashReport = async () => {
+  try {
+    return await query(async (prisma) => {
+      // Group by the "$algorithm$parameters" prefix; salts and hashes follow it
+      const rows = await prisma.$queryRaw`
+        SELECT substring(password_hash from '^(\\$[^$]+\\$(?:v=[0-9]+\\$)?[^$]+)\\$') AS scheme,
+               COUNT(*)::int AS count
+        FROM users
+        WHERE password_hash IS NOT NULL
+        GROUP BY scheme
+        ORDER BY count DESC
+      `;
+      const withoutPassword = await prisma.user.count({ where: { passwordHash: null } });
+
+      const schemes = rows.map(({ scheme, count }) => {
+        const described = scheme ? describeHash(scheme) : null;
+        return {
+          algorithm: described ? described.algorithm : 'unknown',
+          params: described ? described.params : null,
+          count,
+          current: Boolean(scheme) && !needsRehash(scheme)
+        };
+      });
+
+      const current = schemes.filter(scheme => scheme.current).reduce((sum, scheme) => sum + scheme.count, 0);
+      const total = schemes.reduce((sum, scheme) => sum + scheme.count, 0);
+
+      return {
+        success: true,
+        report: {
+          target: currentParams(),
+          total,
+          current,
+          outdated: total - current,
+          withoutPassword,
+          schemes
+        }
+      };
+    });
+  } catch (error) {
+    console.error('❌ Password hash report error:', error);
+    return { success: false, message: 'Failed to build password hash report' };
+  }
+};
+
+module.exports = {
+  describeHash,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  getHashReport
+};
@@ -0,0 +1,377 @@
+/**
+ * Password Policy Service
+ *
+ * Length and character-class rules, a zxcvbn-style strength estimate, personal
+ * information and breached-password checks, and password history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../lib/prisma');
+const passwordHashService = require('./passwordHashService');
+const authConfig = require('../config/auth');
+
+const BUNDLED_BLOCKLIST = path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./'];
+const KEYBOARD_KEYS = 47;
+
+const LEET_SUBSTITUTIONS = {
+  '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i', '!': 'i',
+  '|': 'l', '0': 'o', '5': 's', '$': 's', '7': 't', '+': 't', '2': 'z'
+};
+
+// log10(guesses) below which each score applies, as in zxcvbn
+const SCORE_THRESHOLDS = [3, 6, 8, 10];
+
+/**
+ * Read a password list, one entry per line ("#" starts a comment)
+ */
+const readPasswordList = (file) => {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+};
+
+/**
+ * Load the bundled list (ordered by frequency, so the index is the rank) and the optional extra list
+ */
+const loadBlocklist = () => {
+  const ranked = new Map();
+  readPasswordList(BUNDLED_BLOCKLIST).forEach((entry, index) => {
+    if (!ranked.has(entry)) ranked.set(entry, index + 1);
+  });
+
+  const { blocklistFile } = authConfig.passwordPolicy;
+  if (blocklistFile) {
+    try {
+      for (const entry of readPasswordList(blocklistFile)) {
+        if (!ranked.has(entry)) ranked.set(entry, ranked.size + 1);
+      }
+    } catch (error) {
+      console.error(`❌ Could not read PASSWORD_BLOCKLIST_FILE ${blocklistFile}:`, error.message);
+    }
+  }
+
+  return ranked;
+};
+
+const blocklist = loadBlocklist();
+
+/**
+ * Replace common leetspeak characters with the letters they stand for (keeps the length)
+ */
+const unleet = (value) => {
+  return [...value].map(char => LEET_SUBSTITUTIONS[char] || char).join('');
+};
+
+/**
+ * Brute-force search space for a single character
+ */
+const charCardinality = (char) => {
+  if (/[a-z]/.test(char) || /[A-Z]/.test(char)) return 26;
+  if (/[0-9]/.test(char)) return 10;
+  return 33;
+};
+
+/**
+ * Extra guesses needed for the capitalisation of a word
+ */
+const caseVariations = (word) => {
+  const upper = (word.match(/[A-Z]/g) || []).length;
+  const lower = (word.match(/[a-z]/g) || []).length;
+  if (upper === 0) return 1;
+  if (lower === 0 || (upper === 1 && /^[A-Z]/.test(word))) return 2;
+  return Math.pow(2, Math.min(upper, lower));
+};
+
+/**
+ * Longest dictionary word starting at a position (user inputs rank first)
+ */
+const matchDictionary = (password, start, userInputs) => {
+  const lower = password.toLowerCase();
+  const plain = unleet(lower);
+
+  for (let end = password.length; end >= start + 3; end--) {
+    const word = lower.slice(start, end);
+    const unleeted = plain.slice(start, end);
+    const rank = userInputs.has(word) ? 1 : blocklist.get(word);
+    const leetRank = rank ? null : (userInputs.has(unleeted) ? 1 : blocklist.get(unleeted));
+
+    if (rank || leetRank) {
+      const substitutions = leetRank ? [...word].filter((char, i) => char !== unleeted[i]).length : 0;
+      const guesses = (rank || leetRank) * caseVariations(password.slice(start, end)) * Math.pow(2, substitutions);
+      return { length: end - start, log10: Math.log10(Math.max(guesses, 10)) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Run of one repeated character ("aaaa")
+ */
+const matchRepeat = (password, start) => {
+  let end = start + 1;
+  while (end < password.length && password[end] === password[start]) end++;
+
+  const length = end - start;
+  return length >= 3 ? { length, log10: Math.log10(charCardinality(password[start]) * length) } : null;
+};
+
+/**
+ * Ascending or descending run of letters or digits ("abcd", "9876")
+ */
+const matchSequence = (password, start) => {
+  const lower = password.toLowerCase();
+  const sameClass = (a, b) => (/[a-z]/.test(a) && /[a-z]/.test(b)) || (/[0-9]/.test(a) && /[0-9]/.test(b));
+
+  if (start + 1 >= lower.length || !sameClass(lower[start], lower[start + 1])) return null;
+
+  const delta = lower.charCodeAt(start + 1) - lower.charCodeAt(start);
+  if (Math.abs(delta) !== 1) return null;
+
+  let end = start + 2;
+  while (end < lower.length && sameClass(lower[start], lower[end]) && lower.charCodeAt(end) - lower.charCodeAt(end - 1) === delta) {
+    end++;
+  }
+
+  const length = end - start;
+  if (length < 3) return null;
+
+  const cardinality = /[0-9]/.test(lower[start]) ? 10 : 26;
+  return { length, log10: Math.log10(cardinality * length * (delta < 0 ? 2 : 1)) };
+};
+
+/**
+ * Run of neighbouring keys on one keyboard row ("qwerty", "lkjh")
+ */
+const matchKeyboard = (password, start) => {
+  const lower = password.toLowerCase();
+
+  for (const row of KEYBOARD_ROWS) {
+    const column = row.indexOf(lower[start]);
+    if (column === -1 || start + 1 >= lower.length) continue;
+
+    const direction = row.indexOf(lower[start + 1]) - column;
+    if (Math.abs(direction) !== 1) continue;
+
+    let end = start + 1;
+    while (end < lower.length && row.indexOf(lower[end]) === column + (end - start) * direction) end++;
+
+    const length = end - start;
+    if (length >= 4) {
+      return { length, log10: Math.log10(KEYBOARD_KEYS * 2 * length) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Four-digit year between 1900 and 2099
+ */
+const matchYear = (password, start) => {
+  return /^(19|20)\d\d/.test(password.slice(start)) ? { length: 4, log10: Math.log10(200) } : null;
+};
+
+/**
+ * Estimate how hard a password is to guess, zxcvbn-style: the password is split
+ * into dictionary words, repeats, sequences, keyboard runs and years, each costing
+ * far fewer guesses than random characters. Returns a score from 0 to 4.
+ */
+const estimateStrength = (password, userInputs = []) => {
+  const inputs = new Set(userInputs.filter(Boolean).map(input => String(input).toLowerCase()).filter(input => input.length >= 3));
+  let log10Guesses = 0;
+  let position = 0;
+
+  while (position < password.length) {
+    const candidates = [
+      matchDictionary(password, position, inputs),
+      matchRepeat(password, position),
+      matchSequence(password, position),
+      matchKeyboard(password, position),
+      matchYear(password, position)
+    ].filter(Boolean);
+
+    if (candidates.length === 0) {
+      log10Guesses += Math.log10(charCardinality(password[position]));
+      position++;
+      continue;
+    }
+
+    // Prefer the longest match, then the most guessable one
+    candidates.sort((a, b) => b.length - a.length || a.log10 - b.log10);
+    log10Guesses += candidates[0].log10;
+    position += candidates[0].length;
+  }
+
+  const score = SCORE_THRESHOLDS.filter(threshold => log10Guesses >= threshold).length;
+  return { score, log10Guesses: Math.round(log10Guesses * 100) / 100 };
+};
+
+/**
+ * Whether a password is on the common/breached password list
+ */
+const isBreachedPassword = (password) => {
+  const lower = password.toLowerCase();
+  return blocklist.has(lower) || blocklist.has(unleet(lower));
+};
+
+/**
+ * Check a password against the stateless rules. Errors are { rule, msg }.
+ */
+const validatePassword = (password, { username, email } = {}) => {
+  const policy = authConfig.passwordPolicy;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push({ rule: 'min_length', msg: `Password must be at least ${policy.minLength} characters long` });
+    return { valid: false, errors, score: 0 };
+  }
+
+  if (Buffer.byteLength(password) > policy.maxLength) {
+    errors.push({ rule: 'max_length', msg: `Password must be at most ${policy.maxLength} characters long` });
+  }
+
+  const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  if (classes < policy.minCharacterClasses) {
+    errors.push({
+      rule: 'character_classes',
+      msg: `Password must mix at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, digits and symbols`
+    });
+  }
+
+  const lower = password.toLowerCase();
+  const personal = [username, email, email && email.split('@')[0]]
+    .filter(value => value && value.length >= 3)
+    .map(value => value.toLowerCase());
+
+  if (policy.rejectPersonalInfo && personal.some(value => lower.includes(value) || unleet(lower).includes(value))) {
+    errors.push({ rule: 'personal_info', msg: 'Password must not contain your username or email address' });
+  }
+
+  if (isBreachedPassword(password)) {
+    errors.push({ rule: 'breached', msg: 'This password is too common and appears in known data breaches' });
+  }
+
+  const { score } = estimateStrength(password, personal);
+  if (score < policy.minStrengthScore) {
+    errors.push({
+      rule: 'strength',
+      msg: 'Password is too easy to guess. Use a longer password and avoid common words, names, dates, sequences and keyboard patterns'
+    });
+  }
+
+  return { valid: errors.length === 0, errors, score };
+};
+
+/**
+ * Whether a password matches the current one or one of the recent previous ones
+ */
+const isPasswordReused = async (userId, password, currentHash = null) => {
+  const { historySize } = authConfig.passwordPolicy;
+  if (historySize <= 0) {
+    return false;
+  }
+
+  if (currentHash && await passwordHashService.verifyPassword(password, currentHash)) {
+    return true;
+  }
+
+  if (historySize === 1) {
+    return false;
+  }
+
+  const previous = await query(async (prisma) => {
+    return await prisma.passwordHistory.findMany({
+      where: { userId: userId },
+      orderBy: { id: 'desc' },
+      take: historySize - 1,
+      select: { passwordHash: true }
+    });
+  });
+
+  for (const entry of previous) {
+    if (await passwordHashService.verifyPassword(password, entry.passwordHash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Remember a replaced password hash, keeping only as many as the history check needs
+ */
+const recordPasswordChange = async (userId, previousHash) => {
+  const keep = authConfig.passwordPolicy.historySize - 1;
+  if (!previousHash || keep <= 0) {
+    return;
+  }
+
+  await query(async (prisma) => {
+    await prisma.passwordHistory.create({ data: { userId: userId, passwordHash: previousHash } });
+
+    const stale = await prisma.passwordHistory.findMany({
+      where: { userId: userId },
+      orderBy: { id: 'desc' },
+      skip: keep,
+      select: { id: true }
+    });
+
+    if (stale.length > 0) {
+      await prisma.passwordHistory.deleteMany({ where: { id: { in: stale.map(entry => entry.id) } } });
+    }
+  });
+};
+
+/**
+ * Check a new password for a user. Returns a "Validation failed" result listing
+ * every broken rule, or null if the password is acceptable.
+ */
+const getPasswordPolicyError = async (password, { userId = null, username, email, currentHash = null } = {}) => {
+  const { errors } = validatePassword(password, { username, email });
+
+  if (errors.length === 0 && userId && await isPasswordReused(userId, password, currentHash)) {
+    errors.push({
+      rule: 'history',
+      msg: `Password must be different from your last ${authConfig.passwordPolicy.historySize} passwords`
+    });
+  }
+
+  if (errors.length === 0) {
+    return null;
+  }
+
+  return { success: false, status: 400, code: 'password_policy', message: 'Validation failed', errors };
+};
+
+/**
+ * Describe the active rules (for showing requirements on sign-up and password forms)
+ */
+const getPolicy = () => {
+  const { minLength, maxLength, minCharacterClasses, minStrengthScore, rejectPersonalInfo, historySize } = authConfig.passwordPolicy;
+  return {
+    minLength,
+    maxLength,
+    minCharacterClasses,
+    minStrengthScore,
+    rejectPersonalInfo,
+    rejectBreached: true,
+    historySize
+  };
+};
+
+module.exports = {
+  estimateStrength,
+  isBreachedPassword,
+  validatePassword,
+  isPasswordReused,
+  recordPasswordChange,
+  getPasswordPolicyError,
+  getPolicy
+};
@@ -4,111 +4,8 @@
  * User management using Prisma ORM
  */
 
-const bcrypt = require('bcryptjs');
 const { prisma, query } = require('../lib/prisma');
-
-/**
- * Find or create a user from GitHub OAuth data
- */
-const findOrCreateGitHubUser = async (profile) => {
-  return await query(async (prisma) => {
-    try {
-      // Check if user already exists by GitHub ID
-      let user = await prisma.user.findUnique({
-        where: { githubId: profile.id.toString() }
-      });
-
-      if (user) {
-        // Update last login time
-        user = await prisma.user.update({
-          where: { id: user.id },
-          data: { lastLogin: new Date() }
-        });
-        
-        return {
-          success: true,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-            githubId: user.githubId,
-            githubUsername: user.githubUsername,
-            avatarUrl: user.avatarUrl
-          }
-        };
-      }
-
-      // Check if user exists by email
-      user = await prisma.user.findUnique({
-        where: { email: profile.emails[0].value }
-      });
-
-      if (user) {
-        // Link GitHub account to existing user
-        user = await prisma.user.update({
-          where: { id: user.id },
-          data: {
-            githubId: profile.id.toString(),
-            githubUsername: profile.username,
-            avatarUrl: profile.photos[0].value,
-            lastLogin: new Date()
-          }
-        });
-        
-        return {
-          success: true,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-            githubId: user.githubId,
-            githubUsername: user.githubUsername,
-            avatarUrl: user.avatarUrl
-          }
-        };
-      }
-
-      // Create new user
-      const username = profile.username || profile.displayName || `github_${profile.id}`;
-      const email = profile.emails[0].value;
-      const avatarUrl = profile.photos[0].value;
-
-      user = await prisma.user.create({
-        data: {
-          username: username,
-          email: email,
-          role: 'user',
-          githubId: profile.id.toString(),
-          githubUsername: profile.username,
-          avatarUrl: avatarUrl,
-          lastLogin: new Date()
-        }
-      });
-
-      return {
-        success: true,
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          githubId: user.githubId,
-          githubUsername: user.githubUsername,
-          avatarUrl: user.avatarUrl
-        }
-      };
-    } catch (error) {
-      console.error('Error in findOrCreateGitHubUser:', error);
-      return {
-        success: false,
-        message: 'Failed to authenticate with GitHub',
-        error: error.message
-      };
-    }
-  });
-};
+const passwordHashService = require('./passwordHashService');
 
 /**
  * Register a new user
@@ -131,7 +28,7 @@ const registerUser = async (username, email, password, role = 'user') => {
       }
 
       // Hash password
-      const passwordHash = await bcrypt.hash(password, 10);
+      const passwordHash = await passwordHashService.hashPassword(password);
 
       // Create user
       const user = await prisma.user.create({
@@ -190,7 +87,7 @@ const loginUser = async (username, password) => {
         return { success: false, message: 'Invalid credentials.' };
       }
 
-      const isMatch = await bcrypt.compare(password, user.passwordHash);
+      const isMatch = await passwordHashService.verifyPassword(password, user.passwordHash);
 
       if (!isMatch) {
         // Increment login attempts
@@ -208,13 +105,16 @@ const loginUser = async (username, password) => {
         return { success: false, message: 'Invalid credentials.' };
       }
 
-      // Reset login attempts and update last login
+      // Reset login attempts and update last login, upgrading an outdated password hash
       await prisma.user.update({
         where: { id: user.id },
         data: {
           loginAttempts: 0,
           lockedUntil: null,
-          lastLogin: new Date()
+          lastLogin: new Date(),
+          ...(passwordHashService.needsRehash(user.passwordHash) && {
+            passwordHash: await passwordHashService.hashPassword(password)
+          })
         }
       });
 
@@ -248,8 +148,6 @@ const getUserProfile = async (userId) => {
           username: true,
           email: true,
           role: true,
-          githubId: true,
-          githubUsername: true,
           avatarUrl: true,
           createdAt: true,
           lastLogin: true
@@ -280,8 +178,6 @@ const getAllUsers = async () => {
           username: true,
           email: true,
           role: true,
-          githubId: true,
-          githubUsername: true,
           avatarUrl: true,
           isActive: true,
           createdAt: true,
@@ -312,8 +208,6 @@ const updateUserProfile = async (userId, updateData) => {
           username: true,
           email: true,
           role: true,
-          githubId: true,
-          githubUsername: true,
           avatarUrl: true,
           updatedAt: true
         }
@@ -346,7 +240,6 @@ const deleteUser = async (userId) => {
 };
 
 module.exports = {
-  findOrCreateGitHubUser,
   registerUser,
   loginUser,
   getUserProfile,
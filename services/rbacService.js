@@ -0,0 +1,360 @@
+/**
+ * RBAC Service
+ *
+ * Roles, permissions and the role-permission mapping.
+ * Permission keys come from config/permissions.js; roles live in the database.
+ */
+
+const { query } = require('../lib/prisma');
+const permissionConfig = require('../config/permissions');
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+const CACHE_TTL_MS = 60 * 1000;
+
+// role name -> { permissions: Set, expiresAt }
+const permissionCache = new Map();
+let defaultRolesReady = null;
+
+/**
+ * Resolve a role definition's permission list ("*" means every permission)
+ */
+const expandPermissions = (permissions) => {
+  return permissions === '*' ? Object.keys(permissionConfig.permissions) : permissions;
+};
+
+/**
+ * Drop cached permissions for one role, or for every role
+ */
+const invalidateCache = (roleName = null) => {
+  if (roleName) {
+    permissionCache.delete(roleName);
+  } else {
+    permissionCache.clear();
+  }
+};
+
+/**
+ * Shape a role record (with its permissions included) for responses
+ */
+const toPublicRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  isSystem: role.isSystem,
+  permissions: role.permissions.map(entry => entry.permission.key).sort(),
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt
+});
+
+const roleInclude = { permissions: { include: { permission: true } } };
+
+/**
+ * Return the permission keys that are not in the catalog
+ */
+const findUnknownPermissions = (permissions) => {
+  return permissions.filter(key => !permissionConfig.permissions[key]);
+};
+
+/**
+ * Replace a role's permissions inside a transaction
+ */
+const setRolePermissions = async (tx, roleId, permissionKeys) => {
+  const permissions = await tx.permission.findMany({ where: { key: { in: permissionKeys } } });
+
+  await tx.rolePermission.deleteMany({ where: { roleId: roleId } });
+  await tx.rolePermission.createMany({
+    data: permissions.map(permission => ({ roleId: roleId, permissionId: permission.id })),
+    skipDuplicates: true
+  });
+};
+
+/**
+ * Seed the permission catalog and default roles.
+ * Existing default roles keep any permission changes made by admins, except
+ * "admin", which is always granted the full catalog.
+ */
+const syncDefaultRoles = async () => {
+  return await query(async (prisma) => {
+    const catalog = permissionConfig.permissions;
+
+    for (const [key, description] of Object.entries(catalog)) {
+      await prisma.permission.upsert({
+        where: { key: key },
+        update: { description: description },
+        create: { key: key, description: description }
+      });
+    }
+
+    await prisma.permission.deleteMany({ where: { key: { notIn: Object.keys(catalog) } } });
+
+    for (const [name, definition] of Object.entries(permissionConfig.defaultRoles)) {
+      const existing = await prisma.role.findUnique({ where: { name: name } });
+
+      if (existing && definition.permissions !== '*') {
+        continue;
+      }
+
+      await prisma.$transaction(async (tx) => {
+        const role = existing || await tx.role.create({
+          data: { name: name, description: definition.description, isSystem: true }
+        });
+        await setRolePermissions(tx, role.id, expandPermissions(definition.permissions));
+      });
+    }
+
+    invalidateCache();
+    return { success: true };
+  });
+};
+
+/**
+ * Seed default roles once per process (retried on the next call if it fails)
+ */
+const ensureDefaultRoles = () => {
+  if (!defaultRolesReady) {
+    defaultRolesReady = syncDefaultRoles().catch((error) => {
+      defaultRolesReady = null;
+      throw error;
+    });
+  }
+  return defaultRolesReady;
+};
+
+/**
+ * Get the permission keys granted to a role (cached briefly)
+ */
+const getRolePermissions = async (roleName) => {
+  const cached = permissionCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  await ensureDefaultRoles();
+
+  return await query(async (prisma) => {
+    const role = await prisma.role.findUnique({ where: { name: roleName }, include: roleInclude });
+    const permissions = new Set(role ? role.permissions.map(entry => entry.permission.key) : []);
+
+    permissionCache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+  });
+};
+
+/**
+ * Check whether a role grants every one of the given permissions
+ */
+const hasPermissions = async (roleName, permissions) => {
+  const granted = await getRolePermissions(roleName);
+  return permissions.every(permission => granted.has(permission));
+};
+
+/**
+ * Permissions in the list that a role does not grant. Roles can only hand out
+ * permissions their holder has, so no one can raise their own privileges.
+ */
+const findUngrantedPermissions = async (roleName, permissions) => {
+  const granted = await getRolePermissions(roleName);
+  // Unknown keys are left to the role functions, which reject them
+  return [...new Set(permissions)].filter(permission => permissionConfig.permissions[permission] && !granted.has(permission));
+};
+
+/**
+ * List all permissions in the catalog
+ */
+const listPermissions = () => {
+  return {
+    success: true,
+    permissions: Object.entries(permissionConfig.permissions).map(([key, description]) => ({ key, description }))
+  };
+};
+
+/**
+ * List all roles with their permissions and number of users
+ */
+const listRoles = async () => {
+  await ensureDefaultRoles();
+
+  return await query(async (prisma) => {
+    const [roles, userCounts] = await Promise.all([
+      prisma.role.findMany({ include: roleInclude, orderBy: { name: 'asc' } }),
+      prisma.user.groupBy({ by: ['role'], _count: { _all: true } })
+    ]);
+
+    const countByRole = Object.fromEntries(userCounts.map(entry => [entry.role, entry._count._all]));
+
+    return {
+      success: true,
+      roles: roles.map(role => ({ ...toPublicRole(role), userCount: countByRole[role.name] || 0 }))
+    };
+  });
+};
+
+/**
+ * Create a custom role
+ */
+const createRole = async ({ name, description = null, permissions }) => {
+  await ensureDefaultRoles();
+
+  return await query(async (prisma) => {
+    try {
+      if (!ROLE_NAME_PATTERN.test(name)) {
+        return { success: false, message: 'Role names must be 2-50 lowercase letters, digits, "-" or "_", starting with a letter' };
+      }
+
+      const unknownPermissions = findUnknownPermissions(permissions);
+      if (unknownPermissions.length > 0) {
+        return { success: false, message: `Unknown permissions: ${unknownPermissions.join(', ')}` };
+      }
+
+      const existing = await prisma.role.findUnique({ where: { name: name } });
+      if (existing) {
+        return { success: false, message: 'Role already exists' };
+      }
+
+      const role = await prisma.$transaction(async (tx) => {
+        const created = await tx.role.create({ data: { name: name, description: description } });
+        await setRolePermissions(tx, created.id, [...new Set(permissions)]);
+        return await tx.role.findUnique({ where: { id: created.id }, include: roleInclude });
+      });
+
+      // A lookup before the role existed may have cached it as empty
+      invalidateCache(name);
+      return { success: true, message: 'Role created successfully', role: toPublicRole(role) };
+    } catch (error) {
+      console.error('Error creating role:', error);
+      return { success: false, message: 'Failed to create role', error: error.message };
+    }
+  });
+};
+
+/**
+ * Update a role's description and/or permissions.
+ * The admin role always has every permission and cannot be changed.
+ */
+const updateRole = async (name, { description, permissions }) => {
+  return await query(async (prisma) => {
+    try {
+      const role = await prisma.role.findUnique({ where: { name: name } });
+      if (!role) {
+        return { success: false, status: 404, message: 'Role not found' };
+      }
+
+      if (permissionConfig.defaultRoles[name]?.permissions === '*') {
+        return { success: false, message: `The ${name} role cannot be modified` };
+      }
+
+      if (permissions) {
+        const unknownPermissions = findUnknownPermissions(permissions);
+        if (unknownPermissions.length > 0) {
+          return { success: false, message: `Unknown permissions: ${unknownPermissions.join(', ')}` };
+        }
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        if (description !== undefined) {
+          await tx.role.update({ where: { id: role.id }, data: { description: description } });
+        }
+        if (permissions) {
+          await setRolePermissions(tx, role.id, [...new Set(permissions)]);
+        }
+        return await tx.role.findUnique({ where: { id: role.id }, include: roleInclude });
+      });
+
+      invalidateCache(name);
+      return { success: true, message: 'Role updated successfully', role: toPublicRole(updated) };
+    } catch (error) {
+      console.error('Error updating role:', error);
+      return { success: false, message: 'Failed to update role', error: error.message };
+    }
+  });
+};
+
+/**
+ * Delete a custom role that no user is assigned to
+ */
+const deleteRole = async (name) => {
+  return await query(async (prisma) => {
+    try {
+      const role = await prisma.role.findUnique({ where: { name: name } });
+      if (!role) {
+        return { success: false, status: 404, message: 'Role not found' };
+      }
+
+      if (role.isSystem) {
+        return { success: false, message: 'Default roles cannot be deleted' };
+      }
+
+      const assignedUsers = await prisma.user.count({ where: { role: name } });
+      if (assignedUsers > 0) {
+        return { success: false, message: `Role is assigned to ${assignedUsers} user(s); reassign them first` };
+      }
+
+      await prisma.role.delete({ where: { id: role.id } });
+
+      invalidateCache(name);
+      return { success: true, message: 'Role deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      return { success: false, message: 'Failed to delete role', error: error.message };
+    }
+  });
+};
+
+/**
+ * Assign a role to a user
+ */
+const assignUserRole = async (userId, roleName) => {
+  await ensureDefaultRoles();
+
+  return await query(async (prisma) => {
+    try {
+      const role = await prisma.role.findUnique({ where: { name: roleName } });
+      if (!role) {
+        return { success: false, message: 'Role not found' };
+      }
+
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      if (!user) {
+        return { success: false, status: 404, message: 'User not found' };
+      }
+
+      const updated = await prisma.user.update({
+        where: { id: userId },
+        data: { role: roleName },
+        select: { id: true, username: true, email: true, role: true }
+      });
+
+      return { success: true, message: 'Role assigned successfully', user: updated, previousRole: user.role };
+    } catch (error) {
+      console.error('Error assigning role:', error);
+      return { success: false, message: 'Failed to assign role', error: error.message };
+    }
+  });
+};
+
+/**
+ * Check whether a role exists
+ */
+const roleExists = async (roleName) => {
+  await ensureDefaultRoles();
+
+  return await query(async (prisma) => {
+    return (await prisma.role.count({ where: { name: roleName } })) > 0;
+  });
+};
+
+module.exports = {
+  syncDefaultRoles,
+  ensureDefaultRoles,
+  invalidateCache,
+  getRolePermissions,
+  hasPermissions,
+  findUngrantedPermissions,
+  listPermissions,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole,
+  roleExists
+};
@@ -0,0 +1,276 @@
+/**
+ * Registration Service
+ *
+ * Registration policy (open, invite-only, domain allowlist, admin approval),
+ * invite codes and the pending-approval queue
+ */
+
+const crypto = require('crypto');
+const { query } = require('../lib/prisma');
+const rbacService = require('./rbacService');
+const authConfig = require('../config/auth');
+
+const REGISTRATION_MODES = ['open', 'invite', 'domain', 'approval', 'closed'];
+
+/**
+ * Hash an invite code for storage
+ */
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(code).digest('hex');
+};
+
+/**
+ * Current status of an invite
+ */
+const inviteStatus = (invite) => {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.usedAt) return 'used';
+  if (invite.expiresAt < new Date()) return 'expired';
+  return 'active';
+};
+
+/**
+ * Shape an invite record for responses (never includes the hash)
+ */
+const toPublicInvite = (invite) => ({
+  id: invite.id,
+  role: invite.role,
+  email: invite.email,
+  note: invite.note,
+  status: inviteStatus(invite),
+  createdById: invite.createdById,
+  usedById: invite.usedById,
+  expiresAt: invite.expiresAt,
+  usedAt: invite.usedAt,
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt
+});
+
+/**
+ * Check an email address against the domain allowlist
+ */
+const isDomainAllowed = (email) => {
+  const domain = String(email).split('@').pop().toLowerCase();
+  return authConfig.registration.allowedDomains.includes(domain);
+};
+
+/**
+ * Find an invite that can still be used by an email address
+ */
+const findUsableInvite = async (code, email) => {
+  return await query(async (prisma) => {
+    const invite = await prisma.invite.findUnique({ where: { codeHash: hashCode(code) } });
+
+    if (!invite || inviteStatus(invite) !== 'active') {
+      return null;
+    }
+
+    if (invite.email && invite.email.toLowerCase() !== String(email).toLowerCase()) {
+      return null;
+    }
+
+    return invite;
+  });
+};
+
+/**
+ * Decide whether an account may be created for an email address.
+ * On success returns the invite's role (null when not invited) and the approval status to use.
+ */
+const evaluateRegistration = async ({ email, inviteCode = null }) => {
+  const { mode } = authConfig.registration;
+
+  if (!REGISTRATION_MODES.includes(mode)) {
+    console.error(`❌ Unknown REGISTRATION_MODE "${mode}", refusing registrations`);
+  }
+
+  if (mode === 'closed' || !REGISTRATION_MODES.includes(mode)) {
+    return { success: false, status: 403, code: 'registration_closed', message: 'Registration is closed' };
+  }
+
+  if (inviteCode) {
+    const invite = await findUsableInvite(inviteCode, email);
+    if (!invite) {
+      return { success: false, status: 400, code: 'invalid_invite', message: 'Invite code is invalid, expired or already used' };
+    }
+    return { success: true, role: invite.role, approvalStatus: 'approved', inviteId: invite.id };
+  }
+
+  switch (mode) {
+    case 'invite':
+      return { success: false, status: 403, code: 'invite_required', message: 'An invite code is required to register' };
+    case 'domain':
+      if (!isDomainAllowed(email)) {
+        return { success: false, status: 403, code: 'domain_not_allowed', message: 'Registration is not open to this email domain' };
+      }
+      return { success: true, role: null, approvalStatus: 'approved', inviteId: null };
+    case 'approval':
+      return { success: true, role: null, approvalStatus: 'pending', inviteId: null };
+    default:
+      return { success: true, role: null, approvalStatus: 'approved', inviteId: null };
+  }
+};
+
+/**
+ * Reserve an invite for a registration in progress. Returns false if it was used meanwhile.
+ */
+const claimInvite = async (inviteId) => {
+  return await query(async (prisma) => {
+    const result = await prisma.invite.updateMany({
+      where: { id: inviteId, usedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+      data: { usedAt: new Date() }
+    });
+    return result.count === 1;
+  });
+};
+
+/**
+ * Record which account used a claimed invite
+ */
+const recordInviteUse = async (inviteId, userId) => {
+  return await query(async (prisma) => {
+    await prisma.invite.update({ where: { id: inviteId }, data: { usedById: userId } });
+  });
+};
+
+/**
+ * Give a claimed invite back when the registration failed
+ */
+const releaseInvite = async (inviteId) => {
+  return await query(async (prisma) => {
+    await prisma.invite.updateMany({
+      where: { id: inviteId, usedById: null },
+      data: { usedAt: null }
+    });
+  });
+};
+
+/**
+ * Create an invite code (returned only in this response)
+ */
+const createInvite = async ({ role = authConfig.registration.defaultRole, email = null, note = null, expiresInDays = null, createdById }) => {
+  if (!(await rbacService.roleExists(role))) {
+    return { success: false, message: 'Role not found' };
+  }
+
+  return await query(async (prisma) => {
+    try {
+      const code = `inv_${crypto.randomBytes(18).toString('base64url')}`;
+      const ttlMs = expiresInDays ? expiresInDays * 24 * 60 * 60 * 1000 : authConfig.registration.inviteTtlMs;
+
+      const invite = await prisma.invite.create({
+        data: {
+          codeHash: hashCode(code),
+          role: role,
+          email: email ? email.toLowerCase() : null,
+          note: note,
+          createdById: createdById,
+          expiresAt: new Date(Date.now() + ttlMs)
+        }
+      });
+
+      return {
+        success: true,
+        message: 'Invite created. Copy the code now, it will not be shown again.',
+        code,
+        invite: toPublicInvite(invite)
+      };
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      return { success: false, message: 'Failed to create invite', error: error.message };
+    }
+  });
+};
+
+/**
+ * List invites, newest first
+ */
+const listInvites = async () => {
+  return await query(async (prisma) => {
+    const invites = await prisma.invite.findMany({ orderBy: { createdAt: 'desc' } });
+    return { success: true, invites: invites.map(toPublicInvite) };
+  });
+};
+
+/**
+ * Revoke an unused invite
+ */
+const revokeInvite = async (inviteId) => {
+  return await query(async (prisma) => {
+    const result = await prisma.invite.updateMany({
+      where: { id: inviteId, usedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      return { success: false, status: 404, message: 'Invite not found or already used' };
+    }
+
+    return { success: true, message: 'Invite revoked' };
+  });
+};
+
+/**
+ * List accounts waiting for approval
+ */
+const listPendingUsers = async () => {
+  return await query(async (prisma) => {
+    const users = await prisma.user.findMany({
+      where: { approvalStatus: 'pending' },
+      select: { id: true, username: true, email: true, role: true, emailVerified: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+    return { success: true, users };
+  });
+};
+
+/**
+ * Approve or reject a pending account
+ */
+const setApprovalStatus = async (userId, approvalStatus) => {
+  return await query(async (prisma) => {
+    const result = await prisma.user.updateMany({
+      where: { id: userId, approvalStatus: 'pending' },
+      data: { approvalStatus: approvalStatus }
+    });
+
+    if (result.count === 0) {
+      return { success: false, status: 404, message: 'No pending account found for this user' };
+    }
+
+    return {
+      success: true,
+      message: approvalStatus === 'approved' ? 'Account approved' : 'Account rejected'
+    };
+  });
+};
+
+const approveUser = (userId) => setApprovalStatus(userId, 'approved');
+const rejectUser = (userId) => setApprovalStatus(userId, 'rejected');
+
+/**
+ * Login failure for accounts that are not approved, or null if the account is approved
+ */
+const getApprovalError = (approvalStatus) => {
+  if (approvalStatus === 'pending') {
+    return { success: false, code: 'approval_pending', message: 'Account is awaiting admin approval' };
+  }
+  if (approvalStatus === 'rejected') {
+    return { success: false, code: 'registration_rejected', message: 'Account registration was rejected' };
+  }
+  return null;
+};
+
+module.exports = {
+  evaluateRegistration,
+  claimInvite,
+  recordInviteUse,
+  releaseInvite,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  listPendingUsers,
+  approveUser,
+  rejectUser,
+  getApprovalError
+};
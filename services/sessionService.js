@@ -0,0 +1,295 @@
+/**
+ * Session Service
+ *
+ * Refresh token issuance, rotation and revocation backed by the sessions table
+ */
+
+const crypto = require('crypto');
+const { query } = require('../lib/prisma');
+const authConfig = require('../config/auth');
+
+/**
+ * Hash a refresh token for storage (only hashes are persisted)
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a new opaque refresh token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Create a refresh token for a user, starting a new token family unless one is given.
+ * Impersonation sessions pass the admin's id and a shorter lifetime.
+ */
+const createRefreshToken = async (userId, options = {}) => {
+  const { familyId = null, ipAddress = null, userAgent = null, impersonatorId = null, ttlMs = authConfig.refreshTokenTtlMs } = options;
+
+  return await query(async (prisma) => {
+    const refreshToken = generateRefreshToken();
+
+    const session = await prisma.session.create({
+      data: {
+        id: crypto.randomUUID(),
+        userId: userId,
+        familyId: familyId || crypto.randomUUID(),
+        token: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + ttlMs),
+        ipAddress: ipAddress,
+        userAgent: userAgent,
+        impersonatorId: impersonatorId,
+        lastSeenAt: new Date()
+      }
+    });
+
+    return { success: true, refreshToken, session };
+  });
+};
+
+/**
+ * Revoke every refresh token in a family
+ */
+const revokeFamily = async (familyId) => {
+  return await query(async (prisma) => {
+    const result = await prisma.session.updateMany({
+      where: { familyId: familyId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return { success: true, revoked: result.count };
+  });
+};
+
+/**
+ * Rotate a refresh token: the presented token is consumed and a new one issued in the same family.
+ * Presenting a token that was already rotated or revoked is treated as reuse and revokes the family.
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  return await query(async (prisma) => {
+    try {
+      const existing = await prisma.session.findUnique({
+        where: { token: hashToken(refreshToken) },
+        include: { user: true }
+      });
+
+      if (!existing) {
+        return { success: false, message: 'Invalid refresh token' };
+      }
+
+      if (existing.rotatedAt || existing.revokedAt) {
+        await revokeFamily(existing.familyId);
+        console.warn(`⚠️  Refresh token reuse detected for user ${existing.userId}, family ${existing.familyId} revoked`);
+        return { success: false, message: 'Refresh token reuse detected', reuseDetected: true };
+      }
+
+      if (existing.expiresAt < new Date()) {
+        return { success: false, message: 'Refresh token expired' };
+      }
+
+      if (!existing.user.isActive) {
+        await revokeFamily(existing.familyId);
+        return { success: false, message: 'Account is deactivated' };
+      }
+
+      // An impersonation session only lives as long as the admin behind it stays active
+      const impersonator = existing.impersonatorId ?
+        await prisma.user.findUnique({ where: { id: existing.impersonatorId }, select: { id: true, username: true, isActive: true } }) :
+        null;
+
+      if (existing.impersonatorId && !impersonator?.isActive) {
+        await revokeFamily(existing.familyId);
+        return { success: false, message: 'Impersonation session has ended' };
+      }
+
+      const newRefreshToken = generateRefreshToken();
+      const newSessionId = crypto.randomUUID();
+
+      const session = await prisma.$transaction(async (tx) => {
+        // Guard against two concurrent refreshes consuming the same token
+        const consumed = await tx.session.updateMany({
+          where: { id: existing.id, rotatedAt: null, revokedAt: null },
+          data: { rotatedAt: new Date(), replacedBy: newSessionId }
+        });
+
+        if (consumed.count === 0) {
+          return null;
+        }
+
+        return await tx.session.create({
+          data: {
+            id: newSessionId,
+            userId: existing.userId,
+            familyId: existing.familyId,
+            token: hashToken(newRefreshToken),
+            // Impersonation sessions keep their original expiry
+            expiresAt: existing.impersonatorId ? existing.expiresAt : new Date(Date.now() + authConfig.refreshTokenTtlMs),
+            ipAddress: context.ipAddress || existing.ipAddress,
+            userAgent: context.userAgent || existing.userAgent,
+            impersonatorId: existing.impersonatorId,
+            lastSeenAt: new Date()
+          }
+        });
+      });
+
+      if (!session) {
+        await revokeFamily(existing.familyId);
+        return { success: false, message: 'Refresh token reuse detected', reuseDetected: true };
+      }
+
+      return {
+        success: true,
+        refreshToken: newRefreshToken,
+        session,
+        user: {
+          id: existing.user.id,
+          username: existing.user.username,
+          email: existing.user.email,
+          role: existing.user.role
+        },
+        impersonator: impersonator ? { userId: impersonator.id, username: impersonator.username } : null
+      };
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      return { success: false, message: 'Failed to refresh session', error: error.message };
+    }
+  });
+};
+
+/**
+ * Revoke the family a refresh token belongs to (used on logout)
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  return await query(async (prisma) => {
+    const existing = await prisma.session.findUnique({
+      where: { token: hashToken(refreshToken) }
+    });
+
+    if (!existing) {
+      return { success: false, message: 'Session not found' };
+    }
+
+    return await revokeFamily(existing.familyId);
+  });
+};
+
+/**
+ * Check that the session an access token was issued from has not been revoked
+ */
+const verifySession = async (tokenId) => {
+  return await query(async (prisma) => {
+    const session = await prisma.session.findUnique({
+      where: { id: tokenId },
+      select: { id: true, userId: true, familyId: true, revokedAt: true, expiresAt: true, impersonatorId: true }
+    });
+
+    if (!session || session.revokedAt) {
+      return { valid: false };
+    }
+
+    return { valid: true, session };
+  });
+};
+
+/**
+ * Record activity on a session, at most once per minute
+ */
+const touchSession = async (familyId) => {
+  return await query(async (prisma) => {
+    const now = new Date();
+
+    await prisma.session.updateMany({
+      where: {
+        familyId: familyId,
+        rotatedAt: null,
+        revokedAt: null,
+        OR: [
+          { lastSeenAt: null },
+          { lastSeenAt: { lt: new Date(now.getTime() - 60 * 1000) } }
+        ]
+      },
+      data: { lastSeenAt: now }
+    });
+  });
+};
+
+/**
+ * List a user's active sessions (one entry per signed-in device)
+ */
+const listActiveSessions = async (userId) => {
+  return await query(async (prisma) => {
+    try {
+      const sessions = await prisma.session.findMany({
+        where: {
+          userId: userId,
+          rotatedAt: null,
+          revokedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        orderBy: { lastSeenAt: 'desc' }
+      });
+
+      return {
+        success: true,
+        sessions: sessions.map(session => ({
+          id: session.familyId,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          impersonated: Boolean(session.impersonatorId),
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt
+        }))
+      };
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      return { success: false, message: 'Failed to list sessions', error: error.message };
+    }
+  });
+};
+
+/**
+ * Revoke one of a user's sessions
+ */
+const revokeSession = async (userId, familyId) => {
+  return await query(async (prisma) => {
+    const session = await prisma.session.findFirst({
+      where: { userId: userId, familyId: familyId, revokedAt: null }
+    });
+
+    if (!session) {
+      return { success: false, message: 'Session not found' };
+    }
+
+    return await revokeFamily(familyId);
+  });
+};
+
+/**
+ * Revoke every session belonging to a user ("log out everywhere")
+ */
+const revokeAllSessions = async (userId) => {
+  return await query(async (prisma) => {
+    const result = await prisma.session.updateMany({
+      where: { userId: userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return { success: true, revoked: result.count };
+  });
+};
+
+module.exports = {
+  hashToken,
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeRefreshToken,
+  verifySession,
+  touchSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,257 @@
+/**
+ * Token Service
+ *
+ * Signs and verifies the app's JWTs (access tokens and intermediate login tokens)
+ * with asymmetric keys, and publishes the public keys as a JWKS so other services
+ * can verify them. Keys rotate on a schedule set in the key list; see config/auth.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const authConfig = require('../config/auth');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * Errors carry the same names as jsonwebtoken's so callers can tell expiry apart
+ */
+const tokenError = (message, name = 'JsonWebTokenError') => Object.assign(new Error(message), { name });
+
+/**
+ * Parse a lifetime such as "15m", "1h", "7d" or a number of seconds
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid token lifetime: ${value}`);
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'];
+};
+
+/**
+ * JWK thumbprint (RFC 7638), used as the key id when none is configured
+ */
+const thumbprint = (jwk) => {
+  const members = jwk.kty === 'RSA' ? { e: jwk.e, kty: jwk.kty, n: jwk.n } : { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+/**
+ * Turn a configured private key into a signing key with its algorithm and public JWK
+ */
+const toSigningKey = ({ kid, privateKey, activatesAt }) => {
+  const key = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+
+  let alg;
+  if (key.asymmetricKeyType === 'rsa') {
+    if (key.asymmetricKeyDetails.modulusLength < 2048) {
+      throw new Error('RSA signing keys must be at least 2048 bits');
+    }
+    alg = 'RS256';
+  } else if (key.asymmetricKeyType === 'ed25519') {
+    alg = 'EdDSA';
+  } else {
+    throw new Error(`Unsupported signing key type: ${key.asymmetricKeyType}. Use RSA or Ed25519.`);
+  }
+
+  if (Number.isNaN(activatesAt.getTime())) {
+    throw new Error(`Invalid activatesAt for signing key ${kid}`);
+  }
+
+  const publicKey = crypto.createPublicKey(key);
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  return { kid: kid || thumbprint(jwk), alg, privateKey: key, publicKey, jwk, activatesAt };
+};
+
+/**
+ * Read the configured keys, oldest activation first. Outside production a temporary
+ * key is generated when none is configured; in production that is an error.
+ */
+const loadKeys = () => {
+  const { privateKey, keyId, keysFile } = authConfig.tokens;
+  let entries = [];
+
+  if (keysFile) {
+    const directory = path.dirname(path.resolve(keysFile));
+    entries = JSON.parse(fs.readFileSync(keysFile, 'utf8')).map(entry => ({
+      kid: entry.kid,
+      privateKey: entry.privateKey || fs.readFileSync(path.resolve(directory, entry.privateKeyFile), 'utf8'),
+      activatesAt: entry.activatesAt ? new Date(entry.activatesAt) : new Date(0)
+    }));
+  } else if (privateKey) {
+    // Env files often hold PEM keys on one line with escaped newlines
+    entries = [{ kid: keyId, privateKey: privateKey.replace(/\\n/g, '\n'), activatesAt: new Date(0) }];
+  }
+
+  if (entries.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No JWT signing key configured. Set JWT_PRIVATE_KEY or JWT_KEYS_FILE (see scripts/generate-jwt-key.js).');
+    }
+
+    console.warn('⚠️  No JWT signing key configured; using a temporary key. Tokens will not survive a restart.');
+    entries = [{ kid: null, privateKey: crypto.generateKeyPairSync('ed25519').privateKey, activatesAt: new Date(0) }];
+  }
+
+  const keys = entries.map(toSigningKey).sort((a, b) => a.activatesAt - b.activatesAt);
+
+  const kids = keys.map(key => key.kid);
+  const duplicate = kids.find((kid, index) => kids.indexOf(kid) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate signing key id: ${duplicate}`);
+  }
+
+  if (keys[0].activatesAt > new Date()) {
+    throw new Error('No JWT signing key is active yet. At least one key must have no activatesAt or one in the past.');
+  }
+
+  return keys;
+};
+
+let keys = loadKeys();
+
+/**
+ * Re-read the key configuration (e.g. after adding the next key to the keys file)
+ */
+const reloadKeys = () => {
+  keys = loadKeys();
+  return keys.map(key => ({ kid: key.kid, alg: key.alg, activatesAt: key.activatesAt }));
+};
+
+/**
+ * When a key stops being accepted: overlapMs after the next key took over, or never
+ */
+const retiresAt = (key) => {
+  const next = keys.find(candidate => candidate.activatesAt > key.activatesAt);
+  return next ? new Date(next.activatesAt.getTime() + authConfig.tokens.overlapMs) : null;
+};
+
+const isRetired = (key, now) => {
+  const retirement = retiresAt(key);
+  return retirement !== null && retirement <= now;
+};
+
+/**
+ * The key that signs new tokens: the most recently activated one
+ */
+const getSigningKey = (now = new Date()) => {
+  return keys.filter(key => key.activatesAt <= now).pop();
+};
+
+/**
+ * Public keys to publish: keys that will activate, the current key and replaced keys
+ * still inside the overlap window
+ */
+const getJwks = (now = new Date()) => {
+  return {
+    keys: keys
+      .filter(key => !isRetired(key, now))
+      .map(key => ({ ...key.jwk, kid: key.kid, alg: key.alg, use: 'sig' }))
+  };
+};
+
+const signWith = (key, data) => {
+  return crypto.sign(key.alg === 'RS256' ? 'sha256' : null, data, key.privateKey);
+};
+
+const verifyWith = (key, data, signature) => {
+  return crypto.verify(key.alg === 'RS256' ? 'sha256' : null, data, key.publicKey, signature);
+};
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw tokenError('jwt malformed');
+  }
+};
+
+/**
+ * Sign a token. `type` goes in the "typ" header so that tokens issued for one
+ * purpose cannot be used for another.
+ */
+const sign = (payload, { expiresIn, type = 'JWT' }) => {
+  const key = getSigningKey();
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  const header = { alg: key.alg, typ: type, kid: key.kid };
+  const claims = { ...payload, iss: authConfig.tokens.issuer, iat: issuedAt, exp: issuedAt + parseDuration(expiresIn) };
+
+  const data = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  return `${data}.${signWith(key, Buffer.from(data)).toString('base64url')}`;
+};
+
+/**
+ * Verify a token's signature, type, issuer and lifetime, returning its claims.
+ * Throws a JsonWebTokenError or TokenExpiredError.
+ */
+const verify = (token, { type = 'JWT' } = {}) => {
+  if (typeof token !== 'string') {
+    throw tokenError('jwt must be a string');
+  }
+
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw tokenError('jwt malformed');
+  }
+
+  const header = decodeSegment(segments[0]);
+  const now = new Date();
+  const key = keys.find(candidate => candidate.kid === header.kid);
+
+  // The algorithm comes from our key, never from the token alone
+  if (!key || key.alg !== header.alg || key.activatesAt > now || isRetired(key, now)) {
+    throw tokenError('invalid signature');
+  }
+
+  if (!verifyWith(key, Buffer.from(`${segments[0]}.${segments[1]}`), Buffer.from(segments[2], 'base64url'))) {
+    throw tokenError('invalid signature');
+  }
+
+  if (header.typ !== type) {
+    throw tokenError('jwt type invalid');
+  }
+
+  const claims = decodeSegment(segments[1]);
+
+  if (claims.iss !== authConfig.tokens.issuer) {
+    throw tokenError('jwt issuer invalid');
+  }
+
+  const seconds = now.getTime() / 1000;
+  if (typeof claims.nbf === 'number' && claims.nbf > seconds) {
+    throw tokenError('jwt not active');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= seconds) {
+    throw tokenError('jwt expired', 'TokenExpiredError');
+  }
+
+  return claims;
+};
+
+/**
+ * Read a token's claims without verifying it
+ */
+const decode = (token) => {
+  const segments = String(token).split('.');
+  return segments.length === 3 ? decodeSegment(segments[1]) : null;
+};
+
+module.exports = {
+  parseDuration,
+  reloadKeys,
+  getSigningKey,
+  getJwks,
+  sign,
+  verify,
+  decode
+};
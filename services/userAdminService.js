@@ -0,0 +1,352 @@
+/**
+ * User Admin Service
+ *
+ * Admin user management: listing, activation, unlocking, forced password resets,
+ * deletion with data-ownership transfer, and impersonation checks
+ */
+
+const { getClient } = require('../lib/neon');
+const { query } = require('../lib/prisma');
+const userService = require('./userService');
+const sessionService = require('./sessionService');
+const rbacService = require('./rbacService');
+const loginThrottleService = require('./loginThrottleService');
+
+const SORT_FIELDS = ['username', 'email', 'role', 'createdAt', 'lastLogin'];
+const STATUS_FILTERS = {
+  active: { isActive: true, approvalStatus: 'approved' },
+  inactive: { isActive: false },
+  deletion_scheduled: { deletionScheduledFor: { not: null } },
+  pending: { approvalStatus: 'pending' },
+  rejected: { approvalStatus: 'rejected' },
+  reset_required: { passwordResetRequired: true }
+};
+
+// Tables holding data owned by a user (user_id column), moved on deletion when a new owner is given
+const OWNED_TABLES = ['data_storage', 'user_data', 'strings', 'connection_strings'];
+
+// Audit detail keys that identify the user; removed when their audit rows are anonymized
+const PERSONAL_AUDIT_KEYS = ['username', 'email', 'key', 'ip'];
+
+const userSelect = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  isActive: true,
+  approvalStatus: true,
+  emailVerified: true,
+  mfaEnabled: true,
+  passwordResetRequired: true,
+  deletionScheduledFor: true,
+  lastLogin: true,
+  createdAt: true
+};
+
+/**
+ * List users with paging, a username/email search and role/status filters
+ */
+const listUsers = async ({ page = 1, pageSize = 25, search = null, role = null, status = null, sort = 'createdAt', order = 'desc' } = {}) => {
+  const where = { AND: [] };
+
+  if (search) {
+    where.AND.push({
+      OR: [
+        { username: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
+      ]
+    });
+  }
+  if (role) {
+    where.AND.push({ role: role });
+  }
+  if (status && STATUS_FILTERS[status]) {
+    where.AND.push(STATUS_FILTERS[status]);
+  }
+
+  const sortField = SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+  const sortOrder = order === 'asc' ? 'asc' : 'desc';
+
+  return await query(async (prisma) => {
+    const [total, users] = await prisma.$transaction([
+      prisma.user.count({ where }),
+      prisma.user.findMany({
+        where,
+        select: userSelect,
+        orderBy: [{ [sortField]: { sort: sortOrder, nulls: 'last' } }, { id: 'asc' }],
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      })
+    ]);
+
+    return {
+      success: true,
+      users,
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+    };
+  });
+};
+
+/**
+ * Get one user with their sessions, login methods and lockouts
+ */
+const getUser = async (userId) => {
+  return await query(async (prisma) => {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        ...userSelect,
+        passwordHash: true,
+        identities: { select: { id: true, provider: true, email: true, createdAt: true, lastLoginAt: true } }
+      }
+    });
+
+    if (!user) {
+      return { success: false, status: 404, message: 'User not found' };
+    }
+
+    const [activeSessions, apiKeys, lockouts] = await Promise.all([
+      prisma.session.count({ where: { userId: userId, rotatedAt: null, revokedAt: null, expiresAt: { gt: new Date() } } }),
+      prisma.apiKey.count({ where: { userId: userId, revokedAt: null } }),
+      prisma.loginThrottle.findMany({
+        where: { username: { in: [user.username.toLowerCase(), user.email.toLowerCase()] }, blockedUntil: { gt: new Date() } },
+        select: { id: true, scope: true, ipAddress: true, failures: true, blockedUntil: true }
+      })
+    ]);
+
+    const { passwordHash, ...profile } = user;
+
+    return {
+      success: true,
+      user: {
+        ...profile,
+        hasPassword: Boolean(passwordHash),
+        activeSessions,
+        apiKeys,
+        lockouts
+      }
+    };
+  });
+};
+
+/**
+ * Activate or deactivate an account. Deactivation signs the user out everywhere.
+ */
+const setUserActive = async (userId, isActive) => {
+  const result = await userService.updateUserStatus(userId, isActive);
+  if (!result.success) {
+    return { ...result, status: result.message === 'User not found' ? 404 : 500 };
+  }
+
+  if (!isActive) {
+    await sessionService.revokeAllSessions(userId);
+  }
+
+  return { success: true, message: isActive ? 'Account activated' : 'Account deactivated', user: result.user };
+};
+
+/**
+ * Clear login throttling and the second-factor lockout for a user
+ */
+const unlockUser = async (userId) => {
+  const user = await query(async (prisma) => {
+    return await prisma.user.findUnique({ where: { id: userId }, select: { id: true, username: true, email: true } });
+  });
+
+  if (!user) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  const byUsername = await loginThrottleService.clearAccount(user.username);
+  const byEmail = await loginThrottleService.clearAccount(user.email);
+
+  await query(async (prisma) => {
+    await prisma.user.update({ where: { id: userId }, data: { loginAttempts: 0, lockedUntil: null } });
+  });
+
+  return { success: true, message: 'Account unlocked', cleared: byUsername.cleared + byEmail.cleared };
+};
+
+/**
+ * Require a password reset: sign the user out, refuse password logins until the
+ * password is reset, and email a reset link
+ */
+const forcePasswordReset = async (userId) => {
+  const user = await query(async (prisma) => {
+    const existing = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true } });
+    if (!existing) {
+      return null;
+    }
+
+    return await prisma.user.update({
+      where: { id: userId },
+      data: { passwordResetRequired: true },
+      select: { id: true, email: true }
+    });
+  });
+
+  if (!user) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  const { revoked } = await sessionService.revokeAllSessions(userId);
+  await userService.requestPasswordReset(user.email);
+
+  return { success: true, message: 'Password reset required. A reset link has been sent to the user.', revokedSessions: revoked };
+};
+
+/**
+ * Delete a user. Data they own is moved to `transferToId` when given, otherwise deleted.
+ * With `anonymizeAudit`, their audit rows are kept but stripped of anything identifying them.
+ */
+const deleteUser = async (userId, { transferToId = null, anonymizeAudit = false } = {}) => {
+  if (transferToId === userId) {
+    return { success: false, message: 'Cannot transfer data to the user being deleted' };
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const users = await client.query('SELECT id, username, email FROM users WHERE id = ANY($1) FOR UPDATE', [[userId, transferToId].filter(Boolean)]);
+    const user = users.rows.find(row => row.id === userId);
+
+    if (!user) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, message: 'User not found' };
+    }
+
+    if (transferToId && !users.rows.some(row => row.id === transferToId)) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'User to transfer data to was not found' };
+    }
+
+    const moved = {};
+    let anonymized = 0;
+    for (const table of OWNED_TABLES) {
+      const exists = await client.query('SELECT to_regclass($1) AS name', [table]);
+      if (!exists.rows[0].name) {
+        continue;
+      }
+
+      const result = transferToId ?
+        await client.query(`UPDATE ${table} SET user_id = $2 WHERE user_id = $1`, [userId, transferToId]) :
+        await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+
+      moved[table] = result.rowCount;
+    }
+
+    if (anonymizeAudit) {
+      const audit = await client.query(`
+        UPDATE audit_logs
+        SET user_id = NULL, ip_address = NULL, user_agent = NULL,
+            details = (COALESCE(details, '{}'::jsonb) - $3::text[]) || '{"anonymized": true}'::jsonb
+        WHERE user_id = $1 OR details->>'username' = ANY($2)
+      `, [userId, [user.username.toLowerCase(), user.email.toLowerCase()], PERSONAL_AUDIT_KEYS]);
+
+      anonymized = audit.rowCount;
+    }
+
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+    await client.query('COMMIT');
+
+    return {
+      success: true,
+      message: transferToId ? 'User deleted and data transferred' : 'User and their data deleted',
+      user: { id: user.id, username: user.username },
+      [transferToId ? 'transferred' : 'deleted']: moved,
+      ...(anonymizeAudit && { anonymizedAuditLogs: anonymized })
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Delete user error:', error);
+    return { success: false, status: 500, message: 'Failed to delete user' };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Permissions a target's role grants that the admin's role does not
+ */
+const exceedingPermissions = async (adminRole, targetRole) => {
+  const [adminPermissions, targetPermissions] = await Promise.all([
+    rbacService.getRolePermissions(adminRole),
+    rbacService.getRolePermissions(targetRole)
+  ]);
+
+  return {
+    exceeding: [...targetPermissions].filter(permission => !adminPermissions.has(permission)),
+    targetPermissions
+  };
+};
+
+/**
+ * Check that an admin may change, deactivate, reset or delete a user: only users
+ * whose role grants no permissions the admin lacks, so a support role cannot take
+ * over an admin account
+ */
+const checkManageable = async (admin, targetId) => {
+  const target = await query(async (prisma) => {
+    return await prisma.user.findUnique({
+      where: { id: targetId },
+      select: { id: true, username: true, role: true }
+    });
+  });
+
+  if (!target) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  const { exceeding } = await exceedingPermissions(admin.role, target.role);
+  if (exceeding.length > 0) {
+    return { success: false, status: 403, message: 'You cannot manage a user with permissions you do not have' };
+  }
+
+  return { success: true, target };
+};
+
+/**
+ * Check that an admin may sign in as a user: not themselves, not an inactive or
+ * unapproved account, and not anyone holding permissions the admin lacks or who
+ * can impersonate others
+ */
+const checkImpersonation = async (admin, targetId) => {
+  if (admin.id === targetId) {
+    return { success: false, message: 'You cannot impersonate yourself' };
+  }
+
+  const target = await query(async (prisma) => {
+    return await prisma.user.findUnique({
+      where: { id: targetId },
+      select: { id: true, username: true, email: true, role: true, isActive: true, approvalStatus: true }
+    });
+  });
+
+  if (!target) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  if (!target.isActive || target.approvalStatus !== 'approved') {
+    return { success: false, message: 'Only active, approved accounts can be impersonated' };
+  }
+
+  const { exceeding, targetPermissions } = await exceedingPermissions(admin.role, target.role);
+  if (exceeding.length > 0 || targetPermissions.has('users.impersonate')) {
+    return { success: false, status: 403, message: 'This user cannot be impersonated' };
+  }
+
+  return { success: true, target };
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  setUserActive,
+  unlockUser,
+  forcePasswordReset,
+  deleteUser,
+  checkManageable,
+  checkImpersonation
+};
@@ -4,9 +4,22 @@
  * Handles user registration, authentication, and management
  */
 
-const bcrypt = require('bcryptjs');
-const { query, getClient } = require('../lib/neon');
-const { generateToken } = require('../middleware/auth');
+const { pool, query, getClient } = require('../lib/neon');
+const mfaService = require('./mfaService');
+const mailService = require('./mailService');
+const sessionService = require('./sessionService');
+const verificationTokenService = require('./verificationTokenService');
+const registrationService = require('./registrationService');
+const passwordPolicyService = require('./passwordPolicyService');
+const passwordHashService = require('./passwordHashService');
+const loginThrottleService = require('./loginThrottleService');
+const identityService = require('./identityService');
+const ldapService = require('./ldapService');
+const authConfig = require('../config/auth');
+const ldapConfig = require('../config/ldap');
+
+// Password reset links being created and mailed in the background
+const resetDeliveries = new Set();
 
 /**
  * Initialize users table
@@ -28,7 +41,7 @@ const initializeUsersTable = async () => {
 const createDefaultAdmin = async () => {
   try {
     const defaultPassword = process.env.ADMIN_PASSWORD || 'admin123';
-    const hashedPassword = await bcrypt.hash(defaultPassword, 12);
+    const hashedPassword = await passwordHashService.hashPassword(defaultPassword);
     
     await pool.query(`
       INSERT INTO users (username, email, password_hash, role)
@@ -44,19 +57,16 @@ const createDefaultAdmin = async () => {
 };
 
 /**
- * Register a new user
+ * Register a new user. The password policy is enforced by the self-service
+ * entry points (sign-up, change and reset), not here.
  */
-const registerUser = async (username, email, password, role = 'user') => {
+const registerUser = async (username, email, password, role = 'user', approvalStatus = 'approved') => {
   try {
     // Validate input
     if (!username || !email || !password) {
       throw new Error('Username, email, and password are required');
     }
 
-    if (password.length < 6) {
-      throw new Error('Password must be at least 6 characters long');
-    }
-
     // Check if user already exists
     const existingUser = await pool.query(
       'SELECT id FROM users WHERE username = $1 OR email = $2',
@@ -68,15 +78,14 @@ const registerUser = async (username, email, password, role = 'user') => {
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await passwordHashService.hashPassword(password);
 
     // Insert user
     const result = await pool.query(`
-      INSERT INTO users (username, email, password_hash, role)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, username, email, role, created_at
-    `, [username, email, passwordHash, role]);
+      INSERT INTO users (username, email, password_hash, role, email_verified, approval_status)
+      VALUES ($1, $2, $3, $4, false, $5)
+      RETURNING id, username, email, role, email_verified, approval_status, created_at
+    `, [username, email, passwordHash, role, approvalStatus]);
 
     const user = result.rows[0];
     console.log(`✅ User registered: ${username} (${email})`);
@@ -88,6 +97,8 @@ const registerUser = async (username, email, password, role = 'user') => {
         username: user.username,
         email: user.email,
         role: user.role,
+        emailVerified: user.email_verified,
+        approvalStatus: user.approval_status,
         createdAt: user.created_at
       }
     };
@@ -101,81 +112,211 @@ const registerUser = async (username, email, password, role = 'user') => {
 };
 
 /**
- * Authenticate user login
+ * Self-service sign-up, subject to the registration policy
  */
-const loginUser = async (username, password) => {
-  try {
-    // Find user by username or email
-    const result = await pool.query(`
-      SELECT id, username, email, password_hash, role, is_active, 
-             login_attempts, locked_until
-      FROM users 
-      WHERE username = $1 OR email = $1
-    `, [username]);
+const signUpUser = async ({ username, email, password, inviteCode = null }) => {
+  const decision = await registrationService.evaluateRegistration({ email, inviteCode });
+  if (!decision.success) {
+    return decision;
+  }
 
-    if (result.rows.length === 0) {
-      return {
-        success: false,
-        message: 'Invalid credentials'
-      };
+  const passwordError = await passwordPolicyService.getPasswordPolicyError(password, { username, email });
+  if (passwordError) {
+    return passwordError;
+  }
+
+  if (decision.inviteId && !(await registrationService.claimInvite(decision.inviteId))) {
+    return { success: false, status: 400, code: 'invalid_invite', message: 'Invite code is invalid, expired or already used' };
+  }
+
+  const result = await registerUser(
+    username,
+    email,
+    password,
+    decision.role || authConfig.registration.defaultRole,
+    decision.approvalStatus
+  );
+
+  if (decision.inviteId) {
+    if (result.success) {
+      await registrationService.recordInviteUse(decision.inviteId, result.user.id);
+    } else {
+      await registrationService.releaseInvite(decision.inviteId);
     }
+  }
 
-    const user = result.rows[0];
+  if (result.success && decision.approvalStatus === 'pending') {
+    result.message = 'Account created. An administrator must approve it before you can sign in.';
+  }
 
-    // Check if account is locked
-    if (user.locked_until && new Date() < new Date(user.locked_until)) {
-      return {
-        success: false,
-        message: 'Account is temporarily locked due to too many failed login attempts'
-      };
+  return result;
+};
+
+/**
+ * Replace a hash made with older algorithm or parameters, now that the password is known.
+ * Skipped if the password changed in the meantime; a failure does not affect the login.
+ */
+const upgradePasswordHash = async (userId, oldHash, password) => {
+  try {
+    const newHash = await passwordHashService.hashPassword(password);
+    const result = await pool.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2 AND password_hash = $3',
+      [newHash, userId, oldHash]
+    );
+
+    if (result.rowCount === 1) {
+      console.log(`🔐 Upgraded password hash for user ${userId} to ${authConfig.passwordHashing.algorithm}`);
     }
+  } catch (error) {
+    console.error('❌ Password hash upgrade error:', error);
+  }
+};
 
-    // Check if account is active
-    if (!user.is_active) {
-      return {
-        success: false,
-        message: 'Account is deactivated'
-      };
+/**
+ * Check a password against the hash in users
+ */
+const authenticateLocal = async (username, password) => {
+  // Find user by username or email
+  const result = await pool.query(`
+    SELECT id, username, email, password_hash, role, is_active, 
+           email_verified, approval_status, password_reset_required
+    FROM users 
+    WHERE username = $1 OR email = $1
+  `, [username]);
+
+  if (result.rows.length === 0) {
+    return {
+      success: false,
+      code: 'invalid_credentials',
+      message: 'Invalid credentials'
+    };
+  }
+
+  const user = result.rows[0];
+
+  // Check if account is active
+  if (!user.is_active) {
+    return {
+      success: false,
+      message: 'Account is deactivated'
+    };
+  }
+
+  // Verify password (accounts created through a login provider have none)
+  const isValidPassword = Boolean(user.password_hash) && await passwordHashService.verifyPassword(password, user.password_hash);
+
+  if (!isValidPassword) {
+    return {
+      success: false,
+      code: 'invalid_credentials',
+      message: 'Invalid credentials'
+    };
+  }
+
+  if (passwordHashService.needsRehash(user.password_hash)) {
+    await upgradePasswordHash(user.id, user.password_hash, password);
+  }
+
+  const approvalError = registrationService.getApprovalError(user.approval_status);
+  if (approvalError) {
+    return approvalError;
+  }
+
+  if (user.password_reset_required) {
+    return {
+      success: false,
+      code: 'password_reset_required',
+      message: 'A password reset is required. Use the link sent to your email address or request a new one.'
+    };
+  }
+
+  if (!user.email_verified && authConfig.emailVerification.unverifiedPolicy === 'block') {
+    return {
+      success: false,
+      code: 'email_unverified',
+      message: 'Email address has not been verified'
+    };
+  }
+
+  return {
+    success: true,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
     }
+  };
+};
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+/**
+ * Check a password against the directory, provisioning or updating the local
+ * account linked to the directory entry
+ */
+const authenticateLdap = async (username, password) => {
+  const result = await ldapService.authenticate(username, password);
+  if (!result.success) {
+    return result;
+  }
 
-    if (!isValidPassword) {
-      // Increment login attempts
-      const newAttempts = user.login_attempts + 1;
-      let lockedUntil = null;
+  return await identityService.findOrCreateUserFromIdentity(ldapConfig, result.profile);
+};
 
-      // Lock account after 5 failed attempts for 30 minutes
-      if (newAttempts >= 5) {
-        lockedUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+/**
+ * Authenticate user login against the configured backends (local passwords and/or
+ * LDAP) in order. Failed attempts are throttled by the caller through the login
+ * throttle service.
+ */
+const loginUser = async (username, password) => {
+  try {
+    let result = null;
+    let rejected = false;
+
+    for (const backend of ldapConfig.loginOrder) {
+      result = backend === 'ldap' ?
+        await authenticateLdap(username, password) :
+        await authenticateLocal(username, password);
+
+      // Move on to the next backend only when this one does not know the user or the
+      // password, or cannot be reached
+      if (!['invalid_credentials', 'ldap_unavailable'].includes(result.code)) {
+        break;
       }
+      rejected = rejected || result.code === 'invalid_credentials';
+    }
+
+    if (!result.success) {
+      // A wrong password counts as a failed attempt even if a later backend was down
+      return rejected ? { success: false, code: 'invalid_credentials', message: 'Invalid credentials' } : result;
+    }
 
-      await pool.query(
-        'UPDATE users SET login_attempts = $1, locked_until = $2 WHERE id = $3',
-        [newAttempts, lockedUntil, user.id]
-      );
+    const { user } = result;
 
+    // Ask for the second factor before completing the login
+    const challenge = await mfaService.createLoginChallenge(user);
+    if (challenge) {
       return {
-        success: false,
-        message: 'Invalid credentials'
+        success: true,
+        status: challenge.status,
+        mfaRequired: true,
+        mfaToken: challenge.mfaToken,
+        ...(challenge.methods && { methods: challenge.methods }),
+        message: challenge.status === 'mfa_required' ?
+          'Two-factor authentication code required' :
+          'Two-factor authentication must be set up for this account'
       };
     }
 
-    // Reset login attempts on successful login
     await pool.query(
-      'UPDATE users SET login_attempts = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP WHERE id = $1',
+      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
       [user.id]
     );
 
-    // Generate token
-    const token = generateToken(user.id, user.username, user.role);
-
     console.log(`✅ User logged in: ${user.username}`);
 
+    // Tokens are issued by the caller through createSession so they are tracked server-side
     return {
       success: true,
-      token,
       user: {
         id: user.id,
         username: user.username,
@@ -198,7 +339,7 @@ const loginUser = async (username, password) => {
 const getUserProfile = async (userId) => {
   try {
     const result = await pool.query(`
-      SELECT id, username, email, role, created_at, last_login
+      SELECT id, username, email, role, created_at, last_login, deletion_scheduled_for
       FROM users 
       WHERE id = $1
     `, [userId]);
@@ -232,9 +373,13 @@ const updateUserProfile = async (userId, updates) => {
     const updateFields = [];
     const values = [];
     let paramCount = 1;
+    let emailParam = null;
 
     for (const [field, value] of Object.entries(updates)) {
       if (allowedFields.includes(field) && value !== undefined) {
+        if (field === 'email') {
+          emailParam = paramCount;
+        }
         updateFields.push(`${field} = $${paramCount}`);
         values.push(value);
         paramCount++;
@@ -248,6 +393,11 @@ const updateUserProfile = async (userId, updates) => {
       };
     }
 
+    // A new address has not been verified yet (the old value is compared here)
+    if (emailParam) {
+      updateFields.push(`email_verified = CASE WHEN email IS DISTINCT FROM $${emailParam} THEN false ELSE email_verified END`);
+    }
+
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
     values.push(userId);
 
@@ -255,7 +405,7 @@ const updateUserProfile = async (userId, updates) => {
       UPDATE users 
       SET ${updateFields.join(', ')}
       WHERE id = $${paramCount}
-      RETURNING id, username, email, role, updated_at
+      RETURNING id, username, email, role, email_verified, updated_at
     `, values);
 
     if (result.rows.length === 0) {
@@ -285,7 +435,7 @@ const changePassword = async (userId, currentPassword, newPassword) => {
   try {
     // Get current password hash
     const result = await pool.query(
-      'SELECT password_hash FROM users WHERE id = $1',
+      'SELECT username, email, password_hash FROM users WHERE id = $1',
       [userId]
     );
 
@@ -296,8 +446,10 @@ const changePassword = async (userId, currentPassword, newPassword) => {
       };
     }
 
+    const user = result.rows[0];
+
     // Verify current password
-    const isValidPassword = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
+    const isValidPassword = user.password_hash && await passwordHashService.verifyPassword(currentPassword, user.password_hash);
     if (!isValidPassword) {
       return {
         success: false,
@@ -305,8 +457,19 @@ const changePassword = async (userId, currentPassword, newPassword) => {
       };
     }
 
+    const passwordError = await passwordPolicyService.getPasswordPolicyError(newPassword, {
+      userId,
+      username: user.username,
+      email: user.email,
+      currentHash: user.password_hash
+    });
+    if (passwordError) {
+      return passwordError;
+    }
+
     // Hash new password
-    const newPasswordHash = await bcrypt.hash(newPassword, 12);
+    const newPasswordHash = await passwordHashService.hashPassword(newPassword);
+    await passwordPolicyService.recordPasswordChange(userId, user.password_hash);
 
     // Update password
     await pool.query(
@@ -381,13 +544,177 @@ const updateUserStatus = async (userId, isActive) => {
   }
 };
 
+/**
+ * Send an email verification link
+ */
+const requestEmailVerification = async (userId) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, email_verified FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, message: 'User not found' };
+    }
+
+    const user = result.rows[0];
+    if (user.email_verified) {
+      return { success: false, message: 'Email address is already verified' };
+    }
+
+    const token = await verificationTokenService.createToken(user.id, 'email_verification', authConfig.emailVerification.tokenTtlMs);
+    const mail = await mailService.sendVerificationEmail(user, token);
+
+    if (!mail.success) {
+      return { success: false, message: 'Failed to send verification email' };
+    }
+
+    return { success: true, message: 'Verification email sent' };
+  } catch (error) {
+    console.error('❌ Request email verification error:', error);
+    return { success: false, message: 'Failed to send verification email' };
+  }
+};
+
+/**
+ * Verify an email address with a token from the verification link
+ */
+const verifyEmail = async (token) => {
+  try {
+    const consumed = await verificationTokenService.consumeToken(token, 'email_verification');
+    if (!consumed.success) {
+      return consumed;
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [consumed.userId]
+    );
+
+    return { success: true, message: 'Email address verified successfully' };
+  } catch (error) {
+    console.error('❌ Verify email error:', error);
+    return { success: false, message: 'Failed to verify email address' };
+  }
+};
+
+/**
+ * Create a reset token and mail the link. Runs after the response has been sent.
+ */
+const deliverPasswordReset = async (user) => {
+  const token = await verificationTokenService.createToken(user.id, 'password_reset', authConfig.passwordReset.tokenTtlMs);
+  await mailService.sendPasswordResetEmail(user, token);
+};
+
+/**
+ * Send a password reset link. Always reports success so the response
+ * does not reveal whether an account exists for the address. The token
+ * and mail are handled in the background so the response time does not tell either.
+ */
+const requestPasswordReset = async (email) => {
+  const response = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, is_active FROM users WHERE email = $1',
+      [email]
+    );
+
+    const user = result.rows[0];
+    if (user && user.is_active) {
+      const delivery = deliverPasswordReset(user)
+        .catch(error => console.error('❌ Send password reset error:', error))
+        .finally(() => resetDeliveries.delete(delivery));
+      resetDeliveries.add(delivery);
+    }
+  } catch (error) {
+    console.error('❌ Request password reset error:', error);
+  }
+
+  return response;
+};
+
+/**
+ * Wait for the reset links being sent in the background (e.g. in tests)
+ */
+const flushPasswordResets = async () => {
+  await Promise.all([...resetDeliveries]);
+};
+
+/**
+ * Reset a password with a token from the reset link
+ */
+const resetPassword = async (token, newPassword) => {
+  try {
+    // Check the new password before using up the token, so a rejected password can be retried
+    const pending = await verificationTokenService.findValidToken(token, 'password_reset');
+    if (!pending.success) {
+      return pending;
+    }
+
+    const userResult = await pool.query('SELECT username, email, password_hash FROM users WHERE id = $1', [pending.userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      return { success: false, message: 'Invalid or expired token' };
+    }
+
+    const passwordError = await passwordPolicyService.getPasswordPolicyError(newPassword, {
+      userId: pending.userId,
+      username: user.username,
+      email: user.email,
+      currentHash: user.password_hash
+    });
+    if (passwordError) {
+      return passwordError;
+    }
+
+    const consumed = await verificationTokenService.consumeToken(token, 'password_reset');
+    if (!consumed.success) {
+      return consumed;
+    }
+
+    const passwordHash = await passwordHashService.hashPassword(newPassword);
+    await passwordPolicyService.recordPasswordChange(consumed.userId, user.password_hash);
+
+    // Receiving the link proves control of the mailbox, so the address counts as verified
+    await pool.query(`
+      UPDATE users 
+      SET password_hash = $1, login_attempts = 0, locked_until = NULL,
+          email_verified = true, password_reset_required = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [passwordHash, consumed.userId]);
+
+    // Sign out every device that may have been using the old password
+    await sessionService.revokeAllSessions(consumed.userId);
+
+    // Failed logins before the reset no longer slow the owner down (IP counters are kept)
+    await loginThrottleService.clearAccount(user.username);
+    await loginThrottleService.clearAccount(user.email);
+
+    return { success: true, message: 'Password has been reset successfully' };
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    return { success: false, message: 'Failed to reset password' };
+  }
+};
+
 module.exports = {
   initializeUsersTable,
   registerUser,
+  signUpUser,
   loginUser,
   getUserProfile,
   updateUserProfile,
   changePassword,
   getAllUsers,
-  updateUserStatus
+  updateUserStatus,
+  requestEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  flushPasswordResets,
+  resetPassword
 };
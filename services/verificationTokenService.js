@@ -0,0 +1,154 @@
+/**
+ * Verification Token Service
+ *
+ * Signed, single-use, expiring tokens for email links (password reset, email verification).
+ * The token carries an HMAC signature so forged tokens are rejected before any lookup;
+ * only a hash is stored, and a token is consumed atomically on first use.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../lib/prisma');
+const authConfig = require('../config/auth');
+
+/**
+ * Read the signing secret. Outside production a temporary one is generated when none
+ * is configured; in production that is an error.
+ */
+const loadSecret = () => {
+  if (authConfig.linkTokenSecret) {
+    return authConfig.linkTokenSecret;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No email link token secret configured. Set JWT_SECRET.');
+  }
+
+  console.warn('⚠️  JWT_SECRET is not set; using a temporary secret. Emailed links will not survive a restart.');
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+const secret = loadSecret();
+
+/**
+ * Sign a token body for a purpose
+ */
+const sign = (purpose, body) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${purpose}.${body}`)
+    .digest('base64url');
+};
+
+/**
+ * Hash a token for storage
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check a token's signature for a purpose
+ */
+const hasValidSignature = (token, purpose) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(purpose, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Create a token for a user. Earlier unused tokens for the same purpose are invalidated.
+ */
+const createToken = async (userId, purpose, ttlMs) => {
+  return await query(async (prisma) => {
+    const body = crypto.randomBytes(32).toString('base64url');
+    const token = `${body}.${sign(purpose, body)}`;
+
+    await prisma.$transaction([
+      prisma.verificationToken.updateMany({
+        where: { userId: userId, purpose: purpose, usedAt: null },
+        data: { usedAt: new Date() }
+      }),
+      prisma.verificationToken.create({
+        data: {
+          userId: userId,
+          purpose: purpose,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + ttlMs)
+        }
+      })
+    ]);
+
+    return token;
+  });
+};
+
+/**
+ * Look up an unused, unexpired token without consuming it
+ */
+const findValidToken = async (token, purpose) => {
+  if (!hasValidSignature(token, purpose)) {
+    return { success: false, message: 'Invalid or expired token' };
+  }
+
+  return await query(async (prisma) => {
+    const record = await prisma.verificationToken.findFirst({
+      where: {
+        tokenHash: hashToken(token),
+        purpose: purpose,
+        usedAt: null,
+        expiresAt: { gt: new Date() }
+      }
+    });
+
+    if (!record) {
+      return { success: false, message: 'Invalid or expired token' };
+    }
+
+    return { success: true, userId: record.userId };
+  });
+};
+
+/**
+ * Consume a token, returning the user it was issued to
+ */
+const consumeToken = async (token, purpose) => {
+  if (!hasValidSignature(token, purpose)) {
+    return { success: false, message: 'Invalid or expired token' };
+  }
+
+  return await query(async (prisma) => {
+    const tokenHash = hashToken(token);
+    const consumed = await prisma.verificationToken.updateMany({
+      where: {
+        tokenHash: tokenHash,
+        purpose: purpose,
+        usedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      data: { usedAt: new Date() }
+    });
+
+    if (consumed.count !== 1) {
+      return { success: false, message: 'Invalid or expired token' };
+    }
+
+    const record = await prisma.verificationToken.findUnique({ where: { tokenHash: tokenHash } });
+    return { success: true, userId: record.userId };
+  });
+};
+
+module.exports = {
+  createToken,
+  findValidToken,
+  consumeToken,
+  hasValidSignature
+};
@@ -0,0 +1,377 @@
+/**
+ * WebAuthn Service
+ *
+ * Passkey registration and authentication ceremonies (WebAuthn Level 2): builds the
+ * options passed to navigator.credentials.create/get and verifies the responses.
+ * Attestation is not requested ("none"), so only the authenticator data is trusted.
+ */
+
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+
+// COSE algorithms accepted for new passkeys, in order of preference
+const COSE_ALGORITHMS = {
+  '-8': 'EdDSA',
+  '-7': 'ES256',
+  '-257': 'RS256'
+};
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(String(value || ''), 'base64url');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Decode one CBOR item (RFC 8949) starting at `offset`. Supports the subset used by
+ * WebAuthn: integers, byte/text strings, arrays, maps and simple values.
+ * Returns { value, offset } with the offset just past the item.
+ */
+const decodeCbor = (buffer, offset = 0) => {
+  const initial = buffer[offset];
+  if (initial === undefined) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  offset += 1;
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    length = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new Error('Indefinite-length CBOR items are not supported');
+  }
+
+  switch (major) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+      return { value: buffer.subarray(offset, offset + length), offset: offset + length };
+    case 3:
+      return { value: buffer.toString('utf8', offset, offset + length), offset: offset + length };
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(buffer, offset);
+        const entry = decodeCbor(buffer, key.offset);
+        map.set(key.value, entry.value);
+        offset = entry.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7:
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22) return { value: null, offset };
+      throw new Error('Unsupported CBOR simple value');
+    default:
+      throw new Error('Unsupported CBOR item');
+  }
+};
+
+/**
+ * Parse authenticator data: RP id hash, flags, signature counter and, when present,
+ * the attested credential (id and COSE public key)
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    backupEligible: Boolean(flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: Boolean(flags & FLAG_BACKED_UP),
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags & FLAG_ATTESTED_DATA) {
+    const aaguid = authData.subarray(37, 53).toString('hex');
+    const idLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const publicKey = decodeCbor(authData, 55 + idLength);
+
+    parsed.aaguid = aaguid.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    parsed.credentialId = credentialId;
+    parsed.publicKeyCose = authData.subarray(55 + idLength, publicKey.offset);
+    parsed.publicKey = publicKey.value;
+  }
+
+  return parsed;
+};
+
+/**
+ * Convert a COSE public key into a Node.js KeyObject
+ */
+const coseToKeyObject = (cose) => {
+  const kty = cose.get(1);
+  let jwk;
+
+  if (kty === 2 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: toBase64Url(cose.get(-2)), y: toBase64Url(cose.get(-3)) };
+  } else if (kty === 3) {
+    jwk = { kty: 'RSA', n: toBase64Url(cose.get(-1)), e: toBase64Url(cose.get(-2)) };
+  } else if (kty === 1 && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(cose.get(-2)) };
+  } else {
+    throw new Error('Unsupported public key type');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an assertion signature with a stored COSE key
+ */
+const verifySignature = (publicKeyCose, algorithm, data, signature) => {
+  const key = coseToKeyObject(decodeCbor(fromBase64Url(publicKeyCose)).value);
+
+  switch (COSE_ALGORITHMS[String(algorithm)]) {
+    case 'EdDSA':
+      return crypto.verify(null, data, key, signature);
+    case 'ES256':
+    case 'RS256':
+      return crypto.verify('sha256', data, key, signature);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check clientDataJSON against the ceremony type, challenge and allowed origins
+ */
+const verifyClientData = (clientDataJSON, type, expectedChallenge) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(fromBase64Url(clientDataJSON).toString('utf8'));
+  } catch (error) {
+    return { success: false, message: 'Invalid client data' };
+  }
+
+  if (clientData.type !== type) {
+    return { success: false, message: 'Unexpected ceremony type' };
+  }
+
+  const challenge = Buffer.from(String(clientData.challenge || ''));
+  const expected = Buffer.from(expectedChallenge);
+  if (challenge.length !== expected.length || !crypto.timingSafeEqual(challenge, expected)) {
+    return { success: false, message: 'Challenge does not match' };
+  }
+
+  if (!authConfig.webauthn.origins.includes(clientData.origin)) {
+    return { success: false, message: 'Origin is not allowed' };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Check the RP id hash and user presence/verification flags
+ */
+const verifyAuthenticatorFlags = (authenticatorData, requireUserVerification) => {
+  if (!authenticatorData.rpIdHash.equals(sha256(authConfig.webauthn.rpId))) {
+    return { success: false, message: 'Passkey was created for another site' };
+  }
+
+  if (!authenticatorData.userPresent) {
+    return { success: false, message: 'User presence was not confirmed' };
+  }
+
+  if (requireUserVerification && !authenticatorData.userVerified) {
+    return { success: false, message: 'User verification (PIN or biometrics) is required' };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Create a random challenge (base64url)
+ */
+const createChallenge = () => toBase64Url(crypto.randomBytes(32));
+
+/**
+ * Options for navigator.credentials.create(). Existing passkeys are excluded so the
+ * same authenticator is not registered twice.
+ */
+const generateRegistrationOptions = (user, existingCredentials = []) => {
+  const { rpId, rpName, challengeTtlMs } = authConfig.webauthn;
+
+  return {
+    challenge: createChallenge(),
+    rp: { id: rpId, name: rpName },
+    // The user handle is opaque: the account id, never the username or email
+    user: { id: toBase64Url(Buffer.from(String(user.id))), name: user.email || user.username, displayName: user.username },
+    pubKeyCredParams: Object.keys(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg: Number(alg) })),
+    timeout: challengeTtlMs,
+    attestation: 'none',
+    excludeCredentials: existingCredentials.map(credential => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports
+    })),
+    authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'preferred' }
+  };
+};
+
+/**
+ * Options for navigator.credentials.get(). Without credentials the browser offers
+ * every passkey it has for the site (usernameless sign-in).
+ */
+const generateAuthenticationOptions = (allowCredentials = [], userVerification = 'required') => {
+  const { rpId, challengeTtlMs } = authConfig.webauthn;
+
+  return {
+    challenge: createChallenge(),
+    rpId,
+    timeout: challengeTtlMs,
+    userVerification,
+    allowCredentials: allowCredentials.map(credential => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports
+    }))
+  };
+};
+
+/**
+ * Verify a registration response (PublicKeyCredential JSON from create()).
+ * Returns the credential to store.
+ */
+const verifyRegistrationResponse = (credential, expectedChallenge) => {
+  try {
+    const response = credential?.response || {};
+
+    const clientData = verifyClientData(response.clientDataJSON, 'webauthn.create', expectedChallenge);
+    if (!clientData.success) {
+      return clientData;
+    }
+
+    const attestation = decodeCbor(fromBase64Url(response.attestationObject)).value;
+    if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+      return { success: false, message: 'Invalid attestation object' };
+    }
+
+    const authenticatorData = parseAuthenticatorData(attestation.get('authData'));
+    const flags = verifyAuthenticatorFlags(authenticatorData, false);
+    if (!flags.success) {
+      return flags;
+    }
+
+    if (!authenticatorData.credentialId) {
+      return { success: false, message: 'No credential in the registration response' };
+    }
+
+    if (toBase64Url(authenticatorData.credentialId) !== credential.rawId && toBase64Url(authenticatorData.credentialId) !== credential.id) {
+      return { success: false, message: 'Credential id does not match' };
+    }
+
+    const algorithm = authenticatorData.publicKey.get(3);
+    if (!COSE_ALGORITHMS[String(algorithm)]) {
+      return { success: false, message: 'Unsupported passkey algorithm' };
+    }
+
+    // Make sure the key can be loaded before it is stored
+    coseToKeyObject(authenticatorData.publicKey);
+
+    return {
+      success: true,
+      credential: {
+        credentialId: toBase64Url(authenticatorData.credentialId),
+        publicKey: toBase64Url(authenticatorData.publicKeyCose),
+        algorithm,
+        signCount: authenticatorData.signCount,
+        aaguid: authenticatorData.aaguid,
+        backedUp: authenticatorData.backedUp,
+        transports: Array.isArray(response.transports) ? response.transports.filter(entry => typeof entry === 'string').slice(0, 10) : []
+      }
+    };
+  } catch (error) {
+    return { success: false, message: 'Invalid registration response' };
+  }
+};
+
+/**
+ * Verify an authentication response (PublicKeyCredential JSON from get()) against a
+ * stored passkey. Returns the new signature counter and backup state.
+ */
+const verifyAuthenticationResponse = (credential, expectedChallenge, passkey, { requireUserVerification = true } = {}) => {
+  try {
+    const response = credential?.response || {};
+
+    const clientData = verifyClientData(response.clientDataJSON, 'webauthn.get', expectedChallenge);
+    if (!clientData.success) {
+      return clientData;
+    }
+
+    const authData = fromBase64Url(response.authenticatorData);
+    const authenticatorData = parseAuthenticatorData(authData);
+    const flags = verifyAuthenticatorFlags(authenticatorData, requireUserVerification);
+    if (!flags.success) {
+      return flags;
+    }
+
+    const signedData = Buffer.concat([authData, sha256(fromBase64Url(response.clientDataJSON))]);
+    if (!verifySignature(passkey.publicKey, passkey.algorithm, signedData, fromBase64Url(response.signature))) {
+      return { success: false, message: 'Invalid passkey signature' };
+    }
+
+    // A counter that does not move forward means the key may have been cloned.
+    // Authenticators that do not count (synced passkeys) always report 0.
+    const storedCount = Number(passkey.signCount);
+    if ((authenticatorData.signCount > 0 || storedCount > 0) && authenticatorData.signCount <= storedCount) {
+      return { success: false, message: 'Passkey signature counter went backwards' };
+    }
+
+    return {
+      success: true,
+      signCount: authenticatorData.signCount,
+      backedUp: authenticatorData.backedUp,
+      userVerified: authenticatorData.userVerified
+    };
+  } catch (error) {
+    return { success: false, message: 'Invalid authentication response' };
+  }
+};
+
+module.exports = {
+  decodeCbor,
+  parseAuthenticatorData,
+  generateRegistrationOptions,
+  generateAuthenticationOptions,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+};
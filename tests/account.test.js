@@ -0,0 +1,224 @@
+/**
+ * Account Data Tests
+ *
+ * Test suite for self-service data export and scheduled account deletion
+ */
+
+process.env.CRON_SECRET = 'test-cron-secret';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const databaseService = require('../services/databaseService');
+const accountService = require('../services/accountService');
+const auditService = require('../services/auditService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+/**
+ * Read the most recent message sent to an address and extract the token from its link
+ */
+const latestTokenFor = (email) => {
+  const directory = process.env.MAIL_FILE_DIR;
+  const messages = fs.readdirSync(directory)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')))
+    .filter(message => message.to === email);
+
+  const latest = messages[messages.length - 1];
+  return new URL(latest.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('Account Data', () => {
+  const password = 'Lantern-Velvet-91';
+  let testPool;
+
+  const createUser = async (username) => {
+    const user = (await userService.registerUser(username, `${username}@example.com`, password)).user;
+    const { token } = await issueSessionTokens(user.id, user.username, user.role);
+    return { user, token };
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await databaseService.initializeDatabase();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+  });
+
+  afterAll(async () => {
+    await testPool.query("DELETE FROM data_storage WHERE table_name = 'gdpr_notes'");
+    await testPool.query("DELETE FROM users WHERE username LIKE 'gdpr%'");
+    await testPool.end();
+  });
+
+  describe('Export', () => {
+    it('should export the account with encrypted fields decrypted', async () => {
+      const { user, token } = await createUser('gdprexport');
+      const { data, encryptedFields } = databaseService.encryptSensitiveFields({ title: 'Notes', secret: 'hunter2-hunter2' });
+
+      await testPool.query('INSERT INTO strings (user_id, input_string) VALUES ($1, $2)', [user.id, 'hello from gdpr']);
+      await testPool.query(
+        "INSERT INTO data_storage (table_name, data, encrypted_fields, user_id) VALUES ('gdpr_notes', $1, $2, $3)",
+        [JSON.stringify(data), JSON.stringify(encryptedFields), user.id]
+      );
+
+      const response = await request(app)
+        .get('/api/account/export')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="account-export-gdprexport-/);
+
+      const archive = JSON.parse(response.text);
+      expect(archive.profile.username).toBe('gdprexport');
+      expect(archive.profile.passwordHash).toBeUndefined();
+      expect(archive.strings.map(entry => entry.inputString)).toContain('hello from gdpr');
+      expect(archive.dataStorage[0].data).toEqual({ title: 'Notes', secret: 'hunter2-hunter2' });
+      expect(archive.sessions.length).toBeGreaterThan(0);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/account/export')
+        .expect(401);
+    });
+  });
+
+  describe('Deletion', () => {
+    it('should require the password to schedule deletion', async () => {
+      const { token } = await createUser('gdprwrongpw');
+
+      await request(app)
+        .post('/api/account/delete')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'not-my-password' })
+        .expect(401);
+    });
+
+    it('should confirm deletion of an account without a password by email', async () => {
+      const { user, token } = await createUser('gdprnopw');
+      const other = await createUser('gdprnopwother');
+      await testPool.query('UPDATE users SET password_hash = NULL WHERE id IN ($1, $2)', [user.id, other.user.id]);
+
+      const deleteAccount = (sessionToken, body) => request(app)
+        .post('/api/account/delete')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send(body);
+
+      // The username alone is not enough
+      const requested = await deleteAccount(token, { confirmUsername: 'gdprnopw' }).expect(202);
+      expect(requested.body.confirmationSent).toBe(true);
+
+      const scheduled = () => testPool.query('SELECT deletion_scheduled_for FROM users WHERE id = $1', [user.id]);
+      expect((await scheduled()).rows[0].deletion_scheduled_for).toBeNull();
+
+      const confirmationToken = latestTokenFor('gdprnopw@example.com');
+      await deleteAccount(token, { confirmationToken: 'forged.token' }).expect(401);
+
+      // Another account's link does not confirm this one, and is used up by the attempt
+      await deleteAccount(other.token, {}).expect(202);
+      const otherToken = latestTokenFor('gdprnopwother@example.com');
+      await deleteAccount(token, { confirmationToken: otherToken }).expect(401);
+      await deleteAccount(other.token, { confirmationToken: otherToken }).expect(401);
+
+      await deleteAccount(token, { confirmationToken }).expect(200);
+      expect((await scheduled()).rows[0].deletion_scheduled_for).not.toBeNull();
+
+      // Links are single-use
+      await deleteAccount(token, { confirmationToken }).expect(401);
+    });
+
+    it('should schedule deletion after the grace period and allow cancelling', async () => {
+      const { user, token } = await createUser('gdprcancel');
+
+      const response = await request(app)
+        .post('/api/account/delete')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password })
+        .expect(200);
+
+      expect(new Date(response.body.deletionScheduledFor).getTime()).toBeGreaterThan(Date.now() + 24 * 60 * 60 * 1000);
+
+      await request(app)
+        .post('/api/account/delete/cancel')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const result = await testPool.query('SELECT deletion_scheduled_for FROM users WHERE id = $1', [user.id]);
+      expect(result.rows[0].deletion_scheduled_for).toBeNull();
+
+      await accountService.purgeScheduledDeletions();
+      const stillThere = await testPool.query('SELECT id FROM users WHERE id = $1', [user.id]);
+      expect(stillThere.rows).toHaveLength(1);
+    });
+
+    it('should purge due accounts and anonymize their audit rows', async () => {
+      const { user, token } = await createUser('gdprpurge');
+      await testPool.query('INSERT INTO strings (user_id, input_string) VALUES ($1, $2)', [user.id, 'to be deleted']);
+      await auditService.logEvent('gdpr.test', 'users', {
+        userId: user.id,
+        ipAddress: '198.51.100.20',
+        userAgent: 'jest',
+        details: { username: 'gdprpurge', note: 'kept' }
+      });
+
+      await request(app)
+        .post('/api/account/delete')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password })
+        .expect(200);
+
+      // Skip the grace period
+      await testPool.query("UPDATE users SET deletion_scheduled_for = NOW() - INTERVAL '1 minute' WHERE id = $1", [user.id]);
+
+      const result = await accountService.purgeScheduledDeletions();
+      expect(result.purged).toBeGreaterThan(0);
+
+      const users = await testPool.query('SELECT id FROM users WHERE id = $1', [user.id]);
+      expect(users.rows).toHaveLength(0);
+
+      const strings = await testPool.query("SELECT id FROM strings WHERE input_string = 'to be deleted'");
+      expect(strings.rows).toHaveLength(0);
+
+      const audit = await testPool.query("SELECT user_id, ip_address, user_agent, details FROM audit_logs WHERE action = 'gdpr.test' AND details->>'note' = 'kept' ORDER BY id DESC LIMIT 1");
+      expect(audit.rows[0].user_id).toBeNull();
+      expect(audit.rows[0].ip_address).toBeNull();
+      expect(audit.rows[0].user_agent).toBeNull();
+      expect(audit.rows[0].details).toEqual({ note: 'kept', anonymized: true });
+    });
+
+    it('should purge due accounts from the cron endpoint', async () => {
+      const { user, token } = await createUser('gdprcron');
+
+      await request(app)
+        .post('/api/account/delete')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password })
+        .expect(200);
+      await testPool.query("UPDATE users SET deletion_scheduled_for = NOW() - INTERVAL '1 minute' WHERE id = $1", [user.id]);
+
+      await request(app).get('/api/cron/purge-deletions').expect(401);
+      await request(app)
+        .get('/api/cron/purge-deletions')
+        .set('Authorization', 'Bearer wrong-secret')
+        .expect(401);
+
+      const response = await request(app)
+        .get('/api/cron/purge-deletions')
+        .set('Authorization', 'Bearer test-cron-secret')
+        .expect(200);
+      expect(response.body.purged).toBeGreaterThan(0);
+
+      const users = await testPool.query('SELECT id FROM users WHERE id = $1', [user.id]);
+      expect(users.rows).toHaveLength(0);
+    });
+  });
+});
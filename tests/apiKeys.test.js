@@ -0,0 +1,130 @@
+/**
+ * API Key Tests
+ *
+ * Test suite for personal access tokens and scope checks
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('API Keys', () => {
+  let testUser;
+  let authToken;
+
+  const createKey = async (body) => {
+    return await request(app)
+      .post('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const result = await userService.registerUser('apikeyuser', 'apikey@example.com', 'password123');
+    testUser = result.user;
+    authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+  });
+
+  afterAll(async () => {
+    const pool = require('pg').Pool;
+    const testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await testPool.query('DELETE FROM data_storage WHERE user_id = $1', [testUser.id]);
+    await testPool.query('DELETE FROM users WHERE username = $1', ['apikeyuser']);
+    await testPool.end();
+  });
+
+  it('should return the key once and only list its prefix', async () => {
+    const created = await createKey({ name: 'ci', scopes: ['data:read'] }).expect(201);
+
+    expect(created.body.key).toMatch(/^pat_/);
+
+    const list = await request(app)
+      .get('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const listed = list.body.apiKeys.find(apiKey => apiKey.id === created.body.apiKey.id);
+    expect(listed.prefix).toBe(created.body.key.slice(0, listed.prefix.length));
+    expect(listed.key).toBeUndefined();
+    expect(listed.keyHash).toBeUndefined();
+  });
+
+  it('should reject unknown scopes', async () => {
+    const response = await createKey({ name: 'bad', scopes: ['everything'] }).expect(400);
+    expect(response.body.message).toContain('Unknown scopes');
+  });
+
+  it('should allow endpoints covered by the key scopes', async () => {
+    const { body } = await createKey({ name: 'reader', scopes: ['data:read'] });
+
+    await request(app)
+      .get('/api/data/api_key_test')
+      .set('Authorization', `Bearer ${body.key}`)
+      .expect(200);
+  });
+
+  it('should reject endpoints outside the key scopes', async () => {
+    const { body } = await createKey({ name: 'reader', scopes: ['data:read'] });
+
+    const response = await request(app)
+      .post('/api/data/api_key_test')
+      .set('Authorization', `Bearer ${body.key}`)
+      .send({ data: { name: 'nope' } })
+      .expect(403);
+
+    expect(response.body.missingScopes).toEqual(['data:write']);
+  });
+
+  it('should not allow API keys to manage the account', async () => {
+    const { body } = await createKey({ name: 'reader', scopes: ['data:read'] });
+
+    await request(app)
+      .get('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${body.key}`)
+      .expect(403);
+  });
+
+  it('should not allow API keys on differently cased account and admin paths', async () => {
+    const { body } = await createKey({ name: 'reader', scopes: ['data:read'] });
+
+    // Express matches these paths case-insensitively
+    for (const path of ['/API/Admin/users', '/Api/Auth/api-keys', '/api/ACCOUNT/export']) {
+      const response = await request(app)
+        .get(path)
+        .set('Authorization', `Bearer ${body.key}`)
+        .expect(403);
+      expect(response.body.message).toBe('API keys cannot be used for this endpoint.');
+    }
+  });
+
+  it('should enforce IP restrictions', async () => {
+    const { body } = await createKey({ name: 'office', scopes: ['data:read'], allowedIps: ['203.0.113.0/24'] });
+
+    const response = await request(app)
+      .get('/api/data/api_key_test')
+      .set('Authorization', `Bearer ${body.key}`)
+      .expect(401);
+
+    expect(response.body.message).toBe('API key is not allowed from this IP address.');
+  });
+
+  it('should reject revoked keys', async () => {
+    const { body } = await createKey({ name: 'temp', scopes: ['data:read'] });
+
+    await request(app)
+      .delete(`/api/auth/api-keys/${body.apiKey.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/data/api_key_test')
+      .set('Authorization', `Bearer ${body.key}`)
+      .expect(401);
+  });
+});
@@ -7,7 +7,7 @@
 const request = require('supertest');
 const app = require('../server');
 const userService = require('../services/userService');
-const { generateToken } = require('../middleware/auth');
+const { issueSessionTokens } = require('../middleware/auth');
 
 describe('Authentication System', () => {
   let testUser;
@@ -23,7 +23,7 @@ describe('Authentication System', () => {
     const result = await userService.registerUser('testuser', 'test@example.com', 'password123');
     if (result.success) {
       testUser = result.user;
-      authToken = generateToken(testUser.id, testUser.username, testUser.role);
+      authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
     }
   });
 
@@ -46,7 +46,7 @@ describe('Authentication System', () => {
       const userData = {
         username: 'newuser',
         email: 'newuser@example.com',
-        password: 'password123'
+        password: 'Lantern-Velvet-91'
       };
 
       const response = await request(app)
@@ -97,7 +97,7 @@ describe('Authentication System', () => {
       const userData = {
         username: 'testuser',
         email: 'different@example.com',
-        password: 'password123'
+        password: 'Lantern-Velvet-91'
       };
 
       const response = await request(app)
@@ -210,6 +210,149 @@ describe('Authentication System', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Logged out successfully');
     });
+
+    it('should revoke the refresh token on logout', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'password123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Session management', () => {
+    it('should reject a token without a tracked session', async () => {
+      const { generateToken } = require('../middleware/auth');
+      const untracked = generateToken(testUser.id, testUser.username, testUser.role);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${untracked}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Session has been revoked.');
+    });
+
+    it('should list active sessions and mark the current one', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.sessions.some(session => session.current)).toBe(true);
+    });
+
+    it('should revoke a single session', async () => {
+      const other = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${other.sessionId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it('should revoke all sessions when logging out everywhere', async () => {
+      const other = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+
+      await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'password123' });
+      refreshToken = response.body.refreshToken;
+    });
+
+    it('should issue a new access token and rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+      expect(response.body.user.username).toBe('testuser');
+    });
+
+    it('should revoke the whole token family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reuse.body.message).toBe('Refresh token reuse detected');
+
+      // The token issued by the first rotation belongs to the revoked family
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken })
+        .expect(401);
+    });
+
+    it('should fail without a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Refresh token is required');
+    });
+
+    it('should fail with an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
   });
 
   describe('PUT /api/auth/profile', () => {
@@ -250,7 +393,7 @@ describe('Authentication System', () => {
     it('should change password with valid current password', async () => {
       const passwordData = {
         currentPassword: 'password123',
-        newPassword: 'newpassword123'
+        newPassword: 'Quiet-Harbor-58'
       };
 
       const response = await request(app)
@@ -325,7 +468,8 @@ describe('User Service Functions', () => {
       const result = await userService.loginUser('serviceuser', 'password123');
       
       expect(result.success).toBe(true);
-      expect(result.token).toBeDefined();
+      // Tokens are issued by createSession, not by the service
+      expect(result.token).toBeUndefined();
       expect(result.user.username).toBe('serviceuser');
     });
 
@@ -0,0 +1,250 @@
+/**
+ * Bulk Data Tests
+ *
+ * Test suite for bulk insert (JSON and NDJSON), update and delete of collection
+ * records: transaction and partial modes, schema validation, encryption, dry runs
+ * and audit logging
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Bulk Data', () => {
+  const password = 'Lantern-Velvet-91';
+  const collection = 'bulk_test_items';
+  let testPool;
+  let testUser;
+  let authToken;
+
+  const bulk = (method, body) => {
+    return request(app)[method](`/api/data/${collection}/bulk`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  };
+
+  const countRecords = async () => {
+    const result = await testPool.query('SELECT COUNT(*) FROM data_storage WHERE user_id = $1', [testUser.id]);
+    return parseInt(result.rows[0].count);
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    testUser = (await userService.registerUser('bulkuser', 'bulkuser@example.com', password)).user;
+    authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+
+    // A schema for the collection, so records can be invalid
+    const admin = (await userService.registerUser('bulkadmin', 'bulkadmin@example.com', password, 'admin')).user;
+    const adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+    await request(app)
+      .post(`/api/collections/${collection}/versions`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        schema: {
+          type: 'object',
+          properties: { name: { type: 'string' }, price: { type: 'number', minimum: 0 } },
+          required: ['name']
+        }
+      })
+      .expect(201);
+    await request(app)
+      .post(`/api/collections/${collection}/versions/1/activate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await testPool.query('DELETE FROM collections WHERE name = $1', [collection]);
+    await testPool.query('DELETE FROM data_storage WHERE table_name = $1', [collection]);
+    await testPool.query('DELETE FROM audit_logs WHERE user_id = $1', [testUser.id]);
+    await testPool.query("DELETE FROM users WHERE username IN ('bulkuser', 'bulkadmin')");
+    await testPool.end();
+  });
+
+  describe('POST /api/data/:tableName/bulk', () => {
+    it('should insert records in one transaction, encrypting sensitive fields', async () => {
+      const records = Array.from({ length: 600 }, (_, i) => ({ data: { name: `item-${i}`, price: i } }));
+      records[0].data.token = 'first-secret';
+
+      const response = await bulk('post', { records }).expect(200);
+
+      expect(response.body).toMatchObject({ mode: 'transaction', inserted: 600, failed: 0 });
+      expect(response.body.results[599]).toMatchObject({ index: 599, success: true, id: expect.any(Number) });
+      expect(await countRecords()).toBe(600);
+
+      const stored = await testPool.query('SELECT data, encrypted_fields FROM data_storage WHERE id = $1', [response.body.results[0].id]);
+      expect(stored.rows[0].data.token).toBeUndefined();
+      expect(stored.rows[0].encrypted_fields.token).toEqual(expect.any(String));
+
+      const record = await request(app)
+        .get(`/api/data/${collection}/${response.body.results[0].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(record.body.data.data.token).toBe('first-secret');
+    });
+
+    it('should write one audit log per record', async () => {
+      const result = await testPool.query(
+        "SELECT COUNT(*) FROM audit_logs WHERE user_id = $1 AND action = 'data.inserted'",
+        [testUser.id]
+      );
+      expect(parseInt(result.rows[0].count)).toBe(600);
+    });
+
+    it('should insert nothing in transaction mode when a record is invalid', async () => {
+      const response = await bulk('post', {
+        records: [{ data: { name: 'ok' } }, { data: { price: -1 } }, { nope: true }]
+      }).expect(400);
+
+      expect(response.body.code).toBe('bulk_validation_failed');
+      expect(response.body.failures.map(failure => [failure.index, failure.code])).toEqual([
+        [1, 'schema_validation_failed'],
+        [2, 'invalid_record']
+      ]);
+      expect(await countRecords()).toBe(600);
+    });
+
+    it('should insert the valid records in partial mode', async () => {
+      const response = await bulk('post', {
+        mode: 'partial',
+        records: [{ data: { name: 'partial-1' } }, { data: { price: 5 } }, { data: { name: 'partial-2' } }]
+      }).expect(200);
+
+      expect(response.body).toMatchObject({ mode: 'partial', inserted: 2, failed: 1 });
+      expect(response.body.results.map(result => result.success)).toEqual([true, false, true]);
+      expect(response.body.results[1].errors[0]).toMatchObject({ keyword: 'required' });
+      expect(await countRecords()).toBe(602);
+    });
+
+    it('should accept NDJSON', async () => {
+      const ndjson = [
+        JSON.stringify({ data: { name: 'line-1' } }),
+        '',
+        JSON.stringify({ data: { name: 'line-2' }, metadata: { source: 'import' } })
+      ].join('\n');
+
+      const response = await request(app)
+        .post(`/api/data/${collection}/bulk?mode=partial`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(ndjson)
+        .expect(200);
+      expect(response.body).toMatchObject({ mode: 'partial', inserted: 2 });
+
+      const invalid = await request(app)
+        .post(`/api/data/${collection}/bulk`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"data": {"name": "a"}}\n{"data": ')
+        .expect(400);
+      expect(invalid.body.message).toBe('Line 2 is not valid JSON');
+    });
+
+    it('should validate the request', async () => {
+      await bulk('post', { records: [] }).expect(400);
+      await bulk('post', { records: [{ data: { name: 'a' } }], mode: 'sometimes' }).expect(400);
+    });
+  });
+
+  describe('PATCH /api/data/:tableName/bulk', () => {
+    it('should count matches in a dry run without changing anything', async () => {
+      const response = await bulk('patch', { filter: 'price:lt:10', data: { sale: true }, dryRun: true }).expect(200);
+      expect(response.body).toMatchObject({ dryRun: true, matched: 10 });
+
+      const changed = await testPool.query("SELECT COUNT(*) FROM data_storage WHERE user_id = $1 AND data ? 'sale'", [testUser.id]);
+      expect(parseInt(changed.rows[0].count)).toBe(0);
+    });
+
+    it('should merge fields into every matching record', async () => {
+      const response = await bulk('patch', { filter: { price: { $lt: 10 } }, data: { sale: true, token: 'new-secret' } }).expect(200);
+      expect(response.body).toMatchObject({ matched: 10, updated: 10, failed: 0 });
+
+      const list = await request(app)
+        .get(`/api/data/${collection}?filter=sale:eq:true&limit=20`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(list.body.data).toHaveLength(10);
+      expect(list.body.data.every(record => record.data.token === 'new-secret' && record.data.name)).toBe(true);
+    });
+
+    it('should roll back when a resulting record is invalid', async () => {
+      const response = await bulk('patch', { filter: 'price:lt:10', data: { price: -5 } }).expect(400);
+      expect(response.body.code).toBe('bulk_validation_failed');
+      expect(response.body.failures).toHaveLength(10);
+
+      // Nothing was changed
+      const dryRun = await bulk('patch', { filter: 'price:lt:10', data: { price: 1 }, dryRun: true }).expect(200);
+      expect(dryRun.body.matched).toBe(10);
+    });
+
+    it('should reject invalid filters', async () => {
+      await bulk('patch', { filter: 'price:near:1', data: { sale: false } }).expect(400);
+      await bulk('patch', { data: { sale: false } }).expect(400);
+    });
+  });
+
+  describe('DELETE /api/data/:tableName/bulk', () => {
+    it('should count matches in a dry run', async () => {
+      const response = await bulk('delete', { filter: 'sale:eq:true', dryRun: true }).expect(200);
+      expect(response.body.matched).toBe(10);
+      expect(await countRecords()).toBe(604);
+    });
+
+    it('should delete records by filter and by id', async () => {
+      const byFilter = await bulk('delete', { filter: 'sale:eq:true' }).expect(200);
+      expect(byFilter.body.deleted).toBe(10);
+
+      // Already deleted
+      const again = await bulk('delete', { ids: byFilter.body.ids.slice(0, 2) }).expect(200);
+      expect(again.body.deleted).toBe(0);
+
+      const [first] = (await bulk('post', { records: [{ data: { name: 'to-delete' } }] }).expect(200)).body.results;
+      const byIds = await bulk('delete', { ids: [first.id] }).expect(200);
+      expect(byIds.body.ids).toEqual([first.id]);
+
+      const deletes = await testPool.query(
+        "SELECT COUNT(*) FROM audit_logs WHERE user_id = $1 AND action = 'data.deleted'",
+        [testUser.id]
+      );
+      expect(parseInt(deletes.rows[0].count)).toBe(11);
+      expect(await countRecords()).toBe(594);
+    });
+
+    it('should require a filter or ids', async () => {
+      await bulk('delete', {}).expect(400);
+    });
+
+    it('should refuse to update or delete more records than the limit', async () => {
+      const many = 'bulk_test_many';
+      await testPool.query(
+        "INSERT INTO data_storage (table_name, data, user_id) SELECT $1, jsonb_build_object('n', n), $2 FROM generate_series(1, 5001) AS n",
+        [many, testUser.id]
+      );
+
+      const send = (method, body) => request(app)[method](`/api/data/${many}/bulk`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body);
+
+      const update = await send('patch', { filter: {}, data: { n: 0 } }).expect(400);
+      expect(update.body.message).toMatch(/more than 5000 records/);
+      await send('delete', { filter: {} }).expect(400);
+
+      const left = await testPool.query("SELECT COUNT(*) FROM data_storage WHERE table_name = $1 AND data->>'n' <> '0'", [many]);
+      expect(parseInt(left.rows[0].count)).toBe(5001);
+
+      await send('delete', { filter: 'n:gt:1' }).expect(200);
+      await testPool.query('DELETE FROM data_storage WHERE table_name = $1', [many]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Collection Schema Tests
+ *
+ * Test suite for per-collection JSON Schemas: drafts and versions, the report on
+ * existing records before activation, and enforcement on insert and update
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Collection Schemas', () => {
+  const password = 'Lantern-Velvet-91';
+  const collection = 'schema_test_items';
+  let testPool;
+  let adminToken;
+  let userToken;
+
+  const productSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      price: { type: 'number', minimum: 0 },
+      token: { type: 'string' }
+    },
+    required: ['name', 'price']
+  };
+
+  const createVersion = (schema, description) => {
+    return request(app)
+      .post(`/api/collections/${collection}/versions`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ schema, description });
+  };
+
+  const activate = (version, force = false) => {
+    return request(app)
+      .post(`/api/collections/${collection}/versions/${version}/activate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ force });
+  };
+
+  const insert = (data) => {
+    return request(app)
+      .post(`/api/data/${collection}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ data });
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    const admin = (await userService.registerUser('schemaadmin', 'schemaadmin@example.com', password, 'admin')).user;
+    adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+    const user = (await userService.registerUser('schemauser', 'schemauser@example.com', password)).user;
+    userToken = (await issueSessionTokens(user.id, user.username, user.role)).token;
+  });
+
+  afterAll(async () => {
+    await testPool.query('DELETE FROM collections WHERE name = $1', [collection]);
+    await testPool.query('DELETE FROM data_storage WHERE table_name = $1', [collection]);
+    await testPool.query("DELETE FROM users WHERE username IN ('schemaadmin', 'schemauser')");
+    await testPool.end();
+  });
+
+  describe('Schema versions', () => {
+    it('should reject invalid JSON Schemas', async () => {
+      const response = await createVersion({ type: 'nope' }).expect(400);
+      expect(response.body.message).toMatch(/^Invalid JSON Schema/);
+    });
+
+    it('should create drafts that are not enforced', async () => {
+      // Written before the collection had a schema
+      await insert({ name: 'Legacy item without price' }).expect(200);
+
+      const response = await createVersion(productSchema, 'Products').expect(201);
+      expect(response.body.schema).toMatchObject({ version: 1, status: 'draft' });
+
+      await insert({ anything: true }).expect(200);
+    });
+
+    it('should require the collections.manage permission', async () => {
+      await request(app)
+        .post(`/api/collections/${collection}/versions`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ schema: productSchema })
+        .expect(403);
+    });
+
+    it('should require API key scopes', async () => {
+      const createKey = async (scopes) => {
+        const response = await request(app)
+          .post('/api/auth/api-keys')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: `schemas-${scopes.join('-')}`, scopes })
+          .expect(201);
+        return response.body.key;
+      };
+
+      const reader = await createKey(['data:read']);
+      const created = await request(app)
+        .post(`/api/collections/${collection}/versions`)
+        .set('Authorization', `Bearer ${reader}`)
+        .send({ schema: productSchema })
+        .expect(403);
+      expect(created.body.missingScopes).toEqual(['data:write']);
+
+      await request(app)
+        .post(`/api/collections/${collection}/versions/1/activate`)
+        .set('Authorization', `Bearer ${reader}`)
+        .send({})
+        .expect(403);
+
+      const auditor = await createKey(['audit:read']);
+      const report = await request(app)
+        .get(`/api/collections/${collection}/versions/1/report`)
+        .set('Authorization', `Bearer ${auditor}`)
+        .expect(403);
+      expect(report.body.missingScopes).toEqual(['data:read']);
+    });
+  });
+
+  describe('Activation', () => {
+    it('should report existing records that fail the schema', async () => {
+      const response = await request(app)
+        .get(`/api/collections/${collection}/versions/1/report`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { report } = response.body;
+      expect(report.checked).toBe(2);
+      expect(report.invalid).toBe(2);
+      expect(report.failures[0].errors).toContainEqual({
+        path: '/price',
+        message: "must have required property 'price'",
+        keyword: 'required'
+      });
+    });
+
+    it('should refuse activation while existing records are invalid', async () => {
+      const response = await activate(1).expect(409);
+      expect(response.body.code).toBe('existing_records_invalid');
+      expect(response.body.report.invalid).toBe(2);
+    });
+
+    it('should activate with force', async () => {
+      const response = await activate(1, true).expect(200);
+      expect(response.body.schema.status).toBe('active');
+
+      const collectionResponse = await request(app)
+        .get(`/api/collections/${collection}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(collectionResponse.body.collection.activeVersion).toBe(1);
+    });
+  });
+
+  describe('Enforcement', () => {
+    it('should reject inserts with field-level errors', async () => {
+      const response = await insert({ name: '', price: 'free' }).expect(400);
+
+      expect(response.body.code).toBe('schema_validation_failed');
+      expect(response.body.errors.map(error => error.path).sort()).toEqual(['/name', '/price']);
+    });
+
+    it('should accept valid inserts, validating sensitive fields before encryption', async () => {
+      await insert({ name: 'Lamp', price: 25, token: 'lamp-secret' }).expect(200);
+      await insert({ name: 'Lamp', price: 25, token: 42 }).expect(400);
+    });
+
+    it('should validate updates against the resulting record', async () => {
+      const created = await insert({ name: 'Chair', price: 40, token: 'chair-secret' }).expect(200);
+      const url = `/api/data/${collection}/${created.body.data.id}`;
+
+      // Merged with the stored (decrypted) fields, so the record stays valid
+      await request(app)
+        .patch(url)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ data: { price: 35 } })
+        .expect(200);
+
+      const invalid = await request(app)
+        .patch(url)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ data: { price: -1 } })
+        .expect(400);
+      expect(invalid.body.errors[0]).toMatchObject({ path: '/price', keyword: 'minimum' });
+
+      // PUT replaces the data, so required fields must be sent again
+      await request(app)
+        .put(url)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ data: { price: 30 } })
+        .expect(400);
+    });
+  });
+
+  describe('New versions', () => {
+    it('should keep enforcing the active version until the next one is activated', async () => {
+      const response = await createVersion({
+        ...productSchema,
+        properties: { ...productSchema.properties, sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' } },
+        required: ['name', 'price', 'sku']
+      }).expect(201);
+      expect(response.body.schema.version).toBe(2);
+
+      // Version 1 still applies
+      await insert({ name: 'Desk', price: 120 }).expect(200);
+
+      await activate(2).expect(409);
+      await activate(2, true).expect(200);
+
+      const invalid = await insert({ name: 'Desk', price: 120 }).expect(400);
+      expect(invalid.body.errors).toContainEqual(expect.objectContaining({ path: '/sku', keyword: 'required' }));
+      await insert({ name: 'Desk', price: 120, sku: 'DSK-1' }).expect(200);
+
+      const collectionResponse = await request(app)
+        .get(`/api/collections/${collection}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const statuses = collectionResponse.body.collection.versions.map(version => [version.version, version.status]);
+      expect(statuses).toEqual([[2, 'active'], [1, 'retired']]);
+    });
+  });
+});
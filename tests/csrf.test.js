@@ -0,0 +1,170 @@
+/**
+ * Cookie Authentication Tests
+ *
+ * Test suite for browser sessions: the session cookies set at login, CSRF tokens on
+ * requests that change state, and which token sources each kind of client may use
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const authConfig = require('../config/auth');
+
+describe('Cookie Authentication', () => {
+  let testUser;
+
+  /**
+   * Sign in with a cookie-keeping agent, like a browser
+   */
+  const signIn = async () => {
+    const agent = request.agent(app);
+    const response = await agent
+      .post('/api/auth/login')
+      .send({ username: 'csrfuser', password: 'password123' })
+      .expect(200);
+
+    return { agent, login: response.body, cookies: response.headers['set-cookie'] };
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const result = await userService.registerUser('csrfuser', 'csrf@example.com', 'password123');
+    testUser = result.user;
+  });
+
+  afterAll(async () => {
+    const pool = require('pg').Pool;
+    const testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await testPool.query('DELETE FROM users WHERE username = $1', ['csrfuser']);
+    await testPool.end();
+  });
+
+  describe('Login', () => {
+    it('should set httpOnly session cookies and a readable CSRF cookie', async () => {
+      const { login, cookies } = await signIn();
+
+      const accessCookie = cookies.find(cookie => cookie.startsWith(`${authConfig.cookies.accessToken}=`));
+      const refreshCookie = cookies.find(cookie => cookie.startsWith(`${authConfig.cookies.refreshToken}=`));
+      const csrfCookie = cookies.find(cookie => cookie.startsWith(`${authConfig.cookies.csrfToken}=`));
+
+      expect(accessCookie).toMatch(/HttpOnly/);
+      expect(accessCookie).toMatch(/SameSite=Strict/);
+      expect(refreshCookie).toMatch(/Path=\/api\/auth/);
+      expect(csrfCookie).not.toMatch(/HttpOnly/);
+      expect(csrfCookie).toContain(`=${login.csrfToken};`);
+    });
+  });
+
+  describe('CSRF protection', () => {
+    it('should authenticate safe requests from the cookie alone', async () => {
+      const { agent } = await signIn();
+
+      const response = await agent.get('/api/auth/profile').expect(200);
+      expect(response.body.user.id).toBe(testUser.id);
+    });
+
+    it('should refuse a cookie-authenticated change without the CSRF header', async () => {
+      const { agent } = await signIn();
+
+      const response = await agent.delete('/api/auth/api-keys/999999').expect(403);
+      expect(response.body.code).toBe('csrf_failed');
+    });
+
+    it('should refuse a CSRF token from another session', async () => {
+      const { agent } = await signIn();
+      const other = await signIn();
+
+      await agent
+        .delete('/api/auth/api-keys/999999')
+        .set(authConfig.cookies.csrfHeader, other.login.csrfToken)
+        .expect(403);
+    });
+
+    it('should accept a cookie-authenticated change with the CSRF header', async () => {
+      const { agent, login } = await signIn();
+
+      await agent
+        .delete('/api/auth/api-keys/999999')
+        .set(authConfig.cookies.csrfHeader, login.csrfToken)
+        .expect(404);
+    });
+
+    it('should not require a CSRF token with the Authorization header', async () => {
+      const { login } = await signIn();
+
+      await request(app)
+        .delete('/api/auth/api-keys/999999')
+        .set('Authorization', `Bearer ${login.token}`)
+        .expect(404);
+    });
+  });
+
+  describe('Token sources', () => {
+    it('should not accept an access token in the request body', async () => {
+      const { login } = await signIn();
+
+      await request(app)
+        .post('/api/auth/mfa/disable')
+        .send({ token: login.token })
+        .expect(401);
+    });
+
+    it('should only accept API keys in the Authorization header', async () => {
+      const { login } = await signIn();
+      const created = await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${login.token}`)
+        .send({ name: 'Cookie test', scopes: ['data:read'] })
+        .expect(201);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Cookie', `${authConfig.cookies.accessToken}=${created.body.key}`)
+        .expect(401);
+    });
+  });
+
+  describe('Refresh', () => {
+    it('should require the CSRF header to refresh from the cookie', async () => {
+      const { agent } = await signIn();
+
+      const response = await agent.post('/api/auth/refresh').expect(403);
+      expect(response.body.code).toBe('csrf_failed');
+    });
+
+    it('should refresh from the cookie with the CSRF header and rotate the CSRF token', async () => {
+      const { agent, login } = await signIn();
+
+      const response = await agent
+        .post('/api/auth/refresh')
+        .set(authConfig.cookies.csrfHeader, login.csrfToken)
+        .expect(200);
+
+      expect(response.body.csrfToken).toBeDefined();
+      expect(response.body.csrfToken).not.toBe(login.csrfToken);
+
+      // The new access token cookie only accepts the new CSRF token
+      await agent
+        .delete('/api/auth/api-keys/999999')
+        .set(authConfig.cookies.csrfHeader, login.csrfToken)
+        .expect(403);
+      await agent
+        .delete('/api/auth/api-keys/999999')
+        .set(authConfig.cookies.csrfHeader, response.body.csrfToken)
+        .expect(404);
+    });
+
+    it('should refresh with the refresh token in the body without a CSRF header', async () => {
+      const { login } = await signIn();
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.refreshToken })
+        .expect(200);
+    });
+  });
+});
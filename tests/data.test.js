@@ -8,7 +8,7 @@ const request = require('supertest');
 const app = require('../server');
 const dataService = require('../services/dataService');
 const userService = require('../services/userService');
-const { generateToken } = require('../middleware/auth');
+const { issueSessionTokens } = require('../middleware/auth');
 
 describe('Data Service', () => {
   let testUser;
@@ -24,7 +24,7 @@ describe('Data Service', () => {
     const result = await userService.registerUser('datatestuser', 'datatest@example.com', 'password123');
     if (result.success) {
       testUser = result.user;
-      authToken = generateToken(testUser.id, testUser.username, testUser.role);
+      authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
     }
   });
 
@@ -367,7 +367,7 @@ describe('Data Service', () => {
 
     it('should get audit logs with filters', async () => {
       const result = await dataService.getAuditLogs(testUser.id, {
-        action: 'INSERT',
+        action: 'data.inserted',
         limit: 10
       });
       
@@ -381,6 +381,8 @@ describe('Data Service', () => {
 describe('Data API Endpoints', () => {
   let testUser;
   let authToken;
+  let otherUser;
+  let otherToken;
   let testTableName = 'api_test_table';
 
   beforeAll(async () => {
@@ -388,8 +390,11 @@ describe('Data API Endpoints', () => {
     const result = await userService.registerUser('apitestuser', 'apitest@example.com', 'password123');
     if (result.success) {
       testUser = result.user;
-      authToken = generateToken(testUser.id, testUser.username, testUser.role);
+      authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
     }
+
+    otherUser = (await userService.registerUser('apiotheruser', 'apiother@example.com', 'password123')).user;
+    otherToken = (await issueSessionTokens(otherUser.id, otherUser.username, otherUser.role)).token;
   });
 
   afterAll(async () => {
@@ -401,8 +406,8 @@ describe('Data API Endpoints', () => {
         ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
       });
       
-      await testPool.query('DELETE FROM data_storage WHERE user_id = $1', [testUser.id]);
-      await testPool.query('DELETE FROM users WHERE id = $1', [testUser.id]);
+      await testPool.query('DELETE FROM data_storage WHERE user_id = ANY($1)', [[testUser.id, otherUser.id]]);
+      await testPool.query('DELETE FROM users WHERE id = ANY($1)', [[testUser.id, otherUser.id]]);
       await testPool.end();
     }
   });
@@ -475,6 +480,30 @@ describe('Data API Endpoints', () => {
       expect(response.body.pagination).toBeDefined();
     });
 
+    it('should reject unknown sort columns', async () => {
+      const response = await request(app)
+        .get(`/api/data/${testTableName}?orderBy=${encodeURIComponent('id; DROP TABLE users')}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+
+      await request(app)
+        .get(`/api/data/${testTableName}?orderBy=created_at&orderDirection=sideways`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should sort by a whitelisted column', async () => {
+      const response = await request(app)
+        .get(`/api/data/${testTableName}?orderBy=id&orderDirection=asc`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const ids = response.body.data.map(record => record.id);
+      expect(ids).toEqual([...ids].sort((a, b) => a - b));
+    });
+
     it('should get data with query parameters', async () => {
       const response = await request(app)
         .get(`/api/data/${testTableName}?limit=1&offset=0`)
@@ -519,4 +548,203 @@ describe('Data API Endpoints', () => {
       expect(response.headers['content-disposition']).toContain('.csv');
     });
   });
+
+  describe('Single records', () => {
+    let recordId;
+
+    const insertRecord = async () => {
+      const response = await request(app)
+        .post(`/api/data/${testTableName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ data: { name: 'Record Item', value: 1, token: 'record-secret' } })
+        .expect(200);
+      return response.body.data.id;
+    };
+
+    beforeEach(async () => {
+      recordId = await insertRecord();
+    });
+
+    it('should get a record with its sensitive fields decrypted', async () => {
+      const response = await request(app)
+        .get(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.id).toBe(recordId);
+      expect(response.body.data.data).toEqual({ name: 'Record Item', value: 1, token: 'record-secret' });
+    });
+
+    it('should not find records of another user or collection', async () => {
+      await request(app)
+        .get(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      await request(app)
+        .get(`/api/data/other_table/${recordId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should replace the data with PUT', async () => {
+      const response = await request(app)
+        .put(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ data: { name: 'Replaced' } })
+        .expect(200);
+
+      expect(response.body.data.data).toEqual({ name: 'Replaced' });
+    });
+
+    it('should merge the data with PATCH', async () => {
+      const response = await request(app)
+        .patch(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ data: { value: 2 } })
+        .expect(200);
+
+      expect(response.body.data.data).toEqual({ name: 'Record Item', value: 2, token: 'record-secret' });
+    });
+
+    it('should not update records of another user', async () => {
+      await request(app)
+        .patch(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ data: { value: 3 } })
+        .expect(404);
+
+      await request(app)
+        .put(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ data: 'invalid' })
+        .expect(400);
+    });
+
+    it('should delete a record', async () => {
+      await request(app)
+        .delete(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/data/${testTableName}/${recordId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should reject invalid ids', async () => {
+      await request(app)
+        .get(`/api/data/${testTableName}/abc`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/data/:tableName/search', () => {
+    beforeEach(async () => {
+      await dataService.insertData(testTableName, { name: 'Searchable Widget', category: 'api-search' }, testUser.id);
+    });
+
+    it('should search the user\'s records', async () => {
+      const response = await request(app)
+        .post(`/api/data/${testTableName}/search`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ criteria: { name: 'widget' } })
+        .expect(200);
+
+      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body.data.every(record => record.userId === testUser.id)).toBe(true);
+
+      const other = await request(app)
+        .post(`/api/data/${testTableName}/search`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ criteria: { name: 'widget' } })
+        .expect(200);
+
+      expect(other.body.data).toHaveLength(0);
+    });
+
+    it('should treat field names as data', async () => {
+      const response = await request(app)
+        .post(`/api/data/${testTableName}/search`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ criteria: { "name' OR '1'='1": 'x' } })
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    it('should reject nested search values', async () => {
+      await request(app)
+        .post(`/api/data/${testTableName}/search`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ criteria: { name: { $ne: null } } })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/data/:tableName/stats', () => {
+    it('should count the user\'s records', async () => {
+      await dataService.insertData(testTableName, { name: 'Stats Item' }, testUser.id);
+
+      const response = await request(app)
+        .get(`/api/data/${testTableName}/stats`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.statistics.totalRecords).toBeGreaterThan(0);
+      expect(response.body.statistics.uniqueUsers).toBe(1);
+    });
+
+    it('should leave out other users\' records, including from the size', async () => {
+      const stats = async () => (await request(app)
+        .get(`/api/data/${testTableName}/stats`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)).body.statistics;
+
+      const before = await stats();
+      await dataService.insertData(testTableName, { name: 'Other Stats Item', notes: 'x'.repeat(5000) }, otherUser.id);
+      const after = await stats();
+
+      expect(after).toEqual(before);
+      expect(after.uniqueUsers).toBe(1);
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('should list the user\'s data changes', async () => {
+      const inserted = await dataService.insertData(testTableName, { name: 'Audited Item' }, testUser.id);
+      await request(app)
+        .patch(`/api/data/${testTableName}/${inserted.data.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ data: { name: 'Audited Item 2' } })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/audit?action=data.updated&tableName=${testTableName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const log = response.body.logs.find(entry => entry.details.recordId === inserted.data.id);
+      expect(log.userId).toBe(testUser.id);
+      expect(log.resource).toBe('data');
+      expect(log.details.oldValues).toEqual({ name: 'Audited Item' });
+      expect(log.details.newValues).toEqual({ name: 'Audited Item 2' });
+    });
+
+    it('should only show other users\' logs with audit.read', async () => {
+      const response = await request(app)
+        .get(`/api/audit?userId=${testUser.id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      expect(response.body.missingPermissions).toEqual(['audit.read']);
+    });
+  });
 });
@@ -0,0 +1,217 @@
+/**
+ * Data Filter Tests
+ *
+ * Test suite for the collection filter language: JSON and compact syntax, typed
+ * comparisons, nested paths, AND/OR nesting and sorting by JSON fields
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const dataService = require('../services/dataService');
+const dataFilter = require('../lib/dataFilter');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Data Filters', () => {
+  const collection = 'filter_test_items';
+  let testPool;
+  let testUser;
+  let authToken;
+
+  const products = [
+    { name: 'Lamp', price: 25, tags: ['light', 'sale'], address: { city: 'Berlin' }, added: '2024-01-15' },
+    { name: 'Chair', price: 40, tags: ['seating'], address: { city: 'Hamburg' }, added: '2024-03-01T09:30:00Z' },
+    { name: 'Desk', price: 120.5, tags: ['sale'], address: { city: 'Berlin' }, added: '2024-06-10' },
+    { name: 'Sofa', price: '999', address: { city: 'Munich' }, stock: 0 },
+    { name: 'Rug', price: 60, featured: true, added: 'not a date' }
+  ];
+
+  const list = (filter, extra = '') => {
+    return request(app)
+      .get(`/api/data/${collection}?filter=${encodeURIComponent(filter)}${extra}`)
+      .set('Authorization', `Bearer ${authToken}`);
+  };
+
+  const search = (body) => {
+    return request(app)
+      .post(`/api/data/${collection}/search`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  };
+
+  const names = (response) => response.body.data.map(record => record.data.name).sort();
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    testUser = (await userService.registerUser('filteruser', 'filteruser@example.com', 'Lantern-Velvet-91')).user;
+    authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+
+    for (const product of products) {
+      await dataService.insertData(collection, product, testUser.id);
+    }
+  });
+
+  afterAll(async () => {
+    await testPool.query('DELETE FROM data_storage WHERE user_id = $1', [testUser.id]);
+    await testPool.query('DELETE FROM users WHERE id = $1', [testUser.id]);
+    await testPool.end();
+  });
+
+  describe('Compiling', () => {
+    it('should reject field names that are not plain path segments', () => {
+      expect(() => dataFilter.compileFilter({ "name'; DROP TABLE users; --": 1 }, [])).toThrow(/Invalid field path/);
+    });
+
+    it('should keep field names and values out of the SQL', () => {
+      const params = [];
+      const sql = dataFilter.compileFilter({ 'address.city': "Berlin'--", price: { $gte: 10 } }, params);
+
+      expect(sql).not.toContain('Berlin');
+      expect(sql).not.toContain('address');
+      expect(params).toEqual([['address', 'city'], '"Berlin\'--"', ['price'], 10]);
+    });
+
+    it('should parse the compact syntax with typed values', () => {
+      const params = [];
+      const sql = dataFilter.compileFilter('price:gte:10,address.city:eq:"10"|featured:eq:true', params);
+
+      expect(sql).toMatch(/ AND .* OR /);
+      expect(params).toEqual([['price'], 10, ['address', 'city'], '"10"', ['featured'], 'true']);
+    });
+
+    it('should reject unknown operators and bad paths', () => {
+      expect(() => dataFilter.parse({ price: { $near: 1 } })).toThrow(/Unknown operator \$near/);
+      expect(() => dataFilter.parse({ 'a..b': 1 })).toThrow(/Invalid field path/);
+      expect(() => dataFilter.parse('price')).toThrow(/field:op:value/);
+      expect(() => dataFilter.parse({ price: { $in: [] } })).toThrow(/list of 1 to/);
+    });
+
+    it('should reject dates that do not exist in the calendar', () => {
+      expect(() => dataFilter.parse({ added: { $gt: '2024-02-30' } })).toThrow(/needs a valid date/);
+      expect(() => dataFilter.parse({ added: { $gt: '2023-02-29' } })).toThrow(/needs a valid date/);
+      expect(() => dataFilter.parse({ added: { $lt: '2024-01-01T25:99' } })).toThrow(/needs a valid date/);
+      expect(() => dataFilter.parse({ added: { $gte: '2024-02-29T23:59:59+02:00' } })).not.toThrow();
+    });
+  });
+
+  describe('GET /api/data/:tableName', () => {
+    it('should compare numbers numerically and ignore other types', async () => {
+      const response = await list('price:gt:30').expect(200);
+
+      // "999" is a string, so it is not a number greater than 30
+      expect(names(response)).toEqual(['Chair', 'Desk', 'Rug']);
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    it('should match equality with types', async () => {
+      expect(names(await list('price:eq:999').expect(200))).toEqual([]);
+      expect(names(await list('price:eq:"999"').expect(200))).toEqual(['Sofa']);
+      expect(names(await list('price:eq:120.50').expect(200))).toEqual(['Desk']);
+    });
+
+    it('should filter nested paths and combine groups with OR', async () => {
+      const response = await list('address.city:eq:Berlin,price:lt:100|featured:eq:true').expect(200);
+      expect(names(response)).toEqual(['Lamp', 'Rug']);
+    });
+
+    it('should compare dates', async () => {
+      const response = await list('added:gte:2024-02-01').expect(200);
+
+      // "not a date" and records without the field are skipped
+      expect(names(response)).toEqual(['Chair', 'Desk']);
+
+      const invalid = await list('added:gt:2024-02-30').expect(400);
+      expect(invalid.body.message).toMatch(/needs a valid date/);
+    });
+
+    it('should not fail on stored dates that do not exist', async () => {
+      const dates = 'filter_test_dates';
+      for (const added of ['2024-02-30', '2024-01-01T25:99', '2024-05-01']) {
+        await dataService.insertData(dates, { added }, testUser.id);
+      }
+
+      const listDates = (filter) => request(app)
+        .get(`/api/data/${dates}?filter=${encodeURIComponent(filter)}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      // Impossible days and hours are skipped like other non-dates
+      const response = await listDates('added:gte:2024-01-01').expect(200);
+      expect(response.body.data.map(record => record.data.added)).toEqual(['2024-05-01']);
+
+      // February 29th of a non-leap year is only caught by Postgres
+      await dataService.insertData(dates, { added: '2023-02-29' }, testUser.id);
+      const leap = await listDates('added:gte:2024-01-01').expect(400);
+      expect(leap.body.message).toMatch(/cannot compare/);
+    });
+
+    it('should support in, nin, exists, regex and contains', async () => {
+      expect(names(await list('address.city:in:Hamburg;Munich').expect(200))).toEqual(['Chair', 'Sofa']);
+      expect(names(await list('address.city:nin:Berlin').expect(200))).toEqual(['Chair', 'Rug', 'Sofa']);
+      expect(names(await list('stock:exists').expect(200))).toEqual(['Sofa']);
+      expect(names(await list('address:exists:false').expect(200))).toEqual(['Rug']);
+      expect(names(await list('name:regex:^[CD]').expect(200))).toEqual(['Chair', 'Desk']);
+      expect(names(await list('tags:contains:sale').expect(200))).toEqual(['Desk', 'Lamp']);
+      expect(names(await list('name:contains:AI').expect(200))).toEqual(['Chair']);
+    });
+
+    it('should accept JSON filters', async () => {
+      const filter = JSON.stringify({
+        $or: [
+          { 'address.city': 'Hamburg' },
+          { $and: [{ price: { $gte: 100 } }, { tags: { $contains: 'sale' } }] }
+        ]
+      });
+
+      expect(names(await list(filter).expect(200))).toEqual(['Chair', 'Desk']);
+    });
+
+    it('should sort by JSON fields', async () => {
+      const response = await list('price:gte:0', '&orderBy=data.price&orderDirection=ASC').expect(200);
+      expect(response.body.data.map(record => record.data.name)).toEqual(['Lamp', 'Chair', 'Rug', 'Desk']);
+
+      const byCity = await request(app)
+        .get(`/api/data/${collection}?orderBy=data.address.city&orderDirection=desc`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      // Records without the field come last
+      expect(byCity.body.data.map(record => record.data.name)[0]).toBe('Sofa');
+      expect(byCity.body.data[byCity.body.data.length - 1].data.name).toBe('Rug');
+    });
+
+    it('should reject invalid filters with 400', async () => {
+      const response = await list('price:near:10').expect(400);
+      expect(response.body.message).toMatch(/Unknown operator/);
+
+      await list('{"price": ').expect(400);
+      await list('name:regex:"(unclosed"').expect(400);
+    });
+  });
+
+  describe('POST /api/data/:tableName/search', () => {
+    it('should accept a filter object with sorting', async () => {
+      const response = await search({
+        filter: { 'address.city': { $ne: 'Berlin' } },
+        orderBy: 'data.name',
+        orderDirection: 'ASC'
+      }).expect(200);
+
+      expect(response.body.data.map(record => record.data.name)).toEqual(['Chair', 'Rug', 'Sofa']);
+    });
+
+    it('should still accept criteria', async () => {
+      const response = await search({ criteria: { name: 'es' } }).expect(200);
+      expect(names(response)).toEqual(['Desk']);
+    });
+
+    it('should require criteria or a filter', async () => {
+      await search({}).expect(400);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Password Reset & Email Verification Tests
+ *
+ * Test suite for token-based email flows, using the file mail transport
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const authConfig = require('../config/auth');
+const { issueSessionTokens } = require('../middleware/auth');
+
+/**
+ * Read the most recent message sent to an address and extract the token from its link.
+ * Reset links are mailed in the background, so this waits for pending deliveries first.
+ */
+const latestTokenFor = async (email) => {
+  await userService.flushPasswordResets();
+
+  const directory = process.env.MAIL_FILE_DIR;
+  const messages = fs.readdirSync(directory)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')))
+    .filter(message => message.to === email);
+
+  const latest = messages[messages.length - 1];
+  return new URL(latest.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('Email Flows', () => {
+  let testUser;
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    fs.rmSync(process.env.MAIL_FILE_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'mailuser', email: 'mailuser@example.com', password: 'Lantern-Velvet-91' });
+    testUser = response.body.user;
+  });
+
+  afterEach(async () => {
+    // Let background reset links finish before their user is deleted
+    await userService.flushPasswordResets();
+
+    const pool = require('pg').Pool;
+    const testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await testPool.query('DELETE FROM users WHERE username = $1', ['mailuser']);
+    await testPool.end();
+  });
+
+  describe('Email verification', () => {
+    it('should register users as unverified and send a verification link', async () => {
+      expect(testUser.emailVerified).toBe(false);
+      expect(await latestTokenFor('mailuser@example.com')).toBeDefined();
+    });
+
+    it('should verify the email with the token only once', async () => {
+      const token = await latestTokenFor('mailuser@example.com');
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+
+      expect(reuse.body.message).toBe('Invalid or expired token');
+    });
+
+    it('should reject a tampered token', async () => {
+      const token = await latestTokenFor('mailuser@example.com');
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: `${token}x` })
+        .expect(400);
+    });
+
+    it('should limit unverified users under the restricted policy', async () => {
+      const { token } = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+      authConfig.emailVerification.unverifiedPolicy = 'restricted';
+
+      try {
+        await request(app)
+          .get('/api/auth/profile')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+
+        const response = await request(app)
+          .post('/api/data/restricted_test')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ data: { name: 'blocked' } })
+          .expect(403);
+
+        expect(response.body.code).toBe('email_unverified');
+      } finally {
+        authConfig.emailVerification.unverifiedPolicy = 'allow';
+      }
+    });
+  });
+
+  describe('Password reset', () => {
+    it('should give the same response for unknown emails', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'mailuser@example.com' })
+        .expect(200);
+
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+    });
+
+    it('should reset the password and revoke existing sessions', async () => {
+      const { token: accessToken } = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'mailuser@example.com' });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: await latestTokenFor('mailuser@example.com'), password: 'Quiet-Harbor-58' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'mailuser', password: 'Quiet-Harbor-58' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+    });
+
+    it('should not accept a verification token for a password reset', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: await latestTokenFor('mailuser@example.com'), password: 'newpassword123' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired token');
+    });
+  });
+});
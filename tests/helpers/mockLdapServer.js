@@ -0,0 +1,59 @@
+/**
+ * Mock LDAP Server
+ *
+ * In-process directory for tests: simple binds against a list of entries and
+ * subtree searches. Entries and passwords can be changed while it runs.
+ */
+
+const ldap = require('ldapjs');
+
+const normalizeDn = (dn) => String(dn).replace(/\s*,\s*/g, ',').toLowerCase();
+
+const startMockLdapServer = async ({ suffix = 'dc=example,dc=com', entries = [] } = {}) => {
+  const state = {
+    // { dn, password?, attributes }
+    entries: [...entries],
+    binds: []
+  };
+
+  const findEntry = (dn) => state.entries.find(entry => normalizeDn(entry.dn) === normalizeDn(dn));
+
+  const server = ldap.createServer();
+
+  server.bind(suffix, (req, res, next) => {
+    const entry = findEntry(req.dn.toString());
+    state.binds.push(normalizeDn(req.dn.toString()));
+
+    if (!entry || !entry.password || entry.password !== req.credentials) {
+      return next(new ldap.InvalidCredentialsError());
+    }
+
+    res.end();
+    return next();
+  });
+
+  server.search(suffix, (req, res, next) => {
+    const base = normalizeDn(req.dn.toString());
+
+    for (const entry of state.entries) {
+      const dn = normalizeDn(entry.dn);
+      if ((dn === base || dn.endsWith(`,${base}`)) && req.filter.matches(entry.attributes)) {
+        res.send({ dn: entry.dn, attributes: entry.attributes });
+      }
+    }
+
+    res.end();
+    return next();
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `ldap://127.0.0.1:${server.address().port}`,
+    state,
+    findEntry,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+module.exports = { startMockLdapServer };
@@ -0,0 +1,109 @@
+/**
+ * Mock OIDC Server
+ *
+ * Minimal OpenID Connect provider for tests: discovery, JWKS, authorization
+ * code flow with PKCE, and userinfo. Sign-in is automatic as the current user.
+ */
+
+const crypto = require('crypto');
+const { once } = require('events');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const startMockOidcServer = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const state = {
+    user: null,
+    // Overrides applied to the next ID token only, to simulate a misbehaving provider
+    idTokenOverrides: null
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state: requestState, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== clientId || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { user: state.user, nonce, codeChallenge: code_challenge, redirectUri: redirect_uri });
+
+    const location = new URL(redirect_uri);
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', requestState);
+    res.redirect(location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, code_verifier, redirect_uri, client_id, client_secret } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (client_id !== clientId || client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const verifierHash = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+    if (!grant || grant.redirectUri !== redirect_uri || verifierHash !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.user);
+
+    const idToken = jwt.sign(
+      { ...grant.user, nonce: grant.nonce, ...state.idTokenOverrides },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+    state.idTokenOverrides = null;
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const user = accessTokens.get(req.header('Authorization')?.replace('Bearer ', ''));
+    if (!user) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(user);
+  });
+
+  return {
+    issuer,
+    setUser: (user) => { state.user = user; },
+    overrideNextIdToken: (claims) => { state.idTokenOverrides = claims; },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startMockOidcServer };
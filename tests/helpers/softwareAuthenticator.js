@@ -0,0 +1,149 @@
+/**
+ * Software Authenticator
+ *
+ * Passkey authenticator for tests: answers the options from the passkey endpoints
+ * the way navigator.credentials.create()/get() would, with P-256 (ES256) keys and
+ * "none" attestation. Responses can be tampered with to test rejections.
+ */
+
+const crypto = require('crypto');
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Encode a value as CBOR: non-negative/negative integers, strings, buffers and Maps
+ */
+const encodeCbor = (value) => {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [head(5, value.size)];
+    for (const [key, entry] of value) {
+      parts.push(encodeCbor(key), encodeCbor(entry));
+    }
+    return Buffer.concat(parts);
+  }
+
+  throw new Error('Unsupported CBOR value');
+};
+
+/**
+ * COSE encoding of a P-256 public key (kty EC2, alg ES256)
+ */
+const coseKey = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  return encodeCbor(new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')]
+  ]));
+};
+
+const createSoftwareAuthenticator = ({ origin, aaguid = Buffer.alloc(16) } = {}) => {
+  // credential id (base64url) -> { privateKey, rpId, userHandle, signCount }
+  const credentials = new Map();
+
+  const clientData = (type, challenge, overrides = {}) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin,
+    crossOrigin: false,
+    ...overrides
+  }));
+
+  const authenticatorData = (rpId, flags, signCount, attested = null) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, ...(attested ? [attested] : [])]);
+  };
+
+  /**
+   * Answer registration options with a new passkey
+   */
+  const create = (options, { userVerified = true, clientDataOverrides = {}, rpId = options.rp.id } = {}) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const credentialId = crypto.randomBytes(32);
+    const id = toBase64Url(credentialId);
+
+    credentials.set(id, { privateKey, rpId, userHandle: options.user.id, signCount: 0 });
+
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    const attested = Buffer.concat([aaguid, idLength, credentialId, coseKey(publicKey)]);
+
+    // UP, optionally UV, and AT (attested credential data)
+    const flags = 0x01 | (userVerified ? 0x04 : 0) | 0x40;
+    const attestationObject = encodeCbor(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authenticatorData(rpId, flags, 0, attested)]
+    ]));
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(clientData('webauthn.create', options.challenge, clientDataOverrides)),
+        attestationObject: toBase64Url(attestationObject),
+        transports: ['internal']
+      }
+    };
+  };
+
+  /**
+   * Answer authentication options with a signed assertion. Uses the only matching
+   * passkey unless `credentialId` picks one.
+   */
+  const get = (options, { credentialId = null, userVerified = true, clientDataOverrides = {}, signCount = null } = {}) => {
+    const allowed = options.allowCredentials.map(entry => entry.id);
+    const id = credentialId || [...credentials.keys()].find(key => allowed.length === 0 || allowed.includes(key));
+    const credential = credentials.get(id);
+    if (!credential) {
+      throw new Error('No passkey for these options');
+    }
+
+    credential.signCount = signCount === null ? credential.signCount + 1 : signCount;
+
+    const flags = 0x01 | (userVerified ? 0x04 : 0);
+    const authData = authenticatorData(credential.rpId, flags, credential.signCount);
+    const clientDataJSON = clientData('webauthn.get', options.challenge, clientDataOverrides);
+    const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), credential.privateKey);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(clientDataJSON),
+        authenticatorData: toBase64Url(authData),
+        signature: toBase64Url(signature),
+        userHandle: credential.userHandle
+      }
+    };
+  };
+
+  return { create, get, credentials };
+};
+
+module.exports = { createSoftwareAuthenticator, encodeCbor };
@@ -0,0 +1,242 @@
+/**
+ * IP Access Tests
+ *
+ * Test suite for CIDR allow/deny lists at global, admin-endpoint, role and user level,
+ * the admin API that manages them, and client addresses behind trusted proxies
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const ipAccessService = require('../services/ipAccessService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('IP Access Rules', () => {
+  const password = 'Lantern-Velvet-91';
+  const officeIp = '10.1.2.3';
+  const homeIp = '203.0.113.5';
+  let testPool;
+  let admin;
+  let adminToken;
+  let testUser;
+  let userToken;
+
+  const addRule = (rule, ip = officeIp) => {
+    return request(app)
+      .post('/api/admin/security/ip-rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('X-Forwarded-For', ip)
+      .send(rule);
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    admin = (await userService.registerUser('ipadmin', 'ipadmin@example.com', password, 'admin')).user;
+    adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+    testUser = (await userService.registerUser('ipuser', 'ipuser@example.com', password)).user;
+    userToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+
+    // Requests from supertest come from loopback; let them set the client address
+    app.set('trust proxy', 'loopback');
+  });
+
+  afterEach(async () => {
+    await testPool.query('DELETE FROM ip_rules');
+    ipAccessService.invalidateCache();
+  });
+
+  afterAll(async () => {
+    app.set('trust proxy', false);
+    await testPool.query("DELETE FROM users WHERE username IN ('ipadmin', 'ipuser')");
+    await testPool.end();
+  });
+
+  describe('Admin endpoints', () => {
+    it('should only allow the admin API from allowed ranges', async () => {
+      await addRule({ scope: 'admin', action: 'allow', cidr: '10.0.0.0/8', description: 'Office' }).expect(201);
+
+      await request(app)
+        .get('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Forwarded-For', officeIp)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Forwarded-For', homeIp)
+        .expect(403);
+
+      expect(response.body.code).toBe('ip_denied');
+    });
+
+    it('should also restrict the SQL console', async () => {
+      await addRule({ scope: 'admin', action: 'allow', cidr: '10.0.0.0/8' }).expect(201);
+
+      await request(app)
+        .post('/api/execute-query')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Forwarded-For', homeIp)
+        .send({ query: 'SELECT 1' })
+        .expect(403);
+    });
+
+    it('should log every denial', async () => {
+      await addRule({ scope: 'admin', action: 'allow', cidr: '10.0.0.0/8' }).expect(201);
+
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Forwarded-For', homeIp)
+        .expect(403);
+
+      const result = await testPool.query(
+        "SELECT ip_address, details FROM audit_logs WHERE action = 'ip.denied' ORDER BY id DESC LIMIT 1"
+      );
+      expect(result.rows[0].ip_address).toBe(homeIp);
+      expect(result.rows[0].details).toMatchObject({ scope: 'admin', reason: 'not_allowed', path: '/api/admin/users' });
+    });
+
+    it('should refuse a rule that locks out the admin making it', async () => {
+      const response = await addRule({ scope: 'admin', action: 'deny', cidr: '10.0.0.0/8' }).expect(409);
+      expect(response.body.message).toContain(officeIp);
+
+      const rules = await testPool.query('SELECT id FROM ip_rules');
+      expect(rules.rows).toHaveLength(0);
+    });
+  });
+
+  describe('Users and roles', () => {
+    it('should pin an account to its trusted networks', async () => {
+      await addRule({ scope: 'user', userId: testUser.id, action: 'allow', cidr: '192.168.1.0/24' }).expect(201);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('X-Forwarded-For', '192.168.1.20')
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('X-Forwarded-For', homeIp)
+        .expect(403);
+
+      // Other accounts are not affected
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Forwarded-For', homeIp)
+        .expect(200);
+    });
+
+    it('should apply deny rules for a role', async () => {
+      await addRule({ scope: 'role', role: testUser.role, action: 'deny', cidr: '198.51.100.0/24' }).expect(201);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('X-Forwarded-For', '198.51.100.7')
+        .expect(403);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('X-Forwarded-For', homeIp)
+        .expect(200);
+    });
+
+    it('should reject a rule for an unknown role', async () => {
+      await addRule({ scope: 'role', role: 'no-such-role', action: 'deny', cidr: '198.51.100.0/24' }).expect(404);
+    });
+  });
+
+  describe('Global rules', () => {
+    it('should refuse denied addresses on every API route', async () => {
+      await addRule({ scope: 'global', action: 'deny', cidr: '198.51.100.0/24' }).expect(201);
+
+      await request(app)
+        .get('/api/auth/password-policy')
+        .set('X-Forwarded-For', '198.51.100.9')
+        .expect(403);
+
+      await request(app)
+        .get('/api/auth/password-policy')
+        .set('X-Forwarded-For', homeIp)
+        .expect(200);
+    });
+  });
+
+  describe('Trusted proxies', () => {
+    it('should ignore X-Forwarded-For from untrusted peers', async () => {
+      await addRule({ scope: 'global', action: 'deny', cidr: '198.51.100.0/24' }).expect(201);
+      app.set('trust proxy', false);
+
+      try {
+        // The header is ignored, so the request counts as coming from loopback
+        await request(app)
+          .get('/api/auth/password-policy')
+          .set('X-Forwarded-For', '198.51.100.9')
+          .expect(200);
+      } finally {
+        app.set('trust proxy', 'loopback');
+      }
+    });
+  });
+
+  describe('Management', () => {
+    it('should validate CIDR ranges', async () => {
+      const response = await addRule({ scope: 'global', action: 'deny', cidr: '10.0.0.0/33' }).expect(400);
+      expect(response.body.message).toMatch(/Invalid IP address or CIDR range/);
+    });
+
+    it('should reject an empty prefix length', async () => {
+      for (const cidr of ['10.0.0.0/', '::/', '10.0.0.0/ 8', '10.0.0.0/+8']) {
+        await addRule({ scope: 'global', action: 'deny', cidr }).expect(400);
+      }
+    });
+
+    it('should reject extra slash segments', async () => {
+      for (const cidr of ['10.0.0.0/8/16', '10.0.0.0/8/', '2001:db8::/32/64']) {
+        await addRule({ scope: 'global', action: 'deny', cidr }).expect(400);
+      }
+    });
+
+    it('should list and delete rules', async () => {
+      const created = await addRule({ scope: 'user', userId: testUser.id, action: 'allow', cidr: '192.168.1.0/24' }).expect(201);
+
+      const list = await request(app)
+        .get(`/api/admin/security/ip-rules?scope=user&userId=${testUser.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.rules.map(rule => rule.cidr)).toEqual(['192.168.1.0/24']);
+
+      await request(app)
+        .delete(`/api/admin/security/ip-rules/${created.body.rule.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('X-Forwarded-For', homeIp)
+        .expect(200);
+    });
+
+    it('should require the security.manage permission', async () => {
+      await request(app)
+        .get('/api/admin/security/ip-rules')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * LDAP Login Tests
+ *
+ * Test suite for directory logins against an in-process LDAP server: both bind
+ * modes, group-to-role mapping, provisioning and the backend fallback order
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const ldapService = require('../services/ldapService');
+const ldapConfig = require('../config/ldap');
+const authConfig = require('../config/auth');
+const { startMockLdapServer } = require('./helpers/mockLdapServer');
+
+describe('LDAP Login', () => {
+  const defaults = JSON.parse(JSON.stringify(ldapConfig));
+  let directory;
+  let testPool;
+
+  const login = (username, password) => request(app)
+    .post('/api/auth/login')
+    .send({ username, password });
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    directory = await startMockLdapServer({
+      entries: [
+        { dn: 'cn=reader,dc=example,dc=com', password: 'reader-secret', attributes: { objectClass: ['person'], cn: ['reader'] } },
+        {
+          dn: 'uid=ldapalice,ou=people,dc=example,dc=com',
+          password: 'Directory-Pass-1',
+          attributes: {
+            objectClass: ['person'],
+            uid: ['ldapalice'],
+            mail: ['ldapalice@example.com'],
+            cn: ['Alice Directory'],
+            entryUUID: ['6f1c2a8e-alice'],
+            memberOf: ['cn=app-editors,ou=groups,dc=example,dc=com']
+          }
+        },
+        {
+          dn: 'uid=ldapbob,ou=people,dc=example,dc=com',
+          password: 'Directory-Pass-2',
+          attributes: {
+            objectClass: ['person'],
+            uid: ['ldapbob'],
+            mail: ['ldapbob@example.com'],
+            cn: ['Bob Directory'],
+            entryUUID: ['6f1c2a8e-bob']
+          }
+        },
+        {
+          dn: 'cn=auditors,ou=groups,dc=example,dc=com',
+          attributes: { objectClass: ['groupOfNames'], cn: ['auditors'], member: ['uid=ldapbob,ou=people,dc=example,dc=com'] }
+        }
+      ]
+    });
+
+    await userService.registerUser('ldaplocal', 'ldaplocal@example.com', 'Lantern-Velvet-91');
+  });
+
+  beforeEach(() => {
+    Object.assign(ldapConfig, {
+      url: directory.url,
+      loginOrder: ['local', 'ldap'],
+      bindMode: 'search',
+      bindDn: 'cn=reader,dc=example,dc=com',
+      bindPassword: 'reader-secret',
+      searchBase: 'ou=people,dc=example,dc=com',
+      searchFilter: '(uid={{username}})',
+      roleMap: ldapConfig.parseGroupRoleMap('app-editors:editor;cn=auditors,ou=groups,dc=example,dc=com:auditor'),
+      timeoutMs: 2000
+    });
+    ldapConfig.attributes.subject = 'entryUUID';
+  });
+
+  afterEach(async () => {
+    Object.assign(ldapConfig, JSON.parse(JSON.stringify(defaults)));
+    await testPool.query("DELETE FROM login_throttles WHERE username LIKE 'ldap%'");
+  });
+
+  afterAll(async () => {
+    await directory.close();
+    await testPool.query("DELETE FROM users WHERE email LIKE 'ldap%@example.com'");
+    await testPool.end();
+  });
+
+  describe('Search then bind', () => {
+    it('should provision a directory user with a role from their groups', async () => {
+      const response = await login('ldapalice', 'Directory-Pass-1').expect(200);
+
+      expect(response.body.user.role).toBe('editor');
+      expect(response.body.token).toBeDefined();
+
+      const identity = await testPool.query(
+        "SELECT i.subject, u.password_hash FROM user_identities i JOIN users u ON u.id = i.user_id WHERE i.provider = 'ldap' AND u.email = 'ldapalice@example.com'"
+      );
+      expect(identity.rows[0].subject).toBe('6f1c2a8e-alice');
+      expect(identity.rows[0].password_hash).toBeNull();
+    });
+
+    it('should reject a wrong password and count it as a failed login', async () => {
+      const response = await login('ldapalice', 'wrong-password').expect(401);
+      expect(response.body.code).toBe('invalid_credentials');
+
+      const result = await testPool.query("SELECT failures FROM login_throttles WHERE scope = 'account' AND key = 'ldapalice'");
+      expect(result.rows[0].failures).toBe(1);
+    });
+
+    it('should never accept an empty password', async () => {
+      const result = await ldapService.authenticate('ldapalice', '');
+      expect(result.code).toBe('invalid_credentials');
+    });
+
+    it('should escape usernames in the search filter', async () => {
+      const result = await ldapService.authenticate('*', 'Directory-Pass-1');
+      expect(result.code).toBe('invalid_credentials');
+      expect(ldapService.escapeFilterValue('a*(b)\\')).toBe('a\\2a\\28b\\29\\5c');
+    });
+
+    it('should map roles from a group search and follow group changes', async () => {
+      ldapConfig.groups.searchBase = 'ou=groups,dc=example,dc=com';
+
+      const first = await login('ldapbob', 'Directory-Pass-2').expect(200);
+      expect(first.body.user.role).toBe('auditor');
+
+      directory.findEntry('cn=auditors,ou=groups,dc=example,dc=com').attributes.member = [];
+
+      const second = await login('ldapbob', 'Directory-Pass-2').expect(200);
+      expect(second.body.user.role).toBe('user');
+    });
+  });
+
+  describe('Direct bind', () => {
+    it('should bind as the user from the DN template', async () => {
+      Object.assign(ldapConfig, {
+        bindMode: 'direct',
+        bindDn: null,
+        userDnTemplate: 'uid={{username}},ou=people,dc=example,dc=com'
+      });
+
+      await login('ldapalice', 'Directory-Pass-1').expect(200);
+      await login('ldapalice', 'wrong-password').expect(401);
+
+      expect(directory.state.binds).toContain('uid=ldapalice,ou=people,dc=example,dc=com');
+      expect(ldapService.escapeDnValue('a,b=c')).toBe('a\\,b\\=c');
+    });
+  });
+
+  describe('Backend order', () => {
+    it('should keep local accounts working next to the directory', async () => {
+      await login('ldaplocal', 'Lantern-Velvet-91').expect(200);
+    });
+
+    it('should fall back to local passwords when the directory is down', async () => {
+      Object.assign(ldapConfig, { url: 'ldap://127.0.0.1:1', loginOrder: ['ldap', 'local'] });
+
+      await login('ldaplocal', 'Lantern-Velvet-91').expect(200);
+    });
+
+    it('should report an unavailable directory when it is the only backend', async () => {
+      Object.assign(ldapConfig, { url: 'ldap://127.0.0.1:1', loginOrder: ['ldap'] });
+
+      const response = await login('ldapalice', 'Directory-Pass-1').expect(503);
+      expect(response.body.code).toBe('ldap_unavailable');
+    });
+
+    it('should ignore local passwords when only the directory is used', async () => {
+      ldapConfig.loginOrder = ['ldap'];
+
+      await login('ldaplocal', 'Lantern-Velvet-91').expect(401);
+    });
+
+    it('should provision directory users even when registration is closed', async () => {
+      const mode = authConfig.registration.mode;
+      authConfig.registration.mode = 'closed';
+
+      try {
+        directory.state.entries.push({
+          dn: 'uid=ldapcarol,ou=people,dc=example,dc=com',
+          password: 'Directory-Pass-3',
+          attributes: { objectClass: ['person'], uid: ['ldapcarol'], mail: ['ldapcarol@example.com'], cn: ['Carol'], entryUUID: ['6f1c2a8e-carol'] }
+        });
+
+        await login('ldapcarol', 'Directory-Pass-3').expect(200);
+      } finally {
+        authConfig.registration.mode = mode;
+      }
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Login Throttle Tests
+ *
+ * Test suite for per-IP/per-account login throttling, IP bans and the admin endpoints
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const loginThrottleService = require('../services/loginThrottleService');
+const authConfig = require('../config/auth');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Login Throttling', () => {
+  // Spraying is tested against the service with a documentation address so the
+  // ban does not affect other suites sharing the loopback address
+  const sprayIp = '203.0.113.7';
+  const defaults = JSON.parse(JSON.stringify(authConfig.loginThrottle));
+  let adminToken;
+  let testPool;
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ username: 'throttleuser', password });
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    await userService.registerUser('throttleuser', 'throttleuser@example.com', 'Lantern-Velvet-91');
+    const admin = (await userService.registerUser('throttleadmin', 'throttleadmin@example.com', 'Lantern-Velvet-91', 'admin')).user;
+    adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+  });
+
+  beforeEach(() => {
+    authConfig.loginThrottle.account.freeAttempts = 2;
+    authConfig.loginThrottle.ipAccount.freeAttempts = 2;
+    authConfig.loginThrottle.baseDelayMs = 60 * 1000;
+    authConfig.loginThrottle.ban.distinctAccounts = 3;
+  });
+
+  afterEach(async () => {
+    Object.assign(authConfig.loginThrottle, JSON.parse(JSON.stringify(defaults)));
+    await testPool.query("DELETE FROM login_throttles WHERE username LIKE 'throttle%' OR username LIKE 'spray%' OR ip_address = $1 OR key = $1", [sprayIp]);
+    // Keep the loopback IP counter from throttling later suites
+    await testPool.query("DELETE FROM login_throttles WHERE scope = 'ip' AND key IN ('127.0.0.1', '::1', '::ffff:127.0.0.1')");
+    await testPool.query('DELETE FROM ip_bans WHERE ip_address = $1', [sprayIp]);
+  });
+
+  afterAll(async () => {
+    await testPool.query("DELETE FROM users WHERE username IN ('throttleuser', 'throttleadmin')");
+    await testPool.end();
+  });
+
+  it('should back off after repeated failures, even with the right password', async () => {
+    await login('wrong-password-1').expect(401);
+    await login('wrong-password-2').expect(401);
+    await login('wrong-password-3').expect(401);
+
+    const response = await login('Lantern-Velvet-91').expect(429);
+
+    expect(response.body.code).toBe('login_throttled');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should reset the account counters after a successful login', async () => {
+    await login('wrong-password-1').expect(401);
+    await login('Lantern-Velvet-91').expect(200);
+
+    const result = await testPool.query("SELECT COUNT(*) FROM login_throttles WHERE username = 'throttleuser'");
+    expect(parseInt(result.rows[0].count)).toBe(0);
+  });
+
+  it('should audit when throttling starts', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await login(`wrong-password-${attempt}`).expect(401);
+    }
+
+    const result = await testPool.query(`
+      SELECT COUNT(*) FROM audit_logs
+      WHERE action = 'login.throttled' AND details->>'key' = 'throttleuser' AND created_at > NOW() - INTERVAL '1 minute'
+    `);
+    expect(parseInt(result.rows[0].count)).toBeGreaterThan(0);
+  });
+
+  it('should let admins view and clear lockouts', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await login(`wrong-password-${attempt}`).expect(401);
+    }
+
+    const list = await request(app)
+      .get('/api/admin/security/lockouts?blocked=true')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(list.body.lockouts.some(lockout => lockout.username === 'throttleuser' && lockout.blocked)).toBe(true);
+
+    await request(app)
+      .delete('/api/admin/security/lockouts?username=throttleuser')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await login('Lantern-Velvet-91').expect(200);
+  });
+
+  it('should ban an IP that sprays passwords across accounts', async () => {
+    for (const username of ['spray1', 'spray2', 'spray3']) {
+      await loginThrottleService.recordFailure({ ipAddress: sprayIp, username });
+    }
+
+    const blocked = await loginThrottleService.checkLogin({ ipAddress: sprayIp, username: 'someone-else' });
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.code).toBe('ip_banned');
+
+    const bans = await request(app)
+      .get('/api/admin/security/bans')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const ban = bans.body.bans.find(entry => entry.ipAddress === sprayIp);
+    expect(ban.reason).toBe('password_spray');
+
+    await request(app)
+      .delete(`/api/admin/security/bans/${ban.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const allowed = await loginThrottleService.checkLogin({ ipAddress: sprayIp, username: 'someone-else' });
+    expect(allowed.allowed).toBe(true);
+  });
+
+  it('should count failed provider callbacks', async () => {
+    await request(app)
+      .get('/api/auth/oauth/unknown-provider/callback?state=forged&code=abc')
+      .expect(302);
+
+    const result = await testPool.query(`
+      SELECT COUNT(*) FROM audit_logs
+      WHERE action = 'login.failed' AND details->>'source' = 'oauth:unknown-provider' AND created_at > NOW() - INTERVAL '1 minute'
+    `);
+    expect(parseInt(result.rows[0].count)).toBeGreaterThan(0);
+  });
+
+  it('should keep non-admins away from the lockout endpoints', async () => {
+    const user = (await userService.loginUser('throttleuser', 'Lantern-Velvet-91')).user;
+    const { token } = await issueSessionTokens(user.id, user.username, user.role);
+
+    await request(app)
+      .get('/api/admin/security/lockouts')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Magic Link Tests
+ *
+ * Test suite for passwordless sign-in with one-time links, using the file mail transport
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const verificationTokenService = require('../services/verificationTokenService');
+const magicLinkService = require('../services/magicLinkService');
+const authConfig = require('../config/auth');
+
+/**
+ * Read the messages sent to an address, oldest first. Links are mailed in the
+ * background, so this waits for pending deliveries first.
+ */
+const messagesFor = async (email) => {
+  await magicLinkService.flushDeliveries();
+
+  const directory = process.env.MAIL_FILE_DIR;
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')))
+    .filter(message => message.to === email);
+};
+
+/**
+ * Extract the token from the most recent sign-in link sent to an address
+ */
+const latestTokenFor = async (email) => {
+  const messages = await messagesFor(email);
+  const latest = messages[messages.length - 1];
+  return new URL(latest.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('Magic Links', () => {
+  let testPool;
+  let testUser;
+
+  const requestLink = (email) => request(app).post('/api/auth/magic-link').send({ email });
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    fs.rmSync(process.env.MAIL_FILE_DIR, { recursive: true, force: true });
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    const result = await userService.registerUser('linkuser', 'linkuser@example.com', 'password123');
+    testUser = result.user;
+    authConfig.magicLink.enabled = true;
+  });
+
+  afterAll(async () => {
+    authConfig.magicLink.enabled = false;
+    await testPool.query("DELETE FROM login_throttles WHERE scope = 'ip'");
+    await testPool.query('DELETE FROM users WHERE username = $1', ['linkuser']);
+    await testPool.end();
+  });
+
+  describe('Requesting a link', () => {
+    it('should give the same response for unknown emails', async () => {
+      const known = await requestLink('linkuser@example.com').expect(200);
+      const unknown = await requestLink('nobody-link@example.com').expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+      expect(await messagesFor('linkuser@example.com')).toHaveLength(1);
+      expect(await messagesFor('nobody-link@example.com')).toHaveLength(0);
+    });
+
+    it('should store only a hash of the token', async () => {
+      await requestLink('linkuser@example.com').expect(200);
+      const token = await latestTokenFor('linkuser@example.com');
+
+      const stored = await testPool.query(
+        "SELECT token_hash, expires_at FROM verification_tokens WHERE user_id = $1 AND purpose = 'magic_link' AND used_at IS NULL",
+        [testUser.id]
+      );
+
+      expect(stored.rows).toHaveLength(1);
+      expect(stored.rows[0].token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+      expect(stored.rows[0].expires_at.getTime()).toBeLessThanOrEqual(Date.now() + authConfig.magicLink.tokenTtlMs);
+    });
+
+    it('should limit requests per email, whether or not it has an account', async () => {
+      for (let i = 0; i < authConfig.magicLink.maxPerEmail; i++) {
+        await requestLink('limited-link@example.com').expect(200);
+      }
+
+      const response = await requestLink('limited-link@example.com').expect(429);
+      expect(response.body.code).toBe('rate_limited');
+    });
+
+    it('should limit requests per IP address', async () => {
+      const maxPerIp = authConfig.magicLink.maxPerIp;
+      authConfig.magicLink.maxPerIp = 1;
+
+      try {
+        await requestLink('another-link@example.com').expect(429);
+      } finally {
+        authConfig.magicLink.maxPerIp = maxPerIp;
+      }
+    });
+
+    it('should not be available when disabled', async () => {
+      authConfig.magicLink.enabled = false;
+
+      try {
+        await requestLink('linkuser@example.com').expect(404);
+      } finally {
+        authConfig.magicLink.enabled = true;
+      }
+    });
+  });
+
+  describe('Following a link', () => {
+    it('should sign in once with the latest link', async () => {
+      await requestLink('linkuser@example.com');
+      const token = await latestTokenFor('linkuser@example.com');
+
+      const response = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.user.id).toBe(testUser.id);
+      expect(response.body.token).toBeDefined();
+      expect(response.headers['set-cookie'].some(cookie => cookie.startsWith(`${authConfig.cookies.refreshToken}=`))).toBe(true);
+
+      const sessions = await testPool.query('SELECT id FROM sessions WHERE user_id = $1', [testUser.id]);
+      expect(sessions.rows.length).toBeGreaterThan(0);
+
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(401);
+    });
+
+    it('should invalidate earlier links when a new one is issued', async () => {
+      const earlier = await verificationTokenService.createToken(testUser.id, 'magic_link', authConfig.magicLink.tokenTtlMs);
+      await verificationTokenService.createToken(testUser.id, 'magic_link', authConfig.magicLink.tokenTtlMs);
+
+      const response = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token: earlier })
+        .expect(401);
+
+      expect(response.body.code).toBe('invalid_token');
+    });
+
+    it('should reject an expired link', async () => {
+      const token = await verificationTokenService.createToken(testUser.id, 'magic_link', authConfig.magicLink.tokenTtlMs);
+      await testPool.query("UPDATE verification_tokens SET expires_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1 AND purpose = 'magic_link' AND used_at IS NULL", [testUser.id]);
+
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(401);
+    });
+
+    it('should not accept a password reset token', async () => {
+      const token = await verificationTokenService.createToken(testUser.id, 'password_reset', authConfig.passwordReset.tokenTtlMs);
+
+      await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token })
+        .expect(401);
+    });
+
+    it('should ask for the second factor when the account has 2FA', async () => {
+      const roles = authConfig.mfa.requiredRoles;
+      authConfig.mfa.requiredRoles = [testUser.role];
+
+      try {
+        const token = await verificationTokenService.createToken(testUser.id, 'magic_link', authConfig.magicLink.tokenTtlMs);
+
+        const response = await request(app)
+          .post('/api/auth/magic-link/verify')
+          .send({ token })
+          .expect(200);
+
+        expect(response.body.status).toBe('mfa_enrollment_required');
+        expect(response.body.mfaToken).toBeDefined();
+        expect(response.body.token).toBeUndefined();
+      } finally {
+        authConfig.mfa.requiredRoles = roles;
+      }
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Two-Factor Authentication Tests
+ *
+ * Test suite for TOTP enrollment, login challenges and recovery codes
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const mfaService = require('../services/mfaService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+const currentCode = (secret) => mfaService.generateTotp(secret, Math.floor(Date.now() / 30000));
+
+describe('TOTP', () => {
+  // RFC 6238 Appendix B test vectors (SHA-1, truncated to 6 digits)
+  const secret = mfaService.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should generate RFC 6238 codes', () => {
+    expect(mfaService.generateTotp(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(mfaService.generateTotp(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(mfaService.generateTotp(secret, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+
+  it('should accept codes within the drift window', () => {
+    expect(mfaService.verifyTotp(secret, '287082', null, 59 * 1000)).toBe(1);
+    expect(mfaService.verifyTotp(secret, '287082', null, 89 * 1000)).toBe(1);
+    expect(mfaService.verifyTotp(secret, '287082', null, 150 * 1000)).toBeNull();
+  });
+
+  it('should reject a replayed code', () => {
+    expect(mfaService.verifyTotp(secret, '287082', 1, 59 * 1000)).toBeNull();
+  });
+
+  it('should round-trip base32', () => {
+    expect(mfaService.base32Decode(secret).toString()).toBe('12345678901234567890');
+  });
+});
+
+describe('Two-Factor Authentication', () => {
+  let testUser;
+  let authToken;
+  let secret;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const result = await userService.registerUser('mfauser', 'mfa@example.com', 'password123');
+    testUser = result.user;
+    authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+  });
+
+  afterAll(async () => {
+    const pool = require('pg').Pool;
+    const testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await testPool.query('DELETE FROM users WHERE username = $1', ['mfauser']);
+    await testPool.end();
+  });
+
+  it('should return an otpauth URI on setup', async () => {
+    const response = await request(app)
+      .post('/api/auth/mfa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    secret = response.body.secret;
+  });
+
+  it('should reject enabling with a wrong code', async () => {
+    const response = await request(app)
+      .post('/api/auth/mfa/enable')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: '000000' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Invalid verification code');
+  });
+
+  it('should enable 2FA and return recovery codes', async () => {
+    const response = await request(app)
+      .post('/api/auth/mfa/enable')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: currentCode(secret) })
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.recoveryCodes).toHaveLength(10);
+    recoveryCodes = response.body.recoveryCodes;
+  });
+
+  it('should require the second factor at login', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'mfauser', password: 'password123' })
+      .expect(200);
+
+    expect(response.body.status).toBe('mfa_required');
+    expect(response.body.mfaToken).toBeDefined();
+    expect(response.body.token).toBeUndefined();
+  });
+
+  it('should not accept the 2FA token as an access token', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'mfauser', password: 'password123' });
+
+    await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${login.body.mfaToken}`)
+      .expect(401);
+  });
+
+  it('should complete login with a recovery code only once', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'mfauser', password: 'password123' });
+
+    const response = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: login.body.mfaToken, recoveryCode: recoveryCodes[0] })
+      .expect(200);
+
+    expect(response.body.token).toBeDefined();
+    expect(response.body.recoveryCodesRemaining).toBe(9);
+
+    await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: login.body.mfaToken, recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  it('should reject an invalid code', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'mfauser', password: 'password123' });
+
+    const response = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: login.body.mfaToken, code: '123456' })
+      .expect(401);
+
+    expect(response.body.success).toBe(false);
+  });
+});
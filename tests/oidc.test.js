@@ -0,0 +1,281 @@
+/**
+ * OIDC Login Tests
+ *
+ * Test suite for the generic OAuth2/OIDC provider flow, against a local mock provider
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const oidcService = require('../services/oidcService');
+const rbacService = require('../services/rbacService');
+const oidcConfig = require('../config/oidc');
+const { issueSessionTokens } = require('../middleware/auth');
+const { startMockOidcServer } = require('./helpers/mockOidcServer');
+
+describe('OIDC Login', () => {
+  let mockServer;
+  let testPool;
+
+  const mockUser = {
+    sub: 'mock-subject-1',
+    email: 'oidcuser@example.com',
+    email_verified: true,
+    preferred_username: 'oidcuser',
+    name: 'OIDC User',
+    groups: ['app-editors']
+  };
+
+  /**
+   * Start a login and let the mock provider redirect back; returns the callback URL
+   */
+  const authorize = async (agent) => {
+    const start = await agent.get('/api/auth/oauth/mock').expect(302);
+    const authorization = new URL(start.headers.location);
+
+    expect(authorization.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(authorization.searchParams.get('nonce')).toBeTruthy();
+
+    const response = await fetch(authorization, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+    return `${callback.pathname}${callback.search}`;
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await rbacService.ensureDefaultRoles();
+
+    mockServer = await startMockOidcServer({ clientId: 'test-client', clientSecret: 'test-secret' });
+    oidcService.registerProvider({
+      id: 'mock',
+      displayName: 'Mock SSO',
+      issuer: mockServer.issuer,
+      clientId: 'test-client',
+      clientSecret: 'test-secret',
+      redirectUri: 'http://localhost:8080/api/auth/oauth/mock/callback',
+      roleClaim: 'groups',
+      roleMap: [{ claimValue: 'app-editors', role: 'editor' }]
+    });
+  });
+
+  beforeEach(() => {
+    mockServer.setUser(mockUser);
+  });
+
+  afterAll(async () => {
+    await testPool.query('DELETE FROM users WHERE email = ANY($1)', [[mockUser.email, 'linkuser@example.com']]);
+    await testPool.end();
+    await mockServer.close();
+  });
+
+  it('should list the configured providers', async () => {
+    const response = await request(app)
+      .get('/api/auth/oauth/providers')
+      .expect(200);
+
+    expect(response.body.providers).toEqual(
+      expect.arrayContaining([expect.objectContaining({ id: 'mock', name: 'Mock SSO', type: 'oidc' })])
+    );
+  });
+
+  it('should create an account with a linked identity and mapped role', async () => {
+    const agent = request.agent(app);
+    const callback = await authorize(agent);
+
+    const response = await agent.get(callback).expect(302);
+    expect(response.headers.location).toBe('/?login=success&provider=mock');
+    expect(response.headers['set-cookie'].join(';')).toContain('token=');
+
+    const result = await testPool.query(`
+      SELECT u.username, u.role, u.email_verified, i.provider, i.subject
+      FROM users u JOIN user_identities i ON i.user_id = u.id
+      WHERE u.email = $1
+    `, [mockUser.email]);
+
+    expect(result.rows).toHaveLength(1);
+    expect(result.rows[0]).toMatchObject({
+      username: 'oidcuser',
+      role: 'editor',
+      email_verified: true,
+      provider: 'mock',
+      subject: mockUser.sub
+    });
+  });
+
+  it('should sign in to the same account on later logins', async () => {
+    const agent = request.agent(app);
+    const response = await agent.get(await authorize(agent)).expect(302);
+    expect(response.headers.location).toBe('/?login=success&provider=mock');
+
+    const result = await testPool.query('SELECT COUNT(*) FROM users WHERE email = $1', [mockUser.email]);
+    expect(parseInt(result.rows[0].count)).toBe(1);
+  });
+
+  it('should reject a callback with an unknown state', async () => {
+    const agent = request.agent(app);
+    const callback = (await authorize(agent)).replace(/state=[^&]+/, 'state=forged');
+
+    const response = await agent.get(callback).expect(302);
+    expect(response.headers.location).toBe('/login?error=mock_auth_failed');
+  });
+
+  it('should not accept the same callback twice', async () => {
+    const agent = request.agent(app);
+    const callback = await authorize(agent);
+
+    await agent.get(callback).expect(302);
+
+    const replay = await agent.get(callback).expect(302);
+    expect(replay.headers.location).toBe('/login?error=mock_auth_failed');
+  });
+
+  it('should reject an ID token with the wrong nonce', async () => {
+    const agent = request.agent(app);
+    const callback = await authorize(agent);
+    mockServer.overrideNextIdToken({ nonce: 'not-the-nonce' });
+
+    const response = await agent.get(callback).expect(302);
+    expect(response.headers.location).toBe('/login?error=mock_auth_failed');
+  });
+
+  it('should apply the registration policy to new provider accounts', async () => {
+    const authConfig = require('../config/auth');
+    mockServer.setUser({ ...mockUser, sub: 'mock-subject-3', email: 'oidcinvite@example.com' });
+    authConfig.registration.mode = 'invite';
+
+    try {
+      const agent = request.agent(app);
+      const response = await agent.get(await authorize(agent)).expect(302);
+      expect(response.headers.location).toBe('/login?error=invite_required&provider=mock');
+    } finally {
+      authConfig.registration.mode = 'open';
+    }
+  });
+
+  it('should map roles from claims', () => {
+    const provider = oidcService.getProvider('mock');
+
+    expect(oidcService.mapRole(provider, { groups: ['app-editors'] })).toBe('editor');
+    expect(oidcService.mapRole(provider, { groups: ['other'] })).toBe('user');
+    expect(oidcService.mapRole({ ...provider, roleClaim: 'realm_access.roles' }, { realm_access: { roles: ['app-editors'] } })).toBe('editor');
+  });
+
+  describe('Identity linking', () => {
+    let localUser;
+    let authToken;
+
+    const linkedUser = { ...mockUser, sub: 'mock-subject-2', email: 'linkuser@example.com', preferred_username: 'linkuser' };
+
+    beforeAll(async () => {
+      localUser = (await userService.registerUser('linkuser', 'linkuser@example.com', 'password123')).user;
+      authToken = (await issueSessionTokens(localUser.id, localUser.username, localUser.role)).token;
+    });
+
+    beforeEach(() => {
+      mockServer.setUser(linkedUser);
+    });
+
+    afterEach(() => {
+      oidcConfig.autoLinkVerifiedEmail = false;
+    });
+
+    it('should not sign in to an existing account by email', async () => {
+      const agent = request.agent(app);
+      const response = await agent.get(await authorize(agent)).expect(302);
+
+      expect(response.headers.location).toBe('/login?error=account_exists&provider=mock');
+    });
+
+    it('should not auto-link when the local email is unverified', async () => {
+      oidcConfig.autoLinkVerifiedEmail = true;
+
+      const agent = request.agent(app);
+      const response = await agent.get(await authorize(agent)).expect(302);
+
+      expect(response.headers.location).toBe('/login?error=account_exists&provider=mock');
+    });
+
+    it('should link an identity explicitly while signed in', async () => {
+      const agent = request.agent(app);
+      const start = await agent
+        .post('/api/auth/oauth/mock/link')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ returnTo: '/settings' })
+        .expect(200);
+
+      const authorization = await fetch(start.body.url, { redirect: 'manual' });
+      const callback = new URL(authorization.headers.get('location'));
+
+      const response = await agent.get(`${callback.pathname}${callback.search}`).expect(302);
+      expect(response.headers.location).toBe('/settings?linked=mock');
+
+      const list = await request(app)
+        .get('/api/auth/identities')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.identities).toEqual([expect.objectContaining({ provider: 'mock', email: 'linkuser@example.com' })]);
+    });
+
+    it('should refuse to link an identity that belongs to another user', async () => {
+      mockServer.setUser(mockUser);
+
+      const agent = request.agent(app);
+      const start = await agent
+        .post('/api/auth/oauth/mock/link')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const authorization = await fetch(start.body.url, { redirect: 'manual' });
+      const callback = new URL(authorization.headers.get('location'));
+
+      const response = await agent.get(`${callback.pathname}${callback.search}`).expect(302);
+      expect(response.headers.location).toBe('/?error=identity_in_use&provider=mock');
+    });
+
+    it('should unlink an identity when a password remains', async () => {
+      const list = await request(app)
+        .get('/api/auth/identities')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      await request(app)
+        .delete(`/api/auth/identities/${list.body.identities[0].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it('should refuse to unlink the only sign-in method', async () => {
+      const result = await testPool.query('SELECT id, username, role FROM users WHERE email = $1', [mockUser.email]);
+      const ssoUser = result.rows[0];
+      const { token } = await issueSessionTokens(ssoUser.id, ssoUser.username, ssoUser.role);
+
+      const list = await request(app)
+        .get('/api/auth/identities')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/auth/identities/${list.body.identities[0].id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+
+      expect(response.body.message).toContain('only sign-in method');
+    });
+
+    it('should auto-link when both emails are verified and the switch is on', async () => {
+      oidcConfig.autoLinkVerifiedEmail = true;
+      await testPool.query('UPDATE users SET email_verified = true WHERE id = $1', [localUser.id]);
+
+      const agent = request.agent(app);
+      const response = await agent.get(await authorize(agent)).expect(302);
+
+      expect(response.headers.location).toBe('/?login=success&provider=mock');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Pagination Tests
+ *
+ * Test suite for keyset (cursor) pagination of collection records and audit logs:
+ * paging both ways, stability while records are added, JSON-field orderings with
+ * missing values, invalid cursors and estimated totals
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const dataService = require('../services/dataService');
+const auditService = require('../services/auditService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Pagination', () => {
+  const collection = 'pagination_test_items';
+  let testPool;
+  let testUser;
+  let authToken;
+
+  const list = (params) => {
+    return request(app)
+      .get(`/api/data/${collection}`)
+      .query(params)
+      .set('Authorization', `Bearer ${authToken}`);
+  };
+
+  const names = (response) => response.body.data.map(record => record.data.name);
+
+  // Follow nextCursor until the last page
+  const collectAll = async (params) => {
+    const seen = [];
+    let after;
+    do {
+      const response = await list({ ...params, ...(after && { after }) }).expect(200);
+      seen.push(...names(response));
+      after = response.body.pagination.nextCursor;
+    } while (after);
+    return seen;
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    testUser = (await userService.registerUser('pageuser', 'pageuser@example.com', 'Lantern-Velvet-91')).user;
+    authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+
+    for (let i = 1; i <= 7; i++) {
+      // Every third record has no rank
+      const rank = i % 3 === 0 ? {} : { rank: i % 2 };
+      await dataService.insertData(collection, { name: `item-${i}`, ...rank }, testUser.id);
+    }
+  });
+
+  afterAll(async () => {
+    await testPool.query('DELETE FROM data_storage WHERE user_id = $1', [testUser.id]);
+    await testPool.query('DELETE FROM audit_logs WHERE user_id = $1', [testUser.id]);
+    await testPool.query('DELETE FROM users WHERE id = $1', [testUser.id]);
+    await testPool.end();
+  });
+
+  describe('Record cursors', () => {
+    it('should page forwards and backwards', async () => {
+      const first = await list({ limit: 3 }).expect(200);
+      expect(names(first)).toEqual(['item-7', 'item-6', 'item-5']);
+      expect(first.body.pagination.prevCursor).toBeNull();
+
+      const second = await list({ limit: 3, after: first.body.pagination.nextCursor }).expect(200);
+      expect(names(second)).toEqual(['item-4', 'item-3', 'item-2']);
+      expect(second.body.pagination.total).toBeUndefined();
+
+      const back = await list({ limit: 3, before: second.body.pagination.prevCursor }).expect(200);
+      expect(names(back)).toEqual(['item-7', 'item-6', 'item-5']);
+      expect(back.body.pagination.prevCursor).toBeNull();
+    });
+
+    it('should not repeat or skip records added between pages', async () => {
+      const first = await list({ limit: 4 }).expect(200);
+      await dataService.insertData(collection, { name: 'item-8', rank: 0 }, testUser.id);
+
+      const second = await list({ limit: 4, after: first.body.pagination.nextCursor }).expect(200);
+      expect([...names(first), ...names(second)]).toEqual(
+        ['item-7', 'item-6', 'item-5', 'item-4', 'item-3', 'item-2', 'item-1']
+      );
+      expect(second.body.pagination.hasMore).toBe(false);
+      expect(second.body.pagination.nextCursor).toBeNull();
+    });
+
+    it('should page through JSON-field orderings with missing values last', async () => {
+      const seen = await collectAll({ limit: 2, orderBy: 'data.rank', orderDirection: 'ASC' });
+
+      // rank 0, then rank 1, then records without a rank; ties in id order
+      expect(seen).toEqual(['item-2', 'item-4', 'item-8', 'item-1', 'item-5', 'item-7', 'item-3', 'item-6']);
+
+      const descending = await collectAll({ limit: 3, orderBy: 'data.rank', orderDirection: 'DESC' });
+      expect(descending).toEqual(['item-7', 'item-5', 'item-1', 'item-8', 'item-4', 'item-2', 'item-6', 'item-3']);
+    });
+
+    it('should page backwards from a record without the field', async () => {
+      const pages = [];
+      let response = await list({ limit: 3, orderBy: 'data.rank', orderDirection: 'ASC' }).expect(200);
+      pages.push(names(response));
+      while (response.body.pagination.nextCursor) {
+        response = await list({
+          limit: 3, orderBy: 'data.rank', orderDirection: 'ASC', after: response.body.pagination.nextCursor
+        }).expect(200);
+        pages.push(names(response));
+      }
+
+      const back = await list({
+        limit: 3, orderBy: 'data.rank', orderDirection: 'ASC', before: response.body.pagination.prevCursor
+      }).expect(200);
+      expect(names(back)).toEqual(pages[pages.length - 2]);
+    });
+
+    it('should support cursors in search', async () => {
+      const search = (body) => request(app)
+        .post(`/api/data/${collection}/search`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ filter: 'rank:exists', orderBy: 'id', orderDirection: 'ASC', limit: 2, ...body });
+
+      const first = await search({}).expect(200);
+      expect(names(first)).toEqual(['item-1', 'item-2']);
+
+      const second = await search({ after: first.body.pagination.nextCursor }).expect(200);
+      expect(names(second)).toEqual(['item-4', 'item-5']);
+    });
+  });
+
+  describe('Totals', () => {
+    it('should keep exact totals for offset pages', async () => {
+      const response = await list({ limit: 2, offset: 2 }).expect(200);
+      expect(response.body.pagination).toMatchObject({ total: 8, offset: 2, hasMore: true });
+      expect(response.body.pagination.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should count cursor pages on request', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+
+      const exact = await list({ limit: 2, after: first.body.pagination.nextCursor, total: 'exact' }).expect(200);
+      expect(exact.body.pagination).toMatchObject({ total: 8, totalEstimated: false });
+
+      const estimate = await list({ limit: 2, after: first.body.pagination.nextCursor, total: 'estimate' }).expect(200);
+      expect(estimate.body.pagination.totalEstimated).toBe(true);
+      expect(estimate.body.pagination.total).toEqual(expect.any(Number));
+    });
+  });
+
+  describe('Invalid cursors', () => {
+    it('should reject malformed cursors', async () => {
+      const response = await list({ after: 'not-a-cursor' }).expect(400);
+      expect(response.body.message).toBe('Invalid cursor');
+
+      const forged = Buffer.from(JSON.stringify({ o: 'created_at:DESC', k: ["1'; DROP TABLE users", 1] })).toString('base64url');
+      await list({ after: forged }).expect(400);
+    });
+
+    it('should reject cursors from another ordering', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+
+      const response = await list({ limit: 2, orderBy: 'id', after: first.body.pagination.nextCursor }).expect(400);
+      expect(response.body.message).toMatch(/different ordering/);
+    });
+
+    it('should not accept after and before together', async () => {
+      await list({ after: 'a', before: 'b' }).expect(400);
+    });
+  });
+
+  describe('Audit log cursors', () => {
+    it('should page through audit logs', async () => {
+      for (let i = 0; i < 3; i++) {
+        await auditService.logEvent('pagination.test', 'test', { userId: testUser.id, details: { i } });
+      }
+
+      const audit = (params) => request(app)
+        .get('/api/audit')
+        .query({ action: 'pagination.test', limit: 2, ...params })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const first = await audit({}).expect(200);
+      expect(first.body.logs.map(log => log.details.i)).toEqual([2, 1]);
+
+      const second = await audit({ after: first.body.pagination.nextCursor }).expect(200);
+      expect(second.body.logs.map(log => log.details.i)).toEqual([0]);
+      expect(second.body.pagination.hasMore).toBe(false);
+
+      await audit({ after: 'bad' }).expect(400);
+    });
+  });
+});
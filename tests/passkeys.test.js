@@ -0,0 +1,293 @@
+/**
+ * Passkey Tests
+ *
+ * Test suite for WebAuthn registration and sign-in with a software authenticator:
+ * passwordless login, passkeys as the second factor, and management of several
+ * passkeys per user
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const authConfig = require('../config/auth');
+const { issueSessionTokens } = require('../middleware/auth');
+const { createSoftwareAuthenticator } = require('./helpers/softwareAuthenticator');
+
+describe('Passkeys', () => {
+  let testPool;
+  let testUser;
+  let authToken;
+  let authenticator;
+
+  /**
+   * Run a registration ceremony for the signed-in test user
+   */
+  const registerPasskey = async (agent, name, answer = {}) => {
+    const options = await agent
+      .post('/api/auth/passkeys/register/options')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    return await agent
+      .post('/api/auth/passkeys/register')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name, credential: authenticator.create(options.body.options, answer) });
+  };
+
+  /**
+   * Run a sign-in ceremony, optionally as the second factor of a password login
+   */
+  const signIn = async (agent, { mfaToken, ...answer } = {}) => {
+    const options = await agent
+      .post('/api/auth/passkeys/login/options')
+      .send(mfaToken ? { mfaToken } : {})
+      .expect(200);
+
+    return await agent
+      .post('/api/auth/passkeys/login')
+      .send({ credential: authenticator.get(options.body.options, answer) });
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    const result = await userService.registerUser('passkeyuser', 'passkey@example.com', 'password123');
+    testUser = result.user;
+    authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+    authenticator = createSoftwareAuthenticator({ origin: authConfig.webauthn.origins[0] });
+  });
+
+  afterEach(async () => {
+    await testPool.query("DELETE FROM login_throttles WHERE scope = 'ip'");
+  });
+
+  afterAll(async () => {
+    await testPool.query('DELETE FROM users WHERE username = $1', ['passkeyuser']);
+    await testPool.end();
+  });
+
+  describe('Registration', () => {
+    it('should register a passkey with a name', async () => {
+      const response = await registerPasskey(request.agent(app), 'Laptop').expect(201);
+
+      expect(response.body.passkey.name).toBe('Laptop');
+      expect(response.body.passkey.transports).toEqual(['internal']);
+      expect(response.body.passkey.publicKey).toBeUndefined();
+
+      const stored = await testPool.query('SELECT algorithm, sign_count FROM passkeys WHERE user_id = $1', [testUser.id]);
+      expect(stored.rows[0].algorithm).toBe(-7);
+      expect(Number(stored.rows[0].sign_count)).toBe(0);
+    });
+
+    it('should exclude existing passkeys and identify the user by id only', async () => {
+      const response = await request(app)
+        .post('/api/auth/passkeys/register/options')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { options } = response.body;
+      expect(options.excludeCredentials).toHaveLength(1);
+      expect(Buffer.from(options.user.id, 'base64url').toString()).toBe(String(testUser.id));
+      expect(options.rp.id).toBe(authConfig.webauthn.rpId);
+    });
+
+    it('should reject a response from another origin', async () => {
+      const response = await registerPasskey(request.agent(app), 'Phishing', {
+        clientDataOverrides: { origin: 'https://evil.example.com' }
+      }).expect(400);
+
+      expect(response.body.message).toBe('Origin is not allowed');
+    });
+
+    it('should reject a passkey created for another site', async () => {
+      await registerPasskey(request.agent(app), 'Elsewhere', { rpId: 'evil.example.com' }).expect(400);
+    });
+
+    it('should not accept a registration without a pending challenge', async () => {
+      const options = await request(app)
+        .post('/api/auth/passkeys/register/options')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      // A new agent has no session, so the challenge is unknown
+      await request(app)
+        .post('/api/auth/passkeys/register')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ credential: authenticator.create(options.body.options) })
+        .expect(400);
+    });
+  });
+
+  describe('Passwordless sign-in', () => {
+    it('should sign in without a username or password', async () => {
+      const response = await signIn(request.agent(app)).expect(200);
+
+      expect(response.body.user.username).toBe('passkeyuser');
+      expect(response.body.token).toBeDefined();
+      expect(response.body.passkey.lastUsedAt).toBeDefined();
+
+      const stored = await testPool.query('SELECT sign_count, last_used_at FROM passkeys WHERE user_id = $1', [testUser.id]);
+      expect(Number(stored.rows[0].sign_count)).toBe(1);
+      expect(stored.rows[0].last_used_at).not.toBeNull();
+    });
+
+    it('should require user verification', async () => {
+      const response = await signIn(request.agent(app), { userVerified: false }).expect(401);
+      expect(response.body.code).toBe('invalid_credentials');
+    });
+
+    it('should reject a signature counter that goes backwards', async () => {
+      await signIn(request.agent(app), { signCount: 1 }).expect(401);
+    });
+
+    it('should use each challenge only once', async () => {
+      const agent = request.agent(app);
+      const options = await agent.post('/api/auth/passkeys/login/options').expect(200);
+      const credential = authenticator.get(options.body.options);
+
+      await agent.post('/api/auth/passkeys/login').send({ credential }).expect(200);
+      await agent.post('/api/auth/passkeys/login').send({ credential }).expect(400);
+    });
+
+    it('should count failed sign-ins towards the login throttle', async () => {
+      await signIn(request.agent(app), { clientDataOverrides: { origin: 'https://evil.example.com' } }).expect(401);
+
+      const result = await testPool.query(
+        "SELECT details FROM audit_logs WHERE action = 'login.failed' AND user_id = $1 ORDER BY id DESC LIMIT 1",
+        [testUser.id]
+      );
+      expect(result.rows[0].details.source).toBe('passkey');
+    });
+  });
+
+  describe('Second factor', () => {
+    let roles;
+
+    beforeAll(() => {
+      roles = authConfig.mfa.requiredRoles;
+    });
+
+    afterEach(() => {
+      authConfig.mfa.requiredRoles = roles;
+    });
+
+    it('should let a passkey satisfy a role that requires 2FA', async () => {
+      authConfig.mfa.requiredRoles = [testUser.role];
+
+      const agent = request.agent(app);
+      const login = await agent
+        .post('/api/auth/login')
+        .send({ username: 'passkeyuser', password: 'password123' })
+        .expect(200);
+
+      expect(login.body.status).toBe('mfa_required');
+      expect(login.body.methods).toEqual(['passkey']);
+      expect(login.body.token).toBeUndefined();
+
+      const response = await signIn(agent, { mfaToken: login.body.mfaToken, userVerified: false }).expect(200);
+      expect(response.body.token).toBeDefined();
+    });
+
+    it('should only accept the passkeys of the user who entered the password', async () => {
+      authConfig.mfa.requiredRoles = [testUser.role];
+
+      const other = await userService.registerUser('passkeyother', 'passkeyother@example.com', 'password123');
+      const otherToken = (await issueSessionTokens(other.user.id, other.user.username, other.user.role)).token;
+
+      try {
+        const agent = request.agent(app);
+        const options = await agent
+          .post('/api/auth/passkeys/register/options')
+          .set('Authorization', `Bearer ${otherToken}`);
+        const otherCredential = authenticator.create(options.body.options);
+        await agent
+          .post('/api/auth/passkeys/register')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .send({ credential: otherCredential })
+          .expect(201);
+
+        const login = await agent
+          .post('/api/auth/login')
+          .send({ username: 'passkeyuser', password: 'password123' })
+          .expect(200);
+
+        const loginOptions = await agent
+          .post('/api/auth/passkeys/login/options')
+          .send({ mfaToken: login.body.mfaToken })
+          .expect(200);
+        expect(loginOptions.body.options.allowCredentials.map(entry => entry.id)).not.toContain(otherCredential.id);
+
+        await agent
+          .post('/api/auth/passkeys/login')
+          .send({ credential: authenticator.get(loginOptions.body.options, { credentialId: otherCredential.id }) })
+          .expect(401);
+      } finally {
+        await testPool.query('DELETE FROM users WHERE username = $1', ['passkeyother']);
+      }
+    });
+
+    it('should report passkeys in the 2FA status', async () => {
+      const response = await request(app)
+        .get('/api/auth/mfa')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.mfa.passkeys).toBe(1);
+    });
+  });
+
+  describe('Management', () => {
+    it('should support several passkeys per user', async () => {
+      await registerPasskey(request.agent(app), 'Phone').expect(201);
+
+      const response = await request(app)
+        .get('/api/auth/passkeys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.passkeys.map(passkey => passkey.name)).toEqual(['Laptop', 'Phone']);
+    });
+
+    it('should rename a passkey', async () => {
+      const list = await request(app).get('/api/auth/passkeys').set('Authorization', `Bearer ${authToken}`);
+
+      await request(app)
+        .patch(`/api/auth/passkeys/${list.body.passkeys[1].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Work phone' })
+        .expect(200);
+
+      const renamed = await request(app).get('/api/auth/passkeys').set('Authorization', `Bearer ${authToken}`);
+      expect(renamed.body.passkeys[1].name).toBe('Work phone');
+    });
+
+    it('should not delete an unknown passkey', async () => {
+      await request(app)
+        .delete('/api/auth/passkeys/999999')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should keep the only sign-in method', async () => {
+      await testPool.query('UPDATE users SET password_hash = NULL WHERE id = $1', [testUser.id]);
+      const list = await request(app).get('/api/auth/passkeys').set('Authorization', `Bearer ${authToken}`);
+
+      await request(app)
+        .delete(`/api/auth/passkeys/${list.body.passkeys[0].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/auth/passkeys/${list.body.passkeys[1].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.message).toMatch(/only sign-in method/);
+    });
+  });
+});
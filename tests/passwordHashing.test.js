@@ -0,0 +1,159 @@
+/**
+ * Password Hashing Tests
+ *
+ * Test suite for versioned password hashes: verifying hashes of every supported
+ * algorithm, upgrading outdated hashes at login, and the admin hash report
+ */
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const passwordHashService = require('../services/passwordHashService');
+const authConfig = require('../config/auth');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Password Hashing', () => {
+  const password = 'Lantern-Velvet-91';
+  const defaults = JSON.parse(JSON.stringify(authConfig.passwordHashing));
+  let testPool;
+  let testUser;
+  let adminToken;
+
+  const storedHash = async () => {
+    const result = await testPool.query('SELECT password_hash FROM users WHERE id = $1', [testUser.id]);
+    return result.rows[0].password_hash;
+  };
+
+  const login = (secret = password) => {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ username: 'hashuser', password: secret });
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    testUser = (await userService.registerUser('hashuser', 'hashuser@example.com', password)).user;
+
+    const admin = (await userService.registerUser('hashadmin', 'hashadmin@example.com', password, 'admin')).user;
+    adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+  });
+
+  afterEach(() => {
+    Object.assign(authConfig.passwordHashing, JSON.parse(JSON.stringify(defaults)));
+  });
+
+  afterAll(async () => {
+    await testPool.query("DELETE FROM login_throttles WHERE username = 'hashuser'");
+    await testPool.query("DELETE FROM users WHERE username IN ('hashuser', 'hashadmin')");
+    await testPool.end();
+  });
+
+  describe('Hash format', () => {
+    it('should hash new passwords with scrypt and record the parameters', async () => {
+      const hash = await storedHash();
+
+      expect(hash).toMatch(/^\$scrypt\$ln=17,r=8,p=1\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+      expect(passwordHashService.describeHash(hash)).toEqual({ algorithm: 'scrypt', params: { ln: 17, r: 8, p: 1 } });
+      expect(await passwordHashService.verifyPassword(password, hash)).toBe(true);
+      expect(await passwordHashService.verifyPassword('Lantern-Velvet-92', hash)).toBe(false);
+    });
+
+    it('should still verify bcrypt hashes', async () => {
+      const hash = await bcrypt.hash(password, 10);
+
+      expect(passwordHashService.describeHash(hash)).toEqual({ algorithm: 'bcrypt', params: { cost: 10 } });
+      expect(await passwordHashService.verifyPassword(password, hash)).toBe(true);
+      expect(passwordHashService.needsRehash(hash)).toBe(true);
+    });
+
+    it('should reject hashes in an unknown format', async () => {
+      expect(await passwordHashService.verifyPassword(password, 'plaintext')).toBe(false);
+      expect(passwordHashService.needsRehash('plaintext')).toBe(true);
+    });
+  });
+
+  describe('Upgrade at login', () => {
+    it('should re-hash a legacy bcrypt hash after a successful login', async () => {
+      await testPool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await bcrypt.hash(password, 10), testUser.id]);
+
+      await login().expect(200);
+
+      const hash = await storedHash();
+      expect(hash.startsWith('$scrypt$ln=17,')).toBe(true);
+
+      // The new hash works for the next login
+      await login().expect(200);
+    });
+
+    it('should not touch the hash after a failed login', async () => {
+      const legacy = await bcrypt.hash(password, 10);
+      await testPool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [legacy, testUser.id]);
+
+      await login('Wrong-Password-00').expect(401);
+
+      expect(await storedHash()).toBe(legacy);
+    });
+
+    it('should re-hash when the parameters change', async () => {
+      const before = await storedHash();
+      authConfig.passwordHashing.scrypt.costLog2 = 15;
+
+      await login().expect(200);
+
+      const after = await storedHash();
+      expect(after).not.toBe(before);
+      expect(after.startsWith('$scrypt$ln=15,')).toBe(true);
+    });
+
+    it('should switch algorithms when configured', async () => {
+      authConfig.passwordHashing.algorithm = 'bcrypt';
+      authConfig.passwordHashing.bcrypt.cost = 10;
+
+      await login().expect(200);
+
+      expect(passwordHashService.describeHash(await storedHash())).toEqual({ algorithm: 'bcrypt', params: { cost: 10 } });
+    });
+  });
+
+  describe('Report', () => {
+    it('should count outdated hashes', async () => {
+      await testPool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await bcrypt.hash(password, 10), testUser.id]);
+
+      const response = await request(app)
+        .get('/api/admin/security/password-hashes')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { report } = response.body;
+      expect(report.target).toEqual({ algorithm: 'scrypt', params: { ln: 17, r: 8, p: 1 } });
+      expect(report.outdated).toBeGreaterThanOrEqual(1);
+      expect(report.current + report.outdated).toBe(report.total);
+
+      const bcryptScheme = report.schemes.find(scheme => scheme.algorithm === 'bcrypt' && scheme.params.cost === 10);
+      expect(bcryptScheme.current).toBe(false);
+      expect(bcryptScheme.count).toBeGreaterThanOrEqual(1);
+
+      const scryptScheme = report.schemes.find(scheme => scheme.algorithm === 'scrypt' && scheme.params.ln === 17);
+      expect(scryptScheme.current).toBe(true);
+    });
+
+    it('should require the security.manage permission', async () => {
+      const { token } = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+
+      await request(app)
+        .get('/api/admin/security/password-hashes')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Password Policy Tests
+ *
+ * Test suite for password rules, the breached-password list and password history
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Password Policy', () => {
+  const rulesOf = (response) => response.body.errors.map(error => error.rule);
+
+  describe('Rules', () => {
+    it('should accept a long, unpredictable password', () => {
+      const result = passwordPolicyService.validatePassword('Lantern-Velvet-91', { username: 'someone', email: 'someone@example.com' });
+      expect(result.valid).toBe(true);
+      expect(result.score).toBe(4);
+    });
+
+    it('should reject short passwords', () => {
+      const result = passwordPolicyService.validatePassword('Ab1!');
+      expect(result.errors.map(error => error.rule)).toEqual(['min_length']);
+    });
+
+    it('should require a mix of character classes', () => {
+      const result = passwordPolicyService.validatePassword('zqxjvkwmprtbnd');
+      expect(result.errors.map(error => error.rule)).toContain('character_classes');
+    });
+
+    it('should reject common and breached passwords, including leetspeak variants', () => {
+      expect(passwordPolicyService.isBreachedPassword('password123')).toBe(true);
+      expect(passwordPolicyService.isBreachedPassword('P@ssw0rd')).toBe(true);
+      expect(passwordPolicyService.isBreachedPassword('Lantern-Velvet-91')).toBe(false);
+    });
+
+    it('should reject passwords containing the username or email', () => {
+      const result = passwordPolicyService.validatePassword('Gr8-jdoe-Rocks!', { username: 'jdoe', email: 'john@example.com' });
+      expect(result.errors.map(error => error.rule)).toContain('personal_info');
+    });
+
+    it('should score predictable patterns as weak', () => {
+      expect(passwordPolicyService.estimateStrength('qwertyuiop12').score).toBeLessThan(2);
+      expect(passwordPolicyService.estimateStrength('abcdefgh1234').score).toBeLessThan(2);
+      expect(passwordPolicyService.estimateStrength('Summer2024!').score).toBeLessThan(3);
+      expect(passwordPolicyService.estimateStrength('Zebra!Orbit7').score).toBeGreaterThanOrEqual(3);
+    });
+  });
+
+  describe('Endpoints', () => {
+    let testUser;
+    let authToken;
+
+    beforeAll(async () => {
+      await userService.initializeUsersTable();
+    });
+
+    beforeEach(async () => {
+      testUser = (await userService.registerUser('policyuser', 'policyuser@example.com', 'Lantern-Velvet-91')).user;
+      authToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+    });
+
+    afterEach(async () => {
+      const pool = require('pg').Pool;
+      const testPool = new pool({
+        connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+      });
+      await testPool.query("DELETE FROM users WHERE username IN ('policyuser', 'policynew')");
+      await testPool.end();
+    });
+
+    it('should publish the active policy', async () => {
+      const response = await request(app)
+        .get('/api/auth/password-policy')
+        .expect(200);
+
+      expect(response.body.policy.minLength).toBeGreaterThanOrEqual(10);
+      expect(response.body.policy.rejectBreached).toBe(true);
+    });
+
+    it('should list every broken rule on registration', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'policynew', email: 'policynew@example.com', password: 'policynew2024' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+      expect(response.body.code).toBe('password_policy');
+      expect(rulesOf(response)).toEqual(expect.arrayContaining(['personal_info', 'strength']));
+    });
+
+    it('should not allow reusing recent passwords', async () => {
+      const change = (currentPassword, newPassword) => request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword, newPassword });
+
+      const same = await change('Lantern-Velvet-91', 'Lantern-Velvet-91').expect(400);
+      expect(rulesOf(same)).toEqual(['history']);
+
+      await change('Lantern-Velvet-91', 'Quiet-Harbor-58').expect(200);
+
+      const previous = await change('Quiet-Harbor-58', 'Lantern-Velvet-91').expect(400);
+      expect(rulesOf(previous)).toEqual(['history']);
+
+      await change('Quiet-Harbor-58', 'Zebra!Orbit7-Moss').expect(200);
+    });
+
+    it('should keep the reset token usable when the new password is rejected', async () => {
+      const verificationTokenService = require('../services/verificationTokenService');
+      const token = await verificationTokenService.createToken(testUser.id, 'password_reset', 60 * 60 * 1000);
+
+      const rejected = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'password123' })
+        .expect(400);
+      expect(rulesOf(rejected)).toEqual(expect.arrayContaining(['breached']));
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'Quiet-Harbor-58' })
+        .expect(200);
+    });
+  });
+});
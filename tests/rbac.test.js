@@ -0,0 +1,203 @@
+/**
+ * RBAC Tests
+ *
+ * Test suite for roles, permissions and the admin role endpoints
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Role-Based Access Control', () => {
+  let adminToken;
+  let testUser;
+  let userToken;
+
+  const assignRole = async (role) => {
+    return await request(app)
+      .put(`/api/admin/users/${testUser.id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role });
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const admin = (await userService.registerUser('rbacadmin', 'rbacadmin@example.com', 'password123', 'admin')).user;
+    adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+
+    testUser = (await userService.registerUser('rbacuser', 'rbacuser@example.com', 'password123')).user;
+    userToken = (await issueSessionTokens(testUser.id, testUser.username, testUser.role)).token;
+  });
+
+  afterAll(async () => {
+    const pool = require('pg').Pool;
+    const testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await testPool.query('DELETE FROM data_storage WHERE user_id = $1', [testUser.id]);
+    await testPool.query('DELETE FROM users WHERE username = ANY($1)', [['rbacadmin', 'rbacuser', 'rbackeeper']]);
+    await testPool.query('DELETE FROM roles WHERE name = ANY($1)', [['exporter', 'rolekeeper']]);
+    await testPool.end();
+  });
+
+  it('should seed the default roles', async () => {
+    const response = await request(app)
+      .get('/api/admin/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const names = response.body.roles.map(role => role.name);
+    expect(names).toEqual(expect.arrayContaining(['admin', 'editor', 'viewer', 'auditor']));
+
+    const admin = response.body.roles.find(role => role.name === 'admin');
+    expect(admin.permissions).toEqual(expect.arrayContaining(['data.export', 'roles.manage']));
+  });
+
+  it('should not let regular users manage roles', async () => {
+    const response = await request(app)
+      .get('/api/admin/roles')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    expect(response.body.missingPermissions).toEqual(['roles.manage']);
+  });
+
+  it('should enforce permissions of the assigned role', async () => {
+    await assignRole('viewer').expect(200);
+
+    await request(app)
+      .get('/api/data/rbac_test')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/data/rbac_test')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ data: { name: 'blocked' } })
+      .expect(403);
+
+    expect(response.body.missingPermissions).toEqual(['data.write']);
+
+    await request(app)
+      .get('/api/data/rbac_test/export')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+
+  it('should require a permission for previously open routes', async () => {
+    await request(app)
+      .post('/api/execute-query')
+      .send({ query: 'SELECT 1' })
+      .expect(401);
+
+    await request(app)
+      .post('/api/execute-query')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ query: 'SELECT 1' })
+      .expect(403);
+  });
+
+  it('should create a custom role and assign it', async () => {
+    const created = await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'exporter', description: 'Export only', permissions: ['data.read', 'data.export'] })
+      .expect(201);
+
+    expect(created.body.role.permissions).toEqual(['data.export', 'data.read']);
+
+    await assignRole('exporter').expect(200);
+
+    await request(app)
+      .get('/api/data/rbac_test/export')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+  });
+
+  it('should apply permission changes immediately', async () => {
+    await request(app)
+      .put('/api/admin/roles/exporter')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: ['data.read'] })
+      .expect(200);
+
+    await request(app)
+      .get('/api/data/rbac_test/export')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+
+  it('should reject unknown permissions and roles', async () => {
+    const role = await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'broken', permissions: ['data.everything'] })
+      .expect(400);
+
+    expect(role.body.message).toContain('Unknown permissions');
+
+    await assignRole('does-not-exist').expect(400);
+  });
+
+  it('should not let role managers grant permissions they do not have', async () => {
+    await rbacService.createRole({ name: 'rolekeeper', permissions: ['roles.manage', 'data.read'] });
+    const keeper = (await userService.registerUser('rbackeeper', 'rbackeeper@example.com', 'password123')).user;
+    await rbacService.assignUserRole(keeper.id, 'rolekeeper');
+    const keeperToken = (await issueSessionTokens(keeper.id, keeper.username, 'rolekeeper')).token;
+
+    const ownRole = await request(app)
+      .put('/api/admin/roles/rolekeeper')
+      .set('Authorization', `Bearer ${keeperToken}`)
+      .send({ permissions: ['roles.manage', 'data.read', 'users.manage'] })
+      .expect(403);
+    expect(ownRole.body.missingPermissions).toEqual(['users.manage']);
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${keeperToken}`)
+      .send({ name: 'escalated', permissions: ['audit.read'] })
+      .expect(403);
+
+    await request(app)
+      .put('/api/admin/roles/editor')
+      .set('Authorization', `Bearer ${keeperToken}`)
+      .send({ description: 'Edited by a lesser role' })
+      .expect(403);
+
+    await request(app)
+      .put(`/api/admin/users/${testUser.id}/role`)
+      .set('Authorization', `Bearer ${keeperToken}`)
+      .send({ role: 'admin' })
+      .expect(403);
+  });
+
+  it('should protect default roles and roles in use', async () => {
+    await request(app)
+      .delete('/api/admin/roles/viewer')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await request(app)
+      .put('/api/admin/roles/admin')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: [] })
+      .expect(400);
+
+    await request(app)
+      .delete('/api/admin/roles/exporter')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await assignRole('user').expect(200);
+
+    await request(app)
+      .delete('/api/admin/roles/exporter')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+});
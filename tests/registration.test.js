@@ -0,0 +1,171 @@
+/**
+ * Registration Policy Tests
+ *
+ * Test suite for registration modes, invite codes and admin approval
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const authConfig = require('../config/auth');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Registration Policy', () => {
+  let adminToken;
+
+  const register = async (username, extra = {}) => {
+    return await request(app)
+      .post('/api/auth/register')
+      .send({ username, email: `${username}@example.com`, password: 'Lantern-Velvet-91', ...extra });
+  };
+
+  const createInvite = async (body = {}) => {
+    return await request(app)
+      .post('/api/admin/invites')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await rbacService.ensureDefaultRoles();
+
+    const admin = (await userService.registerUser('regadmin', 'regadmin@example.com', 'password123', 'admin')).user;
+    adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+  });
+
+  afterEach(() => {
+    authConfig.registration.mode = 'open';
+    authConfig.registration.allowedDomains = [];
+  });
+
+  afterAll(async () => {
+    const pool = require('pg').Pool;
+    const testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await testPool.query("DELETE FROM invites WHERE created_by_id IN (SELECT id FROM users WHERE username = 'regadmin')");
+    await testPool.query("DELETE FROM users WHERE username LIKE 'reg%'");
+    await testPool.end();
+  });
+
+  it('should ignore a role sent in the registration body', async () => {
+    const response = await register('regopen', { role: 'admin' }).expect(201);
+    expect(response.body.user.role).toBe('user');
+  });
+
+  it('should refuse registration when closed', async () => {
+    authConfig.registration.mode = 'closed';
+
+    const response = await register('regclosed').expect(403);
+    expect(response.body.code).toBe('registration_closed');
+  });
+
+  describe('Invite-only', () => {
+    beforeEach(() => {
+      authConfig.registration.mode = 'invite';
+    });
+
+    it('should require an invite code', async () => {
+      const response = await register('regnoinvite').expect(403);
+      expect(response.body.code).toBe('invite_required');
+    });
+
+    it('should give the invite role and accept each code once', async () => {
+      const invite = await createInvite({ role: 'editor' }).expect(201);
+      expect(invite.body.code).toMatch(/^inv_/);
+
+      const first = await register('reginvited', { inviteCode: invite.body.code }).expect(201);
+      expect(first.body.user.role).toBe('editor');
+
+      const second = await register('reginvited2', { inviteCode: invite.body.code }).expect(400);
+      expect(second.body.code).toBe('invalid_invite');
+    });
+
+    it('should restrict an invite to its email address', async () => {
+      const invite = await createInvite({ email: 'reglocked@example.com' }).expect(201);
+
+      await register('regother', { inviteCode: invite.body.code }).expect(400);
+      await register('reglocked', { inviteCode: invite.body.code }).expect(201);
+    });
+
+    it('should reject revoked invites', async () => {
+      const invite = await createInvite().expect(201);
+
+      await request(app)
+        .delete(`/api/admin/invites/${invite.body.invite.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await register('regrevoked', { inviteCode: invite.body.code }).expect(400);
+    });
+  });
+
+  describe('Domain allowlist', () => {
+    beforeEach(() => {
+      authConfig.registration.mode = 'domain';
+      authConfig.registration.allowedDomains = ['example.com'];
+    });
+
+    it('should accept allowed domains only', async () => {
+      await register('regdomain').expect(201);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'regoutsider', email: 'regoutsider@other.test', password: 'Lantern-Velvet-91' })
+        .expect(403);
+
+      expect(response.body.code).toBe('domain_not_allowed');
+    });
+  });
+
+  describe('Admin approval', () => {
+    beforeEach(() => {
+      authConfig.registration.mode = 'approval';
+    });
+
+    it('should hold new accounts until an admin approves them', async () => {
+      const created = await register('regpending').expect(201);
+      expect(created.body.user.approvalStatus).toBe('pending');
+
+      const blocked = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'regpending', password: 'Lantern-Velvet-91' })
+        .expect(401);
+      expect(blocked.body.code).toBe('approval_pending');
+
+      const pending = await request(app)
+        .get('/api/admin/users/pending')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(pending.body.users.map(user => user.username)).toContain('regpending');
+
+      await request(app)
+        .post(`/api/admin/users/${created.body.user.id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'regpending', password: 'Lantern-Velvet-91' })
+        .expect(200);
+    });
+
+    it('should keep rejected accounts out', async () => {
+      const created = await register('regrejected').expect(201);
+
+      await request(app)
+        .post(`/api/admin/users/${created.body.user.id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'regrejected', password: 'Lantern-Velvet-91' })
+        .expect(401);
+      expect(response.body.code).toBe('registration_rejected');
+    });
+  });
+});
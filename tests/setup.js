@@ -9,6 +9,9 @@ process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.ENCRYPTION_KEY = 'test-encryption-key';
 process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = require('path').join(__dirname, '..', 'tmp', 'test-mail');
+process.env.UNVERIFIED_USER_POLICY = 'allow';
 
 // Mock console methods to reduce noise during tests
 const originalConsole = console;
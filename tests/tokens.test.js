@@ -0,0 +1,233 @@
+/**
+ * Token Signing Tests
+ *
+ * Test suite for asymmetric token signing: verification against the published JWKS,
+ * scheduled key rotation with an overlap window, and the production key and secret checks
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const userService = require('../services/userService');
+const tokenService = require('../services/tokenService');
+const authConfig = require('../config/auth');
+const { issueSessionTokens, generateMfaToken } = require('../middleware/auth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Write a key list with the given keys and point the config at it
+ */
+const writeKeys = (directory, entries) => {
+  const list = entries.map(({ kid, type, activatesAt }) => {
+    const { privateKey } = type === 'rsa' ?
+      crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) :
+      crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync(path.join(directory, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    return { kid, privateKeyFile: `${kid}.pem`, ...(activatesAt && { activatesAt: activatesAt.toISOString() }) };
+  });
+
+  const file = path.join(directory, 'keys.json');
+  fs.writeFileSync(file, JSON.stringify(list));
+  authConfig.tokens.keysFile = file;
+  tokenService.reloadKeys();
+};
+
+/**
+ * Verify a token the way another service would: with nothing but the JWKS
+ */
+const verifyWithJwks = (token, jwks) => {
+  const [header, payload, signature] = token.split('.');
+  const { kid, alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+  const jwk = jwks.keys.find(key => key.kid === kid);
+
+  if (!jwk) {
+    return false;
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  return crypto.verify(alg === 'RS256' ? 'sha256' : null, Buffer.from(`${header}.${payload}`), key, Buffer.from(signature, 'base64url'));
+};
+
+describe('Token Signing', () => {
+  const defaults = { ...authConfig.tokens };
+  let testUser;
+  let directory;
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+
+    const result = await userService.registerUser('tokenuser', 'token@example.com', 'password123');
+    testUser = result.user;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  });
+
+  afterEach(() => {
+    Object.assign(authConfig.tokens, defaults);
+    tokenService.reloadKeys();
+  });
+
+  afterAll(async () => {
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    const pool = require('pg').Pool;
+    const testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+    await testPool.query('DELETE FROM users WHERE username = $1', ['tokenuser']);
+    await testPool.end();
+  });
+
+  describe('JWKS', () => {
+    it('should publish keys that verify issued access tokens', async () => {
+      writeKeys(directory, [{ kid: 'rsa-key', type: 'rsa' }]);
+      const { token } = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+
+      const response = await request(app).get('/.well-known/jwks.json').expect(200);
+
+      expect(response.headers['cache-control']).toMatch(/max-age=\d+/);
+      expect(response.body.keys).toHaveLength(1);
+      expect(response.body.keys[0]).toMatchObject({ kid: 'rsa-key', alg: 'RS256', kty: 'RSA', use: 'sig' });
+      expect(response.body.keys[0].d).toBeUndefined();
+      expect(verifyWithJwks(token, response.body)).toBe(true);
+    });
+
+    it('should sign with EdDSA keys', async () => {
+      writeKeys(directory, [{ kid: 'ed-key', type: 'ed25519' }]);
+      const { token } = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+
+      const { header } = jwt.decode(token, { complete: true });
+      expect(header).toEqual({ alg: 'EdDSA', typ: 'at+jwt', kid: 'ed-key' });
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Verification', () => {
+    it('should reject tokens signed with the old shared secret', async () => {
+      const { token } = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+      const { header, payload } = jwt.decode(token, { complete: true });
+      const forged = jwt.sign(payload, process.env.JWT_SECRET, { header: { ...header, alg: 'HS256' } });
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${forged}`)
+        .expect(401);
+    });
+
+    it('should not accept a 2FA token as an access token', () => {
+      const mfaToken = generateMfaToken(testUser.id, 'mfa_login');
+      expect(() => tokenService.verify(mfaToken, { type: 'at+jwt' })).toThrow('jwt type invalid');
+    });
+
+    it('should report expired tokens', () => {
+      const token = tokenService.sign({ userId: testUser.id }, { expiresIn: 0 });
+      expect(() => tokenService.verify(token)).toThrow(expect.objectContaining({ name: 'TokenExpiredError' }));
+    });
+  });
+
+  describe('Rotation', () => {
+    it('should publish a scheduled key before it starts signing', () => {
+      writeKeys(directory, [
+        { kid: 'current', type: 'ed25519' },
+        { kid: 'next', type: 'ed25519', activatesAt: new Date(Date.now() + HOUR_MS) }
+      ]);
+
+      expect(tokenService.getSigningKey().kid).toBe('current');
+      expect(tokenService.getJwks().keys.map(key => key.kid)).toEqual(['current', 'next']);
+    });
+
+    it('should drop the replaced key once the overlap window has passed', () => {
+      authConfig.tokens.overlapMs = HOUR_MS;
+
+      writeKeys(directory, [
+        { kid: 'retired', type: 'ed25519', activatesAt: new Date(Date.now() - 3 * HOUR_MS) },
+        { kid: 'current', type: 'ed25519', activatesAt: new Date(Date.now() - 2 * HOUR_MS) }
+      ]);
+
+      expect(tokenService.getJwks().keys.map(key => key.kid)).toEqual(['current']);
+    });
+
+    it('should accept tokens from the previous key until it retires', () => {
+      const keysFile = path.join(directory, 'keys.json');
+      writeKeys(directory, [{ kid: 'previous', type: 'ed25519' }]);
+      const token = tokenService.sign({ userId: testUser.id }, { expiresIn: '15m' });
+
+      // Add the next key to the same list, keeping the previous key file
+      const list = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      fs.writeFileSync(path.join(directory, 'following.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+      list.push({ kid: 'following', privateKeyFile: 'following.pem', activatesAt: new Date(Date.now() - 1000).toISOString() });
+      fs.writeFileSync(keysFile, JSON.stringify(list));
+      tokenService.reloadKeys();
+
+      expect(tokenService.getSigningKey().kid).toBe('following');
+      expect(tokenService.verify(token).userId).toBe(testUser.id);
+
+      authConfig.tokens.overlapMs = 0;
+      expect(() => tokenService.verify(token)).toThrow('invalid signature');
+    });
+  });
+
+  describe('Configuration', () => {
+    it('should refuse to start in production without a signing key', () => {
+      const environment = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        jest.isolateModules(() => {
+          expect(() => require('../services/tokenService')).toThrow('No JWT signing key configured');
+        });
+      } finally {
+        process.env.NODE_ENV = environment;
+      }
+    });
+
+    it('should refuse to start in production without an email link secret', () => {
+      const { NODE_ENV: environment, JWT_SECRET: secret } = process.env;
+      process.env.NODE_ENV = 'production';
+      delete process.env.JWT_SECRET;
+
+      try {
+        jest.isolateModules(() => {
+          expect(() => require('../services/verificationTokenService')).toThrow('No email link token secret configured');
+        });
+      } finally {
+        process.env.NODE_ENV = environment;
+        process.env.JWT_SECRET = secret;
+      }
+    });
+
+    it('should reject RSA keys shorter than 2048 bits', () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+      Object.assign(authConfig.tokens, { keysFile: null, privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) });
+
+      expect(() => tokenService.reloadKeys()).toThrow('at least 2048 bits');
+    });
+  });
+
+  describe('GitHub profile', () => {
+    it('should read the user from the access token', async () => {
+      const { token } = await issueSessionTokens(testUser.id, testUser.username, testUser.role);
+
+      const response = await request(app)
+        .get('/api/auth/github/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.user.id).toBe(testUser.id);
+    });
+
+    it('should reject a missing token', async () => {
+      await request(app).get('/api/auth/github/profile').expect(401);
+    });
+  });
+});
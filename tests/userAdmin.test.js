@@ -0,0 +1,302 @@
+/**
+ * User Admin Tests
+ *
+ * Test suite for the admin user-management API and impersonation sessions
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../server');
+const userService = require('../services/userService');
+const rbacService = require('../services/rbacService');
+const databaseService = require('../services/databaseService');
+const { issueSessionTokens } = require('../middleware/auth');
+
+describe('Admin User Management', () => {
+  const password = 'Lantern-Velvet-91';
+  let admin;
+  let adminToken;
+  let testPool;
+
+  const createUser = async (username) => {
+    return (await userService.registerUser(username, `${username}@example.com`, password)).user;
+  };
+
+  beforeAll(async () => {
+    await userService.initializeUsersTable();
+    await databaseService.initializeDatabase();
+    await rbacService.ensureDefaultRoles();
+
+    const pool = require('pg').Pool;
+    testPool = new pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    });
+
+    admin = (await userService.registerUser('uadminroot', 'uadminroot@example.com', password, 'admin')).user;
+    adminToken = (await issueSessionTokens(admin.id, admin.username, admin.role)).token;
+  });
+
+  afterAll(async () => {
+    await testPool.query("DELETE FROM login_throttles WHERE username LIKE 'uadmin%'");
+    await testPool.query("DELETE FROM users WHERE username LIKE 'uadmin%'");
+    await testPool.end();
+  });
+
+  describe('Listing', () => {
+    beforeAll(async () => {
+      for (const suffix of ['a', 'b', 'c']) {
+        await createUser(`uadminlist${suffix}`);
+      }
+    });
+
+    it('should page and search users', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?search=uadminlist&pageSize=2&sort=username&order=asc')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.users.map(user => user.username)).toEqual(['uadminlista', 'uadminlistb']);
+      expect(response.body.pagination).toMatchObject({ page: 1, pageSize: 2, total: 3, totalPages: 2 });
+      expect(response.body.users[0].passwordHash).toBeUndefined();
+    });
+
+    it('should reject an oversized page', async () => {
+      await request(app)
+        .get('/api/admin/users?pageSize=500')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should keep regular users out', async () => {
+      const user = await createUser('uadminnosy');
+      const { token } = await issueSessionTokens(user.id, user.username, user.role);
+
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+
+  describe('Account actions', () => {
+    it('should deactivate a user and revoke their sessions', async () => {
+      const user = await createUser('uadmindeact');
+      const { token } = await issueSessionTokens(user.id, user.username, user.role);
+
+      await request(app)
+        .post(`/api/admin/users/${user.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      const audit = await testPool.query(
+        "SELECT COUNT(*) FROM audit_logs WHERE action = 'admin.user_deactivated' AND user_id = $1 AND details->>'targetUserId' = $2",
+        [admin.id, String(user.id)]
+      );
+      expect(parseInt(audit.rows[0].count)).toBe(1);
+    });
+
+    it('should not let admins deactivate themselves', async () => {
+      await request(app)
+        .post(`/api/admin/users/${admin.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should block password logins after a forced reset', async () => {
+      const user = await createUser('uadminreset');
+
+      await request(app)
+        .post(`/api/admin/users/${user.id}/force-password-reset`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'uadminreset', password })
+        .expect(401);
+
+      expect(response.body.code).toBe('password_reset_required');
+    });
+
+    it('should delete a user and transfer their data', async () => {
+      const user = await createUser('uadmindelete');
+      const heir = await createUser('uadminheir');
+      await testPool.query("INSERT INTO data_storage (user_id, table_name, data) VALUES ($1, 'uadmin_notes', '{}')", [user.id]);
+
+      const response = await request(app)
+        .delete(`/api/admin/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ transferToId: heir.id })
+        .expect(200);
+
+      expect(response.body.transferred.data_storage).toBe(1);
+
+      const owned = await testPool.query("SELECT user_id FROM data_storage WHERE table_name = 'uadmin_notes'");
+      expect(owned.rows.map(row => row.user_id)).toEqual([heir.id]);
+
+      await testPool.query("DELETE FROM data_storage WHERE table_name = 'uadmin_notes'");
+    });
+  });
+
+  describe('Acting on more privileged users', () => {
+    let supportToken;
+
+    beforeAll(async () => {
+      await rbacService.createRole({ name: 'uadminsupport', permissions: ['users.read', 'users.manage'] });
+      const support = await createUser('uadminsupport');
+      await rbacService.assignUserRole(support.id, 'uadminsupport');
+      supportToken = (await issueSessionTokens(support.id, support.username, 'uadminsupport')).token;
+    });
+
+    afterAll(async () => {
+      await testPool.query("DELETE FROM users WHERE username = 'uadminsupport'");
+      await rbacService.deleteRole('uadminsupport');
+    });
+
+    it('should not let a support role change, deactivate, reactivate, unlock, reset, sign out or delete an admin', async () => {
+      const url = `/api/admin/users/${admin.id}`;
+
+      await request(app).patch(url).set('Authorization', `Bearer ${supportToken}`)
+        .send({ email: 'takeover@example.com' }).expect(403);
+      await request(app).post(`${url}/deactivate`).set('Authorization', `Bearer ${supportToken}`).expect(403);
+      await request(app).post(`${url}/activate`).set('Authorization', `Bearer ${supportToken}`).expect(403);
+      await request(app).post(`${url}/unlock`).set('Authorization', `Bearer ${supportToken}`).expect(403);
+      await request(app).post(`${url}/logout`).set('Authorization', `Bearer ${supportToken}`).expect(403);
+      await request(app).post(`${url}/force-password-reset`).set('Authorization', `Bearer ${supportToken}`).expect(403);
+      await request(app).delete(url).set('Authorization', `Bearer ${supportToken}`).send({}).expect(403);
+
+      const stored = await testPool.query('SELECT email, is_active FROM users WHERE id = $1', [admin.id]);
+      expect(stored.rows[0]).toEqual({ email: 'uadminroot@example.com', is_active: true });
+    });
+
+    it('should reset email verification when the email changes', async () => {
+      const user = await createUser('uadminemail');
+      await testPool.query('UPDATE users SET email_verified = true WHERE id = $1', [user.id]);
+
+      const response = await request(app)
+        .patch(`/api/admin/users/${user.id}`)
+        .set('Authorization', `Bearer ${supportToken}`)
+        .send({ email: 'uadminemail-new@example.com' })
+        .expect(200);
+
+      expect(response.body.user.email_verified).toBe(false);
+    });
+  });
+
+  describe('Impersonation', () => {
+    let target;
+
+    beforeAll(async () => {
+      target = await createUser('uadmintarget');
+    });
+
+    const impersonate = () => request(app)
+      .post(`/api/admin/users/${target.id}/impersonate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Support ticket 4521' });
+
+    it('should require a reason', async () => {
+      await request(app)
+        .post(`/api/admin/users/${target.id}/impersonate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should issue a marked token and audit the start', async () => {
+      const response = await impersonate().expect(200);
+
+      const decoded = jwt.decode(response.body.token);
+      expect(decoded.userId).toBe(target.id);
+      expect(decoded.act).toEqual({ userId: admin.id, username: admin.username });
+      expect(response.headers['set-cookie']).toBeUndefined();
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+
+      expect(profile.body.impersonatedBy).toEqual({ id: admin.id, username: admin.username });
+      expect(profile.headers['x-impersonated-by']).toBe(admin.username);
+
+      const audit = await testPool.query(
+        "SELECT details FROM audit_logs WHERE action = 'impersonation.started' AND user_id = $1 AND details->>'targetUserId' = $2",
+        [admin.id, String(target.id)]
+      );
+      expect(audit.rows[0].details.reason).toBe('Support ticket 4521');
+    });
+
+    it('should keep impersonation sessions away from account and admin endpoints', async () => {
+      const { token } = (await impersonate().expect(200)).body;
+
+      const changePassword = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: password, newPassword: 'Quiet-Harbor-58' })
+        .expect(403);
+
+      expect(changePassword.body.code).toBe('impersonation_restricted');
+
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('should restrict differently cased account and admin paths', async () => {
+      const { token } = (await impersonate().expect(200)).body;
+
+      // Express matches these paths case-insensitively
+      const changePassword = await request(app)
+        .put('/Api/auth/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: password, newPassword: 'Quiet-Harbor-58' })
+        .expect(403);
+      expect(changePassword.body.code).toBe('impersonation_restricted');
+
+      for (const path of ['/API/account/export', '/API/Admin/users']) {
+        const response = await request(app)
+          .get(path)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(403);
+        expect(response.body.code).toBe('impersonation_restricted');
+      }
+    });
+
+    it('should end the session on stop', async () => {
+      const { token } = (await impersonate().expect(200)).body;
+
+      await request(app)
+        .post('/api/auth/impersonation/stop')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      // The admin's own session keeps working
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it('should refuse to impersonate another admin', async () => {
+      const otherAdmin = (await userService.registerUser('uadminpeer', 'uadminpeer@example.com', password, 'admin')).user;
+
+      await request(app)
+        .post(`/api/admin/users/${otherAdmin.id}/impersonate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Checking their settings' })
+        .expect(403);
+    });
+  });
+});